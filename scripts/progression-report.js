@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Progression report CLI - plays the game headlessly with a bot strategy and prints
+ * how long each skill phase, building unlock and Transcend takes
+ *
+ * Usage: npm run report -- [--strategy greedy|cheapestUnlock|all] [--hours 24] [--seed 1] [--step 1000]
+ */
+import { parseArgs } from 'node:util'
+import { strategies } from '../src/simulation/strategies.js'
+import { runProgressionReport, formatProgressionReport } from '../src/simulation/progressionReport.js'
+
+const { values } = parseArgs({
+  options: {
+    strategy: { type: 'string', default: 'all' },
+    hours: { type: 'string', default: '24' },
+    seed: { type: 'string', default: '1' },
+    step: { type: 'string', default: '1000' }
+  }
+})
+
+const strategyIds = values.strategy === 'all' ? Object.keys(strategies) : [values.strategy]
+const unknown = strategyIds.filter(id => !strategies[id])
+if (unknown.length > 0) {
+  console.error(`Unknown strategy: ${unknown.join(', ')} (choose from ${Object.keys(strategies).join(', ')}, all)`)
+  process.exit(1)
+}
+
+for (const id of strategyIds) {
+  const report = runProgressionReport(strategies[id](), {
+    durationMs: Number(values.hours) * 60 * 60 * 1000,
+    stepMs: Number(values.step),
+    seed: Number(values.seed)
+  })
+
+  console.log(formatProgressionReport(report))
+  console.log('')
+}
@@ -1,18 +1,54 @@
 import { EventBus } from './EventBus.js'
+import { RoundManager } from './RoundManager.js'
+import { CURRENT_SAVE_VERSION, migrateSave } from './saveMigrations.js'
 import { ResourceManager } from '../managers/ResourceManager.js'
 import { SkillManager } from '../managers/SkillManager.js'
 import { ActivityManager } from '../managers/ActivityManager.js'
 import { UpgradeManager } from '../managers/UpgradeManager.js'
 import { WorkerManager } from '../managers/WorkerManager.js'
 import { BuildingManager } from '../managers/BuildingManager.js'
+import { TradeManager } from '../managers/TradeManager.js'
 import { AudioManager } from '../managers/AudioManager.js'
-import { levelFromXP } from '../utils/calculations.js'
+import { LeaderboardManager } from '../managers/LeaderboardManager.js'
+import { AchievementManager } from '../managers/AchievementManager.js'
+import { ResourceNodeManager } from '../managers/ResourceNodeManager.js'
+import { WorkerEntityManager } from '../managers/WorkerEntityManager.js'
+import { achievements } from '../data/achievements.js'
+import { resourceNodeDefinitions, mapTerrain } from '../data/resource-nodes.js'
+import { createSeededRandom, createManualClock } from '../utils/random.js'
+
+const MAX_OFFLINE_TIME = 8 * 60 * 60 * 1000 // 8 hours in ms
+const OFFLINE_STEP_MS = 60000 // Longest single step when fast-forwarding offline time
+const MAP_STEP_MS = 1000 // Map workers change state at most once per step, so long updates are walked in slices
+
+// 'idle' plays forever; 'rounds' is a fixed number of collection/building rounds ending in a score
+export const GAME_MODES = ['idle', 'rounds']
 
 /**
  * Main game engine - coordinates all systems
  */
 export class GameEngine {
-  constructor(skillDefinitions, activityDefinitions, upgradeDefinitions = []) {
+  /**
+   * @param {Array} skillDefinitions - Skill definitions
+   * @param {Array} activityDefinitions - Activity definitions
+   * @param {Array} upgradeDefinitions - Upgrade definitions
+   * @param {Object} options - { clock: () => ms, rng: () => [0, 1), seed, achievements, resourceNodes, mapTerrain }
+   *   (defaults to Date.now / Math.random and the achievements.js / resource-nodes.js data)
+   */
+  constructor(skillDefinitions, activityDefinitions, upgradeDefinitions = [], options = {}) {
+    this.clock = options.clock || (() => Date.now())
+    this.rng = options.rng || (options.seed !== undefined ? createSeededRandom(options.seed) : Math.random)
+
+    // Kept so offline progress can fast-forward a copy of the game
+    this.definitions = {
+      skills: skillDefinitions,
+      activities: activityDefinitions,
+      upgrades: upgradeDefinitions,
+      achievements: options.achievements || achievements,
+      resourceNodes: options.resourceNodes || resourceNodeDefinitions,
+      mapTerrain: options.mapTerrain || mapTerrain
+    }
+
     this.eventBus = new EventBus()
     this.resourceManager = new ResourceManager(this.eventBus)
     this.skillManager = new SkillManager(skillDefinitions, activityDefinitions, this.eventBus)
@@ -20,11 +56,41 @@ export class GameEngine {
     this.workerManager = new WorkerManager(this.eventBus, this.resourceManager)
     this.buildingManager = new BuildingManager(this.eventBus, this.resourceManager)
     this.activityManager = new ActivityManager(activityDefinitions, this.resourceManager, this.skillManager, this.eventBus, this.upgradeManager, this.workerManager)
+    this.tradeManager = new TradeManager(this.eventBus, this.resourceManager, this.buildingManager)
     this.audioManager = new AudioManager()
+    this.achievementManager = new AchievementManager(this.definitions.achievements, this.eventBus)
+    this.roundManager = new RoundManager(this.eventBus)
+    this.mode = 'idle'
+
+    // Map view: worker entities walking between resource nodes and home
+    this.resourceNodeManager = new ResourceNodeManager(this.definitions.resourceNodes, this.eventBus, this.resourceManager)
+    this.workerEntityManager = new WorkerEntityManager(this.eventBus, this.resourceManager)
+    this.workerEntityManager.setTerrain(this.definitions.mapTerrain)
+
+    // Outlives individual games - saved separately and never reset with the game
+    this.leaderboardManager = new LeaderboardManager(this.eventBus)
 
     // Link building manager for bonuses (must happen after all managers are created)
     this.resourceManager.buildingManager = this.buildingManager
+    this.resourceManager.tradeManager = this.tradeManager
     this.activityManager.buildingManager = this.buildingManager
+    this.workerManager.buildingManager = this.buildingManager
+    this.buildingManager.workerManager = this.workerManager
+    this.workerManager.activityManager = this.activityManager
+
+    // Map workers come from the same pool as activity workers
+    this.workerManager.workerEntityManager = this.workerEntityManager
+    this.workerEntityManager.workerManager = this.workerManager
+    this.workerEntityManager.resourceNodeManager = this.resourceNodeManager
+    this.workerEntityManager.skillManager = this.skillManager
+    this.resourceNodeManager.skillManager = this.skillManager
+
+    // Share the engine's clock and RNG so timers and IDs are reproducible
+    this.activityManager.clock = this.clock
+    this.buildingManager.clock = this.clock
+    this.buildingManager.rng = this.rng
+    this.workerEntityManager.rng = this.rng
+    this.workerManager.rng = this.rng
 
     // Listen for resource changes to track mined amounts
     this.eventBus.on('activity:completed', (data) => {
@@ -34,6 +100,57 @@ export class GameEngine {
         })
       }
     })
+    this.eventBus.on('worker:deposited', ({ outputs }) => {
+      Object.entries(outputs).forEach(([resourceId, amount]) => {
+        this.buildingManager.trackResourceMined(resourceId, amount)
+      })
+    })
+
+    // Track progress toward achievements - checked once per update() rather than on every event
+    this.achievementsDirty = false
+    this.grantingRewards = false // True while achievement rewards are being added
+    const skillPhases = Object.fromEntries(skillDefinitions.map(skill => [skill.id, skill.phase]))
+    const workerTypeIds = new Set(this.workerManager.workerTypes.map(workerType => workerType.id))
+    const markAchievementsDirty = () => { this.achievementsDirty = true }
+
+    this.eventBus.on('activity:completed', ({ skillId, outputs }) => {
+      this.achievementManager.trackActivity(skillId)
+      Object.entries(outputs || {}).forEach(([resourceId, amount]) => {
+        this.achievementManager.trackResource(resourceId, amount)
+      })
+      if (skillPhases[skillId] !== undefined) {
+        this.achievementManager.trackPhase(skillPhases[skillId])
+      }
+      markAchievementsDirty()
+    })
+    this.eventBus.on('worker:deposited', ({ outputs }) => {
+      Object.entries(outputs).forEach(([resourceId, amount]) => {
+        this.achievementManager.trackResource(resourceId, amount)
+      })
+      markAchievementsDirty()
+    })
+    this.eventBus.on('resource:changed', markAchievementsDirty)
+    // Storage only overflows once a resource is full, so this avoids a limit check on every change
+    this.eventBus.on('storage:overflow', ({ resourceId }) => {
+      if (!workerTypeIds.has(resourceId)) {
+        this.achievementManager.trackStorageFilled(resourceId)
+        markAchievementsDirty()
+      }
+    })
+    this.eventBus.on('building:construction_complete', ({ buildingTypeId }) => {
+      this.achievementManager.trackBuilding(buildingTypeId)
+      markAchievementsDirty()
+    })
+    this.eventBus.on('building:upgraded', ({ buildingTypeId, upgradeId, newLevel }) => {
+      this.achievementManager.trackBuildingUpgrade(buildingTypeId, upgradeId, newLevel)
+      markAchievementsDirty()
+    })
+    this.eventBus.on('building:training_complete', ({ workerType }) => {
+      this.achievementManager.trackWorkerTrained(workerType)
+      markAchievementsDirty()
+    })
+    this.eventBus.on('skill:levelup', markAchievementsDirty)
+    this.eventBus.on('upgrade:purchased', markAchievementsDirty)
 
     // Play sound effects on game events
     this.eventBus.on('activity:completed', () => {
@@ -48,11 +165,51 @@ export class GameEngine {
       this.audioManager.playSuccessSound()
     })
 
+    // Lock or unlock construction whenever the round phase moves on
+    const applyRoundRules = () => this._applyRoundRules()
+    this.eventBus.on('round:phase_changed', applyRoundRules)
+    this.eventBus.on('round:game_ended', applyRoundRules)
+    this.eventBus.on('round:reset', applyRoundRules)
+
+    // Keep per-round summaries for the leaderboard
+    this.eventBus.on('activity:completed', ({ outputs }) => {
+      if (this.mode === 'rounds' && outputs) {
+        this.roundManager.recordCollected(outputs)
+      }
+    })
+    this.eventBus.on('worker:deposited', ({ outputs }) => {
+      if (this.mode === 'rounds') {
+        this.roundManager.recordCollected(outputs)
+      }
+    })
+    this.eventBus.on('building:construction_started', ({ buildingTypeId }) => {
+      if (this.mode === 'rounds') {
+        this.roundManager.recordBuilding(buildingTypeId)
+      }
+    })
+    this.eventBus.on('round:game_ended', () => {
+      this.leaderboardManager.addRun(this.getRoundSummary())
+    })
+
     this.isRunning = false
     this.isPaused = false
     this.lastUpdateTime = 0
   }
 
+  /**
+   * Create an engine for headless runs (no DOM, manual clock, seeded RNG)
+   * @param {Object} options - { seed: 1, startTime: 0, ...other constructor options }
+   * @returns {GameEngine} Engine whose clock only advances through simulate()
+   */
+  static createHeadless(skillDefinitions, activityDefinitions, upgradeDefinitions = [], options = {}) {
+    const { seed = 1, startTime = 0, ...engineOptions } = options
+    return new GameEngine(skillDefinitions, activityDefinitions, upgradeDefinitions, {
+      ...engineOptions,
+      clock: createManualClock(startTime),
+      rng: createSeededRandom(seed)
+    })
+  }
+
   /**
    * Start the game loop
    */
@@ -61,7 +218,7 @@ export class GameEngine {
 
     this.isRunning = true
     this.isPaused = false
-    this.lastUpdateTime = Date.now()
+    this.lastUpdateTime = this.clock()
     this._gameLoop()
   }
 
@@ -81,7 +238,7 @@ export class GameEngine {
       return
     }
     this.isPaused = false
-    this.lastUpdateTime = Date.now()  // Reset time to prevent huge delta
+    this.lastUpdateTime = this.clock()  // Reset time to prevent huge delta
   }
 
   /**
@@ -100,7 +257,7 @@ export class GameEngine {
     if (!this.isRunning) return
 
     if (!this.isPaused) {
-      const now = Date.now()
+      const now = this.clock()
       const deltaTime = now - this.lastUpdateTime
       this.lastUpdateTime = now
 
@@ -116,17 +273,228 @@ export class GameEngine {
    * @param {number} deltaTime - Time elapsed in ms
    */
   update(deltaTime) {
-    // Update activities
-    this.activityManager.update(deltaTime)
+    const rounds = this.mode === 'rounds'
+
+    // One map entity per owned worker
+    this.workerEntityManager.syncWithCurrency(this.resourceManager)
+
+    // In rounds mode production only runs during the collection phase
+    if (!rounds || this.roundManager.isCollectionPhase()) {
+      // Update activities
+      this.activityManager.update(deltaTime)
+
+      // Update buildings (construction and worker generation)
+      this.buildingManager.update(deltaTime)
+
+      // Feed and pay workers (unpaid ones slow down or quit)
+      this.workerManager.update(deltaTime)
 
-    // Update buildings (construction and worker generation)
-    this.buildingManager.update(deltaTime)
+      // Spoil perishable goods
+      this.resourceManager.update(deltaTime)
+
+      // Regrow resource nodes and move map workers (deposits go into the resource manager)
+      this.resourceNodeManager.update(deltaTime)
+      for (let remaining = deltaTime; remaining > 0; remaining -= MAP_STEP_MS) {
+        this.workerEntityManager.update(Math.min(MAP_STEP_MS, remaining), this.resourceNodeManager.nodes)
+      }
+    } else {
+      // Building phase: let construction finish, but nothing else moves
+      this.buildingManager.updateConstruction()
+    }
+
+    // Count down the collection phase
+    if (rounds) {
+      this.roundManager.update(deltaTime)
+    }
+
+    // Recover market prices toward base value
+    this.tradeManager.update(deltaTime)
+
+    this._checkAchievements()
 
     // Emit tick event for UI updates
     this.eventBus.emit('game:tick', {
       deltaTime,
-      timestamp: Date.now()
+      timestamp: this.clock()
+    })
+  }
+
+  /**
+   * Skip the rest of the collection phase, producing what workers would have made
+   * @returns {number} Game time skipped in ms
+   */
+  fastForwardRound() {
+    if (this.mode !== 'rounds' || !this.roundManager.isCollectionPhase()) return 0
+
+    const skipped = this.roundManager.phaseTimeRemaining * 1000
+
+    // update() counts the round timer down, so step until the phase ends by itself
+    while (this.roundManager.isCollectionPhase()) {
+      this.update(Math.max(1, Math.min(
+        OFFLINE_STEP_MS,
+        this.roundManager.phaseTimeRemaining * 1000,
+        this.buildingManager.getTimeToNextEvent()
+      )))
+    }
+
+    return skipped
+  }
+
+  /**
+   * Finish the building phase - starts the next round, or scores the game after the last one
+   */
+  endBuildingPhase() {
+    if (this.mode !== 'rounds' || !this.roundManager.isBuildingPhase()) return
+
+    if (this.roundManager.currentRound >= this.roundManager.TOTAL_ROUNDS) {
+      this.roundManager.calculateScore(
+        this.workerManager.getTotalWorkers(),
+        this.buildingManager.getTotalBuildingCount()
+      )
+    }
+
+    this.roundManager.endBuildingPhase()
+  }
+
+  /**
+   * Summarise a rounds game for the leaderboard
+   * @returns {Object} { score, date, workers: { workerTypeId: count }, totalWorkers, buildings, rounds }
+   */
+  getRoundSummary() {
+    const workers = {}
+    for (const workerType of this.workerManager.workerTypes) {
+      const count = this.resourceManager.get(workerType.id)
+      if (count > 0) workers[workerType.id] = count
+    }
+
+    return {
+      score: this.roundManager.finalScore,
+      date: this.clock(),
+      workers,
+      totalWorkers: this.workerManager.getTotalWorkers(),
+      buildings: this.buildingManager.getTotalBuildingCount(),
+      rounds: this.roundManager.getRoundHistory()
+    }
+  }
+
+  /**
+   * Unlock any achievements whose requirements are now met and grant their rewards
+   * @private
+   */
+  _checkAchievements() {
+    if (!this.achievementsDirty) return
+    this.achievementsDirty = false
+
+    const workers = {}
+    for (const workerType of this.workerManager.workerTypes) {
+      workers[workerType.id] = this.resourceManager.get(workerType.id)
+    }
+
+    const unlocked = this.achievementManager.checkAll({
+      skills: this.skillManager.getAllSkills(),
+      upgrades: this.upgradeManager.getState(),
+      workers
     })
+
+    // Rewards are one-off gifts, not production - overflow from them isn't reported as waste
+    this.grantingRewards = true
+    try {
+      for (const achievement of unlocked) {
+        for (const [resourceId, amount] of Object.entries(achievement.reward || {})) {
+          this.resourceManager.add(resourceId, amount)
+        }
+      }
+    } finally {
+      this.grantingRewards = false
+    }
+  }
+
+  /**
+   * Block construction outside the building phase in rounds mode
+   * @private
+   */
+  _applyRoundRules() {
+    let lock = null
+
+    if (this.mode === 'rounds' && !this.roundManager.isBuildingPhase()) {
+      lock = this.roundManager.gameEnded
+        ? 'The game is over'
+        : 'Construction is only allowed during the building phase'
+    }
+
+    this.buildingManager.constructionLock = lock
+  }
+
+  /**
+   * Run the game headlessly for a fixed amount of game time
+   * Requires a clock with advance() (see createHeadless)
+   * @param {number} durationMs - Game time to simulate in ms
+   * @param {Object} options - { stepMs: 1000, sampleIntervalMs: 60000, strategy: (engine, { elapsed }) => void,
+   *   until: (engine) => boolean to stop early }
+   * @returns {{ duration: number, timeline: Array }} Snapshots of resources, levels and buildings
+   */
+  simulate(durationMs, options = {}) {
+    const { stepMs = 1000, sampleIntervalMs = 60000, strategy = null, until = null } = options
+
+    if (typeof this.clock.advance !== 'function') {
+      throw new Error('simulate() needs a manual clock - use GameEngine.createHeadless()')
+    }
+    if (!(stepMs > 0) || !(sampleIntervalMs > 0)) {
+      throw new Error('stepMs and sampleIntervalMs must be positive')
+    }
+
+    const timeline = [this._takeSnapshot(0)]
+    let elapsed = 0
+    let nextSample = sampleIntervalMs
+
+    while (elapsed < durationMs) {
+      // Let the strategy act (assign workers, build, buy upgrades) before time moves on
+      if (strategy) {
+        strategy(this, { elapsed })
+      }
+
+      // Never step past a sample point so snapshots land on exact times
+      const step = Math.min(stepMs, durationMs - elapsed, nextSample - elapsed)
+      this.clock.advance(step)
+      elapsed += step
+      this.update(step)
+
+      if (until && until(this)) break
+
+      if (elapsed >= nextSample && elapsed < durationMs) {
+        timeline.push(this._takeSnapshot(elapsed))
+        nextSample += sampleIntervalMs
+      }
+    }
+
+    timeline.push(this._takeSnapshot(elapsed))
+
+    return { duration: elapsed, timeline }
+  }
+
+  /**
+   * Capture resources, skill levels and completed buildings for a simulation timeline
+   * @private
+   */
+  _takeSnapshot(elapsed) {
+    const resources = {}
+    for (const [resourceId, amount] of Object.entries(this.resourceManager.resources)) {
+      if (amount !== 0) resources[resourceId] = amount
+    }
+
+    const levels = {}
+    for (const [skillId, skill] of Object.entries(this.skillManager.getAllSkills())) {
+      levels[skillId] = skill.level
+    }
+
+    const buildings = {}
+    for (const building of this.buildingManager.getAllBuildings()) {
+      if (building.constructionComplete) {
+        buildings[building.buildingTypeId] = (buildings[building.buildingTypeId] || 0) + 1
+      }
+    }
+
+    return { time: elapsed, resources, levels, buildings }
   }
 
   /**
@@ -153,45 +521,82 @@ export class GameEngine {
    */
   getState() {
     return {
-      version: 2, // Increment when save format changes
+      version: CURRENT_SAVE_VERSION, // Bump (and register a migration) when the save format changes
       resourceManager: this.resourceManager.getState(),
       skills: this.skillManager.getAllSkills(),
       upgrades: this.upgradeManager.getState(),
       workers: this.workerManager.getState(),
       buildings: this.buildingManager.getState(),
-      lastSaveTime: Date.now()
+      trade: this.tradeManager.getState(),
+      achievements: this.achievementManager.getState(),
+      resourceNodes: this.resourceNodeManager.getState(),
+      workerEntities: this.workerEntityManager.getState(),
+      mode: this.mode,
+      rounds: this.roundManager.getState(),
+      lastSaveTime: this.clock()
     }
   }
 
   /**
-   * Load game state
-   * @param {Object} state - Game state
+   * Load game state, migrating older save formats first
+   * @param {Object} savedState - Game state from getState() (any version)
+   * @returns {Object} { fromVersion, migrations: [{ version, description }] } - the migrations that ran
    */
-  loadState(state) {
-    // Check version - if old version, ignore the save
-    if (!state.version || state.version < 2) {
-      console.warn('Old save version detected - starting fresh')
-      return
+  loadState(savedState) {
+    // Throws for saves from a newer version of the game
+    const { state, fromVersion, applied } = migrateSave(savedState)
+
+    // Load onto a clean slate so nothing from the current game leaks in, and put the
+    // current game back if the save breaks partway through
+    const previous = this.getState()
+    try {
+      this._resetManagers()
+      this._loadManagerState(state)
+    } catch (e) {
+      this._resetManagers()
+      this._loadManagerState(previous)
+      throw e
+    }
+
+    if (applied.length > 0) {
+      this.eventBus.emit('game:saveMigrated', { fromVersion, toVersion: state.version, migrations: applied })
     }
 
-    // Load resources - handle both new and legacy formats
+    this.mode = GAME_MODES.includes(state.mode) ? state.mode : 'idle'
+    this.roundManager.loadState(state.rounds)
+    this._applyRoundRules()
+
+    // Calculate and apply offline progress if lastSaveTime exists
+    // (rounds are timed play sessions, so the clock doesn't run while away)
+    if (state.lastSaveTime && this.mode === 'idle') {
+      const now = this.clock()
+      const offlineTime = now - state.lastSaveTime
+
+      if (offlineTime > 0) {
+        const offlineResult = this.calculateOfflineProgress(offlineTime, state)
+        this.applyOfflineProgress(offlineResult)
+      }
+    }
+
+    // Note: Activities will auto-start on next update() call if workers are assigned
+    return { fromVersion, migrations: applied }
+  }
+
+  /**
+   * Load every manager from a saved state (no migrations or offline progress)
+   * @private
+   * @param {Object} state - Game state in the current save format
+   */
+  _loadManagerState(state) {
+    // Load resources
     if (state.resourceManager) {
-      // New format with storage bonuses
       this.resourceManager.loadState(state.resourceManager)
-    } else {
-      // Legacy format - just resources
-      const resources = state.resources || state.currencies
-      if (resources) {
-        Object.entries(resources).forEach(([id, amount]) => {
-          this.resourceManager.set(id, amount)
-        })
-      }
     }
 
     // Load skills
     if (state.skills) {
       Object.entries(state.skills).forEach(([id, skillState]) => {
-        if (skillState.xp) {
+        if (skillState.xp !== undefined) {
           this.skillManager.setXP(id, skillState.xp)
         }
       })
@@ -212,158 +617,186 @@ export class GameEngine {
       this.buildingManager.loadState(state.buildings)
     }
 
-    // Calculate and apply offline progress if lastSaveTime exists
-    if (state.lastSaveTime) {
-      const now = Date.now()
-      const offlineTime = now - state.lastSaveTime
+    // Load trading stats
+    if (state.trade) {
+      this.tradeManager.loadState(state.trade)
+    }
 
-      if (offlineTime > 0) {
-        const offlineResult = this.calculateOfflineProgress(offlineTime, state)
-        this.applyOfflineProgress(offlineResult)
-      }
+    // Load achievements
+    if (state.achievements) {
+      this.achievementManager.loadState(state.achievements)
     }
 
-    // Note: Activities will auto-start on next update() call if workers are assigned
+    // Load the map
+    if (state.resourceNodes) {
+      this.resourceNodeManager.loadState(state.resourceNodes)
+    }
+    if (state.workerEntities) {
+      this.workerEntityManager.loadState(state.workerEntities)
+    }
+
+    // Storage limits depend on the buildings just loaded
+    this.resourceManager.invalidateStorageLimits()
   }
 
   /**
    * Reset the game
+   * @param {Object} options - { mode: 'idle' | 'rounds' } (defaults to the current mode)
    */
-  reset() {
+  reset({ mode = this.mode } = {}) {
+    if (!GAME_MODES.includes(mode)) {
+      throw new Error(`Unknown game mode: ${mode}`)
+    }
+    this.mode = mode
+
+    this._resetManagers()
+    this.roundManager.reset()
+
+    // Give starting workers for new game
+    this.resourceManager.add('basicWorker', 2)
+  }
+
+  /**
+   * Reset every manager that a save restores
+   * @private
+   */
+  _resetManagers() {
     this.resourceManager.reset()
     this.skillManager.reset()
     this.activityManager.reset()
     this.upgradeManager.reset()
     this.workerManager.reset()
     this.buildingManager.reset()
-
-    // Give starting workers for new game
-    this.resourceManager.add('basicWorker', 2)
+    this.tradeManager.reset()
+    this.achievementManager.reset()
+    this.resourceNodeManager.reset()
+    this.workerEntityManager.reset()
+    this.resourceManager.invalidateStorageLimits()
   }
 
   /**
    * Calculate offline progress from saved state
+   * Fast-forwards a throwaway copy of the game through the same update() loop used
+   * while playing, so worker speed, upgrades, buildings, training and storage caps all apply
    * @param {number} offlineTime - Time offline in milliseconds
    * @param {Object} savedState - The saved game state
-   * @returns {Object} Offline progress summary
+   * @returns {Object} Offline progress summary (plus the fast-forwarded state)
    */
   calculateOfflineProgress(offlineTime, savedState) {
-    const MAX_OFFLINE_TIME = 8 * 60 * 60 * 1000 // 8 hours in ms
     const cappedTime = Math.min(offlineTime, MAX_OFFLINE_TIME)
 
     const result = {
       activitiesCompleted: [],
       resourcesEarned: {},
+      resourcesSpent: {},
+      resourcesWasted: {},   // Production lost to full storage
+      resourcesDecayed: {},  // Perishables that spoiled
+      cappedResources: [],   // Resources sitting at their storage limit afterwards
       xpEarned: {},
+      workersGenerated: {},
+      buildingsCompleted: [],
+      achievementsUnlocked: [],
       totalTime: cappedTime
     }
 
-    // Get automated activities (activities with workers assigned)
-    if (!savedState.workers || !savedState.workers.assignments) {
+    // Construction and training timers read the clock, so replay it from the save time
+    let simulatedNow = savedState.lastSaveTime || this.clock() - cappedTime
+    const sandbox = new GameEngine(this.definitions.skills, this.definitions.activities, this.definitions.upgrades, {
+      clock: () => simulatedNow,
+      rng: this.rng,
+      achievements: this.definitions.achievements,
+      resourceNodes: this.definitions.resourceNodes,
+      mapTerrain: this.definitions.mapTerrain
+    })
+    sandbox._loadManagerState(migrateSave(savedState).state)
+
+    // Nothing can progress without assigned workers, buildings or food left to spoil
+    const hasAssignments = Object.values(sandbox.workerManager.assignments)
+      .some(assignment => Object.values(assignment || {}).some(count => count > 0)) ||
+      sandbox.workerEntityManager.getAllWorkers().some(worker => worker.isAssigned())
+    const hasPerishables = Object.keys(sandbox.resourceManager.decayRates)
+      .some(resourceId => sandbox.resourceManager.get(resourceId) > 0)
+    if (!hasAssignments && !hasPerishables && sandbox.buildingManager.getAllBuildings().length === 0) {
       result.totalTime = 0
       return result
     }
 
-    const workerAssignments = savedState.workers.assignments
-    const automatedActivityIds = Object.keys(workerAssignments).filter(
-      activityId => Object.values(workerAssignments[activityId] || {}).some(count => count > 0)
-    )
-
-    if (automatedActivityIds.length === 0) {
-      result.totalTime = 0
-      return result
+    const startResources = { ...sandbox.resourceManager.resources }
+    const startXP = {}
+    for (const skillId of Object.keys(sandbox.skillManager.getAllSkills())) {
+      startXP[skillId] = sandbox.skillManager.getXP(skillId)
     }
 
-    // Create a temporary resource state to track resources
-    const tempResources = { ...(savedState.resources || savedState.currencies) }
-
-    // Simulate time passing - find smallest duration to advance time in chunks
-    let simulatedTime = 0
-
-    while (simulatedTime < cappedTime) {
-      // Find the shortest activity duration
-      let shortestDuration = Infinity
-      for (const activityId of automatedActivityIds) {
-        const activity = this.activityManager.activityDefinitions.find(a => a.id === activityId)
-        if (activity) {
-          shortestDuration = Math.min(shortestDuration, activity.duration * 1000)
-        }
+    sandbox.on('activity:completed', ({ activityId }) => {
+      const existing = result.activitiesCompleted.find(a => a.activityId === activityId)
+      if (existing) {
+        existing.completions++
+      } else {
+        result.activitiesCompleted.push({ activityId, completions: 1 })
       }
+    })
 
-      // If no valid activities found, break
-      if (shortestDuration === Infinity) break
-
-      // Check if we have enough time remaining
-      if (simulatedTime + shortestDuration > cappedTime) break
-
-      let anyActivityCompleted = false
-
-      // Try to complete each automated activity that has finished
-      for (const activityId of automatedActivityIds) {
-        const activity = this.activityManager.activityDefinitions.find(a => a.id === activityId)
-
-        if (!activity) continue
-
-        // Check if this activity duration matches or is less than the time chunk
-        const activityDuration = activity.duration * 1000
-        if (activityDuration > shortestDuration) continue
-
-        // Check if we can afford the inputs
-        let canAfford = true
-        for (const [resourceId, amount] of Object.entries(activity.inputs)) {
-          if ((tempResources[resourceId] || 0) < amount) {
-            canAfford = false
-            break
-          }
-        }
-
-        if (!canAfford) continue
+    sandbox.on('storage:overflow', ({ resourceId, lost }) => {
+      if (lost > 0 && !sandbox.grantingRewards) {
+        result.resourcesWasted[resourceId] = (result.resourcesWasted[resourceId] || 0) + lost
+      }
+    })
 
-        // Check level requirement
-        const skillState = savedState.skills[activity.skillId]
-        if (!skillState) continue
+    sandbox.on('resource:decayed', ({ losses }) => {
+      for (const [resourceId, amount] of Object.entries(losses)) {
+        result.resourcesDecayed[resourceId] = (result.resourcesDecayed[resourceId] || 0) + amount
+      }
+    })
 
-        const skillLevel = levelFromXP(skillState.xp)
-        if (skillLevel < activity.levelRequired) continue
+    const trackWorker = ({ workerType }) => {
+      result.workersGenerated[workerType] = (result.workersGenerated[workerType] || 0) + 1
+    }
+    sandbox.on('building:worker_generated', trackWorker)
+    sandbox.on('building:training_complete', trackWorker)
 
-        // Can complete this activity!
-        anyActivityCompleted = true
+    sandbox.on('building:construction_complete', ({ buildingTypeId, instanceId }) => {
+      result.buildingsCompleted.push({ buildingTypeId, instanceId })
+    })
 
-        // Consume inputs
-        for (const [resourceId, amount] of Object.entries(activity.inputs)) {
-          tempResources[resourceId] = (tempResources[resourceId] || 0) - amount
-        }
+    sandbox.on('achievement:unlocked', ({ achievementId }) => {
+      result.achievementsUnlocked.push(achievementId)
+    })
 
-        // Grant outputs
-        for (const [resourceId, amount] of Object.entries(activity.outputs)) {
-          tempResources[resourceId] = (tempResources[resourceId] || 0) + amount
-          result.resourcesEarned[resourceId] = (result.resourcesEarned[resourceId] || 0) + amount
-        }
+    // Activities carry time between cycles, so only building events need an exact step
+    let simulatedTime = 0
+    while (simulatedTime < cappedTime) {
+      const step = Math.max(1, Math.min(
+        OFFLINE_STEP_MS,
+        cappedTime - simulatedTime,
+        sandbox.buildingManager.getTimeToNextEvent()
+      ))
+
+      simulatedTime += step
+      simulatedNow += step
+      sandbox.update(step)
+    }
 
-        // Grant XP
-        result.xpEarned[activity.skillId] = (result.xpEarned[activity.skillId] || 0) + activity.xpGained
-
-        // Record completion
-        const existing = result.activitiesCompleted.find(a => a.activityId === activity.id)
-        if (existing) {
-          existing.completions++
-        } else {
-          result.activitiesCompleted.push({
-            activityId: activity.id,
-            completions: 1
-          })
-        }
+    for (const [resourceId, amount] of Object.entries(sandbox.resourceManager.resources)) {
+      const change = amount - (startResources[resourceId] || 0)
+      if (change > 0) {
+        result.resourcesEarned[resourceId] = change
+      } else if (change < 0) {
+        result.resourcesSpent[resourceId] = -change
       }
 
-      // Advance time by shortest duration
-      simulatedTime += shortestDuration
+      if (change > 0 && sandbox.resourceManager.isAtStorageLimit(resourceId)) {
+        result.cappedResources.push(resourceId)
+      }
+    }
 
-      // If no activities could be completed, break the loop
-      if (!anyActivityCompleted) {
-        break
+    for (const [skillId, xp] of Object.entries(startXP)) {
+      const gained = sandbox.skillManager.getXP(skillId) - xp
+      if (gained > 0) {
+        result.xpEarned[skillId] = gained
       }
     }
 
+    result.state = sandbox.getState()
     return result
   }
 
@@ -372,18 +805,25 @@ export class GameEngine {
    * @param {Object} offlineResult - Result from calculateOfflineProgress
    */
   applyOfflineProgress(offlineResult) {
-    // Apply resources
-    for (const [resourceId, amount] of Object.entries(offlineResult.resourcesEarned)) {
-      this.resourceManager.add(resourceId, amount)
-    }
+    const { state, ...summary } = offlineResult
+
+    if (state) {
+      // Adopt the fast-forwarded game wholesale (buildings, workers, prices, ...)
+      this._loadManagerState(state)
+    } else {
+      // Apply resources
+      for (const [resourceId, amount] of Object.entries(offlineResult.resourcesEarned)) {
+        this.resourceManager.add(resourceId, amount)
+      }
 
-    // Apply XP
-    for (const [skillId, xp] of Object.entries(offlineResult.xpEarned)) {
-      this.skillManager.addXP(skillId, xp)
+      // Apply XP
+      for (const [skillId, xp] of Object.entries(offlineResult.xpEarned)) {
+        this.skillManager.addXP(skillId, xp)
+      }
     }
 
     // Emit event
-    this.eventBus.emit('game:offlineProgress', offlineResult)
+    this.eventBus.emit('game:offlineProgress', summary)
   }
 
 }
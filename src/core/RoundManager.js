@@ -17,6 +17,51 @@ export class RoundManager {
 
     // Score tracking
     this.finalScore = 0
+
+    // Per-round summaries: [{ round, resourcesCollected: {}, buildingsBuilt: {} }]
+    this.roundHistory = []
+  }
+
+  /**
+   * Get (or start) the summary for a round
+   */
+  getRoundRecord(round = this.currentRound) {
+    let record = this.roundHistory.find(r => r.round === round)
+    if (!record) {
+      record = { round, resourcesCollected: {}, buildingsBuilt: {} }
+      this.roundHistory.push(record)
+    }
+    return record
+  }
+
+  /**
+   * Record resources produced during the collection phase
+   * @param {Object} outputs - { resourceId: amount }
+   */
+  recordCollected(outputs) {
+    if (!this.isCollectionPhase()) return
+
+    const record = this.getRoundRecord()
+    for (const [resourceId, amount] of Object.entries(outputs)) {
+      record.resourcesCollected[resourceId] = (record.resourcesCollected[resourceId] || 0) + amount
+    }
+  }
+
+  /**
+   * Record a building started during the building phase
+   */
+  recordBuilding(buildingTypeId) {
+    if (!this.isBuildingPhase()) return
+
+    const record = this.getRoundRecord()
+    record.buildingsBuilt[buildingTypeId] = (record.buildingsBuilt[buildingTypeId] || 0) + 1
+  }
+
+  /**
+   * Get a copy of every round summary so far (oldest first)
+   */
+  getRoundHistory() {
+    return JSON.parse(JSON.stringify(this.roundHistory))
   }
 
   /**
@@ -36,6 +81,9 @@ export class RoundManager {
    * End collection phase and switch to building phase
    */
   endCollectionPhase() {
+    // Every round gets a summary, even if nothing was collected
+    this.getRoundRecord()
+
     this.currentPhase = 'building'
     this.phaseTimeRemaining = 0
 
@@ -154,6 +202,7 @@ export class RoundManager {
     this.phaseTimeRemaining = this.COLLECTION_PHASE_DURATION
     this.gameEnded = false
     this.finalScore = 0
+    this.roundHistory = []
 
     if (this.eventBus) {
       this.eventBus.emit('round:reset')
@@ -169,7 +218,8 @@ export class RoundManager {
       currentPhase: this.currentPhase,
       phaseTimeRemaining: this.phaseTimeRemaining,
       gameEnded: this.gameEnded,
-      finalScore: this.finalScore
+      finalScore: this.finalScore,
+      roundHistory: this.getRoundHistory()
     }
   }
 
@@ -184,5 +234,6 @@ export class RoundManager {
     this.phaseTimeRemaining = state.phaseTimeRemaining || this.COLLECTION_PHASE_DURATION
     this.gameEnded = state.gameEnded || false
     this.finalScore = state.finalScore || 0
+    this.roundHistory = state.roundHistory ? JSON.parse(JSON.stringify(state.roundHistory)) : []
   }
 }
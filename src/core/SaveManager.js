@@ -0,0 +1,290 @@
+import { checksum, toBase64, fromBase64 } from '../utils/checksum.js'
+
+const SAVE_KEY = 'incrementalGameSave' // Also the key single-slot saves used
+const INDEX_KEY = 'incrementalGameSaveSlots'
+const SAVE_FORMAT = 1 // Envelope format (the game state inside has its own version)
+const DEFAULT_SLOT = 'default'
+
+/**
+ * SaveManager - Named save slots with checksums, rolling backups and export/import
+ * Every save is wrapped in an envelope { format, savedAt, name, mode, checksum, data }
+ * so corrupted or hand-edited data is caught before it reaches GameEngine.loadState()
+ */
+export class SaveManager {
+  /**
+   * @param {Storage} storage - localStorage or anything with getItem/setItem/removeItem
+   * @param {Object} options - { maxBackups: 5, clock: () => ms }
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage
+    this.maxBackups = options.maxBackups ?? 5
+    this.clock = options.clock || (() => Date.now())
+
+    // { activeSlot, slots: { slotId: { name, savedAt, mode } } }
+    this.index = this._readIndex()
+    this._migrateSingleSlotSave()
+  }
+
+  /**
+   * Get the slot the game saves to
+   */
+  getActiveSlot() {
+    return this.index.activeSlot
+  }
+
+  /**
+   * Switch the slot the game saves to
+   */
+  setActiveSlot(slotId) {
+    this.index.activeSlot = slotId
+    this._writeIndex()
+  }
+
+  /**
+   * Create a new empty slot id (not written until the first save)
+   */
+  createSlotId() {
+    let n = Object.keys(this.index.slots).length + 1
+    while (this.index.slots[`slot_${n}`]) n++
+    return `slot_${n}`
+  }
+
+  /**
+   * List saved slots, most recently saved first
+   * @returns {Array} [{ id, name, savedAt, mode }]
+   */
+  listSlots() {
+    return Object.entries(this.index.slots)
+      .map(([id, meta]) => ({ id, ...meta }))
+      .sort((a, b) => b.savedAt - a.savedAt)
+  }
+
+  /**
+   * Check if a slot has a save
+   */
+  hasSave(slotId) {
+    return this.storage.getItem(this._slotKey(slotId)) !== null
+  }
+
+  /**
+   * Save game state to a slot, backing up whatever was there first
+   * @param {string} slotId - Slot to write
+   * @param {Object} state - GameEngine.getState()
+   * @param {string} name - Display name (defaults to the slot's current name)
+   */
+  save(slotId, state, name = this.index.slots[slotId]?.name || 'Save') {
+    const key = this._slotKey(slotId)
+    const previous = this.storage.getItem(key)
+
+    // Keep the old save before overwriting, so one bad write can't lose the game
+    if (previous !== null) {
+      const backups = this._readBackups(slotId)
+      backups.unshift(previous)
+      this.storage.setItem(this._backupKey(slotId), JSON.stringify(backups.slice(0, this.maxBackups)))
+    }
+
+    const envelope = this.createEnvelope(state, name)
+    this.storage.setItem(key, JSON.stringify(envelope))
+
+    this.index.slots[slotId] = { name, savedAt: envelope.savedAt, mode: envelope.mode }
+    this._writeIndex()
+  }
+
+  /**
+   * Read and verify a slot
+   * @returns {Object|null} Result of parseSave(), or null if the slot is empty
+   */
+  read(slotId) {
+    const raw = this.storage.getItem(this._slotKey(slotId))
+    return raw === null ? null : this.parseSave(raw)
+  }
+
+  /**
+   * Delete a slot and its backups
+   */
+  deleteSlot(slotId) {
+    this.storage.removeItem(this._slotKey(slotId))
+    this.storage.removeItem(this._backupKey(slotId))
+    delete this.index.slots[slotId]
+
+    if (this.index.activeSlot === slotId) {
+      this.index.activeSlot = this.listSlots()[0]?.id || DEFAULT_SLOT
+    }
+    this._writeIndex()
+  }
+
+  /**
+   * List a slot's backups, newest first
+   * @returns {Array} [{ index, savedAt, valid }]
+   */
+  getBackups(slotId) {
+    return this._readBackups(slotId).map((raw, index) => {
+      const result = this.parseSave(raw)
+      return { index, savedAt: result.savedAt, valid: result.valid }
+    })
+  }
+
+  /**
+   * Read and verify one backup
+   * @returns {Object|null} Result of parseSave(), or null if there is no such backup
+   */
+  readBackup(slotId, index) {
+    const raw = this._readBackups(slotId)[index]
+    return raw === undefined ? null : this.parseSave(raw)
+  }
+
+  /**
+   * Get the newest backup that passes its checksum
+   * @returns {Object|null} Result of parseSave()
+   */
+  getLatestValidBackup(slotId) {
+    for (const raw of this._readBackups(slotId)) {
+      const result = this.parseSave(raw)
+      if (result.valid) return result
+    }
+    return null
+  }
+
+  /**
+   * Drop older backups from every slot to free storage space
+   * @param {number} keep - Newest backups to keep per slot
+   */
+  trimBackups(keep = 1) {
+    for (const slotId of Object.keys(this.index.slots)) {
+      const backups = this._readBackups(slotId)
+      if (backups.length === 0) continue
+
+      if (keep > 0) {
+        this.storage.setItem(this._backupKey(slotId), JSON.stringify(backups.slice(0, keep)))
+      } else {
+        this.storage.removeItem(this._backupKey(slotId))
+      }
+    }
+  }
+
+  /**
+   * Wrap game state in a checksummed envelope
+   */
+  createEnvelope(state, name = 'Save') {
+    return {
+      format: SAVE_FORMAT,
+      savedAt: this.clock(),
+      name,
+      mode: state.mode || 'idle',
+      checksum: checksum(JSON.stringify(state)),
+      data: state
+    }
+  }
+
+  /**
+   * Export game state as a base64 string (for copy/paste or a download)
+   */
+  exportSave(state, name = 'Save') {
+    return toBase64(JSON.stringify(this.createEnvelope(state, name)))
+  }
+
+  /**
+   * Parse a save from storage, an exported string or a file
+   * Accepts envelopes as JSON or base64, and bare game state from older versions
+   * @returns {{ valid: boolean, reason?: string, state: Object|null, savedAt?: number, name?: string }}
+   *   state is still returned for checksum failures so the player can choose to load it anyway
+   */
+  parseSave(text) {
+    let parsed = null
+    try {
+      parsed = JSON.parse(text)
+    } catch (e) {
+      try {
+        parsed = JSON.parse(fromBase64(text))
+      } catch (e2) {
+        return { valid: false, reason: 'Save data is unreadable', state: null }
+      }
+    }
+
+    if (!parsed || typeof parsed !== 'object') {
+      return { valid: false, reason: 'Save data is unreadable', state: null }
+    }
+
+    // Bare game state from before save slots (no checksum to verify)
+    // The oldest saves have no version either - saveMigrations.js knows them by their resources
+    if (parsed.format === undefined) {
+      if (parsed.version === undefined && !parsed.resources && !parsed.currencies) {
+        return { valid: false, reason: 'Not a save file', state: null }
+      }
+      return { valid: true, state: parsed, savedAt: parsed.lastSaveTime, name: 'Save' }
+    }
+
+    if (parsed.format > SAVE_FORMAT) {
+      return { valid: false, reason: 'Save was made by a newer version of the game', state: null }
+    }
+
+    const result = { valid: true, state: parsed.data, savedAt: parsed.savedAt, name: parsed.name }
+    if (!parsed.data || checksum(JSON.stringify(parsed.data)) !== parsed.checksum) {
+      result.valid = false
+      result.reason = 'Save data is corrupted or was edited (checksum mismatch)'
+    }
+    return result
+  }
+
+  /**
+   * Move a save from the old single-slot key into the default slot
+   * @private
+   */
+  _migrateSingleSlotSave() {
+    const raw = this.storage.getItem(SAVE_KEY)
+    if (raw === null) return
+
+    const result = this.parseSave(raw)
+    if (result.state && !this.hasSave(DEFAULT_SLOT)) {
+      this.save(DEFAULT_SLOT, result.state, 'Main')
+    }
+    this.storage.removeItem(SAVE_KEY)
+  }
+
+  /**
+   * @private
+   */
+  _readIndex() {
+    try {
+      const index = JSON.parse(this.storage.getItem(INDEX_KEY))
+      if (index && index.slots) return index
+    } catch (e) {
+      // Fall through to a fresh index
+    }
+    return { activeSlot: DEFAULT_SLOT, slots: {} }
+  }
+
+  /**
+   * @private
+   */
+  _writeIndex() {
+    this.storage.setItem(INDEX_KEY, JSON.stringify(this.index))
+  }
+
+  /**
+   * @private
+   * @returns {string[]} Raw backups, newest first
+   */
+  _readBackups(slotId) {
+    try {
+      const backups = JSON.parse(this.storage.getItem(this._backupKey(slotId)))
+      return Array.isArray(backups) ? backups : []
+    } catch (e) {
+      return []
+    }
+  }
+
+  /**
+   * @private
+   */
+  _slotKey(slotId) {
+    return `${SAVE_KEY}:${slotId}`
+  }
+
+  /**
+   * @private
+   */
+  _backupKey(slotId) {
+    return `${SAVE_KEY}:${slotId}:backups`
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Save migrations
+ * Every time the save format changes, bump CURRENT_SAVE_VERSION and register a step that
+ * turns a save of the previous version into the new one. Loading chains the steps, so a
+ * save from any older version reaches the current format instead of being thrown away.
+ *
+ * Steps get their own deep copy of the state and may modify it in place.
+ * Data renames (e.g. a resource id in resources-expanded.js) belong here too - see renameResource().
+ */
+
+import { buildingTypes, townSettings } from '../data/buildings.js'
+import { workerTypes, moraleSettings, upkeepSettings } from '../data/workerTypes.js'
+
+export const CURRENT_SAVE_VERSION = 4
+
+/**
+ * Saves without a version number predate versioning and are treated as version 1
+ */
+const UNVERSIONED = 1
+
+export const saveMigrations = [
+  {
+    version: 2,
+    description: 'Move resources into the resourceManager section',
+    migrate: (state) => {
+      // The earliest saves called resources "currencies"
+      const resources = state.resources || state.currencies || {}
+      delete state.currencies
+      delete state.resources
+
+      state.resourceManager = { resources: { ...resources }, storageBonuses: {} }
+      return state
+    }
+  },
+  {
+    version: 3,
+    description: 'Add game mode, trading, achievements and rounds sections',
+    migrate: (state) => {
+      // Early version 2 saves could still carry the flat resource map
+      if (!state.resourceManager) {
+        state.resourceManager = { resources: { ...(state.resources || {}) }, storageBonuses: {} }
+      }
+      delete state.resources
+
+      state.mode = state.mode || 'idle'
+      state.trade = state.trade || null
+      state.achievements = state.achievements || null
+      state.rounds = state.rounds || null
+      return state
+    }
+  },
+  {
+    version: 4,
+    description: 'Add the map, storage policies, spoilage, upkeep, morale, veterancy, presets, town layout and construction queue',
+    migrate: (state) => {
+      state.resourceManager.overflowPolicies = state.resourceManager.overflowPolicies || {}
+      state.resourceManager.decayTimer = state.resourceManager.decayTimer || 0
+
+      // Existing towns get the same head start on upkeep as a new game
+      const categories = [...new Set(workerTypes.map(workerType => workerType.category))]
+      state.workers = {
+        assignments: {},
+        upkeep: {},
+        upkeepGrace: upkeepSettings.gracePeriod * 1000,
+        morale: Object.fromEntries(categories.map(category => [category, moraleSettings.start])),
+        strikeTimers: Object.fromEntries(categories.map(category => [category, 0])),
+        strikes: {},
+        veterancy: {},
+        presets: {},
+        ...state.workers
+      }
+
+      if (state.buildings) {
+        migrateTownLayout(state.buildings, state.lastSaveTime)
+      }
+
+      // Map workers and nodes start from the map's defaults
+      state.resourceNodes = state.resourceNodes || null
+      state.workerEntities = state.workerEntities || null
+      return state
+    }
+  }
+]
+
+/**
+ * Lay out a version 3 town and put its building sites into the construction queue
+ * Buildings take slots in build order; unfinished projects record their base cost as
+ * their refund, and sites beyond the builder crews wait at the front of the queue with
+ * the furthest along still building
+ * @param {Object} buildings - The save's buildings section (modified in place)
+ * @param {number} savedAt - When the game was saved (ms)
+ */
+function migrateTownLayout(buildings, savedAt) {
+  const instances = Object.values(buildings.buildings || {}).flat()
+
+  const availableSlots = Math.max(buildings.availableSlots || 0, townSettings.startingSlots)
+  const taken = new Set(instances.map(building => building.slot).filter(slot => slot !== undefined))
+  for (const building of instances) {
+    if (building.slot !== undefined) continue
+    let slot = 0
+    while (taken.has(slot) && slot < availableSlots) slot++
+    building.slot = slot < availableSlots ? slot : null
+    taken.add(building.slot)
+  }
+
+  for (const building of instances) {
+    if (!building.constructionComplete && !building.paidCost) {
+      const buildingType = buildingTypes.find(type => type.id === building.buildingTypeId)
+      building.paidCost = { ...(buildingType?.baseCost || {}) }
+    }
+  }
+
+  const now = savedAt || Math.max(0, ...instances.map(building => building.constructionStartTime || 0))
+  const progress = building => (now - building.constructionStartTime) / building.constructionDuration
+  const active = instances
+    .filter(building => !building.constructionComplete && building.constructionStartTime !== null && building.constructionStartTime !== undefined)
+    .sort((a, b) => progress(b) - progress(a))
+  const waiting = active.slice(townSettings.builderCrews)
+  waiting.forEach(building => {
+    building.constructionStartTime = null
+  })
+
+  buildings.constructionQueue = [...waiting.map(building => building.instanceId), ...(buildings.constructionQueue || [])]
+  buildings.builders = active.length > 0 ? buildings.builders || 0 : 0
+}
+
+/**
+ * Get a save's format version
+ */
+export function getSaveVersion(state) {
+  return state.version || UNVERSIONED
+}
+
+/**
+ * Bring a save up to the current format
+ * @param {Object} state - Saved game state (not modified)
+ * @param {Array} migrations - Migration steps (defaults to saveMigrations)
+ * @returns {{ state: Object, fromVersion: number, applied: Array }} applied lists each step
+ *   that ran as { version, description }
+ */
+export function migrateSave(state, migrations = saveMigrations) {
+  const fromVersion = getSaveVersion(state)
+  const targetVersion = migrations.reduce((latest, step) => Math.max(latest, step.version), UNVERSIONED)
+
+  if (fromVersion > targetVersion) {
+    throw new Error(`Save version ${fromVersion} is newer than this game supports (${targetVersion})`)
+  }
+
+  let migrated = JSON.parse(JSON.stringify(state))
+  const applied = []
+
+  for (let version = fromVersion + 1; version <= targetVersion; version++) {
+    const step = migrations.find(migration => migration.version === version)
+    if (!step) {
+      throw new Error(`No save migration registered for version ${version}`)
+    }
+
+    migrated = step.migrate(migrated)
+    migrated.version = version
+    applied.push({ version, description: step.description })
+  }
+
+  return { state: migrated, fromVersion, applied }
+}
+
+/**
+ * Rename a resource everywhere a save keeps resource ids
+ * For migration steps that follow a resource rename in the data files
+ * @param {Object} state - Save in the version 3 format (modified in place)
+ * @param {string} oldId - Previous resource id
+ * @param {string} newId - New resource id
+ * @returns {Object} The state
+ */
+export function renameResource(state, oldId, newId) {
+  // Amounts merge into any existing entry; anything else (prices, history) just moves
+  const renameKey = (map, isAmount = true) => {
+    if (!map || map[oldId] === undefined) return
+    if (isAmount) {
+      map[newId] = (map[newId] || 0) + map[oldId]
+    } else if (map[newId] === undefined) {
+      map[newId] = map[oldId]
+    }
+    delete map[oldId]
+  }
+
+  renameKey(state.resourceManager?.resources)
+  renameKey(state.resourceManager?.storageBonuses)
+  renameKey(state.trade?.totalBought)
+  renameKey(state.trade?.totalSold)
+  renameKey(state.trade?.priceMultipliers, false)
+  renameKey(state.trade?.priceHistory, false)
+  renameKey(state.achievements?.stats?.resourcesEarned)
+
+  // Workers are resources too, so assignments are keyed by them
+  for (const assignment of Object.values(state.workers?.assignments || {})) {
+    renameKey(assignment)
+  }
+
+  return state
+}
@@ -1,121 +1,324 @@
 /**
  * Achievement definitions
  * Achievements track player milestones and award rewards when completed
+ * phase matches the skill phases in skills-expanded.js (null = general milestones)
+ * hidden achievements show as a secret until unlocked
  */
 
 export const achievements = [
-  // ========== SKILL LEVEL ACHIEVEMENTS ==========
+  // ========== PHASE 1: HUMAN LABOR ==========
   {
-    id: 'woodcutter',
-    name: 'Woodcutter',
-    description: 'Reach level 5 in Woodcutting',
+    id: 'first_harvest',
+    name: 'First Harvest',
+    description: 'Complete 10 farming activities',
+    type: 'activityCount',
+    requirement: { skillId: 'farming', count: 10 },
+    reward: { wheat: 20 },
+    icon: '🌾',
+    phase: 1
+  },
+  {
+    id: 'green_thumb',
+    name: 'Green Thumb',
+    description: 'Reach level 5 in Farming',
     type: 'skillLevel',
-    requirement: { skillId: 'woodcutting', level: 5 },
-    reward: { wood: 50 },
-    icon: '🪓'
+    requirement: { skillId: 'farming', level: 5 },
+    reward: { wheat: 50, corn: 25 },
+    icon: '🌱',
+    phase: 1
   },
   {
-    id: 'master_woodcutter',
-    name: 'Master Woodcutter',
-    description: 'Reach level 20 in Woodcutting',
+    id: 'forager',
+    name: 'Forager',
+    description: 'Reach level 5 in Gathering',
     type: 'skillLevel',
-    requirement: { skillId: 'woodcutting', level: 20 },
-    reward: { oakWood: 100 },
-    icon: '🪓'
+    requirement: { skillId: 'gathering', level: 5 },
+    reward: { wood: 50, stone: 50 },
+    icon: '🪓',
+    phase: 1
   },
   {
-    id: 'miner',
-    name: 'Miner',
-    description: 'Reach level 5 in Mining',
+    id: 'toolmaker',
+    name: 'Toolmaker',
+    description: 'Reach level 5 in Crafting',
     type: 'skillLevel',
-    requirement: { skillId: 'mining', level: 5 },
-    reward: { copperOre: 50 },
-    icon: '⛏️'
+    requirement: { skillId: 'crafting', level: 5 },
+    reward: { stoneTools: 10, woodenPlank: 20 },
+    icon: '🔨',
+    phase: 1
+  },
+  {
+    id: 'bread_basket',
+    name: 'Bread Basket',
+    description: 'Produce 500 wheat',
+    type: 'resourceEarned',
+    requirement: { resourceId: 'wheat', amount: 500 },
+    reward: { flour: 20 },
+    icon: '🍞',
+    phase: 1
+  },
+  {
+    id: 'monoculture',
+    name: 'Monoculture',
+    description: 'Complete 1000 farming activities',
+    type: 'activityCount',
+    requirement: { skillId: 'farming', count: 1000 },
+    reward: { tractorWorker: 1 },
+    icon: '🌽',
+    phase: 1,
+    hidden: true
+  },
+  {
+    id: 'lumber_baron',
+    name: 'Lumber Baron',
+    description: 'Produce 1000 wood',
+    type: 'resourceEarned',
+    requirement: { resourceId: 'wood', amount: 1000 },
+    reward: { basicWorker: 1 },
+    icon: '🌲',
+    phase: 1
+  },
+
+  // ========== PHASE 2: MECHANIZATION ==========
+  {
+    id: 'mechanized',
+    name: 'Mechanized',
+    description: 'Reach the Mechanization phase',
+    type: 'phaseReached',
+    requirement: { phase: 2 },
+    reward: { steel: 10 },
+    icon: '🚜',
+    phase: 2
   },
   {
-    id: 'master_miner',
-    name: 'Master Miner',
-    description: 'Reach level 20 in Mining',
+    id: 'industrialist',
+    name: 'Industrialist',
+    description: 'Reach level 5 in Manufacturing',
     type: 'skillLevel',
-    requirement: { skillId: 'mining', level: 20 },
-    reward: { ironOre: 100 },
-    icon: '⛏️'
+    requirement: { skillId: 'manufacturing', level: 5 },
+    reward: { iron: 30, steel: 20 },
+    icon: '🏭',
+    phase: 2
   },
   {
-    id: 'fisherman',
-    name: 'Fisherman',
-    description: 'Reach level 5 in Fishing',
+    id: 'engineer',
+    name: 'Engineer',
+    description: 'Reach level 5 in Engineering',
     type: 'skillLevel',
-    requirement: { skillId: 'fishing', level: 5 },
-    reward: { shrimp: 50 },
-    icon: '🎣'
+    requirement: { skillId: 'engineering', level: 5 },
+    reward: { machine: 5 },
+    icon: '🔧',
+    phase: 2
   },
   {
-    id: 'chef',
-    name: 'Chef',
-    description: 'Reach level 10 in Cooking',
+    id: 'assembly_line',
+    name: 'Assembly Line',
+    description: 'Complete 200 manufacturing activities',
+    type: 'activityCount',
+    requirement: { skillId: 'manufacturing', count: 200 },
+    reward: { basicWorker: 2 },
+    icon: '⚙️',
+    phase: 2
+  },
+  {
+    id: 'steel_mill',
+    name: 'Steel Mill',
+    description: 'Produce 500 steel',
+    type: 'resourceEarned',
+    requirement: { resourceId: 'steel', amount: 500 },
+    reward: { equipment: 10 },
+    icon: '🔩',
+    phase: 2
+  },
+
+  // ========== PHASE 3: AUTOMATION ==========
+  {
+    id: 'automated',
+    name: 'Automated',
+    description: 'Reach the Automation phase',
+    type: 'phaseReached',
+    requirement: { phase: 3 },
+    reward: { plastic: 20 },
+    icon: '🛢️',
+    phase: 3
+  },
+  {
+    id: 'automator',
+    name: 'Automator',
+    description: 'Reach level 5 in Automation',
     type: 'skillLevel',
-    requirement: { skillId: 'cooking', level: 10 },
-    reward: { cookedShrimp: 50 },
-    icon: '🍳'
+    requirement: { skillId: 'automation', level: 5 },
+    reward: { plastic: 30, fuel: 20 },
+    icon: '🤖',
+    phase: 3
   },
   {
-    id: 'dog_trainer',
-    name: 'Dog Trainer',
-    description: 'Reach level 10 in Dog Handling',
+    id: 'programmer',
+    name: 'Programmer',
+    description: 'Reach level 5 in Computing',
     type: 'skillLevel',
-    requirement: { skillId: 'dogHandling', level: 10 },
-    reward: { puppy: 10 },
-    icon: '🐕'
+    requirement: { skillId: 'computing', level: 5 },
+    reward: { data: 50 },
+    icon: '💻',
+    phase: 3
+  },
+  {
+    id: 'big_data',
+    name: 'Big Data',
+    description: 'Produce 1000 data',
+    type: 'resourceEarned',
+    requirement: { resourceId: 'data', amount: 1000 },
+    reward: { algorithm: 10 },
+    icon: '📊',
+    phase: 3
   },
 
-  // ========== ACTIVITY COMPLETION ACHIEVEMENTS ==========
+  // ========== PHASE 4: POST-HUMAN ==========
   {
-    id: 'lumber_jack',
-    name: 'Lumber Jack',
-    description: 'Complete 100 woodcutting activities',
-    type: 'activityCount',
-    requirement: { skillId: 'woodcutting', count: 100 },
-    reward: { wood: 100, oakWood: 50 },
-    icon: '🌲'
+    id: 'post_human',
+    name: 'Post-Human',
+    description: 'Reach the Post-Human phase',
+    type: 'phaseReached',
+    requirement: { phase: 4 },
+    reward: { data: 100 },
+    icon: '🧬',
+    phase: 4
   },
   {
-    id: 'ore_collector',
-    name: 'Ore Collector',
-    description: 'Complete 100 mining activities',
-    type: 'activityCount',
-    requirement: { skillId: 'mining', count: 100 },
-    reward: { copperOre: 100, tinOre: 100 },
-    icon: '⛰️'
+    id: 'researcher',
+    name: 'Researcher',
+    description: 'Reach level 5 in Research',
+    type: 'skillLevel',
+    requirement: { skillId: 'research', level: 5 },
+    reward: { nanobot: 5 },
+    icon: '⚛️',
+    phase: 4
   },
   {
-    id: 'master_fisher',
-    name: 'Master Fisher',
-    description: 'Complete 200 fishing activities',
-    type: 'activityCount',
-    requirement: { skillId: 'fishing', count: 200 },
-    reward: { shrimp: 200 },
-    icon: '🐟'
+    id: 'the_singularity',
+    name: 'The Singularity',
+    description: 'Produce a singularity',
+    type: 'resourceEarned',
+    requirement: { resourceId: 'singularity', amount: 1 },
+    reward: { consciousness: 1 },
+    icon: '🌌',
+    phase: 4,
+    hidden: true
   },
 
-  // ========== CURRENCY ACHIEVEMENTS ==========
+  // ========== CITY ACHIEVEMENTS ==========
   {
-    id: 'wood_hoarder',
-    name: 'Wood Hoarder',
-    description: 'Collect 1000 wood (total earned)',
-    type: 'resourceEarned',
-    requirement: { resourceId: 'wood', amount: 1000 },
-    reward: { wood: 200 },
-    icon: '🪵'
+    id: 'groundbreaking',
+    name: 'Groundbreaking',
+    description: 'Finish your first building',
+    type: 'buildingsBuilt',
+    requirement: { count: 1 },
+    reward: { wood: 50, stone: 50 },
+    icon: '🏗️',
+    phase: null
   },
   {
-    id: 'ore_baron',
-    name: 'Ore Baron',
-    description: 'Collect 500 copper ore (total earned)',
-    type: 'resourceEarned',
-    requirement: { resourceId: 'copperOre', amount: 500 },
-    reward: { ironOre: 100 },
-    icon: '💎'
+    id: 'landlord',
+    name: 'Landlord',
+    description: 'Build 3 houses',
+    type: 'buildingsBuilt',
+    requirement: { buildingTypeId: 'house', count: 3 },
+    reward: { basicWorker: 1 },
+    icon: '🏠',
+    phase: null
+  },
+  {
+    id: 'urban_planner',
+    name: 'Urban Planner',
+    description: 'Build 10 buildings',
+    type: 'buildingsBuilt',
+    requirement: { count: 10 },
+    reward: { basicWorker: 2 },
+    icon: '🏙️',
+    phase: null
+  },
+  {
+    id: 'renovator',
+    name: 'Renovator',
+    description: 'Upgrade a building',
+    type: 'buildingUpgradeLevel',
+    requirement: { level: 1 },
+    reward: { wood: 100 },
+    icon: '🛠️',
+    phase: null
+  },
+  {
+    id: 'fully_loaded',
+    name: 'Fully Loaded',
+    description: 'Take a building upgrade to level 3',
+    type: 'buildingUpgradeLevel',
+    requirement: { level: 3 },
+    reward: { steel: 30 },
+    icon: '🏆',
+    phase: null
+  },
+  {
+    id: 'packed_to_the_rafters',
+    name: 'Packed to the Rafters',
+    description: 'Fill storage for any resource',
+    type: 'storageFilled',
+    requirement: { count: 1 },
+    reward: { gold: 10 },
+    icon: '📦',
+    phase: null
+  },
+  {
+    id: 'hoarder',
+    name: 'Hoarder',
+    description: 'Fill storage for 10 different resources',
+    type: 'storageFilled',
+    requirement: { count: 10 },
+    reward: { gold: 50 },
+    icon: '🐉',
+    phase: null,
+    hidden: true
+  },
+
+  // ========== WORKER ACHIEVEMENTS ==========
+  {
+    id: 'workforce',
+    name: 'Workforce',
+    description: 'Employ 10 workers',
+    type: 'workersOwned',
+    requirement: { count: 10 },
+    reward: { wheat: 100 },
+    icon: '👷',
+    phase: null
+  },
+  {
+    id: 'tractor_fleet',
+    name: 'Tractor Fleet',
+    description: 'Own 5 tractor workers',
+    type: 'workersOwned',
+    requirement: { workerTypeId: 'tractorWorker', count: 5 },
+    reward: { fuel: 20 },
+    icon: '🚜',
+    phase: null
+  },
+  {
+    id: 'drill_sergeant',
+    name: 'Drill Sergeant',
+    description: 'Train your first worker',
+    type: 'workersTrained',
+    requirement: { count: 1 },
+    reward: { basicWorker: 1 },
+    icon: '🎖️',
+    phase: null
+  },
+  {
+    id: 'drone_academy',
+    name: 'Drone Academy',
+    description: 'Train 5 drone workers',
+    type: 'workersTrained',
+    requirement: { workerTypeId: 'droneWorker', count: 5 },
+    reward: { circuit: 10 },
+    icon: '🚁',
+    phase: null
   },
 
   // ========== UPGRADE ACHIEVEMENTS ==========
@@ -125,37 +328,51 @@ export const achievements = [
     description: 'Purchase your first upgrade',
     type: 'upgradeCount',
     requirement: { count: 1 },
-    reward: { wood: 50, copperOre: 50 },
-    icon: '⬆️'
+    reward: { wood: 50, stone: 50 },
+    icon: '⬆️',
+    phase: null
   },
   {
     id: 'upgrade_enthusiast',
     name: 'Upgrade Enthusiast',
-    description: 'Purchase 5 upgrades',
+    description: 'Purchase 10 upgrades',
+    type: 'upgradeCount',
+    requirement: { count: 10 },
+    reward: { steel: 25 },
+    icon: '⬆️',
+    phase: null
+  },
+  {
+    id: 'upgrade_collector',
+    name: 'Upgrade Collector',
+    description: 'Purchase 25 upgrades',
     type: 'upgradeCount',
-    requirement: { count: 5 },
-    reward: { wood: 200, copperOre: 200, shrimp: 100 },
-    icon: '⬆️'
+    requirement: { count: 25 },
+    reward: { circuit: 25 },
+    icon: '⬆️',
+    phase: null
   },
 
   // ========== MILESTONE ACHIEVEMENTS ==========
   {
     id: 'getting_started',
     name: 'Getting Started',
-    description: 'Reach total level 10',
+    description: 'Reach total level 20',
     type: 'totalLevel',
-    requirement: { level: 10 },
-    reward: { wood: 100, copperOre: 100, shrimp: 100 },
-    icon: '🌟'
+    requirement: { level: 20 },
+    reward: { basicWorker: 1 },
+    icon: '🌟',
+    phase: null
   },
   {
     id: 'experienced_player',
     name: 'Experienced Player',
-    description: 'Reach total level 50',
+    description: 'Reach total level 75',
     type: 'totalLevel',
-    requirement: { level: 50 },
-    reward: { wood: 500, oakWood: 200, ironOre: 200, cookedShrimp: 200 },
-    icon: '🌟'
+    requirement: { level: 75 },
+    reward: { machine: 10, electronics: 10 },
+    icon: '🌟',
+    phase: null
   },
   {
     id: 'jack_of_all_trades',
@@ -163,7 +380,8 @@ export const achievements = [
     description: 'Reach level 5 in all skills',
     type: 'allSkillsLevel',
     requirement: { level: 5 },
-    reward: { wood: 200, copperOre: 200, shrimp: 200, cookedShrimp: 100, puppy: 5 },
-    icon: '🎯'
+    reward: { steel: 50, circuit: 20, data: 100 },
+    icon: '🎯',
+    phase: null
   }
 ]
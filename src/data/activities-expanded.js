@@ -1,6 +1,9 @@
 /**
  * Expanded activity definitions - The Automation of Everything
  * Tech tree showing humanity's replacement by machines
+ *
+ * workerScaling (optional) - overrides the default diminishing returns for
+ * stacking workers of one type (see workerScaling in workerTypes.js)
  */
 
 export const activities = [
@@ -83,6 +86,7 @@ export const activities = [
     outputs: { gold: 1 },
     duration: 2.5,
     xpGained: 12,
+    workerScaling: { countFactor: 0.05, maxCountBonus: 0.1 }, // A narrow vein - extra hands get in the way
     description: 'Searching for precious metal deposits'
   },
   {
@@ -105,6 +109,7 @@ export const activities = [
     outputs: { water: 3 },
     duration: 1,
     xpGained: 5,
+    workerScaling: { countFactor: 0.3, maxCountBonus: 0.8 }, // Bucket chains scale well
     description: 'Carrying buckets from the well'
   },
 
@@ -33,9 +33,9 @@ export const buildingTypes = [
       {
         id: 'house_faster_generation',
         name: 'Better Living Conditions',
-        description: 'Faster worker generation (-5s generation time)',
+        description: 'Faster worker generation (-5s generation time) and happier workers',
         cost: { wood: 75, stone: 50 },
-        effect: { workerGenerationTime: -5 },
+        effect: { workerGenerationTime: -5, moraleRegen: 0.01 },
         maxLevel: 3
       }
     ]
@@ -83,15 +83,16 @@ export const buildingTypes = [
     id: 'warehouse',
     name: 'Warehouse',
     emoji: '📦',
-    description: 'Increases storage capacity for all resources',
+    description: 'General storage that takes in overflow from full stores',
     baseCost: { wood: 30, stone: 20 },
     costMultiplier: 1.8,
     constructionTime: 45,
     maxCount: 10,
     unlockCondition: null, // Always unlocked
 
-    // Warehouse-specific properties
-    storageBonus: 50, // Adds +50 to all resource storage
+    effect: {
+      storageBonus: 50 // Shared space for overflow from any resource set to spill
+    },
 
     upgrades: [
       {
@@ -109,6 +110,123 @@ export const buildingTypes = [
         cost: { wood: 100, stone: 80, iron: 20 },
         effect: { storageBonus: 50 },
         maxLevel: 3
+      },
+      {
+        id: 'warehouse_refrigeration',
+        name: 'Refrigeration',
+        description: 'Food spoils 20% slower',
+        cost: { wood: 80, iron: 30, coal: 20 },
+        effect: { decayReduction: 0.2 },
+        maxLevel: 2
+      }
+    ]
+  },
+
+  {
+    id: 'granary',
+    name: 'Granary',
+    emoji: '🌾',
+    description: 'Stores crops and food and slows spoilage',
+    baseCost: { wood: 40, stone: 20 },
+    costMultiplier: 1.8,
+    constructionTime: 40,
+    maxCount: 10,
+    unlockCondition: { type: 'resource_mined', resource: 'wheat', amount: 50 },
+
+    effect: {
+      foodStorage: 100, // +100 limit on every food resource
+      decayReduction: 0.1 // Food spoils 10% slower
+    },
+
+    upgrades: [
+      {
+        id: 'granary_silos',
+        name: 'Silos',
+        description: 'Adds +50 food storage',
+        cost: { wood: 60, stone: 40 },
+        effect: { foodStorage: 50 },
+        maxLevel: 5
+      }
+    ]
+  },
+
+  {
+    id: 'stockpile',
+    name: 'Stockpile',
+    emoji: '🪵',
+    description: 'Stores wood, stone, water and ore',
+    baseCost: { wood: 30, stone: 30 },
+    costMultiplier: 1.8,
+    constructionTime: 40,
+    maxCount: 10,
+    unlockCondition: null, // Always unlocked
+
+    effect: {
+      rawStorage: 100 // +100 limit on every raw material
+    },
+
+    upgrades: [
+      {
+        id: 'stockpile_yard',
+        name: 'Bigger Yard',
+        description: 'Adds +50 raw material storage',
+        cost: { wood: 50, stone: 50 },
+        effect: { rawStorage: 50 },
+        maxLevel: 5
+      }
+    ]
+  },
+
+  {
+    id: 'vault',
+    name: 'Vault',
+    emoji: '🏦',
+    description: 'Stores gold',
+    baseCost: { stone: 80, iron: 20 },
+    costMultiplier: 2.0,
+    constructionTime: 60,
+    maxCount: 5,
+    unlockCondition: { type: 'resource_mined', resource: 'gold', amount: 50 },
+
+    effect: {
+      goldStorage: 200 // +200 gold limit
+    },
+
+    upgrades: [
+      {
+        id: 'vault_reinforced',
+        name: 'Reinforced Walls',
+        description: 'Adds +150 gold storage',
+        cost: { stone: 120, steel: 20 },
+        effect: { goldStorage: 150 },
+        maxLevel: 3
+      }
+    ]
+  },
+
+  {
+    id: 'dataCenter',
+    name: 'Data Center',
+    emoji: '🗄️',
+    description: 'Stores data and algorithms',
+    baseCost: { electronics: 40, circuit: 20 },
+    costMultiplier: 2.0,
+    constructionTime: 90,
+    maxCount: 5,
+    unlockCondition: { type: 'resource_mined', resource: 'data', amount: 25 },
+
+    effect: {
+      dataStorage: 100 // +100 limit on data and algorithms
+    },
+
+    upgrades: [
+      {
+        id: 'data_center_racks',
+        name: 'Storage Racks',
+        description: 'Adds +100 data storage',
+        cost: { electronics: 60, plastic: 30 },
+        effect: { dataStorage: 100 },
+        maxLevel: 3
       }
     ]
   },
@@ -126,16 +244,17 @@ export const buildingTypes = [
 
     // Tavern effects
     effect: {
-      workerSpeedBonus: 0.1 // 10% faster
+      workerSpeedBonus: 0.1, // 10% faster
+      moraleRegen: 0.05 // Human morale per second
     },
 
     upgrades: [
       {
         id: 'tavern_better_drinks',
         name: 'Premium Ale',
-        description: 'Workers work 5% faster',
+        description: 'Workers work 5% faster and cheer up quicker',
         cost: { gold: 100, wheat: 50 },
-        effect: { workerSpeedBonus: 0.05 },
+        effect: { workerSpeedBonus: 0.05, moraleRegen: 0.02 },
         maxLevel: 5
       },
       {
@@ -343,12 +462,46 @@ export const buildingTypes = [
   }
 ]
 
+/**
+ * Adjacency bonuses - a completed building gains the effect once for every
+ * completed neighbor of the given type sharing a grid edge with it.
+ * Local effects only apply to that building (its own worker generation);
+ * the rest add to the town-wide totals like a regular building effect
+ */
+export const adjacencyBonuses = [
+  {
+    building: 'house',
+    neighbor: 'tavern',
+    effect: { workerGenerationTime: -5 },
+    local: true,
+    description: 'Houses next to a Tavern produce workers 5s faster'
+  },
+  {
+    building: 'blacksmith',
+    neighbor: 'warehouse',
+    effect: { costReduction: 0.05 },
+    description: 'A Blacksmith next to a Warehouse cuts activity costs by 5%'
+  },
+  {
+    building: 'market',
+    neighbor: 'warehouse',
+    effect: { tradingBonus: 0.05 },
+    description: 'A Market next to a Warehouse gets 5% better trades'
+  }
+]
+
 export const townSettings = {
+  gridColumns: 4,       // Town grid width - slots fill it row by row
   maxBuildingSlots: 32, // Total slots for all buildings
   startingSlots: 16,    // Slots available at start (4x4 grid)
-  slotUnlockCost: {     // Cost to unlock more slots
+  slotUnlockCost: {     // Cost to unlock the first extra slot
     wood: 100,
     stone: 100,
     gold: 50
-  }
+  },
+  slotUnlockCostMultiplier: 1.25, // Each unlocked slot makes the next one cost 1.25x more
+  builderCrews: 2,      // Projects under construction at once - the rest wait in the queue
+  buildersPerCrew: 3,   // Workers each crew can take on as builders
+  builderWorkerType: 'basicWorker',
+  builderSpeedBonus: 0.25 // Each builder on a site makes it go up 25% faster
 }
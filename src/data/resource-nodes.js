@@ -4,8 +4,80 @@
  *
  * Canvas dimensions: 900x600
  * Home position (right): x: 850, y: 300
- * Resource nodes (left side): x: 50-250
+ * Resource nodes (left side): x: 50-400
+ *
+ * requiredSkillId uses the skills in skills-expanded.js (wood, stone and ores all come from gathering)
+ *
+ * harvestSlots - how many workers can harvest at once (default 2); the rest queue
+ * upgradeCosts - cost of the first level of each node upgrade (see nodeUpgradeTypes)
+ * depletion - optional; a node harvested empty regrows at regrowthMultiplier of its
+ *   normal rate and can't be harvested again until it refills to recoverAt of capacity
+ */
+
+/**
+ * Upgrades every node can buy - each level costs costMultiplier times the last
+ */
+export const nodeUpgradeTypes = {
+  capacity: {
+    id: 'capacity',
+    name: 'Expand',
+    icon: '📦',
+    description: '+50% capacity',
+    maxLevel: 5,
+    costMultiplier: 1.8
+  },
+  spawnRate: {
+    id: 'spawnRate',
+    name: 'Nurture',
+    icon: '🌱',
+    description: '+30% regrowth',
+    maxLevel: 5,
+    costMultiplier: 2
+  }
+}
+
+/**
+ * Terrain workers path around or along (see mapTerrain)
+ * Later patches are painted over earlier ones, so bridges cross rivers
  */
+export const terrainTypes = {
+  river: {
+    id: 'river',
+    name: 'River',
+    walkable: false,
+    speedMultiplier: 1,
+    color: '#3498db'
+  },
+  road: {
+    id: 'road',
+    name: 'Road',
+    walkable: true,
+    speedMultiplier: 1.5,
+    color: '#c8a165'
+  },
+  bridge: {
+    id: 'bridge',
+    name: 'Bridge',
+    walkable: true,
+    speedMultiplier: 1.5,
+    color: '#8b5a2b'
+  }
+}
+
+/**
+ * Default map layout - a river between the nodes and home, crossed by the
+ * road home and a footbridge further north
+ */
+export const mapTerrain = [
+  { id: 'river_1', type: 'river', x: 560, y: 0, width: 30, height: 600 },
+  { id: 'road_1', type: 'road', x: 400, y: 290, width: 410, height: 20 },
+  { id: 'bridge_1', type: 'bridge', x: 555, y: 285, width: 40, height: 30 },
+  { id: 'bridge_2', type: 'bridge', x: 555, y: 100, width: 40, height: 30 }
+]
+
+// Felled trees grow back; worked-out seams take longer
+const TREE_DEPLETION = { regrowthMultiplier: 0.5, recoverAt: 0.25 }
+const ORE_DEPLETION = { regrowthMultiplier: 0.25, recoverAt: 0.25 }
 
 export const resourceNodeDefinitions = [
   // ========== FARMING (Early Game) ==========
@@ -22,10 +94,48 @@ export const resourceNodeDefinitions = [
     outputs: { wheat: 1 },
     requiredSkillLevel: 1,
     requiredSkillId: 'farming',
+    harvestSlots: 3,
+    upgradeCosts: { capacity: { gold: 10, wood: 10 }, spawnRate: { gold: 15, wheat: 20 } },
     color: '#f39c12' // Golden yellow
   },
 
-  // ========== WOODCUTTING ==========
+  {
+    id: 'tomato_patch_1',
+    type: 'tomato',
+    name: 'Tomato Patch',
+    icon: '🍅',
+    position: { x: 330, y: 140 },
+    startingAmount: 3,
+    baseCapacity: 15,
+    baseSpawnRate: 0.35,
+    harvestTime: 2.5,
+    outputs: { tomato: 1 },
+    requiredSkillLevel: 5,
+    requiredSkillId: 'farming',
+    harvestSlots: 3,
+    upgradeCosts: { capacity: { gold: 15, wood: 15 }, spawnRate: { gold: 20, tomato: 15 } },
+    color: '#e74c3c' // Tomato red
+  },
+
+  {
+    id: 'potato_field_1',
+    type: 'potato',
+    name: 'Potato Field',
+    icon: '🥔',
+    position: { x: 360, y: 260 },
+    startingAmount: 3,
+    baseCapacity: 18,
+    baseSpawnRate: 0.3,
+    harvestTime: 3,
+    outputs: { potato: 1 },
+    requiredSkillLevel: 8,
+    requiredSkillId: 'farming',
+    harvestSlots: 3,
+    upgradeCosts: { capacity: { gold: 20, wood: 20 }, spawnRate: { gold: 25, potato: 20 } },
+    color: '#b9770e' // Earthy brown
+  },
+
+  // ========== WOODCUTTING (gathering) ==========
   {
     id: 'oak_tree_1',
     type: 'wood',
@@ -38,7 +148,9 @@ export const resourceNodeDefinitions = [
     harvestTime: 3, // seconds
     outputs: { wood: 1 },
     requiredSkillLevel: 1,
-    requiredSkillId: 'woodcutting',
+    requiredSkillId: 'gathering',
+    depletion: TREE_DEPLETION,
+    upgradeCosts: { capacity: { gold: 10, stone: 10 }, spawnRate: { gold: 15, wood: 15 } },
     color: '#27ae60' // Forest green
   },
 
@@ -54,11 +166,13 @@ export const resourceNodeDefinitions = [
     harvestTime: 3,
     outputs: { wood: 1 },
     requiredSkillLevel: 1,
-    requiredSkillId: 'woodcutting',
+    requiredSkillId: 'gathering',
+    depletion: TREE_DEPLETION,
+    upgradeCosts: { capacity: { gold: 10, stone: 10 }, spawnRate: { gold: 15, wood: 15 } },
     color: '#229954' // Dark green
   },
 
-  // ========== MINING ==========
+  // ========== MINING (gathering) ==========
   {
     id: 'stone_deposit_1',
     type: 'stone',
@@ -71,7 +185,9 @@ export const resourceNodeDefinitions = [
     harvestTime: 4, // seconds
     outputs: { stone: 1 },
     requiredSkillLevel: 1,
-    requiredSkillId: 'mining',
+    requiredSkillId: 'gathering',
+    depletion: ORE_DEPLETION,
+    upgradeCosts: { capacity: { gold: 15, wood: 15 }, spawnRate: { gold: 20, stone: 15 } },
     color: '#7f8c8d' // Gray
   },
 
@@ -87,10 +203,30 @@ export const resourceNodeDefinitions = [
     harvestTime: 5,
     outputs: { iron: 1 },
     requiredSkillLevel: 5,
-    requiredSkillId: 'mining',
+    requiredSkillId: 'gathering',
+    depletion: ORE_DEPLETION,
+    upgradeCosts: { capacity: { gold: 30, stone: 20 }, spawnRate: { gold: 40, iron: 10 } },
     color: '#95a5a6' // Light gray
   },
 
+  {
+    id: 'quarry_1',
+    type: 'stone',
+    name: 'Stone Quarry',
+    icon: '⛰️',
+    position: { x: 320, y: 430 },
+    startingAmount: 4,
+    baseCapacity: 20,
+    baseSpawnRate: 0.3,
+    harvestTime: 4,
+    outputs: { stone: 2 },
+    requiredSkillLevel: 12,
+    requiredSkillId: 'gathering',
+    depletion: ORE_DEPLETION,
+    upgradeCosts: { capacity: { gold: 40, wood: 30 }, spawnRate: { gold: 50, stone: 40 } },
+    color: '#7f8c8d' // Gray
+  },
+
   // ========== ADVANCED FARMING ==========
   {
     id: 'wheat_field_2',
@@ -105,26 +241,30 @@ export const resourceNodeDefinitions = [
     outputs: { wheat: 1 },
     requiredSkillLevel: 10,
     requiredSkillId: 'farming',
+    harvestSlots: 3,
+    upgradeCosts: { capacity: { gold: 25, wood: 25 }, spawnRate: { gold: 30, wheat: 40 } },
     color: '#f39c12'
   },
 
   {
-    id: 'carrot_patch_1',
-    type: 'carrot',
-    name: 'Carrot Patch',
-    icon: '🥕',
+    id: 'corn_field_1',
+    type: 'corn',
+    name: 'Corn Field',
+    icon: '🌽',
     position: { x: 220, y: 180 },
     startingAmount: 4,
     baseCapacity: 15,
     baseSpawnRate: 0.4,
     harvestTime: 2.5,
-    outputs: { carrot: 1 },
+    outputs: { corn: 1 },
     requiredSkillLevel: 15,
     requiredSkillId: 'farming',
-    color: '#e67e22' // Orange
+    harvestSlots: 3,
+    upgradeCosts: { capacity: { gold: 25, wood: 20 }, spawnRate: { gold: 30, corn: 30 } },
+    color: '#f1c40f' // Corn yellow
   },
 
-  // ========== ADVANCED WOODCUTTING ==========
+  // ========== ADVANCED WOODCUTTING (gathering) ==========
   {
     id: 'mahogany_tree_1',
     type: 'wood',
@@ -137,11 +277,13 @@ export const resourceNodeDefinitions = [
     harvestTime: 6,
     outputs: { wood: 2 }, // Higher yield
     requiredSkillLevel: 20,
-    requiredSkillId: 'woodcutting',
+    requiredSkillId: 'gathering',
+    depletion: TREE_DEPLETION,
+    upgradeCosts: { capacity: { gold: 50, stone: 40 }, spawnRate: { gold: 60, wood: 50 } },
     color: '#a0522d' // Sienna brown
   },
 
-  // ========== ADVANCED MINING ==========
+  // ========== ADVANCED MINING (gathering) ==========
   {
     id: 'coal_deposit_1',
     type: 'coal',
@@ -154,7 +296,9 @@ export const resourceNodeDefinitions = [
     harvestTime: 5,
     outputs: { coal: 1 },
     requiredSkillLevel: 25,
-    requiredSkillId: 'mining',
+    requiredSkillId: 'gathering',
+    depletion: ORE_DEPLETION,
+    upgradeCosts: { capacity: { gold: 60, wood: 40 }, spawnRate: { gold: 80, coal: 20 } },
     color: '#2c3e50' // Dark slate
   },
 
@@ -170,25 +314,30 @@ export const resourceNodeDefinitions = [
     harvestTime: 8,
     outputs: { gold: 1 },
     requiredSkillLevel: 30,
-    requiredSkillId: 'mining',
+    requiredSkillId: 'gathering',
+    harvestSlots: 1,
+    depletion: ORE_DEPLETION,
+    upgradeCosts: { capacity: { gold: 100, iron: 20 }, spawnRate: { gold: 150, stone: 50 } },
     color: '#f1c40f' // Gold yellow
   },
 
   // ========== HIGH-LEVEL RESOURCES ==========
   {
-    id: 'crystal_formation_1',
-    type: 'crystal',
-    name: 'Crystal Formation',
-    icon: '💠',
+    id: 'spring_1',
+    type: 'water',
+    name: 'Mountain Spring',
+    icon: '💧',
     position: { x: 240, y: 520 },
     startingAmount: 1,
     baseCapacity: 6,
     baseSpawnRate: 0.08,
     harvestTime: 10,
-    outputs: { crystal: 1 },
+    outputs: { water: 3 },
     requiredSkillLevel: 40,
-    requiredSkillId: 'mining',
-    color: '#8e44ad' // Purple
+    requiredSkillId: 'gathering',
+    harvestSlots: 1,
+    upgradeCosts: { capacity: { gold: 120, stone: 60 }, spawnRate: { gold: 150, water: 30 } },
+    color: '#3498db' // Water blue
   },
 
   {
@@ -203,7 +352,10 @@ export const resourceNodeDefinitions = [
     harvestTime: 8,
     outputs: { wood: 3 }, // Highest wood yield
     requiredSkillLevel: 50,
-    requiredSkillId: 'woodcutting',
+    requiredSkillId: 'gathering',
+    harvestSlots: 1,
+    depletion: TREE_DEPLETION,
+    upgradeCosts: { capacity: { gold: 200, stone: 100 }, spawnRate: { gold: 250, wood: 150 } },
     color: '#16a085' // Teal
   }
 ]
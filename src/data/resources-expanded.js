@@ -64,3 +64,136 @@ export const resources = {
   consciousness: { id: 'consciousness', name: 'Consciousness', icon: '✨', description: 'Digitized minds' },
   singularity: { id: 'singularity', name: 'Singularity Points', icon: '🌌', description: 'The end of human history' }
 }
+
+/**
+ * Market prices for tradeable resources (valued in gold)
+ * Resources missing from this table cannot be traded at the Market
+ *
+ * baseValue    - Value of one unit when supply and demand are balanced
+ * elasticity   - Price change per unit traded (0.01 = each unit sold drops the price 1%)
+ * recoveryRate - Fraction of the gap back to baseValue recovered per second
+ */
+export const marketPrices = {
+  // Phase 1
+  wheat: { baseValue: 1, elasticity: 0.002, recoveryRate: 0.01 },
+  corn: { baseValue: 1, elasticity: 0.002, recoveryRate: 0.01 },
+  tomato: { baseValue: 2, elasticity: 0.003, recoveryRate: 0.01 },
+  potato: { baseValue: 2, elasticity: 0.003, recoveryRate: 0.01 },
+  wood: { baseValue: 1, elasticity: 0.002, recoveryRate: 0.01 },
+  stone: { baseValue: 1, elasticity: 0.002, recoveryRate: 0.01 },
+  water: { baseValue: 0.5, elasticity: 0.001, recoveryRate: 0.02 },
+  gold: { baseValue: 1, elasticity: 0, recoveryRate: 0 },
+  stoneTools: { baseValue: 4, elasticity: 0.005, recoveryRate: 0.008 },
+  woodenPlank: { baseValue: 3, elasticity: 0.004, recoveryRate: 0.008 },
+
+  // Phase 2
+  flour: { baseValue: 3, elasticity: 0.004, recoveryRate: 0.008 },
+  processedFood: { baseValue: 6, elasticity: 0.005, recoveryRate: 0.008 },
+  iron: { baseValue: 5, elasticity: 0.005, recoveryRate: 0.008 },
+  steel: { baseValue: 12, elasticity: 0.008, recoveryRate: 0.006 },
+  coal: { baseValue: 3, elasticity: 0.004, recoveryRate: 0.008 },
+  machine: { baseValue: 40, elasticity: 0.02, recoveryRate: 0.004 },
+  equipment: { baseValue: 20, elasticity: 0.012, recoveryRate: 0.005 },
+
+  // Phase 3
+  plastic: { baseValue: 15, elasticity: 0.01, recoveryRate: 0.005 },
+  electronics: { baseValue: 50, elasticity: 0.02, recoveryRate: 0.004 },
+  circuit: { baseValue: 40, elasticity: 0.02, recoveryRate: 0.004 },
+  tv: { baseValue: 30, elasticity: 0.015, recoveryRate: 0.005 },
+  phone: { baseValue: 35, elasticity: 0.015, recoveryRate: 0.005 },
+  fastFood: { baseValue: 8, elasticity: 0.006, recoveryRate: 0.008 },
+  fuel: { baseValue: 10, elasticity: 0.006, recoveryRate: 0.008 },
+
+  // Phase 4
+  data: { baseValue: 80, elasticity: 0.02, recoveryRate: 0.004 },
+  algorithm: { baseValue: 150, elasticity: 0.03, recoveryRate: 0.003 },
+  aiCore: { baseValue: 400, elasticity: 0.05, recoveryRate: 0.002 },
+  nanobot: { baseValue: 600, elasticity: 0.05, recoveryRate: 0.002 },
+  quantumProcessor: { baseValue: 1500, elasticity: 0.08, recoveryRate: 0.002 },
+  consciousness: { baseValue: 5000, elasticity: 0.1, recoveryRate: 0.001 }
+}
+
+export const marketSettings = {
+  currency: 'gold',         // Every trade is settled through this resource
+  baseSpread: 0.4,          // Buy price is 40% above value, sell price 40% below (before bonuses)
+  minPriceMultiplier: 0.1,  // Dumping can't push a price below 10% of base value
+  maxPriceMultiplier: 5,    // Buying can't push a price above 5x base value
+  historyInterval: 10000,   // ms between price history samples
+  historyLength: 60         // Samples kept per resource (10 minutes)
+}
+
+/**
+ * Storage categories - each has its own building and per-resource limit
+ * Resources missing from every category only get the base limit
+ *
+ * bonusKey      - Building effect that raises the limit of every resource in the category
+ * building      - Building type that provides the bonus
+ * defaultPolicy - What happens to production past the limit until the player picks a policy
+ */
+export const storageCategories = {
+  food: {
+    name: 'Granary',
+    icon: '🌾',
+    building: 'granary',
+    bonusKey: 'foodStorage',
+    defaultPolicy: 'spill',
+    resources: ['wheat', 'corn', 'tomato', 'potato', 'flour', 'processedFood', 'fastFood']
+  },
+  raw: {
+    name: 'Stockpile',
+    icon: '🪵',
+    building: 'stockpile',
+    bonusKey: 'rawStorage',
+    defaultPolicy: 'spill',
+    resources: ['wood', 'stone', 'water', 'iron', 'coal']
+  },
+  gold: {
+    name: 'Vault',
+    icon: '💰',
+    building: 'vault',
+    bonusKey: 'goldStorage',
+    defaultPolicy: 'spill',
+    resources: ['gold']
+  },
+  data: {
+    name: 'Data Center',
+    icon: '📊',
+    building: 'dataCenter',
+    bonusKey: 'dataStorage',
+    defaultPolicy: 'spill',
+    resources: ['data', 'algorithm']
+  }
+}
+
+/**
+ * Overflow policies for production past a category's limit
+ *
+ * discard - Lost
+ * sell    - Sold at the Market for gold (lost if there's no Market or no price)
+ * spill   - Moved into free Warehouse space (lost once the Warehouses are full)
+ */
+export const overflowPolicies = {
+  discard: { name: 'Discard', icon: '🗑️' },
+  sell: { name: 'Auto-sell', icon: '🏪' },
+  spill: { name: 'Spill to Warehouse', icon: '📦' }
+}
+
+/**
+ * Spoilage for perishable goods - fraction of the stock lost per second
+ * Resources missing from this table never decay
+ * Buildings with a decayReduction effect (Granary, Warehouse Refrigeration) slow every rate
+ */
+export const decayRates = {
+  wheat: 0.001,
+  corn: 0.001,
+  tomato: 0.003,
+  potato: 0.0005,
+  processedFood: 0.0002,
+  fastFood: 0.002
+}
+
+export const decaySettings = {
+  interval: 1000,    // ms between spoilage ticks
+  maxReduction: 0.9, // Buildings can slow decay by at most 90%
+  minAmount: 0.01    // Stock below this rots away completely
+}
@@ -3,22 +3,33 @@
  * From human labor to post-human singularity
  */
 
+// Eras of progress - each skill belongs to one
+export const phases = [
+  { id: 1, name: 'Human Labor' },
+  { id: 2, name: 'Mechanization' },
+  { id: 3, name: 'Automation' },
+  { id: 4, name: 'Post-Human' }
+]
+
 export const skills = [
   // ========== PHASE 1: HUMAN LABOR ==========
   {
     id: 'farming',
+    phase: 1,
     name: 'Farming',
     icon: '🌱',
     description: 'Manual agricultural labor - for now'
   },
   {
     id: 'gathering',
+    phase: 1,
     name: 'Gathering',
     icon: '🌲',
     description: 'Collecting raw materials by hand'
   },
   {
     id: 'crafting',
+    phase: 1,
     name: 'Crafting',
     icon: '🔨',
     description: 'Making things the old-fashioned way'
@@ -27,12 +38,14 @@ export const skills = [
   // ========== PHASE 2: MECHANIZATION ==========
   {
     id: 'manufacturing',
+    phase: 2,
     name: 'Manufacturing',
     icon: '🏭',
     description: 'Mass production replaces artisans'
   },
   {
     id: 'engineering',
+    phase: 2,
     name: 'Engineering',
     icon: '⚙️',
     description: 'Building the machines that replace us'
@@ -41,12 +54,14 @@ export const skills = [
   // ========== PHASE 3: AUTOMATION ==========
   {
     id: 'automation',
+    phase: 3,
     name: 'Automation',
     icon: '🤖',
     description: 'Humans need not apply'
   },
   {
     id: 'computing',
+    phase: 3,
     name: 'Computing',
     icon: '💻',
     description: 'Digital labor is cheaper'
@@ -55,12 +70,14 @@ export const skills = [
   // ========== PHASE 4: POST-HUMAN ==========
   {
     id: 'research',
+    phase: 4,
     name: 'Research',
     icon: '🔬',
     description: 'Even innovation is automated'
   },
   {
     id: 'singularity',
+    phase: 4,
     name: 'Singularity',
     icon: '🌌',
     description: 'The end of human relevance'
@@ -1,6 +1,16 @@
 /**
  * Worker type definitions
  * Each worker type has different properties and can be assigned to activities
+ *
+ * affinity - where the type shines: activities of one of its skills or listed by id
+ *   speed  - speed multiplier on those activities
+ *   output - output multiplier on those activities (blended by each group's share of the work)
+ *
+ * upkeep - what every owned worker of the type consumes each interval (seconds)
+ *   needs: each need is paid from the first of its resources in stock, falling back to the next
+ *     amount         - owed per worker per interval
+ *     unmetSpeed     - speed multiplier while the need goes unpaid
+ *     quitsWhenUnmet - missing quitAfter payments in a row makes one worker quit
  */
 export const workerTypes = [
   {
@@ -8,7 +18,67 @@ export const workerTypes = [
     name: 'Basic Worker',
     description: 'A regular human worker',
     baseSpeed: 0.2,  // Speed multiplier (0.2 = 5x slower than manual)
-    category: 'human'
+    category: 'human',
+    upkeep: {
+      interval: 60,
+      quitAfter: 3,
+      needs: [
+        { id: 'hunger', name: 'Food', icon: '🍽️', resources: ['processedFood', 'wheat'], amount: 0.5, unmetSpeed: 0.5, quitsWhenUnmet: true },
+        { id: 'fatigue', name: 'Rest', icon: '😴', resources: ['tv', 'fastFood'], amount: 0.1, unmetSpeed: 0.9, quitsWhenUnmet: false },
+        { id: 'wages', name: 'Wages', icon: '💰', resources: ['gold'], amount: 0.2, unmetSpeed: 0.75, quitsWhenUnmet: true }
+      ]
+    }
+  },
+  {
+    id: 'lumberjack',
+    name: 'Lumberjack',
+    description: 'A trained woodcutter - chops and saws far faster than anyone',
+    baseSpeed: 0.25,
+    category: 'human',
+    affinity: { skills: [], activities: ['chopWood', 'sawPlanks'], speed: 2, output: 1.5 },
+    upkeep: {
+      interval: 60,
+      quitAfter: 3,
+      needs: [
+        { id: 'hunger', name: 'Food', icon: '🍽️', resources: ['processedFood', 'wheat'], amount: 0.5, unmetSpeed: 0.5, quitsWhenUnmet: true },
+        { id: 'fatigue', name: 'Rest', icon: '😴', resources: ['tv', 'fastFood'], amount: 0.1, unmetSpeed: 0.9, quitsWhenUnmet: false },
+        { id: 'wages', name: 'Wages', icon: '💰', resources: ['gold'], amount: 0.5, unmetSpeed: 0.75, quitsWhenUnmet: true }
+      ]
+    }
+  },
+  {
+    id: 'miner',
+    name: 'Miner',
+    description: 'A trained excavator - pulls more ore out of every shaft',
+    baseSpeed: 0.25,
+    category: 'human',
+    affinity: { skills: [], activities: ['mineStone', 'mineGold', 'mineCoal'], speed: 2, output: 1.5 },
+    upkeep: {
+      interval: 60,
+      quitAfter: 3,
+      needs: [
+        { id: 'hunger', name: 'Food', icon: '🍽️', resources: ['processedFood', 'wheat'], amount: 0.5, unmetSpeed: 0.5, quitsWhenUnmet: true },
+        { id: 'fatigue', name: 'Rest', icon: '😴', resources: ['tv', 'fastFood'], amount: 0.1, unmetSpeed: 0.9, quitsWhenUnmet: false },
+        { id: 'wages', name: 'Wages', icon: '💰', resources: ['gold'], amount: 0.5, unmetSpeed: 0.75, quitsWhenUnmet: true }
+      ]
+    }
+  },
+  {
+    id: 'farmer',
+    name: 'Farmer',
+    description: 'A professional grower - bigger harvests on every farming task',
+    baseSpeed: 0.25,
+    category: 'human',
+    affinity: { skills: ['farming'], activities: ['millFlour'], speed: 1.75, output: 1.5 },
+    upkeep: {
+      interval: 60,
+      quitAfter: 3,
+      needs: [
+        { id: 'hunger', name: 'Food', icon: '🍽️', resources: ['processedFood', 'wheat'], amount: 0.5, unmetSpeed: 0.5, quitsWhenUnmet: true },
+        { id: 'fatigue', name: 'Rest', icon: '😴', resources: ['tv', 'fastFood'], amount: 0.1, unmetSpeed: 0.9, quitsWhenUnmet: false },
+        { id: 'wages', name: 'Wages', icon: '💰', resources: ['gold'], amount: 0.5, unmetSpeed: 0.75, quitsWhenUnmet: true }
+      ]
+    }
   },
   {
     id: 'tractorWorker',
@@ -16,17 +86,50 @@ export const workerTypes = [
     description: 'A worker operating a tractor - faster for farming tasks',
     baseSpeed: 0.5,  // 2x slower than manual
     category: 'machine',
-    bonusActivities: ['farming']  // Gets bonus speed on farming activities
+    affinity: { skills: ['farming'], activities: [], speed: 1.5, output: 1 },
+    upkeep: {
+      interval: 60,
+      quitAfter: 3,
+      needs: [
+        { id: 'fuel', name: 'Fuel', icon: '⛽', resources: ['fuel'], amount: 1, unmetSpeed: 0.25, quitsWhenUnmet: false },
+        { id: 'wages', name: 'Driver wages', icon: '💰', resources: ['gold'], amount: 0.5, unmetSpeed: 0.75, quitsWhenUnmet: true }
+      ]
+    }
   },
   {
     id: 'droneWorker',
     name: 'Drone Worker',
     description: 'An automated drone - fast and efficient',
     baseSpeed: 0.8,  // 1.25x slower than manual
-    category: 'machine'
+    category: 'machine',
+    upkeep: {
+      interval: 60,
+      quitAfter: 3,
+      needs: [
+        { id: 'power', name: 'Power', icon: '🔋', resources: ['coal', 'fuel'], amount: 1, unmetSpeed: 0.25, quitsWhenUnmet: false }
+      ]
+    }
   }
 ]
 
+/**
+ * Upkeep rules shared by every worker type
+ * gracePeriod - seconds a new game runs before anyone asks for food or wages
+ */
+export const upkeepSettings = {
+  gracePeriod: 1800
+}
+
+/**
+ * Default diminishing returns for stacking workers of one type on an activity
+ * A group of count workers runs at speed * (1 + min(maxCountBonus, countFactor * log10(count)))
+ * Activities can override this with their own workerScaling
+ */
+export const workerScaling = {
+  countFactor: 0.15,
+  maxCountBonus: 0.4
+}
+
 /**
  * Speed boost definitions
  * Resources that can be consumed to make workers faster
@@ -37,7 +140,7 @@ export const speedBoosts = [
     name: 'TV',
     description: 'Entertainment boosts worker morale',
     speedBonus: 0.1,  // +10% speed
-    workerTypes: ['basicWorker'],  // Only affects basic workers
+    workerTypes: ['basicWorker', 'lumberjack', 'miner', 'farmer'],  // Only affects people
     consumptionRate: 0.1  // Consumed per completion
   },
   {
@@ -45,7 +148,7 @@ export const speedBoosts = [
     name: 'Phone',
     description: 'Communication improves coordination',
     speedBonus: 0.15,  // +15% speed
-    workerTypes: ['basicWorker'],
+    workerTypes: ['basicWorker', 'lumberjack', 'miner', 'farmer'],
     consumptionRate: 0.1
   },
   {
@@ -53,7 +156,7 @@ export const speedBoosts = [
     name: 'Fast Food',
     description: 'Quick meals keep workers energized',
     speedBonus: 0.2,  // +20% speed
-    workerTypes: ['basicWorker', 'tractorWorker'],
+    workerTypes: ['basicWorker', 'lumberjack', 'miner', 'farmer', 'tractorWorker'],
     consumptionRate: 0.2
   },
   {
@@ -65,3 +168,45 @@ export const speedBoosts = [
     consumptionRate: 0.5
   }
 ]
+
+/**
+ * Morale per worker category (human/machine), from 0 to max
+ * Overwork, unpaid upkeep and assignment churn lower it; below start it recovers on its own.
+ * Taverns (moraleRegen building bonus, humans only) and speed-boost goods in stock raise it
+ * further. Below strikeThreshold, workers may strike - halting one automated activity until
+ * their demand is paid
+ */
+export const moraleSettings = {
+  start: 75,
+  max: 100,
+  strikeThreshold: 30,
+  recoveryRate: 0.1, // per second while below start
+  overworkShare: 0.8, // Morale drains while more than this share of the category is busy
+  overworkDrain: 0.01, // per second
+  unpaidPenalty: 5, // per need left unpaid at upkeep time, scaled by the type's share of the category
+  churnPenalty: 0.5, // per assignment change, or once per category for a whole batch
+  boostGoodsRegen: 0.02, // per second for each speed-boost good in stock for the category
+  strikeCheckInterval: 30, // seconds between strike rolls while morale is low
+  strikeChance: 0.3,
+  strikeEndBonus: 15, // morale regained when a demand is met
+  // One demand is picked per strike; amounts are per striking worker
+  demands: {
+    human: [{ gold: 5 }, { fastFood: 2 }],
+    machine: [{ equipment: 1 }, { fuel: 3 }]
+  }
+}
+
+/**
+ * Veterancy - each worker group on an activity gains xp per completion and ranks up
+ * xp is the group's average experience: fresh workers joining dilute it, and workers
+ * pulled off take unassignLoss of their share with them
+ */
+export const veterancySettings = {
+  xpPerCompletion: 1,
+  unassignLoss: 0.5,
+  ranks: [
+    { id: 'novice', name: 'Novice', icon: '🔰', xp: 0, speed: 1, output: 1 },
+    { id: 'skilled', name: 'Skilled', icon: '⭐', xp: 25, speed: 1.1, output: 1.05 },
+    { id: 'veteran', name: 'Veteran', icon: '🎖️', xp: 100, speed: 1.25, output: 1.1 }
+  ]
+}
@@ -1,6 +1,8 @@
 /**
  * ResourceNode - Represents a harvestable resource location
- * Resources regenerate over time up to a capacity cap
+ * Resources regenerate over time up to a capacity cap; depletable nodes
+ * that are harvested empty regrow slowly until they recover.
+ * Only harvestSlots workers can harvest at once - the rest wait in a queue
  */
 export class ResourceNode {
   constructor(definition) {
@@ -25,6 +27,11 @@ export class ResourceNode {
     this.harvestTime = definition.harvestTime || 2 // seconds per unit
     this.outputs = definition.outputs || {} // { resourceId: amount }
 
+    // Congestion - worker IDs harvesting now, and those waiting in arrival order
+    this.harvestSlots = definition.harvestSlots || 2
+    this.occupants = []
+    this.queue = []
+
     // Requirements
     this.requiredSkillLevel = definition.requiredSkillLevel || 1
     this.requiredSkillId = definition.requiredSkillId || 'farming'
@@ -32,6 +39,11 @@ export class ResourceNode {
     // Upgrade state
     this.capacityUpgrades = 0
     this.spawnRateUpgrades = 0
+    this.upgradeCosts = definition.upgradeCosts || {} // { capacity: cost, spawnRate: cost } for level 1
+
+    // Over-harvesting ({ regrowthMultiplier, recoverAt } or null if the node never depletes)
+    this.depletion = definition.depletion || null
+    this.depleted = false
 
     // Visual properties
     this.color = definition.color || '#27ae60'
@@ -53,6 +65,14 @@ export class ResourceNode {
     return this.spawnRate * (1 + this.spawnRateUpgrades * 0.3)
   }
 
+  /**
+   * Get the spawn rate right now (slowed while depleted)
+   */
+  getRegrowthRate() {
+    const rate = this.getCurrentSpawnRate()
+    return this.depleted ? rate * this.depletion.regrowthMultiplier : rate
+  }
+
   /**
    * Regenerate resources over time
    * @param {number} deltaTime - Time elapsed in milliseconds
@@ -61,9 +81,13 @@ export class ResourceNode {
     const maxCapacity = this.getCurrentCapacity()
 
     if (this.available < maxCapacity) {
-      const regen = this.getCurrentSpawnRate() * (deltaTime / 1000)
+      const regen = this.getRegrowthRate() * (deltaTime / 1000)
       this.available = Math.min(this.available + regen, maxCapacity)
     }
+
+    if (this.depleted && this.available >= maxCapacity * this.depletion.recoverAt) {
+      this.depleted = false
+    }
   }
 
   /**
@@ -71,21 +95,97 @@ export class ResourceNode {
    * @returns {boolean}
    */
   canHarvest() {
-    return this.available >= 1
+    return !this.depleted && this.available >= 1
   }
 
   /**
    * Harvest one unit of resource
+   * Taking the last unit from a depletable node depletes it
    * @returns {boolean} Success
    */
   harvest() {
     if (this.canHarvest()) {
       this.available -= 1
+      if (this.depletion && this.available < 1) {
+        this.depleted = true
+      }
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Claim a harvest slot, joining the queue if none are free
+   * Queued workers are served first come, first served
+   * @param {string} workerId
+   * @returns {boolean} true if the worker holds a slot
+   */
+  requestSlot(workerId) {
+    if (this.occupants.includes(workerId)) return true
+
+    const queueIndex = this.queue.indexOf(workerId)
+    const nextInLine = this.queue.length === 0 || queueIndex === 0
+
+    if (this.occupants.length < this.harvestSlots && nextInLine) {
+      if (queueIndex === 0) this.queue.shift()
+      this.occupants.push(workerId)
       return true
     }
+
+    if (queueIndex === -1) this.queue.push(workerId)
     return false
   }
 
+  /**
+   * Give up a harvest slot or place in the queue
+   * @param {string} workerId
+   */
+  releaseSlot(workerId) {
+    this.occupants = this.occupants.filter(id => id !== workerId)
+    this.queue = this.queue.filter(id => id !== workerId)
+  }
+
+  /**
+   * Get where a worker should stand - slots ring the node, the queue lines up to the right
+   * @param {string} workerId
+   * @returns {Object} { x, y }
+   */
+  getSlotPosition(workerId) {
+    const slotIndex = this.occupants.indexOf(workerId)
+    if (slotIndex !== -1) {
+      const angle = Math.PI / 2 + (slotIndex / this.harvestSlots) * Math.PI * 2
+      return {
+        x: this.position.x + Math.cos(angle) * 28,
+        y: this.position.y + Math.sin(angle) * 28
+      }
+    }
+
+    const queueIndex = Math.max(this.queue.indexOf(workerId), 0)
+    return {
+      x: this.position.x + 45 + queueIndex * 16,
+      y: this.position.y + 20
+    }
+  }
+
+  /**
+   * Get how many workers are waiting for a slot
+   * @returns {number}
+   */
+  getQueueLength() {
+    return this.queue.length
+  }
+
+  /**
+   * Get how many times an upgrade has been bought
+   * @param {string} upgradeType - 'capacity' or 'spawnRate'
+   * @returns {number}
+   */
+  getUpgradeLevel(upgradeType) {
+    if (upgradeType === 'capacity') return this.capacityUpgrades
+    if (upgradeType === 'spawnRate') return this.spawnRateUpgrades
+    return 0
+  }
+
   /**
    * Get fullness ratio (0-1)
    */
@@ -107,7 +207,11 @@ export class ResourceNode {
       fullness: this.getFullness(),
       icon: this.icon,
       color: this.color,
-      spawnRate: this.getCurrentSpawnRate()
+      spawnRate: this.getRegrowthRate(),
+      depleted: this.depleted,
+      harvestSlots: this.harvestSlots,
+      occupiedSlots: this.occupants.length,
+      queueLength: this.queue.length
     }
   }
 
@@ -119,7 +223,8 @@ export class ResourceNode {
     return {
       available: this.available,
       capacityUpgrades: this.capacityUpgrades,
-      spawnRateUpgrades: this.spawnRateUpgrades
+      spawnRateUpgrades: this.spawnRateUpgrades,
+      depleted: this.depleted
     }
   }
 
@@ -137,5 +242,10 @@ export class ResourceNode {
     if (state.spawnRateUpgrades !== undefined) {
       this.spawnRateUpgrades = state.spawnRateUpgrades
     }
+    this.depleted = Boolean(this.depletion && state.depleted)
+
+    // Workers restart from home after a load
+    this.occupants = []
+    this.queue = []
   }
 }
@@ -1,9 +1,16 @@
 /**
  * WorkerEntity - Individual worker with AI and state machine
- * Workers autonomously harvest resources and return to deposit them
+ * Workers autonomously harvest resources and return to deposit them,
+ * following paths around obstacles and queueing at crowded nodes
  */
 export class WorkerEntity {
-  constructor(id, type, homePosition) {
+  /**
+   * @param {string} id - Worker ID
+   * @param {string} type - Worker type (basicWorker, etc.)
+   * @param {Object} homePosition - { x, y } where harvests are deposited
+   * @param {Function} rng - Random source in [0, 1) (defaults to Math.random)
+   */
+  constructor(id, type, homePosition, rng = Math.random) {
     // Identity
     this.id = id
     this.type = type
@@ -11,7 +18,7 @@ export class WorkerEntity {
     this.position = { ...homePosition }
 
     // State machine
-    this.state = 'idle' // idle, walking_to, harvesting, walking_back, depositing
+    this.state = 'idle' // idle, walking_to, queued, harvesting, walking_back, depositing
     this.stateTimer = 0
     this.targetNodeId = null
     this.carrying = null
@@ -24,13 +31,20 @@ export class WorkerEntity {
     // Movement
     this.destination = null
     this.targetNodePosition = null
+    this.path = [] // Waypoints still to walk, ending at the current target
+    this.navGrid = null // Set by WorkerEntityManager; without one workers walk straight lines
+
+    // Node whose harvest slot or queue this worker is in
+    this.slotNode = null
 
     // Random offset to prevent stacking
-    this.randomOffset = Math.random() * 0.5 // 0-0.5 seconds
+    this.rng = rng
+    this.randomOffset = this.rng() * 0.5 // 0-0.5 seconds
 
     // Stats tracking
     this.totalHarvests = 0
     this.totalDistanceTraveled = 0
+    this.totalQueueWaitTime = 0 // ms spent waiting for a harvest slot
   }
 
   /**
@@ -47,7 +61,10 @@ export class WorkerEntity {
         this.updateIdle(resourceNodes)
         break
       case 'walking_to':
-        this.updateWalkingTo(deltaTime)
+        this.updateWalkingTo(deltaTime, resourceNodes)
+        break
+      case 'queued':
+        this.updateQueued(deltaTime, resourceNodes)
         break
       case 'harvesting':
         this.updateHarvesting(deltaTime, resourceNodes)
@@ -76,19 +93,41 @@ export class WorkerEntity {
   /**
    * State: walking_to - move toward resource node
    */
-  updateWalkingTo(deltaTime) {
+  updateWalkingTo(deltaTime, resourceNodes) {
     if (!this.destination) {
       this.state = 'idle'
       return
     }
 
-    const result = this.moveToward(this.destination, this.walkSpeed, deltaTime)
+    const result = this.followPath(this.destination, this.walkSpeed, deltaTime)
+
+    this.totalDistanceTraveled += result.distanceMoved
 
     if (result.arrived) {
-      this.startHarvesting()
+      this.arriveAtNode(resourceNodes)
     }
+  }
 
-    this.totalDistanceTraveled += result.distanceMoved
+  /**
+   * State: queued - wait at a crowded node for a harvest slot
+   */
+  updateQueued(deltaTime, resourceNodes) {
+    const node = resourceNodes.get(this.targetNodeId)
+
+    if (!node) {
+      // Node disappeared
+      this.slotNode = null
+      this.state = 'idle'
+      this.stateTimer = 0
+      return
+    }
+
+    this.totalQueueWaitTime += deltaTime
+
+    if (node.requestSlot(this.id)) {
+      this.startHarvesting()
+    }
+    this.position = node.getSlotPosition(this.id)
   }
 
   /**
@@ -99,6 +138,7 @@ export class WorkerEntity {
 
     if (!node) {
       // Node disappeared
+      this.slotNode = null
       this.state = 'idle'
       this.stateTimer = 0
       return
@@ -107,6 +147,8 @@ export class WorkerEntity {
     const harvestDuration = (node.harvestTime / this.harvestSpeedMultiplier) * 1000
 
     if (this.stateTimer >= harvestDuration) {
+      this.leaveNode()
+
       // Try to harvest
       if (node.harvest()) {
         this.carrying = { ...node.outputs }
@@ -124,7 +166,7 @@ export class WorkerEntity {
    * State: walking_back - return to home with resource
    */
   updateWalkingBack(deltaTime) {
-    const result = this.moveToward(this.homePosition, this.carrySpeed, deltaTime)
+    const result = this.followPath(this.homePosition, this.carrySpeed, deltaTime)
 
     if (result.arrived) {
       this.startDepositing()
@@ -154,7 +196,7 @@ export class WorkerEntity {
       }
 
       // Regenerate random offset for next cycle
-      this.randomOffset = Math.random() * 0.5
+      this.randomOffset = this.rng() * 0.5
 
       // Back to idle
       this.state = 'idle'
@@ -162,6 +204,54 @@ export class WorkerEntity {
     }
   }
 
+  /**
+   * Walk along the current path, planning one first if needed
+   * Time left over after reaching a waypoint carries on to the next, and
+   * terrain under the worker scales its speed
+   * @param {Object} target - { x, y } the path should end at
+   * @param {number} speed - Base speed in pixels per second
+   * @param {number} deltaTime - Time elapsed in milliseconds
+   * @returns {{ arrived: boolean, distanceMoved: number }}
+   */
+  followPath(target, speed, deltaTime) {
+    // Already there (e.g. placed at the target) - the rest of the route is moot
+    if (Math.hypot(target.x - this.position.x, target.y - this.position.y) < 5) {
+      this.path = []
+      return this.moveToward(target, speed, deltaTime)
+    }
+
+    if (this.path.length === 0) {
+      this.path = this.planPath(target)
+    }
+
+    let remainingTime = deltaTime
+    let distanceMoved = 0
+
+    while (this.path.length > 0 && remainingTime > 0) {
+      const terrainSpeed = speed * (this.navGrid ? this.navGrid.getSpeedMultiplier(this.position.x, this.position.y) : 1)
+      const result = this.moveToward(this.path[0], terrainSpeed, remainingTime)
+
+      distanceMoved += result.distanceMoved
+      if (!result.arrived) break
+
+      remainingTime -= (result.distanceMoved / terrainSpeed) * 1000
+      this.path.shift()
+    }
+
+    return { arrived: this.path.length === 0, distanceMoved }
+  }
+
+  /**
+   * Plan waypoints from the current position to a target
+   * Unreachable targets fall back to a straight line so workers never freeze
+   * @param {Object} target - { x, y }
+   * @returns {Object[]}
+   */
+  planPath(target) {
+    const path = this.navGrid ? this.navGrid.findPath(this.position, target) : null
+    return path || [{ x: target.x, y: target.y }]
+  }
+
   /**
    * Move toward a target position
    * @returns {{ arrived: boolean, distanceMoved: number }}
@@ -201,6 +291,36 @@ export class WorkerEntity {
     this.state = 'walking_to'
     this.destination = { ...nodePosition }
     this.targetNodePosition = { ...nodePosition }
+    this.path = this.planPath(nodePosition)
+    this.stateTimer = 0
+  }
+
+  /**
+   * Arrive at the target node - harvest if a slot is free, otherwise queue
+   */
+  arriveAtNode(resourceNodes) {
+    const node = resourceNodes.get(this.targetNodeId)
+
+    if (!node) {
+      this.state = 'idle'
+      this.stateTimer = 0
+      return
+    }
+
+    this.slotNode = node
+    if (node.requestSlot(this.id)) {
+      this.startHarvesting()
+    } else {
+      this.startQueueing()
+    }
+    this.position = node.getSlotPosition(this.id)
+  }
+
+  /**
+   * Start waiting for a harvest slot
+   */
+  startQueueing() {
+    this.state = 'queued'
     this.stateTimer = 0
   }
 
@@ -218,6 +338,7 @@ export class WorkerEntity {
   startWalkingBack() {
     this.state = 'walking_back'
     this.destination = null
+    this.path = this.planPath(this.homePosition)
     this.stateTimer = 0
   }
 
@@ -235,6 +356,7 @@ export class WorkerEntity {
    * Assign worker to a resource node
    */
   assignTo(nodeId) {
+    this.leaveNode()
     this.targetNodeId = nodeId
 
     // If currently carrying, finish the deposit first
@@ -248,11 +370,23 @@ export class WorkerEntity {
    * Unassign worker from current node
    */
   unassign() {
+    this.leaveNode()
     this.targetNodeId = null
     this.state = 'idle'
     this.stateTimer = 0
     this.carrying = null
     this.destination = null
+    this.path = []
+  }
+
+  /**
+   * Give up any harvest slot or queue place held at a node
+   */
+  leaveNode() {
+    if (this.slotNode) {
+      this.slotNode.releaseSlot(this.id)
+      this.slotNode = null
+    }
   }
 
   /**
@@ -318,6 +452,7 @@ export class WorkerEntity {
     return {
       totalHarvests: this.totalHarvests,
       totalDistanceTraveled: Math.floor(this.totalDistanceTraveled),
+      totalQueueWaitTime: Math.floor(this.totalQueueWaitTime), // ms
       state: this.state,
       assigned: this.isAssigned()
     }
@@ -332,7 +467,8 @@ export class WorkerEntity {
       type: this.type,
       targetNodeId: this.targetNodeId,
       totalHarvests: this.totalHarvests,
-      totalDistanceTraveled: this.totalDistanceTraveled
+      totalDistanceTraveled: this.totalDistanceTraveled,
+      totalQueueWaitTime: this.totalQueueWaitTime
     }
   }
 
@@ -349,10 +485,15 @@ export class WorkerEntity {
     if (state.totalDistanceTraveled !== undefined) {
       this.totalDistanceTraveled = state.totalDistanceTraveled
     }
+    if (state.totalQueueWaitTime !== undefined) {
+      this.totalQueueWaitTime = state.totalQueueWaitTime
+    }
 
     // Reset to idle state after load
     this.state = 'idle'
     this.stateTimer = 0
     this.position = { ...this.homePosition }
+    this.path = []
+    this.slotNode = null
   }
 }
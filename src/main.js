@@ -1,14 +1,18 @@
 import { GameEngine } from './core/GameEngine.js'
+import { SaveManager } from './core/SaveManager.js'
 import { ActivitySimulation } from './simulation/ActivitySimulation.js'
 import { TownRenderer } from './rendering/TownRenderer.js'
-import { skills } from './data/skills-expanded.js'
+import { Renderer } from './rendering/Renderer.js'
+import { skills, phases } from './data/skills-expanded.js'
 import { activities } from './data/activities-expanded.js'
-import { resources } from './data/resources-expanded.js'
+import { resources, marketPrices, storageCategories, overflowPolicies } from './data/resources-expanded.js'
 import { upgrades } from './data/upgrades.js'
-import { renderWorkerPanelList, renderWorkerSummaryCompact } from './ui/workerSummary.js'
+import { nodeUpgradeTypes } from './data/resource-nodes.js'
+import { renderMoraleMeters, renderWorkerPanelList, renderWorkerSummaryCompact } from './ui/workerSummary.js'
 
 // Initialize game
 const game = new GameEngine(skills, activities, upgrades)
+const saveManager = new SaveManager(localStorage)
 
 // Make game available globally for debugging
 window.game = game
@@ -26,11 +30,15 @@ const activeActivityElements = new Map() // activityId -> { root, progressFill,
 // Town renderer
 let townRenderer = null
 
+// Resource map renderer (created the first time the map is opened)
+let mapRenderer = null
+
 // State
 let selectedSkill = 'farming'  // First skill in expanded content
 let lastUnlockState = new Map() // Track which activities are unlocked to detect changes
 let lastBuildingUnlockState = new Map() // Track which buildings are unlocked to detect changes
 let autoSaveInterval = null
+let latestRunId = null // Highlighted on the leaderboard
 let currentTab = 'activities' // 'activities' or 'city'
 
 // Mapping of skills to their primary output resources (top 4 per skill)
@@ -56,9 +64,13 @@ function init() {
 
   setupEventListeners()
 
-  // Give new players 2 basic workers to start
-  if (!localStorage.getItem('incrementalGameSave')) {
+  // High scores survive new games, so they load before (and separately from) the save
+  loadLeaderboard()
+
+  // Give new players 2 basic workers to start, and let them pick a game mode
+  if (!saveManager.hasSave(saveManager.getActiveSlot())) {
     game.resourceManager.add('basicWorker', 2)
+    showNewGameDialog()
   }
 
   // Initial render - create all elements
@@ -68,14 +80,20 @@ function init() {
   buildActiveActivitiesPanel()
   updateActiveActivitiesPanel() // Populate with initial content
   buildUpgradeList()
+  buildAchievementList()
   buildWorkerPanel()
   updateWorkerPanel() // Populate with initial content
   buildBuildingMenu() // Build city building menu
+  buildTradePanel()
+  buildStoragePanel()
+  buildConstructionQueue()
 
   // Initialize town renderer
   const townCanvas = document.getElementById('townCanvas')
   if (townCanvas) {
+    if (townRenderer) townRenderer.destroy()
     townRenderer = new TownRenderer(townCanvas, game)
+    townRenderer.onSlotSelected = handleSlotSelected
     townRenderer.render() // Initial render
   }
 
@@ -90,11 +108,46 @@ function init() {
   game.on('upgrade:purchased', handleUpgradePurchased)
   game.on('worker:assigned', handleWorkerChanged)
   game.on('worker:unassigned', handleWorkerChanged)
+  game.on('worker:quit', handleWorkerQuit)
+  game.on('worker:ranked_up', handleWorkerRankedUp)
+  game.on('worker:batch_assigned', handleWorkerChanged)
+  game.on('worker:preset_saved', renderPresetList)
+  game.on('worker:preset_deleted', renderPresetList)
+  game.on('worker:strike_started', handleStrikeStarted)
+  game.on('worker:strike_ended', handleStrikeEnded)
   game.on('building:construction_started', handleBuildingEvent)
   game.on('building:construction_complete', handleBuildingEvent)
   game.on('building:worker_generated', handleBuildingEvent)
   game.on('building:training_started', handleBuildingEvent)
   game.on('building:training_complete', handleBuildingEvent)
+  game.on('building:slot_unlocked', handleSlotUnlocked)
+  game.on('building:moved', handleBuildingEvent)
+  game.on('building:queue_changed', handleQueueChanged)
+  game.on('trade:executed', handleTradeExecuted)
+  game.on('storage:overflow', handleStorageOverflow)
+  game.on('resource:decayed', handleResourceDecayed)
+  game.on('storage:policy_changed', updateStoragePanel)
+  game.on('round:phase_changed', handleRoundPhaseChanged)
+  game.on('round:game_ended', handleRoundGameEnded)
+  game.on('leaderboard:run_added', handleLeaderboardRunAdded)
+  game.on('achievement:unlocked', handleAchievementUnlocked)
+  game.on('game:saveMigrated', handleSaveMigrated)
+
+  // Unlock slot buttons (desktop and mobile building panels)
+  document.querySelectorAll('.unlock-slot-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      try {
+        game.buildingManager.unlockSlot()
+      } catch (e) {
+        showNotification(`❌ ${e.message}`)
+      }
+    })
+  })
+
+  // Construction queue controls (desktop and mobile building panels)
+  document.querySelectorAll('.construction-queue').forEach(panel => {
+    panel.addEventListener('click', handleConstructionQueueClick)
+  })
 
   // Restart button
   const restartBtn = document.getElementById('restartBtn')
@@ -148,11 +201,30 @@ function cleanupGameListeners() {
   game.off('upgrade:purchased', handleUpgradePurchased)
   game.off('worker:assigned', handleWorkerChanged)
   game.off('worker:unassigned', handleWorkerChanged)
+  game.off('worker:quit', handleWorkerQuit)
+  game.off('worker:ranked_up', handleWorkerRankedUp)
+  game.off('worker:batch_assigned', handleWorkerChanged)
+  game.off('worker:preset_saved', renderPresetList)
+  game.off('worker:preset_deleted', renderPresetList)
+  game.off('worker:strike_started', handleStrikeStarted)
+  game.off('worker:strike_ended', handleStrikeEnded)
   game.off('building:construction_started', handleBuildingEvent)
   game.off('building:construction_complete', handleBuildingEvent)
   game.off('building:worker_generated', handleBuildingEvent)
   game.off('building:training_started', handleBuildingEvent)
   game.off('building:training_complete', handleBuildingEvent)
+  game.off('building:slot_unlocked', handleSlotUnlocked)
+  game.off('building:moved', handleBuildingEvent)
+  game.off('building:queue_changed', handleQueueChanged)
+  game.off('trade:executed', handleTradeExecuted)
+  game.off('storage:overflow', handleStorageOverflow)
+  game.off('resource:decayed', handleResourceDecayed)
+  game.off('storage:policy_changed', updateStoragePanel)
+  game.off('round:phase_changed', handleRoundPhaseChanged)
+  game.off('round:game_ended', handleRoundGameEnded)
+  game.off('leaderboard:run_added', handleLeaderboardRunAdded)
+  game.off('achievement:unlocked', handleAchievementUnlocked)
+  game.off('game:saveMigrated', handleSaveMigrated)
 }
 
 // Export cleanup function for testing and external use
@@ -184,6 +256,56 @@ function setupEventListeners() {
   document.getElementById('saveBtn').addEventListener('click', saveGame)
   document.getElementById('resetBtn').addEventListener('click', resetGame)
 
+  // New game mode picker and rounds controls
+  document.querySelectorAll('.mode-option').forEach(btn => {
+    btn.addEventListener('click', () => startNewGame(btn.dataset.mode))
+  })
+  document.getElementById('newGameCancel').addEventListener('click', hideNewGameDialog)
+  document.getElementById('scoreNewGameBtn').addEventListener('click', () => {
+    document.getElementById('scoreDialog').style.display = 'none'
+    showNewGameDialog()
+  })
+  document.getElementById('roundActionBtn').addEventListener('click', handleRoundAction)
+
+  // High scores
+  document.getElementById('leaderboardBtn').addEventListener('click', showLeaderboard)
+  document.getElementById('scoreLeaderboardBtn').addEventListener('click', () => {
+    document.getElementById('scoreDialog').style.display = 'none'
+    showLeaderboard()
+  })
+  document.getElementById('leaderboardClose').addEventListener('click', () => {
+    document.getElementById('leaderboardDialog').style.display = 'none'
+  })
+  document.getElementById('leaderboardList').addEventListener('click', (e) => {
+    const runEl = e.target.closest('.leaderboard-run')
+    if (runEl) toggleRunBreakdown(runEl)
+  })
+
+  // Save slots, backups and export/import
+  document.getElementById('savesBtn').addEventListener('click', showSavesDialog)
+  document.getElementById('savesClose').addEventListener('click', () => {
+    document.getElementById('savesDialog').style.display = 'none'
+  })
+  document.getElementById('saveSlotList').addEventListener('click', handleSaveSlotClick)
+  document.getElementById('newSlotBtn').addEventListener('click', saveToNewSlot)
+  document.getElementById('exportFileBtn').addEventListener('click', exportSaveFile)
+  document.getElementById('exportCodeBtn').addEventListener('click', exportSaveCode)
+  document.getElementById('importCodeBtn').addEventListener('click', () => {
+    importSave(document.getElementById('saveCodeText').value)
+  })
+  document.getElementById('importFileInput').addEventListener('change', async (e) => {
+    const file = e.target.files[0]
+    if (file) importSave(await file.text())
+    e.target.value = ''
+  })
+
+  // Resource map
+  document.getElementById('mapBtn').addEventListener('click', showMapDialog)
+  document.getElementById('mapClose').addEventListener('click', () => {
+    document.getElementById('mapDialog').style.display = 'none'
+  })
+  document.getElementById('mapNodeList').addEventListener('click', handleMapNodeClick)
+
   // Event delegation for worker buttons (set up once)
   document.getElementById('activityList').addEventListener('click', handleActivityClick)
 
@@ -470,6 +592,10 @@ function createActivityElement(activity) {
       ${inputsHTML} → ${outputsHTML}
     </div>
     <div class="activity-halted-warning"></div>
+    <div class="activity-strike-warning">
+      <span class="activity-strike-text"></span>
+      <button class="btn-ghost activity-strike-btn" data-activity="${activity.id}">Meet demands</button>
+    </div>
     <div class="activity-meta">
       <span class="activity-duration"></span> | +${activity.xpGained} XP
     </div>
@@ -485,6 +611,9 @@ function createActivityElement(activity) {
   activityElements.set(activity.id, {
     root: activityDiv,
     haltedWarning: activityDiv.querySelector('.activity-halted-warning'),
+    strikeWarning: activityDiv.querySelector('.activity-strike-warning'),
+    strikeText: activityDiv.querySelector('.activity-strike-text'),
+    strikeButton: activityDiv.querySelector('.activity-strike-btn'),
     duration: activityDiv.querySelector('.activity-duration'),
     currentResources: activityDiv.querySelector('.activity-current-resources'),
     resourcesPerMin: activityDiv.querySelector('.activity-resources-per-min'),
@@ -493,6 +622,7 @@ function createActivityElement(activity) {
       return acc
     }, {}),
     workerCounts: new Map(),
+    workerRanks: new Map(),
     workerButtons: new Map()
   })
 
@@ -502,6 +632,7 @@ function createActivityElement(activity) {
     const row = activityDiv.querySelector(`[data-worker-row="${workerType.id}"]`)
     if (row) {
       cached.workerCounts.set(workerType.id, row.querySelector('.worker-count'))
+      cached.workerRanks.set(workerType.id, row.querySelector('.worker-rank-badge'))
       cached.workerButtons.set(workerType.id, {
         minus10: row.querySelector('.worker-btn-minus-10'),
         minus: row.querySelector('.worker-btn-minus'),
@@ -543,11 +674,15 @@ function createWorkerControlsHTML(activity, unlocked) {
   game.workerManager.workerTypes.forEach(workerType => {
     const total = game.resourceManager.get(workerType.id) || 0
     const assigned = game.workerManager.getAssignment(activity.id, workerType.id)
+    const affinity = game.workerManager.getAffinity(workerType.id, activity.id, activity.skillId)
+    const affinityHTML = affinity
+      ? `<span class="worker-affinity">⭐ ×${affinity.speed} speed${affinity.output !== 1 ? `, ×${affinity.output} output` : ''}</span>`
+      : ''
 
     if (total > 0 || assigned > 0 || workerType.id === 'basicWorker') {
       html += `
         <div class="worker-assignment-row" data-worker-row="${workerType.id}">
-          <span class="worker-type-name">${resources[workerType.id].icon} ${resources[workerType.id].name} (<span class="worker-total">${total}</span>)</span>
+          <span class="worker-type-name">${resources[workerType.id].icon} ${resources[workerType.id].name} (<span class="worker-total">${total}</span>) ${affinityHTML} <span class="worker-rank-badge"></span></span>
           <div class="worker-controls">
             <button class="worker-btn-minus-10" data-activity="${activity.id}" data-worker="${workerType.id}">--</button>
             <button class="worker-btn-minus" data-activity="${activity.id}" data-worker="${workerType.id}">-</button>
@@ -596,7 +731,7 @@ function createResourceElement(resourceId, amount) {
   const div = document.createElement('div')
   div.className = 'currency-item'
   div.dataset.currencyId = resourceId
-  div.innerHTML = `${resource.icon} ${resource.name}: <span class="currency-amount">${Math.floor(amount)}</span>/<span class="currency-max">${storageInfo.max}</span> <span class="currency-rate"></span>`
+  div.innerHTML = `${resource.icon} ${resource.name}: <span class="currency-amount">${Math.floor(amount)}</span>/<span class="currency-max">${Math.floor(storageInfo.max)}</span> <span class="currency-rate"></span>`
 
   resourceElements.set(resourceId, {
     root: div,
@@ -682,6 +817,49 @@ function buildUpgradeList() {
   })
 }
 
+/**
+ * Render achievements grouped by tech tree phase (general milestones last)
+ */
+function buildAchievementList() {
+  const container = document.getElementById('achievementList')
+  if (!container) return
+
+  const definitions = game.achievementManager.achievementDefinitions
+  const groups = [
+    ...phases.map(phase => ({ title: `${phase.id}. ${phase.name}`, phase: phase.id })),
+    { title: 'General', phase: null }
+  ]
+
+  container.innerHTML = groups.map(group => {
+    const items = definitions.filter(a => (a.phase ?? null) === group.phase)
+    if (items.length === 0) return ''
+
+    return `<div class="achievement-phase">${group.title}</div>` + items.map(achievement => {
+      const unlocked = game.achievementManager.isUnlocked(achievement.id)
+      const info = game.achievementManager.getDisplayInfo(achievement.id)
+      return `
+        <div class="achievement-item ${unlocked ? 'unlocked' : ''} ${info.hidden ? 'secret' : ''}" data-achievement="${achievement.id}">
+          <div class="achievement-icon">${info.icon}</div>
+          <div>
+            <div class="achievement-name">${info.name}${unlocked ? ' ✓' : ''}</div>
+            <div class="achievement-description">${info.description}</div>
+            <div class="achievement-reward">Reward: ${info.hidden ? '???' : formatReward(achievement.reward)}</div>
+          </div>
+        </div>
+      `
+    }).join('')
+  }).join('')
+
+  const unlockedCount = definitions.filter(a => game.achievementManager.isUnlocked(a.id)).length
+  document.getElementById('achievementCount').textContent = `${unlockedCount}/${definitions.length}`
+}
+
+function formatReward(reward = {}) {
+  return Object.entries(reward)
+    .map(([resourceId, amount]) => `${resources[resourceId]?.icon || resourceId} ${amount}`)
+    .join(', ') || 'None'
+}
+
 function buildWorkerPanel() {
   const container = document.getElementById('workerPanel')
   if (!container) {
@@ -697,10 +875,133 @@ function buildWorkerPanel() {
       <button id="backToActivitiesBtn" class="btn-ghost">Back to Activities</button>
     </div>
     <div class="worker-panel-body">
-      <p class="worker-panel-hint">Tip: workers run tasks at half speed but never stop. Promote them via Training Halls to unlock massive boosts.</p>
+      <p class="worker-panel-hint">Tip: workers run tasks at half speed but never stop - as long as they're fed and paid. Promote them via Training Halls to unlock massive boosts.</p>
+      <div id="workerMoraleMeters" class="morale-meters"></div>
       <div id="workerSummaryList" class="worker-summary-list"></div>
+      <div class="worker-bulk">
+        <h4>Presets</h4>
+        <div class="worker-bulk-row">
+          <input id="presetName" class="trade-amount preset-name" type="text" placeholder="Preset name">
+          <button id="savePresetBtn" class="btn-build">Save current</button>
+          <button id="unassignEverythingBtn" class="btn-ghost">Unassign everything</button>
+        </div>
+        <div id="presetList" class="preset-list"></div>
+        <h4>Bulk moves</h4>
+        <div class="worker-bulk-row">
+          Spread <input id="spreadCount" class="trade-amount" type="number" min="0" step="1" value="4">
+          <select id="spreadWorker" class="trade-select bulk-worker-select"></select>
+          across
+          <select id="spreadSkill" class="trade-select">
+            ${skills.map(skill => `<option value="${skill.id}">${skill.name}</option>`).join('')}
+          </select>
+          <button id="spreadBtn" class="btn-build">Spread</button>
+        </div>
+        <div class="worker-bulk-row">
+          Move all <select id="moveWorker" class="trade-select bulk-worker-select"></select>
+          from <select id="moveFrom" class="trade-select bulk-activity-select"></select>
+          to <select id="moveTo" class="trade-select bulk-activity-select"></select>
+          <button id="moveBtn" class="btn-build">Move</button>
+        </div>
+      </div>
     </div>
   `
+
+  container.querySelector('#savePresetBtn').addEventListener('click', () => {
+    try {
+      game.workerManager.savePreset(container.querySelector('#presetName').value)
+      container.querySelector('#presetName').value = ''
+    } catch (e) {
+      showNotification(`❌ ${e.message}`)
+    }
+  })
+
+  container.querySelector('#unassignEverythingBtn').addEventListener('click', () => {
+    game.workerManager.unassignEverything()
+  })
+
+  container.querySelector('#presetList').addEventListener('click', handlePresetClick)
+
+  container.querySelector('#spreadBtn').addEventListener('click', () => {
+    const skillId = container.querySelector('#spreadSkill').value
+    const workerTypeId = container.querySelector('#spreadWorker').value
+    const count = Math.floor(Number(container.querySelector('#spreadCount').value) || 0)
+    if (!game.workerManager.spreadWorkers(skillId, workerTypeId, count)) {
+      showNotification('❌ Not enough workers or no unlocked activities for that skill')
+    }
+  })
+
+  container.querySelector('#moveBtn').addEventListener('click', () => {
+    const workerTypeId = container.querySelector('#moveWorker').value
+    const fromId = container.querySelector('#moveFrom').value
+    const toId = container.querySelector('#moveTo').value
+    if (!game.workerManager.moveWorkers(workerTypeId, fromId, toId)) {
+      showNotification(`❌ No ${resources[workerTypeId]?.name || workerTypeId}s to move there`)
+    }
+  })
+
+  renderPresetList()
+  updateBulkSelects()
+}
+
+/**
+ * Refill the bulk move selects when owned worker types or unlocked activities change
+ * (keeps whatever the player had picked)
+ */
+function updateBulkSelects() {
+  const workerOptions = game.workerManager.workerTypes
+    .filter(workerType => game.resourceManager.get(workerType.id) > 0)
+    .map(workerType => `<option value="${workerType.id}">${resources[workerType.id].icon} ${resources[workerType.id].name}</option>`)
+    .join('')
+  const activityOptions = activities
+    .filter(activity => game.skillManager.isActivityUnlocked(activity.id))
+    .map(activity => `<option value="${activity.id}">${activity.name}</option>`)
+    .join('')
+
+  const refill = (select, html) => {
+    if (select.dataset.options === html) return
+    const selected = select.value
+    select.innerHTML = html
+    select.dataset.options = html
+    const keep = Array.from(select.options).some(option => option.value === selected)
+    select.selectedIndex = 0
+    if (keep) select.value = selected
+  }
+
+  document.querySelectorAll('.bulk-worker-select').forEach(select => refill(select, workerOptions))
+  document.querySelectorAll('.bulk-activity-select').forEach(select => refill(select, activityOptions))
+}
+
+function renderPresetList() {
+  const container = document.getElementById('presetList')
+  if (!container) return
+
+  const presets = game.workerManager.getPresets()
+  container.innerHTML = presets.length === 0
+    ? '<div class="worker-panel-hint">No presets yet - save your current layout to switch back to it later.</div>'
+    : presets.map((preset, index) => `
+      <div class="preset-item">
+        <span class="preset-item-name">${preset.name}</span>
+        <span class="preset-item-workers">${preset.workers} workers</span>
+        <button class="btn-ghost" data-action="apply" data-index="${index}">Apply</button>
+        <button class="btn-ghost" data-action="delete" data-index="${index}">Delete</button>
+      </div>
+    `).join('')
+}
+
+function handlePresetClick(e) {
+  const { action, index } = e.target.dataset
+  if (!action) return
+
+  // Presets are listed in save order, so the index finds the name without putting it in markup
+  const preset = game.workerManager.getPresets()[Number(index)]?.name
+  if (!preset) return
+
+  if (action === 'apply') {
+    const complete = game.workerManager.applyPreset(preset)
+    showNotification(complete ? `📋 Applied "${preset}"` : `📋 Applied "${preset}" - not enough workers for all of it`)
+  } else if (action === 'delete') {
+    game.workerManager.deletePreset(preset)
+  }
 }
 
 function buildBuildingMenu() {
@@ -723,6 +1024,18 @@ function buildBuildingMenu() {
     slotsInfoMobile.textContent = slotsText
   }
 
+  // Next slot unlock - cost escalates with every slot bought
+  const unlockCheck = game.buildingManager.canUnlockSlot()
+  const unlockCost = game.buildingManager.getSlotUnlockCost()
+  const atMax = availableSlots >= game.buildingManager.townSettings.maxBuildingSlots
+  document.querySelectorAll('.unlock-slot-btn').forEach(button => {
+    button.textContent = atMax
+      ? 'Town fully expanded'
+      : `🔓 +1 Slot (${Object.entries(unlockCost).map(([id, amt]) => `${resources[id].icon}${amt}`).join(' ')})`
+    button.disabled = !unlockCheck.canUnlock
+    button.title = unlockCheck.reason || ''
+  })
+
   // Track newly unlocked buildings
   const newlyUnlockedBuildings = []
 
@@ -853,12 +1166,17 @@ function createBuildingCard(buildingType) {
       `
     }).join('') : '<div class="no-upgrades">No upgrades available</div>'
 
+    const adjacencyHTML = game.buildingManager.getActiveAdjacencyBonuses(building.instanceId)
+      .map(({ rule, count }) => `<div class="instance-adjacency">✨ ${rule.description}${count > 1 ? ` (×${count})` : ''}</div>`)
+      .join('')
+
     builtBuildingsHTML += `
       <div class="built-building-instance">
         <div class="instance-header-row">
           <span class="instance-label">${buildingType.emoji} ${buildingType.name} #${index + 1}</span>
           <button class="btn-demolish" data-instance="${building.instanceId}">🗑️ Demolish</button>
         </div>
+        ${adjacencyHTML}
         <div class="building-upgrades">
           ${upgradesHTML}
         </div>
@@ -866,6 +1184,9 @@ function createBuildingCard(buildingType) {
     `
   })
 
+  // Every crew is busy - new projects wait their turn
+  const crewsBusy = game.buildingManager.getActiveConstructions().length >= game.buildingManager.builderCrews
+
   card.innerHTML = `
     <div class="building-header">
       <div class="building-emoji">${buildingType.emoji}</div>
@@ -883,7 +1204,7 @@ function createBuildingCard(buildingType) {
     <div class="building-construction-time">⏱️ ${buildingType.constructionTime}s to build</div>
     <div class="building-actions">
       <button class="btn-build" data-building="${buildingType.id}" ${!canBuildResult.canBuild ? 'disabled' : ''}>
-        ${canBuildResult.canBuild ? 'Build' : canBuildResult.reason}
+        ${canBuildResult.canBuild ? (crewsBusy ? 'Queue' : 'Build') : canBuildResult.reason}
       </button>
     </div>
   `
@@ -893,8 +1214,11 @@ function createBuildingCard(buildingType) {
   if (buildBtn && canBuildResult.canBuild) {
     buildBtn.addEventListener('click', () => {
       try {
-        game.buildingManager.startConstruction(buildingType.id)
-        showNotification(`🏗️ Started building ${buildingType.name}!`)
+        game.buildingManager.startConstruction(buildingType.id, townRenderer ? townRenderer.getTargetSlot() : null)
+        if (townRenderer) townRenderer.selectedSlot = null
+        showNotification(crewsBusy
+          ? `📋 Queued ${buildingType.name} - it starts when a crew is free`
+          : `🏗️ Started building ${buildingType.name}!`)
         buildBuildingMenu() // Rebuild to update UI
       } catch (e) {
         showNotification(`❌ ${e.message}`)
@@ -938,6 +1262,251 @@ function createBuildingCard(buildingType) {
   return card
 }
 
+function buildTradePanel() {
+  const container = document.getElementById('tradePanel')
+  if (!container) return
+
+  const tradeable = Object.keys(marketPrices).filter(id => resources[id])
+  const optionsHTML = tradeable
+    .map(id => `<option value="${id}">${resources[id].icon} ${resources[id].name}</option>`)
+    .join('')
+
+  container.innerHTML = `
+    <div class="panel-header-row">
+      <div>
+        <h3>Market Exchange</h3>
+        <p class="panel-subtitle">Swap surplus goods through the Market. Merchant Connections narrow the spread.</p>
+      </div>
+    </div>
+    <div class="trade-locked no-activities">🔒 Build a Market to unlock trading</div>
+    <div class="trade-form">
+      <select id="tradeFrom" class="trade-select">${optionsHTML}</select>
+      <input id="tradeAmount" class="trade-amount" type="number" min="1" step="1" value="10">
+      <span class="trade-arrow">→</span>
+      <select id="tradeTo" class="trade-select">${optionsHTML}</select>
+      <button id="tradeBtn" class="btn-build">Trade</button>
+    </div>
+    <div id="tradeQuote" class="trade-quote"></div>
+    <div class="trade-chart">
+      <div id="tradeChartLabel" class="trade-chart-label"></div>
+      <svg id="tradeChart" class="trade-chart-svg" viewBox="0 0 120 30" preserveAspectRatio="none">
+        <polyline fill="none" stroke="currentColor" stroke-width="1.5" points=""></polyline>
+      </svg>
+    </div>
+  `
+
+  container.querySelector('#tradeFrom').value = 'wheat'
+  container.querySelector('#tradeTo').value = 'gold'
+
+  container.querySelectorAll('select, input').forEach(input => {
+    input.addEventListener('input', updateTradePanel)
+  })
+
+  container.querySelector('#tradeBtn').addEventListener('click', () => {
+    const { fromId, toId, amount } = getTradeFormValues()
+    try {
+      game.tradeManager.exchange(fromId, toId, amount)
+    } catch (e) {
+      showNotification(`❌ ${e.message}`)
+    }
+  })
+
+  updateTradePanel()
+}
+
+function getTradeFormValues() {
+  return {
+    fromId: document.getElementById('tradeFrom').value,
+    toId: document.getElementById('tradeTo').value,
+    amount: Math.floor(Number(document.getElementById('tradeAmount').value) || 0)
+  }
+}
+
+/**
+ * Build the storage panel - one row per category with its limit and overflow policy
+ */
+function buildStoragePanel() {
+  const container = document.getElementById('storagePanel')
+  if (!container) return
+
+  const policyOptions = Object.entries(overflowPolicies)
+    .map(([policyId, policy]) => `<option value="${policyId}">${policy.icon} ${policy.name}</option>`)
+    .join('')
+
+  const rows = Object.entries(storageCategories).map(([categoryId, category]) => `
+    <div class="storage-row" data-category="${categoryId}">
+      <span class="storage-name">${category.icon} ${category.name}</span>
+      <span class="storage-resources">${category.resources.map(id => resources[id]?.icon || '').join('')}</span>
+      <span class="storage-limit"></span>
+      <select class="storage-policy-select trade-select" data-category="${categoryId}">${policyOptions}</select>
+    </div>
+  `).join('')
+
+  container.innerHTML = `
+    <div class="panel-header-row">
+      <div>
+        <h3>Storage</h3>
+        <p class="panel-subtitle">Each store caps its own goods. Choose what happens to anything past the cap.</p>
+      </div>
+    </div>
+    <div class="storage-warehouse"></div>
+    <div class="storage-list">${rows}</div>
+    <div class="storage-overflow-note"></div>
+  `
+
+  container.querySelectorAll('.storage-policy-select').forEach(select => {
+    select.addEventListener('change', () => {
+      game.resourceManager.setOverflowPolicy(select.dataset.category, select.value)
+    })
+  })
+
+  updateStoragePanel()
+}
+
+/**
+ * Render the construction queue - builder crews at work, then projects waiting their turn
+ */
+function buildConstructionQueue() {
+  const panels = document.querySelectorAll('.construction-queue')
+  if (panels.length === 0) return
+
+  const buildingManager = game.buildingManager
+  const active = buildingManager.getActiveConstructions()
+  const waiting = buildingManager.getConstructionQueue()
+  const typeOf = building => buildingManager.buildingTypes.find(b => b.id === building.buildingTypeId)
+
+  const activeHTML = active.map(building => `
+    <div class="queue-item queue-item-active" data-instance="${building.instanceId}">
+      <span class="queue-name">🏗️ ${typeOf(building)?.emoji || ''} ${typeOf(building)?.name || building.buildingTypeId}</span>
+      <span class="queue-progress">${Math.floor(buildingManager.getConstructionProgress(building) * 100)}%</span>
+      <button class="queue-btn" data-action="cancel" title="Cancel and refund">✖</button>
+    </div>
+  `).join('')
+
+  const waitingHTML = waiting.map((building, index) => `
+    <div class="queue-item" data-instance="${building.instanceId}">
+      <span class="queue-name">#${index + 1} ${typeOf(building)?.emoji || ''} ${typeOf(building)?.name || building.buildingTypeId}</span>
+      <button class="queue-btn" data-action="up" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+      <button class="queue-btn" data-action="down" ${index === waiting.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+      <button class="queue-btn" data-action="cancel" title="Cancel and refund">✖</button>
+    </div>
+  `).join('')
+
+  const builders = buildingManager.getBuilderCount()
+  const speed = buildingManager.getConstructionSpeed()
+
+  panels.forEach(panel => {
+    panel.innerHTML = `
+      <div class="queue-header">
+        <span class="queue-crews">👷 Crews: ${active.length}/${buildingManager.builderCrews}</span>
+        <span class="queue-builders">
+          <button class="queue-btn" data-action="builders-down" ${builders === 0 ? 'disabled' : ''}>−</button>
+          🔨 ${builders}/${buildingManager.getMaxBuilders()} builders
+          <button class="queue-btn" data-action="builders-up" ${!buildingManager.canSetBuilders(builders + 1).canSet ? 'disabled' : ''}>+</button>
+          <span class="queue-speed">×${speed.toFixed(2)}</span>
+        </span>
+      </div>
+      ${activeHTML || waitingHTML
+        ? `<div class="queue-list">${activeHTML}${waitingHTML}</div>`
+        : '<div class="queue-empty">No projects under way</div>'}
+    `
+  })
+}
+
+/**
+ * Refresh progress on active construction sites (runs every tick)
+ */
+function updateConstructionQueueProgress() {
+  document.querySelectorAll('.construction-queue .queue-item-active').forEach(item => {
+    const building = game.buildingManager.getBuildingInstance(item.dataset.instance)
+    if (!building) return
+    item.querySelector('.queue-progress').textContent = `${Math.floor(game.buildingManager.getConstructionProgress(building) * 100)}%`
+  })
+}
+
+/**
+ * Reorder, cancel or staff construction projects
+ */
+function handleConstructionQueueClick(e) {
+  const button = e.target.closest('button[data-action]')
+  if (!button) return
+
+  const buildingManager = game.buildingManager
+  const action = button.dataset.action
+  const instanceId = button.closest('.queue-item')?.dataset.instance
+
+  try {
+    if (action === 'builders-up' || action === 'builders-down') {
+      buildingManager.setBuilders(buildingManager.getBuilderCount() + (action === 'builders-up' ? 1 : -1))
+    } else if (action === 'up' || action === 'down') {
+      const index = buildingManager.constructionQueue.indexOf(instanceId)
+      buildingManager.moveInQueue(instanceId, index + (action === 'up' ? -1 : 1))
+    } else if (action === 'cancel') {
+      const building = buildingManager.getBuildingInstance(instanceId)
+      const buildingType = buildingManager.buildingTypes.find(b => b.id === building?.buildingTypeId)
+      if (!confirm(`Cancel this ${buildingType?.name || 'project'}? Everything spent on it is refunded.`)) return
+
+      const refund = buildingManager.cancelConstruction(instanceId)
+      const refundText = Object.entries(refund).map(([id, amt]) => `${resources[id].icon}${amt}`).join(' ')
+      showNotification(`↩️ Cancelled! Refund: ${refundText}`)
+      buildBuildingMenu()
+    }
+  } catch (err) {
+    showNotification(`❌ ${err.message}`)
+  }
+}
+
+function updateStoragePanel() {
+  const container = document.getElementById('storagePanel')
+  if (!container || !container.querySelector('.storage-list')) return
+
+  const resourceManager = game.resourceManager
+  container.querySelectorAll('.storage-row').forEach(row => {
+    const categoryId = row.dataset.category
+    const [firstResourceId] = storageCategories[categoryId].resources
+    row.querySelector('.storage-limit').textContent = `${resourceManager.getOwnStorageLimit(firstResourceId)} each`
+    row.querySelector('.storage-policy-select').value = resourceManager.getOverflowPolicy(categoryId)
+  })
+
+  const capacity = resourceManager.getWarehouseCapacity()
+  container.querySelector('.storage-warehouse').textContent = capacity > 0
+    ? `📦 Warehouse overflow: ${Math.floor(resourceManager.getWarehouseUsed())}/${capacity}`
+    : '📦 No Warehouse - spilled goods are lost'
+}
+
+/**
+ * Build the resource node list beside the map - one row per worker type on each node
+ */
+function buildMapNodeList() {
+  const container = document.getElementById('mapNodeList')
+  const workerTypes = Array.from(game.workerEntityManager.workerTypes.keys())
+
+  container.innerHTML = game.resourceNodeManager.getAllNodes().map(node => `
+    <div class="map-node" data-node-id="${node.id}">
+      <div class="map-node-header">
+        <span>${node.icon} ${node.name}</span>
+        <span class="map-node-stock"></span>
+      </div>
+      <div class="map-node-lock"></div>
+      <div class="map-node-slots"></div>
+      <div class="map-node-upgrades">
+        ${Object.values(nodeUpgradeTypes).filter(upgrade => node.upgradeCosts[upgrade.id]).map(upgrade => `
+          <button class="btn-ghost" data-action="upgrade" data-upgrade-type="${upgrade.id}"></button>
+        `).join('')}
+      </div>
+      ${workerTypes.map(type => `
+        <div class="map-node-worker" data-worker-type="${type}">
+          <span class="map-node-count"></span>
+          <button class="btn-ghost" data-action="unassign">-</button>
+          <button class="btn-ghost" data-action="assign">+</button>
+        </div>
+      `).join('')}
+    </div>
+  `).join('')
+
+  updateMapNodeList()
+}
+
 // ============================================================================
 // UPDATE FUNCTIONS - Fast property updates only
 // ============================================================================
@@ -952,7 +1521,8 @@ function updateActivityState(activityId) {
   const isRunning = game.activityManager.getActiveActivities().some(a => a.activityId === activityId)
   const isAutomated = game.workerManager.isAutomated(activityId)
   const canRun = game.activityManager.canRun(activityId)
-  const isHalted = isAutomated && !canRun
+  const strike = game.workerManager.getStrike(activityId)
+  const isHalted = isAutomated && !canRun && !strike
 
   // Update classes
   cached.root.classList.toggle('running', isRunning)
@@ -961,6 +1531,15 @@ function updateActivityState(activityId) {
   // Update halted warning
   cached.haltedWarning.textContent = isHalted ? '⚠️ Production halted - insufficient resources' : ''
 
+  // Update strike warning
+  cached.root.classList.toggle('on-strike', Boolean(strike))
+  if (strike) {
+    const demand = Object.entries(strike.demand)
+      .map(([id, amount]) => `${resources[id]?.icon || id}${amount}`).join(' ')
+    cached.strikeText.textContent = `✊ On strike - demands ${demand}`
+    cached.strikeButton.disabled = !game.workerManager.canMeetStrikeDemand(activityId).canMeet
+  }
+
   // Update duration display
   const effectiveDuration = game.activityManager.getEffectiveDuration(activityId)
   if (!isFinite(effectiveDuration)) {
@@ -997,7 +1576,8 @@ function updateActivityState(activityId) {
     // Calculate resources per minute
     if (isAutomated && isFinite(effectiveDuration) && effectiveDuration > 0) {
       const cyclesPerMinute = 60 / effectiveDuration
-      const resourcesPerMin = Object.entries(activity.outputs).map(([resourceId, amount]) => {
+      const outputs = game.activityManager.getEffectiveOutputs(activityId)
+      const resourcesPerMin = Object.entries(outputs).map(([resourceId, amount]) => {
         const perMin = Math.round(amount * cyclesPerMinute * 10) / 10
         const resource = resources[resourceId]
         return `${resource.icon} ${perMin}/min`
@@ -1021,6 +1601,15 @@ function updateActivityState(activityId) {
     countSpan.textContent = assigned
   })
 
+  // Rank badges - only for groups on the job (or with experience left to lose)
+  cached.workerRanks.forEach((badge, workerTypeId) => {
+    const { xp, rank, nextRank } = game.workerManager.getVeterancy(activityId, workerTypeId)
+    const shown = (workerAssignments[workerTypeId] || 0) > 0 || xp > 0
+    badge.textContent = shown ? `${rank.icon} ${rank.name}` : ''
+    badge.title = nextRank ? `${Math.floor(xp)}/${nextRank.xp} xp to ${nextRank.name}` : 'Top rank'
+    badge.dataset.rank = rank.id
+  })
+
   cached.workerButtons.forEach((buttons, workerTypeId) => {
     const assigned = workerAssignments[workerTypeId] || 0
     const available = game.workerManager.getAvailableWorkers(workerTypeId)
@@ -1101,24 +1690,15 @@ function updateSkillResourceIndicators() {
 function calculateResourceProductionRate(resourceId) {
   let totalPerSecond = 0
 
-  // Go through all activities to find production rates
+  // Every worker group on an activity adds to its rate (see WorkerManager.getGroupSpeeds)
   activities.forEach(activity => {
-    const outputs = activity.outputs
-    if (outputs[resourceId]) {
-      const outputAmount = outputs[resourceId]
-      const effectiveDuration = game.activityManager.getEffectiveDuration(activity.id)
-      const isAutomated = game.workerManager.isAutomated(activity.id)
-      const canRun = game.activityManager.canRun(activity.id)
-
-      // Only count if activity is automated, has finite duration, and can run
-      if (isAutomated && isFinite(effectiveDuration) && effectiveDuration > 0 && canRun) {
-        const perSecond = outputAmount / effectiveDuration
-        totalPerSecond += perSecond
-      }
+    if (activity.outputs[resourceId]) {
+      totalPerSecond += game.activityManager.getProductionRate(activity.id)[resourceId] || 0
     }
   })
 
-  return totalPerSecond
+  // Net of spoilage, so a rotting stockpile shows as shrinking
+  return totalPerSecond - game.resourceManager.getDecayPerSecond(resourceId)
 }
 
 function updateResourceAmount(resourceId) {
@@ -1146,15 +1726,18 @@ function updateResourceAmount(resourceId) {
     // Update storage limit display
     const storageInfo = game.resourceManager.getStorageInfo(resourceId)
     if (cached.max) {
-      cached.max.textContent = storageInfo.max
+      cached.max.textContent = Math.floor(storageInfo.max)
     }
 
     // Update production rate
     const ratePerSecond = calculateResourceProductionRate(resourceId)
-    if (ratePerSecond > 0) {
-      const ratePerMinute = Math.round(ratePerSecond * 60 * 10) / 10
+    const ratePerMinute = Math.round(ratePerSecond * 60 * 10) / 10
+    if (ratePerMinute > 0) {
       cached.rate.textContent = `(+${ratePerMinute}/min)`
       cached.rate.style.color = '#4ade80' // Green color for positive rate
+    } else if (ratePerMinute < 0) {
+      cached.rate.textContent = `(${ratePerMinute}/min)`
+      cached.rate.style.color = '#f87171' // Red while spoilage outpaces production
     } else {
       cached.rate.textContent = ''
     }
@@ -1233,6 +1816,54 @@ function updateActiveActivitiesPanel() {
   })
 }
 
+function updateTradePanel() {
+  const container = document.getElementById('tradePanel')
+  if (!container || !container.querySelector('.trade-form')) return
+
+  const enabled = game.tradeManager.isTradingEnabled()
+  container.querySelector('.trade-locked').classList.toggle('hidden', enabled)
+  container.querySelector('.trade-form').classList.toggle('hidden', !enabled)
+
+  const quote = document.getElementById('tradeQuote')
+  if (!enabled) {
+    quote.textContent = ''
+    return
+  }
+
+  const { fromId, toId, amount } = getTradeFormValues()
+  const amountOut = game.tradeManager.getExchangeQuote(fromId, toId, amount)
+  const check = game.tradeManager.canTrade(fromId, toId, amount, amountOut)
+
+  quote.textContent = `${resources[fromId].icon} ${amount} → ${resources[toId].icon} ${amountOut}` +
+    (check.canTrade ? '' : ` (${check.reason})`)
+  document.getElementById('tradeBtn').disabled = !check.canTrade
+
+  // Chart whichever side of the trade isn't the currency
+  updatePriceChart(fromId === game.tradeManager.currency ? toId : fromId)
+}
+
+function updatePriceChart(resourceId) {
+  const label = document.getElementById('tradeChartLabel')
+  const polyline = document.querySelector('#tradeChart polyline')
+  if (!label || !polyline) return
+
+  const baseValue = marketPrices[resourceId]?.baseValue || 0
+  const value = game.tradeManager.getValue(resourceId)
+  const change = baseValue > 0 ? Math.round((value / baseValue - 1) * 100) : 0
+  label.textContent = `${resources[resourceId].icon} ${value.toFixed(2)} 💰` +
+    (change !== 0 ? ` (${change > 0 ? '+' : ''}${change}% vs base)` : '')
+
+  const history = [...game.tradeManager.getPriceHistory(resourceId), value]
+  const min = Math.min(...history, baseValue)
+  const max = Math.max(...history, baseValue)
+  const range = max - min || 1
+  const step = history.length > 1 ? 120 / (history.length - 1) : 0
+
+  polyline.setAttribute('points', history
+    .map((v, i) => `${(i * step).toFixed(1)},${(28 - ((v - min) / range) * 26).toFixed(1)}`)
+    .join(' '))
+}
+
 function updateWorkerSummary() {
   const container = document.getElementById('workerSummaryCompact')
   renderWorkerSummaryCompact(game, container)
@@ -1241,6 +1872,65 @@ function updateWorkerSummary() {
 function updateWorkerPanel() {
   const container = document.getElementById('workerSummaryList')
   renderWorkerPanelList(game, container)
+  renderMoraleMeters(game, document.getElementById('workerMoraleMeters'))
+  updateBulkSelects()
+}
+
+/**
+ * Refresh node stock, locks and assigned workers on the map (runs every frame while open)
+ */
+function updateMapNodeList() {
+  const entities = game.workerEntityManager
+  const idleWorkers = entities.getIdleWorkers()
+
+  const setText = (el, text) => {
+    if (el.textContent !== text) el.textContent = text
+  }
+
+  document.querySelectorAll('#mapNodeList .map-node').forEach(nodeEl => {
+    const node = game.resourceNodeManager.getNode(nodeEl.dataset.nodeId)
+    const { available, capacity, harvestSlots, occupiedSlots, queueLength } = node.getRenderState()
+    const unlocked = game.resourceNodeManager.isUnlocked(node.id, game.skillManager)
+    const skillName = game.skillManager.getSkillInfo(node.requiredSkillId)?.name || node.requiredSkillId
+    const summary = entities.getNodeAssignmentSummary(node.id)
+
+    const status = !unlocked ? `🔒 Requires ${skillName} level ${node.requiredSkillLevel}`
+      : node.depleted ? `🥀 Depleted - regrowing slowly until ${Math.ceil(capacity * node.depletion.recoverAt)}`
+        : ''
+
+    nodeEl.classList.toggle('locked', !unlocked)
+    setText(nodeEl.querySelector('.map-node-stock'), `${available}/${capacity}`)
+    setText(nodeEl.querySelector('.map-node-lock'), status)
+    setText(nodeEl.querySelector('.map-node-slots'),
+      `Harvest slots ${occupiedSlots}/${harvestSlots}${queueLength > 0 ? ` • ⏳ ${queueLength} waiting` : ''}`)
+
+    nodeEl.querySelectorAll('[data-action="upgrade"]').forEach(button => {
+      const upgrade = nodeUpgradeTypes[button.dataset.upgradeType]
+      const level = node.getUpgradeLevel(upgrade.id)
+      const check = game.resourceNodeManager.canUpgrade(node.id, upgrade.id)
+      const costText = level >= upgrade.maxLevel ? 'Max'
+        : Object.entries(game.resourceNodeManager.getUpgradeCost(node.id, upgrade.id))
+          .map(([id, amt]) => `${resources[id]?.icon || id}${amt}`).join(' ')
+
+      setText(button, `${upgrade.icon} ${upgrade.name} ${level}/${upgrade.maxLevel} • ${costText}`)
+      button.title = check.canUpgrade ? upgrade.description : `${upgrade.description} - ${check.reason}`
+      button.disabled = !check.canUpgrade
+    })
+
+    nodeEl.querySelectorAll('.map-node-worker').forEach(row => {
+      const type = row.dataset.workerType
+      const meta = resources[type] || { icon: '👤', name: type }
+      const onNode = summary[type] || 0
+
+      // Only show worker types the player owns
+      row.style.display = entities.getWorkersByType(type).length > 0 ? '' : 'none'
+      setText(row.querySelector('.map-node-count'), `${meta.icon} ${meta.name}: ${onNode}`)
+      row.querySelector('[data-action="unassign"]').disabled = onNode === 0
+      row.querySelector('[data-action="assign"]').disabled = !unlocked ||
+        !idleWorkers.some(w => w.type === type) ||
+        game.workerManager.getAvailableWorkers(type) < 1
+    })
+  })
 }
 
 // ============================================================================
@@ -1314,6 +2004,20 @@ function handleActivityClick(e) {
     }
   }
 
+  // Handle meeting strikers' demands
+  else if (target.classList.contains('activity-strike-btn')) {
+    e.preventDefault()
+    const activityId = target.dataset.activity
+    const check = game.workerManager.canMeetStrikeDemand(activityId)
+
+    if (!check.canMeet) {
+      showNotification(`❌ ${check.reason}`)
+      return
+    }
+
+    game.workerManager.meetStrikeDemand(activityId)
+  }
+
   // Handle remove all
   else if (target.classList.contains('worker-btn-remove-all')) {
     e.preventDefault()
@@ -1358,6 +2062,10 @@ function handleSkillLevelup(data) {
   updateSkillXP(data.skillId)
   checkForUnlocks()
   showNotification(`🎉 ${data.skillId.toUpperCase()} reached level ${data.newLevel}!`)
+
+  game.resourceNodeManager.getNodesUnlockedBetween(data.skillId, data.oldLevel, data.newLevel).forEach(node => {
+    showNotification(`🗺️ New resource node on the map: ${node.icon} ${node.name}`)
+  })
 }
 
 function handleResourceChanged(data) {
@@ -1377,14 +2085,193 @@ function handleResourceChanged(data) {
 
   // Update building menu to show updated resource costs
   buildBuildingMenu()
+  updateTradePanel()
+  updateStoragePanel()
 
   // NOTE: Don't manually render town canvas here - let the animation loop handle it smoothly
   // Calling render() outside the requestAnimationFrame loop causes stuttering
 }
 
+function handleResourceDecayed(data) {
+  // Spoilage ticks every second - refresh amounts and affordability, not whole panels
+  Object.keys(data.losses).forEach(resourceId => updateResourceAmount(resourceId))
+  activityElements.forEach((_, activityId) => {
+    updateActivityState(activityId)
+  })
+}
+
 function handleGameTick(data) {
-  // Game tick event - currently no UI updates needed for continuous gameplay
-  // Activity simulations update via their own render loop
+  // Activity simulations update via their own render loop - only the round timer and build progress tick here
+  updateRoundBar()
+  updateConstructionQueueProgress()
+
+  if (isMapOpen()) {
+    updateMapNodeList()
+  }
+}
+
+/**
+ * Send one worker of a type to a node, or call one back
+ */
+function handleMapNodeClick(e) {
+  const button = e.target.closest('button[data-action]')
+  const nodeEl = e.target.closest('.map-node')
+  if (!button || !nodeEl) return
+
+  const entities = game.workerEntityManager
+  const nodeId = nodeEl.dataset.nodeId
+
+  if (button.dataset.action === 'upgrade') {
+    const upgrade = nodeUpgradeTypes[button.dataset.upgradeType]
+    try {
+      const level = game.resourceNodeManager.upgradeNode(nodeId, upgrade.id)
+      showNotification(`${upgrade.icon} ${game.resourceNodeManager.getNode(nodeId).name}: ${upgrade.name} level ${level}`)
+    } catch (err) {
+      showNotification(`❌ ${err.message}`)
+    }
+    updateMapNodeList()
+    return
+  }
+
+  const type = e.target.closest('.map-node-worker').dataset.workerType
+
+  if (button.dataset.action === 'assign') {
+    const worker = entities.getIdleWorkers().find(w => w.type === type)
+    if (!worker) {
+      showNotification('❌ No idle workers of this type')
+      return
+    }
+    const check = entities.canAssignWorker(worker.id, nodeId)
+    if (!check.canAssign) {
+      showNotification(`❌ ${check.reason}`)
+      return
+    }
+    entities.assignWorker(worker.id, nodeId)
+  } else {
+    const worker = entities.getWorkersForNode(nodeId).find(w => w.type === type)
+    if (worker) entities.unassignWorker(worker.id)
+  }
+
+  updateMapNodeList()
+}
+
+/**
+ * Show round, phase and timer (rounds mode only)
+ */
+function updateRoundBar() {
+  const bar = document.getElementById('roundBar')
+  if (!bar) return
+
+  if (game.mode !== 'rounds') {
+    bar.style.display = 'none'
+    return
+  }
+  bar.style.display = ''
+
+  const info = game.roundManager.getPhaseInfo()
+  const label = info.gameEnded ? 'Game over' : `Round ${info.round}/${info.totalRounds}`
+  const phase = info.phase === 'collection' ? '⛏️ Collection - workers produce, building locked'
+    : info.phase === 'building' ? '🏗️ Building - production paused'
+      : `🏁 Final score: ${game.roundManager.finalScore}`
+  const timer = info.phase === 'collection' ? game.roundManager.getFormattedTime() : ''
+  const action = info.phase === 'collection' ? '⏩ Fast-Forward'
+    : info.phase === 'building' ? (info.round >= info.totalRounds ? '🏁 Finish Game' : '▶ Next Round')
+      : '📊 Show Score'
+
+  // Only touch the DOM when something changed (this runs every frame)
+  const setText = (id, text) => {
+    const el = document.getElementById(id)
+    if (el.textContent !== text) el.textContent = text
+  }
+  setText('roundLabel', label)
+  setText('roundPhase', phase)
+  setText('roundTimer', timer)
+  setText('roundActionBtn', action)
+}
+
+function handleRoundAction() {
+  if (game.roundManager.isCollectionPhase()) {
+    const skipped = game.fastForwardRound()
+    showNotification(`⏩ Skipped ${Math.ceil(skipped / 1000)}s of collection`)
+  } else if (game.roundManager.isBuildingPhase()) {
+    game.endBuildingPhase()
+  } else if (game.roundManager.gameEnded) {
+    showScoreScreen()
+  }
+}
+
+function handleRoundPhaseChanged(data) {
+  if (data.phase === 'building') {
+    showNotification(`🏗️ Round ${data.round}: building phase - spend your resources!`)
+  } else {
+    showNotification(`⛏️ Round ${data.round}: collection phase started`)
+  }
+
+  buildBuildingMenu()
+  updateRoundBar()
+}
+
+function handleRoundGameEnded(data) {
+  buildBuildingMenu()
+  updateRoundBar()
+}
+
+function handleLeaderboardRunAdded(data) {
+  // The engine records the run as the game ends - persist it and show the result
+  latestRunId = data.runId
+  saveLeaderboard()
+  showScoreScreen(data.rank)
+}
+
+/**
+ * Show the final score of a rounds game
+ * @param {number|null} rank - Leaderboard position (undefined to leave it out)
+ */
+function showScoreScreen(rank) {
+  const workers = game.workerManager.getTotalWorkers()
+  const buildings = game.buildingManager.getTotalBuildingCount()
+
+  const rankText = rank === undefined ? ''
+    : rank === 1 ? '🥇 New high score!'
+      : rank ? `#${rank} on the leaderboard`
+        : `Didn't make the leaderboard (best: ${game.leaderboardManager.getBestScore()})`
+  document.getElementById('scoreRank').textContent = rankText
+
+  document.getElementById('scoreBreakdown').innerHTML = `
+    <div class="score-row"><span>👷 Workers</span><span>${workers}</span></div>
+    <div class="score-row"><span>🏗️ Buildings × 10</span><span>${buildings * 10}</span></div>
+    <div class="score-row total"><span>Final score</span><span>${game.roundManager.finalScore}</span></div>
+  `
+  document.getElementById('scoreDialog').style.display = ''
+}
+
+function handleWorkerQuit(data) {
+  const workerType = game.workerManager.workerTypes.find(wt => wt.id === data.workerTypeId)
+  const needs = workerType?.upkeep.needs.filter(need => data.reasons.includes(need.id)).map(need => need.name.toLowerCase())
+  showNotification(`😤 A ${resources[data.workerTypeId]?.name || data.workerTypeId} quit over unpaid ${needs?.join(' and ') || 'upkeep'}`)
+  handleWorkerChanged(data)
+}
+
+function handleWorkerRankedUp(data) {
+  const activity = activities.find(a => a.id === data.activityId)
+  const rank = game.workerManager.getRank(data.activityId, data.workerTypeId)
+  showNotification(`${rank.icon} ${resources[data.workerTypeId]?.name || data.workerTypeId}s at ${activity?.name || data.activityId} are now ${rank.name}`)
+  updateActivityState(data.activityId)
+}
+
+function handleStrikeStarted(data) {
+  const activity = activities.find(a => a.id === data.activityId)
+  const who = data.category === 'machine' ? 'Machines' : 'Workers'
+  showNotification(`✊ ${who} at ${activity?.name || data.activityId} went on strike!`)
+  handleWorkerChanged(data)
+}
+
+function handleStrikeEnded(data) {
+  if (data.reason === 'demand_met') {
+    const activity = activities.find(a => a.id === data.activityId)
+    showNotification(`🤝 Strike at ${activity?.name || data.activityId} is over`)
+  }
+  handleWorkerChanged(data)
 }
 
 function handleWorkerChanged(data) {
@@ -1412,6 +2299,29 @@ function handleOfflineProgress(data) {
   const activitiesCount = data.activitiesCompleted.reduce((sum, a) => sum + a.completions, 0)
 
   showNotification(`⏰ Welcome back! While offline (${timeString}): ${activitiesCount} activities completed, ${resourceCount} resources earned!`)
+
+  const wasted = Object.entries(data.resourcesWasted || {})
+  if (wasted.length > 0) {
+    const wastedList = wasted
+      .map(([resourceId, amount]) => `${resources[resourceId]?.icon || resourceId}${Math.floor(amount)}`)
+      .join(' ')
+    showNotification(`📦 Storage full! Lost while offline: ${wastedList}`)
+  }
+
+  const decayed = Object.entries(data.resourcesDecayed || {}).filter(([, amount]) => amount >= 1)
+  if (decayed.length > 0) {
+    const decayedList = decayed
+      .map(([resourceId, amount]) => `${resources[resourceId]?.icon || resourceId}${Math.floor(amount)}`)
+      .join(' ')
+    showNotification(`🥀 Spoiled while offline: ${decayedList}`)
+  }
+
+  const unlocked = (data.achievementsUnlocked || [])
+    .map(achievementId => game.achievementManager.achievementDefinitions.find(a => a.id === achievementId))
+    .filter(Boolean)
+  if (unlocked.length > 0) {
+    showNotification(`🏆 Unlocked while offline: ${unlocked.map(a => `${a.icon} ${a.name}`).join(', ')}`)
+  }
 }
 
 function handleUpgradePurchased(data) {
@@ -1419,14 +2329,69 @@ function handleUpgradePurchased(data) {
   showNotification(`✨ Purchased: ${data.upgrade.name}!`)
 }
 
+function handleAchievementUnlocked(data) {
+  showAchievementToast(data.achievement)
+  buildAchievementList()
+}
+
+function handleSaveMigrated(data) {
+  console.log(`💾 [Save] Upgraded from version ${data.fromVersion}:`, data.migrations.map(m => m.description))
+  showNotification(`🔧 Save upgraded from version ${data.fromVersion} to ${data.toVersion}`)
+}
+
 function handleBuildingEvent(data) {
   // Rebuild building menu when anything changes
   buildBuildingMenu()
+  updateTradePanel()
+  updateStoragePanel()
+
+  // A newly trained worker type needs its own assignment row on the activity cards
+  const cards = Array.from(activityElements.values())
+  if (data?.workerType && cards.some(cached => cached.workerCounts.size > 0 && !cached.workerCounts.has(data.workerType))) {
+    buildActivityList(selectedSkill)
+  }
 
   // NOTE: Don't manually render town canvas here - let the animation loop handle it smoothly
   // The requestAnimationFrame loop will pick up changes automatically on the next frame
 }
 
+function handleSlotUnlocked(data) {
+  buildBuildingMenu()
+  showNotification(`🔓 Town expanded to ${data.availableSlots} slots`)
+}
+
+function handleQueueChanged(data) {
+  buildConstructionQueue()
+
+  // Builders come out of the idle worker pool
+  if (data.reason === 'builders') {
+    handleWorkerChanged(data)
+  }
+}
+
+function handleSlotSelected(slot) {
+  showNotification(slot === null
+    ? '📍 Next building goes in the first free slot'
+    : `📍 Next building goes in slot ${slot + 1}`)
+}
+
+function handleTradeExecuted(data) {
+  const from = resources[data.fromResourceId]
+  const to = resources[data.toResourceId]
+  showNotification(`🏪 Traded ${from.icon}${data.amountIn} for ${to.icon}${data.amountOut}`)
+}
+
+function handleStorageOverflow(data) {
+  const note = document.querySelector('#storagePanel .storage-overflow-note')
+  if (!note) return
+
+  const resource = resources[data.resourceId]
+  const label = `${resource?.icon || ''} ${resource?.name || data.resourceId}`
+  note.textContent = data.sold > 0
+    ? `🏪 Sold ${Math.ceil(data.sold)} ${label} for 💰${Math.floor(data.earned)}`
+    : `🗑️ Lost ${Math.ceil(data.lost)} ${label} - storage full`
+}
+
 function checkForUnlocks() {
   // Check if any unlocks changed - if so, rebuild activity list
   let unlockChanged = false
@@ -1489,6 +2454,11 @@ function startSimulationRenderLoop() {
       townRenderer.render(deltaTime)
     }
 
+    // The resource map only renders while its dialog is open
+    if (mapRenderer && isMapOpen()) {
+      mapRenderer.render(deltaTime)
+    }
+
     // Continue loop
     requestAnimationFrame(renderFrame)
   }
@@ -1513,6 +2483,25 @@ function showNotification(message) {
   }, 3000)
 }
 
+function showAchievementToast(achievement) {
+  const toast = document.createElement('div')
+  toast.className = 'achievement-toast'
+  toast.innerHTML = `
+    <div class="achievement-icon">${achievement.icon}</div>
+    <div>
+      <div class="achievement-toast-title">Achievement unlocked</div>
+      <div class="achievement-name">${achievement.name}</div>
+      <div class="achievement-reward">Reward: ${formatReward(achievement.reward)}</div>
+    </div>
+  `
+  document.body.appendChild(toast)
+
+  setTimeout(() => {
+    toast.classList.add('fade-out')
+    setTimeout(() => toast.remove(), 500)
+  }, 4000)
+}
+
 function spawnParticle(icon) {
   const particle = document.createElement('div')
   particle.className = 'particle'
@@ -1531,41 +2520,373 @@ function spawnParticle(icon) {
   setTimeout(() => particle.remove(), 1500)
 }
 
-function saveGame() {
-  const state = game.getState()
-  localStorage.setItem('incrementalGameSave', JSON.stringify(state))
-  showNotification('💾 Game saved!')
+/**
+ * Render the high-score table (breakdowns are filled in when a run is clicked)
+ */
+function showLeaderboard() {
+  const container = document.getElementById('leaderboardList')
+  const runs = game.leaderboardManager.getRuns()
+
+  if (runs.length === 0) {
+    container.innerHTML = '<p class="leaderboard-empty">No finished rounds games yet - start a new game in Rounds mode!</p>'
+  } else {
+    container.innerHTML = runs.map((run, index) => {
+      const workers = Object.entries(run.workers)
+        .map(([workerTypeId, count]) => `${resources[workerTypeId]?.icon || workerTypeId}${count}`)
+        .join(' ')
+
+      return `
+        <div class="leaderboard-run ${run.id === latestRunId ? 'latest' : ''}" data-run-id="${run.id}">
+          <div class="leaderboard-run-header">
+            <span>#${index + 1}</span>
+            <span class="leaderboard-score">${run.score}</span>
+            <span class="leaderboard-meta">${workers} • 🏗️${run.buildings}</span>
+            <span class="leaderboard-meta">${new Date(run.date).toLocaleString()}</span>
+          </div>
+        </div>
+      `
+    }).join('')
+  }
+
+  document.getElementById('leaderboardDialog').style.display = ''
 }
 
-function loadGame() {
-  const saved = localStorage.getItem('incrementalGameSave')
+/**
+ * Show or hide a run's round-by-round breakdown
+ */
+function toggleRunBreakdown(runEl) {
+  const existing = runEl.querySelector('.leaderboard-breakdown')
+  if (existing) {
+    existing.remove()
+    return
+  }
+
+  const buildingNames = Object.fromEntries(game.buildingManager.buildingTypes.map(bt => [bt.id, bt.name]))
+  const rows = game.leaderboardManager.getRunBreakdown(runEl.dataset.runId).map(round => {
+    const collected = Object.entries(round.resourcesCollected)
+      .map(([resourceId, amount]) => `${resources[resourceId]?.icon || resourceId}${Math.floor(amount)}`)
+      .join(' ') || '-'
+    const built = Object.entries(round.buildingsBuilt)
+      .map(([buildingTypeId, count]) => `${buildingNames[buildingTypeId] || buildingTypeId} ×${count}`)
+      .join(', ') || '-'
+
+    return `<tr><td>${round.round}</td><td>${collected}</td><td>${built}</td></tr>`
+  }).join('')
+
+  const breakdown = document.createElement('div')
+  breakdown.className = 'leaderboard-breakdown'
+  breakdown.innerHTML = `
+    <table>
+      <tr><th>Round</th><th>Collected</th><th>Built</th></tr>
+      ${rows}
+    </table>
+  `
+  runEl.appendChild(breakdown)
+}
+
+function saveLeaderboard() {
+  localStorage.setItem('incrementalGameLeaderboard', JSON.stringify(game.leaderboardManager.getState()))
+}
+
+function loadLeaderboard() {
+  const saved = localStorage.getItem('incrementalGameLeaderboard')
   if (saved) {
     try {
-      const state = JSON.parse(saved)
-      game.loadState(state)
-
-      // Rebuild all UI
-      buildSkillList()
-      buildActivityList(selectedSkill)
-      buildResourceTicker()
-      buildActiveActivitiesPanel()
-      updateActiveActivitiesPanel()
-      buildUpgradeList()
-      buildWorkerPanel()
-      updateWorkerPanel()
-      buildBuildingMenu()
+      game.leaderboardManager.loadState(JSON.parse(saved))
+    } catch (e) {
+      console.error('Failed to load leaderboard:', e)
+    }
+  }
+}
 
-      showNotification('📂 Game loaded!')
+/**
+ * Save to the active slot
+ * When storage is full, older backups are dropped to make room before trying once more
+ */
+function saveGame() {
+  const slotId = saveManager.getActiveSlot()
+  try {
+    try {
+      saveManager.save(slotId, game.getState())
     } catch (e) {
-      console.error('Failed to load game:', e)
+      if (e.name !== 'QuotaExceededError' && e.name !== 'NS_ERROR_DOM_QUOTA_REACHED') throw e
+
+      saveManager.trimBackups()
+      saveManager.save(slotId, game.getState())
     }
+    showNotification('💾 Game saved!')
+  } catch (e) {
+    console.error('Failed to save game:', e)
+    showNotification(`❌ Could not save: ${e.message}`)
+  }
+}
+
+/**
+ * Load the active slot on startup
+ * A save that fails its checksum is swapped for the newest good backup; it stays in the
+ * backups list (after the next save) so it can still be loaded by hand
+ */
+function loadGame() {
+  const slotId = saveManager.getActiveSlot()
+  const result = saveManager.read(slotId)
+  if (!result) return
+
+  if (result.valid) {
+    applyLoadedState(result.state)
+    showNotification('📂 Game loaded!')
+    return
+  }
+
+  console.error('Save failed its integrity check:', result.reason)
+  const backup = saveManager.getLatestValidBackup(slotId)
+  if (backup) {
+    applyLoadedState(backup.state)
+    showNotification(`⚠️ Save was damaged - restored the backup from ${new Date(backup.savedAt).toLocaleString()}`)
+  } else if (result.state && confirm(`${result.reason}.\n\nNo backup is available. Load it anyway?`)) {
+    applyLoadedState(result.state)
+  }
+}
+
+/**
+ * Load game state and rebuild the UI around it
+ * @returns {boolean} Whether the state loaded
+ */
+function applyLoadedState(state) {
+  try {
+    game.loadState(state)
+  } catch (e) {
+    console.error('Failed to load game:', e)
+    showNotification('❌ That save could not be loaded')
+    return false
+  }
+
+  // Rebuild all UI
+  buildSkillList()
+  buildActivityList(selectedSkill)
+  buildResourceTicker()
+  buildActiveActivitiesPanel()
+  updateActiveActivitiesPanel()
+  buildUpgradeList()
+  buildAchievementList()
+  buildWorkerPanel()
+  updateWorkerPanel()
+  buildBuildingMenu()
+  buildConstructionQueue()
+  updateTradePanel()
+  updateStoragePanel()
+  updateRoundBar()
+  updateSkillResourceIndicators()
+
+  if (game.mode === 'rounds' && game.roundManager.gameEnded) {
+    showScoreScreen()
+  }
+  return true
+}
+
+/**
+ * Check a parsed save and, if the player agrees, load it
+ * @param {Object} result - From saveManager.parseSave()/read()/readBackup()
+ */
+function confirmAndLoad(result) {
+  if (!result || !result.state) {
+    showNotification(`❌ ${result?.reason || 'Save not found'}`)
+    return false
+  }
+  if (!result.valid && !confirm(`${result.reason}.\n\nLoad it anyway?`)) {
+    return false
   }
+  return applyLoadedState(result.state)
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div')
+  div.textContent = text
+  return div.innerHTML
+}
+
+function isMapOpen() {
+  return document.getElementById('mapDialog').style.display !== 'none'
+}
+
+/**
+ * Open the resource map, creating its renderer on first use
+ */
+function showMapDialog() {
+  if (!mapRenderer) {
+    mapRenderer = new Renderer(document.getElementById('mapCanvas'), game)
+  }
+
+  buildMapNodeList()
+  document.getElementById('mapDialog').style.display = ''
+  mapRenderer.render()
+}
+
+/**
+ * Render the save slot list
+ */
+function showSavesDialog() {
+  const container = document.getElementById('saveSlotList')
+  const activeSlot = saveManager.getActiveSlot()
+  const slots = saveManager.listSlots()
+
+  if (slots.length === 0) {
+    container.innerHTML = '<p class="leaderboard-empty">Nothing saved yet.</p>'
+  } else {
+    container.innerHTML = slots.map(slot => `
+      <div class="save-slot ${slot.id === activeSlot ? 'active' : ''}" data-slot-id="${slot.id}">
+        <div class="save-slot-header">
+          <span class="save-slot-name">${escapeHtml(slot.name)}${slot.id === activeSlot ? ' (playing)' : ''}</span>
+          <span class="leaderboard-meta">${slot.mode === 'rounds' ? '⏱️ Rounds' : '♾️ Idle'} • ${new Date(slot.savedAt).toLocaleString()}</span>
+          <button class="btn-primary" data-action="load">Load</button>
+          <button class="btn-ghost" data-action="backups">Backups</button>
+          ${slot.id === activeSlot ? '' : '<button class="btn-danger" data-action="delete">Delete</button>'}
+        </div>
+      </div>
+    `).join('')
+  }
+
+  document.getElementById('savesDialog').style.display = ''
+}
+
+/**
+ * Show or hide a slot's backups
+ */
+function toggleSlotBackups(slotEl) {
+  const existing = slotEl.querySelector('.save-backups')
+  if (existing) {
+    existing.remove()
+    return
+  }
+
+  const backups = saveManager.getBackups(slotEl.dataset.slotId)
+  const list = document.createElement('div')
+  list.className = 'save-backups'
+  list.innerHTML = backups.length === 0
+    ? '<span class="leaderboard-meta">No backups yet - one is kept each time this slot is saved over.</span>'
+    : backups.map(backup => `
+      <div class="save-backup ${backup.valid ? '' : 'corrupted'}">
+        <span>${backup.savedAt ? new Date(backup.savedAt).toLocaleString() : 'Unknown date'}${backup.valid ? '' : ' ⚠️ damaged'}</span>
+        <button class="btn-ghost" data-action="restore" data-backup-index="${backup.index}">Restore</button>
+      </div>
+    `).join('')
+  slotEl.appendChild(list)
+}
+
+function handleSaveSlotClick(e) {
+  const button = e.target.closest('button[data-action]')
+  const slotEl = e.target.closest('.save-slot')
+  if (!button || !slotEl) return
+
+  const slotId = slotEl.dataset.slotId
+
+  switch (button.dataset.action) {
+    case 'load':
+      if (confirmAndLoad(saveManager.read(slotId))) {
+        saveManager.setActiveSlot(slotId)
+        document.getElementById('savesDialog').style.display = 'none'
+        showNotification('📂 Game loaded!')
+      }
+      break
+    case 'backups':
+      toggleSlotBackups(slotEl)
+      break
+    case 'restore':
+      if (confirmAndLoad(saveManager.readBackup(slotId, Number(button.dataset.backupIndex)))) {
+        // Saving puts the slot's current save into the backups, so the restore can be undone
+        saveManager.setActiveSlot(slotId)
+        saveManager.save(slotId, game.getState())
+        document.getElementById('savesDialog').style.display = 'none'
+        showNotification('⏪ Backup restored!')
+      }
+      break
+    case 'delete':
+      if (confirm('Delete this save and its backups? This cannot be undone!')) {
+        saveManager.deleteSlot(slotId)
+        showSavesDialog()
+      }
+      break
+  }
+}
+
+/**
+ * Save the current game to a new slot and keep playing there
+ */
+function saveToNewSlot() {
+  const slotId = saveManager.createSlotId()
+  const name = prompt('Name this save:', `Save ${saveManager.listSlots().length + 1}`)
+  if (name === null) return
+
+  saveManager.save(slotId, game.getState(), name.trim() || 'Save')
+  saveManager.setActiveSlot(slotId)
+  showSavesDialog()
+  showNotification('💾 Saved to a new slot!')
+}
+
+function exportSaveFile() {
+  const envelope = saveManager.createEnvelope(game.getState(), 'Exported save')
+  const blob = new Blob([JSON.stringify(envelope)], { type: 'application/json' })
+  const link = document.createElement('a')
+  link.href = URL.createObjectURL(blob)
+  link.download = `automation-idle-${new Date(envelope.savedAt).toISOString().slice(0, 10)}.json`
+  link.click()
+  URL.revokeObjectURL(link.href)
+}
+
+function exportSaveCode() {
+  const code = saveManager.exportSave(game.getState(), 'Exported save')
+  const textArea = document.getElementById('saveCodeText')
+  textArea.value = code
+  textArea.select()
+
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(code)
+      .then(() => showNotification('📋 Save code copied!'))
+      .catch(() => showNotification('📋 Copy the save code from the box'))
+  } else {
+    showNotification('📋 Copy the save code from the box')
+  }
+}
+
+/**
+ * Import a save code or file into a new slot and switch to it
+ */
+function importSave(text) {
+  if (!text.trim()) return
+
+  const result = saveManager.parseSave(text)
+  if (!confirmAndLoad(result)) return
+
+  const slotId = saveManager.createSlotId()
+  saveManager.save(slotId, game.getState(), `${result.name || 'Save'} (imported)`)
+  saveManager.setActiveSlot(slotId)
+  document.getElementById('saveCodeText').value = ''
+  showSavesDialog()
+  showNotification('📥 Save imported!')
 }
 
 function restartGame() {
+  showNewGameDialog()
+}
+
+function showNewGameDialog() {
+  document.getElementById('newGameDialog').style.display = ''
+}
+
+function hideNewGameDialog() {
+  document.getElementById('newGameDialog').style.display = 'none'
+}
+
+/**
+ * Wipe the save and start over in the chosen mode ('idle' or 'rounds')
+ */
+function startNewGame(mode) {
+  hideNewGameDialog()
+
   // Reset game
-  game.reset()
-  localStorage.removeItem('incrementalGameSave')
+  game.reset({ mode })
+
+  // Save straight away so the previous game ends up in the slot's backups
+  saveManager.save(saveManager.getActiveSlot(), game.getState())
 
   buildSkillList()
   buildActivityList(selectedSkill)
@@ -1573,14 +2894,19 @@ function restartGame() {
   buildActiveActivitiesPanel()
   updateActiveActivitiesPanel()
   buildUpgradeList()
+  buildAchievementList()
   buildWorkerPanel()
   updateWorkerPanel()
   buildBuildingMenu()
+  buildConstructionQueue()
+  updateTradePanel()
+  updateStoragePanel()
+  updateRoundBar()
 
   // Switch to activities tab
   switchTab('activities')
 
-  showNotification('🔄 Game reset! Good luck!')
+  showNotification(mode === 'rounds' ? '⏱️ Rounds game started! Good luck!' : '🔄 Game reset! Good luck!')
 }
 
 function resetGame() {
@@ -1,3 +1,25 @@
+/**
+ * Lifetime stats that achievements are checked against
+ */
+function createEmptyStats() {
+  return {
+    resourcesEarned: {},
+    activitiesCompleted: {},
+    buildingsBuilt: {},         // { buildingTypeId: count }
+    buildingUpgradeLevels: {},  // { buildingTypeId: { upgradeId: highest level } }
+    workersTrained: {},         // { workerTypeId: count }
+    storageFilled: [],          // Resource ids that have ever hit their storage limit
+    phasesReached: []           // Tech tree phase ids
+  }
+}
+
+/**
+ * Sum the values of a count map
+ */
+function sumCounts(counts) {
+  return Object.values(counts).reduce((total, count) => total + count, 0)
+}
+
 /**
  * Manages achievement tracking and unlocking
  */
@@ -6,10 +28,7 @@ export class AchievementManager {
     this.achievementDefinitions = achievementDefinitions || []
     this.eventBus = eventBus
     this.unlocked = []
-    this.stats = {
-      resourcesEarned: {},
-      activitiesCompleted: {}
-    }
+    this.stats = createEmptyStats()
   }
 
   /**
@@ -33,8 +52,75 @@ export class AchievementManager {
     this.stats.activitiesCompleted[skillId] = (this.stats.activitiesCompleted[skillId] || 0) + 1
   }
 
+  /**
+   * Track a building finishing construction
+   */
+  trackBuilding(buildingTypeId) {
+    this.stats.buildingsBuilt[buildingTypeId] = (this.stats.buildingsBuilt[buildingTypeId] || 0) + 1
+  }
+
+  /**
+   * Track a building upgrade reaching a level (keeps the highest level seen)
+   */
+  trackBuildingUpgrade(buildingTypeId, upgradeId, level) {
+    const levels = this.stats.buildingUpgradeLevels[buildingTypeId] || {}
+    levels[upgradeId] = Math.max(levels[upgradeId] || 0, level)
+    this.stats.buildingUpgradeLevels[buildingTypeId] = levels
+  }
+
+  /**
+   * Track a worker finishing training
+   */
+  trackWorkerTrained(workerTypeId) {
+    this.stats.workersTrained[workerTypeId] = (this.stats.workersTrained[workerTypeId] || 0) + 1
+  }
+
+  /**
+   * Track a resource hitting its storage limit
+   */
+  trackStorageFilled(resourceId) {
+    if (!this.stats.storageFilled.includes(resourceId)) {
+      this.stats.storageFilled.push(resourceId)
+    }
+  }
+
+  /**
+   * Track reaching a tech tree phase
+   */
+  trackPhase(phase) {
+    if (!this.stats.phasesReached.includes(phase)) {
+      this.stats.phasesReached.push(phase)
+    }
+  }
+
+  /**
+   * Get the name, description and icon to show for an achievement
+   * Hidden achievements stay a mystery until unlocked
+   */
+  getDisplayInfo(achievementId) {
+    const achievement = this.achievementDefinitions.find(a => a.id === achievementId)
+    if (!achievement) return null
+
+    if (achievement.hidden && !this.isUnlocked(achievementId)) {
+      return {
+        name: 'Secret Achievement',
+        description: 'Keep playing to discover this one',
+        icon: '❓',
+        hidden: true
+      }
+    }
+
+    return {
+      name: achievement.name,
+      description: achievement.description,
+      icon: achievement.icon,
+      hidden: false
+    }
+  }
+
   /**
    * Check specific achievement
+   * @param {Object} gameState - { skills, upgrades, workers: { workerTypeId: owned } }
    */
   checkAchievement(achievementId, gameState) {
     if (this.isUnlocked(achievementId)) return false
@@ -78,6 +164,54 @@ export class AchievementManager {
           (skill.level || 1) >= achievement.requirement.level
         )
         break
+
+      case 'buildingsBuilt': {
+        const { buildingTypeId, count } = achievement.requirement
+        const built = buildingTypeId
+          ? this.stats.buildingsBuilt[buildingTypeId] || 0
+          : sumCounts(this.stats.buildingsBuilt)
+        requirementMet = built >= count
+        break
+      }
+
+      case 'buildingUpgradeLevel': {
+        const { buildingTypeId, upgradeId, level } = achievement.requirement
+        requirementMet = Object.entries(this.stats.buildingUpgradeLevels)
+          .filter(([typeId]) => !buildingTypeId || typeId === buildingTypeId)
+          .some(([, levels]) => Object.entries(levels)
+            .some(([id, reached]) => (!upgradeId || id === upgradeId) && reached >= level))
+        break
+      }
+
+      case 'workersOwned': {
+        const { workerTypeId, count } = achievement.requirement
+        const workers = gameState.workers || {}
+        const owned = workerTypeId ? workers[workerTypeId] || 0 : sumCounts(workers)
+        requirementMet = owned >= count
+        break
+      }
+
+      case 'workersTrained': {
+        const { workerTypeId, count } = achievement.requirement
+        const trained = workerTypeId
+          ? this.stats.workersTrained[workerTypeId] || 0
+          : sumCounts(this.stats.workersTrained)
+        requirementMet = trained >= count
+        break
+      }
+
+      case 'storageFilled': {
+        const { resourceId, count = 1 } = achievement.requirement
+        requirementMet = resourceId
+          ? this.stats.storageFilled.includes(resourceId)
+          : this.stats.storageFilled.length >= count
+        break
+      }
+
+      case 'phaseReached':
+        // Phases can be entered out of order, so any later phase counts too
+        requirementMet = this.stats.phasesReached.some(phase => phase >= achievement.requirement.phase)
+        break
     }
 
     if (requirementMet) {
@@ -114,10 +248,7 @@ export class AchievementManager {
   getState() {
     return {
       unlocked: [...this.unlocked],
-      stats: {
-        resourcesEarned: { ...this.stats.resourcesEarned },
-        activitiesCompleted: { ...this.stats.activitiesCompleted }
-      }
+      stats: JSON.parse(JSON.stringify(this.stats))
     }
   }
 
@@ -129,10 +260,14 @@ export class AchievementManager {
       this.unlocked = [...state.unlocked]
     }
     if (state.stats) {
+      const stats = JSON.parse(JSON.stringify(state.stats))
       this.stats = {
-        resourcesEarned: { ...(state.stats.resourcesEarned || state.stats.currenciesEarned || {}) },
-        activitiesCompleted: { ...state.stats.activitiesCompleted }
+        ...createEmptyStats(),
+        ...stats,
+        resourcesEarned: stats.resourcesEarned || stats.currenciesEarned || {},
+        activitiesCompleted: stats.activitiesCompleted || {}
       }
+      delete this.stats.currenciesEarned
     }
   }
 
@@ -141,9 +276,6 @@ export class AchievementManager {
    */
   reset() {
     this.unlocked = []
-    this.stats = {
-      resourcesEarned: {},
-      activitiesCompleted: {}
-    }
+    this.stats = createEmptyStats()
   }
 }
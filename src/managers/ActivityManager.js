@@ -11,6 +11,7 @@ export class ActivityManager {
     this.upgradeManager = upgradeManager
     this.workerManager = workerManager
     this.activeActivities = new Map()
+    this.clock = () => Date.now()
   }
 
   /**
@@ -27,6 +28,11 @@ export class ActivityManager {
       return false
     }
 
+    // Striking workers down tools until their demand is met
+    if (this.workerManager.isOnStrike(activityId)) {
+      return false
+    }
+
     // Check if activity requires a specific worker type
     if (activity.workerRequired) {
       const workerCount = this.resourceManager.get(activity.workerRequired)
@@ -80,16 +86,28 @@ export class ActivityManager {
       if (newProgress >= 1) {
         // Set progress to exactly 1 so UI shows 100% before completing
         state.progress = 1
-        // Activity completed
-        completed.push(activityId)
+        // Activity completed - big crews can finish several cycles in one tick
+        const cycles = Math.floor(newProgress)
+        completed.push({ activityId, cycles, carryMs: elapsed - cycles * state.duration })
       } else {
         state.progress = newProgress
       }
     }
 
-    // Complete all finished activities
-    completed.forEach(activityId => {
+    // Complete all finished activities (extra cycles only while inputs last)
+    completed.forEach(({ activityId, cycles, carryMs }) => {
       this._completeActivity(activityId)
+      let done = 1
+      for (; done < cycles && this.canRun(activityId); done++) {
+        this._completeActivity(activityId)
+      }
+
+      // Time past the last whole cycle counts toward the next one
+      if (done === cycles && carryMs > 0 && this.canRun(activityId)) {
+        this._startActivity(activityId)
+        const restarted = this.activeActivities.get(activityId)
+        if (restarted) restarted.progress = carryMs / restarted.duration
+      }
     })
   }
 
@@ -103,7 +121,7 @@ export class ActivityManager {
     const activity = this.activityDefinitions.find(a => a.id === activityId)
     if (!activity) return
 
-    const now = Date.now()
+    const now = this.clock()
 
     // Use effective duration (with worker speed and upgrades)
     const effectiveDuration = this.getEffectiveDuration(activityId)
@@ -161,9 +179,10 @@ export class ActivityManager {
     // Consume inputs (with cost reduction applied)
     this.resourceManager.spendCosts(effectiveInputs)
 
-    // Consume speed boost resources
+    // Consume speed boost resources and season the crew
     if (this.workerManager) {
       this.workerManager.consumeSpeedBoosts(activityId)
+      this.workerManager.addVeterancy(activityId)
     }
 
     // Grant outputs
@@ -245,7 +264,7 @@ export class ActivityManager {
 
     // Apply worker speed multiplier (workers = inverted to get duration)
     if (this.workerManager) {
-      const workerSpeedMultiplier = this.workerManager.getSpeedMultiplier(activityId, activity.skillId)
+      const workerSpeedMultiplier = this.workerManager.getSpeedMultiplier(activityId, activity.skillId, activity.workerScaling)
       if (workerSpeedMultiplier === 0) {
         return Infinity  // No workers = infinite duration (doesn't run)
       }
@@ -326,6 +345,34 @@ export class ActivityManager {
       }
     }
 
+    // Specialists with an output affinity bring back more per cycle
+    if (this.workerManager) {
+      const workerOutputMultiplier = this.workerManager.getOutputMultiplier(activityId, activity.skillId, activity.workerScaling)
+      if (workerOutputMultiplier !== 1) {
+        for (const [resourceId, amount] of Object.entries(outputs)) {
+          outputs[resourceId] = Math.round(amount * workerOutputMultiplier * 100) / 100
+        }
+      }
+    }
+
     return outputs
   }
+
+  /**
+   * Get how much an automated activity produces per second right now
+   * @param {string} activityId - Activity identifier
+   * @returns {Object} { resourceId: perSecond } (empty if it can't run)
+   */
+  getProductionRate(activityId) {
+    if (!this.canRun(activityId)) return {}
+
+    const duration = this.getEffectiveDuration(activityId)
+    if (!isFinite(duration) || duration <= 0) return {}
+
+    const rates = {}
+    for (const [resourceId, amount] of Object.entries(this.getEffectiveOutputs(activityId))) {
+      rates[resourceId] = amount / duration
+    }
+    return rates
+  }
 }
@@ -1,4 +1,4 @@
-import { buildingTypes, townSettings } from '../data/buildings.js'
+import { buildingTypes, adjacencyBonuses, townSettings } from '../data/buildings.js'
 
 /**
  * BuildingManager - Manages city buildings, construction, and upgrades
@@ -9,10 +9,26 @@ export class BuildingManager {
     this.resourceManager = resourceManager
     this.buildingTypes = buildingTypes
     this.townSettings = townSettings
+    this.adjacencyBonuses = adjacencyBonuses
+    this.adjacencyBonusTypes = new Set(adjacencyBonuses.flatMap(rule => Object.keys(rule.effect)))
 
-    // Built buildings: { buildingId: [{ instanceId, level, upgrades: {}, constructionStartTime, constructionComplete, rooms: [] }] }
+    // Caches - rebuilt lazily after a build, move, removal, completion, upgrade or slot unlock
+    this.slotIndex = null // Map of slot -> building instance
+    this.adjacencyCache = new Map() // instanceId -> active adjacency bonuses
+    this.bonusCache = new Map() // bonusType -> town-wide total
+
+    // Built buildings: { buildingId: [{ instanceId, slot, level, upgrades: {}, constructionStartTime, constructionComplete, rooms: [] }] }
     this.buildings = {}
 
+    // Construction queue - projects waiting for a free builder crew, in order (instance IDs)
+    // Waiting projects have a null constructionStartTime until a crew picks them up
+    this.constructionQueue = []
+    this.builderCrews = townSettings.builderCrews
+    this.builders = 0 // Workers assigned to help the crews
+
+    // Linked by GameEngine so builders only come from idle workers
+    this.workerManager = null
+
     // Town slots
     this.availableSlots = townSettings.startingSlots
     this.usedSlots = 0
@@ -23,6 +39,13 @@ export class BuildingManager {
     // Training halls - track training queues
     this.trainingQueues = {} // { instanceId: [{ programId, startTime, duration }] }
 
+    // Time and randomness sources (GameEngine injects its own for offline and headless runs)
+    this.clock = () => Date.now()
+    this.rng = Math.random
+
+    // Why construction is blocked right now (set by game modes, null = allowed)
+    this.constructionLock = null
+
     // Track resources mined for unlock conditions
     this.resourcesMined = {}
   }
@@ -40,16 +63,31 @@ export class BuildingManager {
 
   /**
    * Check if a building type can be built
+   * @param {string} buildingTypeId
+   * @param {number|null} slot - Target grid slot (null = first free slot)
    */
-  canBuild(buildingTypeId) {
+  canBuild(buildingTypeId, slot = null) {
     const buildingType = this.buildingTypes.find(b => b.id === buildingTypeId)
     if (!buildingType) return { canBuild: false, reason: 'Invalid building type' }
 
+    if (this.constructionLock) {
+      return { canBuild: false, reason: this.constructionLock }
+    }
+
     // Check slot availability
     if (this.usedSlots >= this.availableSlots) {
       return { canBuild: false, reason: 'No available building slots' }
     }
 
+    if (slot !== null) {
+      if (!this.isValidSlot(slot)) {
+        return { canBuild: false, reason: 'Invalid town slot' }
+      }
+      if (this.getBuildingAtSlot(slot)) {
+        return { canBuild: false, reason: 'Slot is occupied' }
+      }
+    }
+
     // Check max count
     const currentCount = this.buildings[buildingTypeId]?.length || 0
     if (currentCount >= buildingType.maxCount) {
@@ -110,11 +148,204 @@ export class BuildingManager {
     return cost
   }
 
+  /**
+   * Get the cost of unlocking the next town slot (scales with slots already unlocked)
+   */
+  getSlotUnlockCost() {
+    const unlocked = this.availableSlots - this.townSettings.startingSlots
+    const multiplier = Math.pow(this.townSettings.slotUnlockCostMultiplier, unlocked)
+
+    const cost = {}
+    for (const [resource, amount] of Object.entries(this.townSettings.slotUnlockCost)) {
+      cost[resource] = Math.floor(amount * multiplier)
+    }
+
+    return cost
+  }
+
+  /**
+   * Check if another town slot can be unlocked
+   * @returns {{ canUnlock: boolean, reason?: string }}
+   */
+  canUnlockSlot() {
+    if (this.availableSlots >= this.townSettings.maxBuildingSlots) {
+      return { canUnlock: false, reason: 'All town slots unlocked' }
+    }
+
+    if (this.constructionLock) {
+      return { canUnlock: false, reason: this.constructionLock }
+    }
+
+    if (!this.resourceManager.canAfford(this.getSlotUnlockCost())) {
+      return { canUnlock: false, reason: 'Not enough resources' }
+    }
+
+    return { canUnlock: true }
+  }
+
+  /**
+   * Pay to unlock one more town slot
+   * @returns {number} New number of available slots
+   */
+  unlockSlot() {
+    const check = this.canUnlockSlot()
+    if (!check.canUnlock) {
+      throw new Error(check.reason)
+    }
+
+    const cost = this.getSlotUnlockCost()
+    this.resourceManager.spendCosts(cost)
+    this.availableSlots++
+    this.invalidateCache()
+
+    if (this.eventBus) {
+      this.eventBus.emit('building:slot_unlocked', {
+        availableSlots: this.availableSlots,
+        cost
+      })
+    }
+
+    return this.availableSlots
+  }
+
+  /**
+   * Check if a slot index is inside the unlocked part of the town grid
+   * @param {number} slot
+   * @returns {boolean}
+   */
+  isValidSlot(slot) {
+    return Number.isInteger(slot) && slot >= 0 && slot < this.availableSlots
+  }
+
+  /**
+   * Get the building standing in a grid slot
+   * @param {number} slot
+   * @returns {Object|null} Building instance
+   */
+  getBuildingAtSlot(slot) {
+    if (!this.slotIndex) {
+      this.slotIndex = new Map()
+      for (const building of this.getAllBuildings()) {
+        if (Number.isInteger(building.slot)) this.slotIndex.set(building.slot, building)
+      }
+    }
+    return this.slotIndex.get(slot) || null
+  }
+
+  /**
+   * Drop the cached slot map, adjacency bonuses and bonus totals so they're worked out again
+   * Call after changing buildings directly rather than through the manager
+   */
+  invalidateCache() {
+    this.slotIndex = null
+    this.adjacencyCache.clear()
+    this.bonusCache.clear()
+  }
+
+  /**
+   * Get the lowest unlocked slot with nothing in it
+   * @returns {number|null}
+   */
+  getFreeSlot() {
+    const taken = new Set(this.getAllBuildings().map(b => b.slot))
+    for (let slot = 0; slot < this.availableSlots; slot++) {
+      if (!taken.has(slot)) return slot
+    }
+    return null
+  }
+
+  /**
+   * Get the slots sharing an edge with a slot (up, down, left, right)
+   * @param {number} slot
+   * @returns {number[]}
+   */
+  getNeighborSlots(slot) {
+    const columns = this.townSettings.gridColumns
+    const col = slot % columns
+    const neighbors = [slot - columns, slot + columns]
+    if (col > 0) neighbors.push(slot - 1)
+    if (col < columns - 1) neighbors.push(slot + 1)
+    return neighbors.filter(neighbor => neighbor >= 0 && neighbor < this.townSettings.maxBuildingSlots)
+  }
+
+  /**
+   * Check if a completed building can be moved to another slot
+   * Moving onto another completed building swaps the two
+   * @param {string} instanceId
+   * @param {number} slot
+   * @returns {{ canMove: boolean, reason?: string }}
+   */
+  canMoveBuilding(instanceId, slot) {
+    const building = this.getBuildingInstance(instanceId)
+    if (!building) {
+      return { canMove: false, reason: 'Building not found' }
+    }
+
+    if (!building.constructionComplete) {
+      return { canMove: false, reason: 'Building not complete' }
+    }
+
+    if (this.constructionLock) {
+      return { canMove: false, reason: this.constructionLock }
+    }
+
+    if (!this.isValidSlot(slot)) {
+      return { canMove: false, reason: 'Invalid town slot' }
+    }
+
+    if (building.slot === slot) {
+      return { canMove: false, reason: 'Building is already there' }
+    }
+
+    const occupant = this.getBuildingAtSlot(slot)
+    if (occupant && !occupant.constructionComplete) {
+      return { canMove: false, reason: 'Slot is under construction' }
+    }
+
+    return { canMove: true }
+  }
+
+  /**
+   * Move a completed building to another slot, swapping with any building there
+   * @param {string} instanceId
+   * @param {number} slot
+   * @returns {string|null} Instance ID of the building it swapped with
+   */
+  moveBuilding(instanceId, slot) {
+    const check = this.canMoveBuilding(instanceId, slot)
+    if (!check.canMove) {
+      throw new Error(check.reason)
+    }
+
+    const building = this.getBuildingInstance(instanceId)
+    const occupant = this.getBuildingAtSlot(slot)
+    const fromSlot = building.slot
+
+    if (occupant) {
+      occupant.slot = fromSlot
+    }
+    building.slot = slot
+    this.invalidateCache()
+
+    if (this.eventBus) {
+      this.eventBus.emit('building:moved', {
+        instanceId,
+        fromSlot,
+        slot,
+        swappedWith: occupant ? occupant.instanceId : null
+      })
+    }
+
+    return occupant ? occupant.instanceId : null
+  }
+
   /**
    * Start building construction
+   * @param {string} buildingTypeId
+   * @param {number|null} slot - Target grid slot (null = first free slot)
    */
-  startConstruction(buildingTypeId) {
-    const check = this.canBuild(buildingTypeId)
+  startConstruction(buildingTypeId, slot = null) {
+    const check = this.canBuild(buildingTypeId, slot)
     if (!check.canBuild) {
       throw new Error(check.reason)
     }
@@ -126,15 +357,18 @@ export class BuildingManager {
     this.resourceManager.spendCosts(cost)
 
     // Create building instance
-    const instanceId = `${buildingTypeId}_${Date.now()}_${Math.random()}`
+    const instanceId = `${buildingTypeId}_${this.clock()}_${this.rng().toString(36).slice(2, 10)}`
     const buildingInstance = {
       instanceId,
       buildingTypeId,
+      slot: slot ?? this.getFreeSlot(),
       level: 1,
       upgrades: {}, // { upgradeId: level }
-      constructionStartTime: Date.now(),
+      constructionStartTime: null, // Set when a builder crew starts on it
       constructionComplete: false,
-      constructionDuration: buildingType.constructionTime * 1000 // Convert to ms
+      constructionDuration: buildingType.constructionTime * 1000, // Convert to ms
+      constructionSpeed: 1,
+      paidCost: cost // Refunded in full if the project is cancelled
     }
 
     // Initialize worker-generating building data (house, garage, droneServer, etc.)
@@ -165,33 +399,254 @@ export class BuildingManager {
       this.buildings[buildingTypeId] = []
     }
     this.buildings[buildingTypeId].push(buildingInstance)
+    this.invalidateCache()
 
     // Use a slot
     this.usedSlots++
 
+    // Join the queue - starts right away if a crew is free
+    this.constructionQueue.push(instanceId)
+    this._emitQueueChanged('queued', instanceId)
+    this.startQueuedProjects()
+
     // Emit event
     if (this.eventBus) {
       this.eventBus.emit('building:construction_started', {
         buildingTypeId,
         instanceId,
-        duration: buildingType.constructionTime
+        duration: buildingType.constructionTime,
+        queued: buildingInstance.constructionStartTime === null
       })
     }
 
     return instanceId
   }
 
+  /**
+   * Get projects a builder crew is working on
+   * @returns {Object[]} Building instances
+   */
+  getActiveConstructions() {
+    return this.getAllBuildings().filter(b => !b.constructionComplete && b.constructionStartTime !== null)
+  }
+
+  /**
+   * Get projects waiting for a builder crew, in queue order
+   * @returns {Object[]} Building instances
+   */
+  getConstructionQueue() {
+    return this.constructionQueue.map(instanceId => this.getBuildingInstance(instanceId)).filter(Boolean)
+  }
+
+  /**
+   * Hand waiting projects to any free builder crews, front of the queue first
+   * Builders go back to the worker pool once there's nothing left to build
+   */
+  startQueuedProjects() {
+    while (this.constructionQueue.length > 0 && this.getActiveConstructions().length < this.builderCrews) {
+      const instanceId = this.constructionQueue.shift()
+      const building = this.getBuildingInstance(instanceId)
+      if (!building) continue
+
+      building.constructionStartTime = this.clock()
+      this._emitQueueChanged('started', instanceId)
+    }
+
+    if (this.builders > 0 && this.getActiveConstructions().length === 0) {
+      this.builders = 0
+      this._emitQueueChanged('builders')
+    }
+
+    this.updateConstructionSpeed()
+  }
+
+  /**
+   * Get how many builders are actually available (workers may have left since they were assigned)
+   * @param {string} workerTypeId
+   * @returns {number}
+   */
+  getBuilderCount(workerTypeId = this.townSettings.builderWorkerType) {
+    if (workerTypeId !== this.townSettings.builderWorkerType) return 0
+    return Math.min(this.builders, this.resourceManager.get(workerTypeId))
+  }
+
+  /**
+   * Get the most builders the crews can take on
+   * @returns {number}
+   */
+  getMaxBuilders() {
+    return this.builderCrews * this.townSettings.buildersPerCrew
+  }
+
+  /**
+   * Get the construction speed multiplier on each active site
+   * Builders split evenly between the sites, up to a crew's worth on each
+   * @returns {number}
+   */
+  getConstructionSpeed() {
+    const sites = Math.max(1, this.getActiveConstructions().length)
+    const buildersPerSite = Math.min(this.townSettings.buildersPerCrew, this.getBuilderCount() / sites)
+    return 1 + buildersPerSite * this.townSettings.builderSpeedBonus
+  }
+
+  /**
+   * Re-time active projects when the construction speed changes, keeping the progress made so far
+   */
+  updateConstructionSpeed() {
+    const speed = this.getConstructionSpeed()
+    const now = this.clock()
+
+    for (const building of this.getActiveConstructions()) {
+      const currentSpeed = building.constructionSpeed || 1
+      if (currentSpeed === speed) continue
+
+      const progress = Math.min((now - building.constructionStartTime) / building.constructionDuration, 1)
+      building.constructionDuration = building.constructionDuration * currentSpeed / speed
+      building.constructionStartTime = now - progress * building.constructionDuration
+      building.constructionSpeed = speed
+    }
+  }
+
+  /**
+   * Get how far along a project is
+   * @param {Object} building - Building instance
+   * @returns {number} 0-1 (0 while it waits in the queue)
+   */
+  getConstructionProgress(building) {
+    if (building.constructionComplete) return 1
+    if (building.constructionStartTime === null) return 0
+    return Math.min(Math.max((this.clock() - building.constructionStartTime) / building.constructionDuration, 0), 1)
+  }
+
+  /**
+   * Check if a number of workers can be assigned as builders
+   * @param {number} count
+   * @returns {{ canSet: boolean, reason?: string }}
+   */
+  canSetBuilders(count) {
+    if (!Number.isInteger(count) || count < 0) {
+      return { canSet: false, reason: 'Invalid builder count' }
+    }
+
+    if (count > this.getMaxBuilders()) {
+      return { canSet: false, reason: `Crews can only take ${this.getMaxBuilders()} builders` }
+    }
+
+    if (count > 0 && this.getActiveConstructions().length === 0) {
+      return { canSet: false, reason: 'Nothing is being built' }
+    }
+
+    // Current builders are already taken out of the available pool
+    const workerTypeId = this.townSettings.builderWorkerType
+    const available = this.workerManager
+      ? this.workerManager.getAvailableWorkers(workerTypeId) + this.getBuilderCount()
+      : this.resourceManager.get(workerTypeId)
+    if (count > available) {
+      return { canSet: false, reason: 'Not enough idle workers' }
+    }
+
+    return { canSet: true }
+  }
+
+  /**
+   * Assign workers as builders to speed up construction
+   * @param {number} count - Total builders wanted
+   * @returns {number} Builders now assigned
+   */
+  setBuilders(count) {
+    const check = this.canSetBuilders(count)
+    if (!check.canSet) {
+      throw new Error(check.reason)
+    }
+
+    this.builders = count
+    this.updateConstructionSpeed()
+    this._emitQueueChanged('builders')
+
+    return this.builders
+  }
+
+  /**
+   * Move a waiting project to another place in the queue
+   * @param {string} instanceId
+   * @param {number} index - New position (clamped to the queue)
+   */
+  moveInQueue(instanceId, index) {
+    const currentIndex = this.constructionQueue.indexOf(instanceId)
+    if (currentIndex === -1) {
+      throw new Error('Project is not in the queue')
+    }
+
+    const newIndex = Math.min(Math.max(index, 0), this.constructionQueue.length - 1)
+    this.constructionQueue.splice(currentIndex, 1)
+    this.constructionQueue.splice(newIndex, 0, instanceId)
+
+    this._emitQueueChanged('moved', instanceId)
+  }
+
+  /**
+   * Cancel an unfinished project and refund everything spent on it
+   * @param {string} instanceId
+   * @returns {Object} Refunded resources
+   */
+  cancelConstruction(instanceId) {
+    const building = this.getBuildingInstance(instanceId)
+    if (!building) {
+      throw new Error('Building not found')
+    }
+
+    if (building.constructionComplete) {
+      throw new Error('Building is already complete')
+    }
+
+    const refund = { ...building.paidCost }
+    for (const [resource, amount] of Object.entries(refund)) {
+      this.resourceManager.add(resource, amount)
+    }
+
+    this.removeBuilding(building)
+
+    if (this.eventBus) {
+      this.eventBus.emit('building:construction_cancelled', {
+        instanceId,
+        buildingTypeId: building.buildingTypeId,
+        refund
+      })
+    }
+    this._emitQueueChanged('cancelled', instanceId)
+
+    // A crew may have just been freed
+    this.startQueuedProjects()
+
+    return refund
+  }
+
   /**
    * Update construction timers and worker generation
    */
   update(deltaTime) {
-    // Update construction timers
+    // Houses finishing this tick weren't standing for the time that passed, so generate first
+    this.updateHouseWorkerGeneration(deltaTime)
+
+    this.updateConstruction()
+
+    // Update training halls
+    this.updateTrainingHalls(deltaTime)
+  }
+
+  /**
+   * Complete any buildings whose construction time has passed, then start waiting projects
+   */
+  updateConstruction() {
+    let completed = false
+
     for (const [buildingTypeId, instances] of Object.entries(this.buildings)) {
       for (const instance of instances) {
-        if (!instance.constructionComplete) {
-          const elapsed = Date.now() - instance.constructionStartTime
+        if (!instance.constructionComplete && instance.constructionStartTime !== null) {
+          const elapsed = this.clock() - instance.constructionStartTime
           if (elapsed >= instance.constructionDuration) {
             instance.constructionComplete = true
+            completed = true
 
             if (this.eventBus) {
               this.eventBus.emit('building:construction_complete', {
@@ -199,16 +654,19 @@ export class BuildingManager {
                 instanceId: instance.instanceId
               })
             }
+            this._emitQueueChanged('completed', instance.instanceId)
           }
         }
       }
     }
 
-    // Update house worker generation
-    this.updateHouseWorkerGeneration(deltaTime)
-
-    // Update training halls
-    this.updateTrainingHalls(deltaTime)
+    if (completed) {
+      this.invalidateCache()
+      this.startQueuedProjects()
+    } else {
+      // Builders may have been lost (quit, trained) since the last update
+      this.updateConstructionSpeed()
+    }
   }
 
   /**
@@ -222,8 +680,6 @@ export class BuildingManager {
 
       const buildings = this.buildings[buildingType.id] || []
       const baseGenerationTime = buildingType.workerGenerationTime * 1000 // ms
-      const bonusReduction = this.getBuildingBonus('workerGenerationTime') * 1000 // ms
-      const effectiveGenerationTime = Math.max(5000, baseGenerationTime - bonusReduction) // Min 5 seconds
 
       // Determine worker type to generate
       const workerType = buildingType.workerType || 'basicWorker' // Default to basicWorker for backwards compatibility
@@ -231,6 +687,10 @@ export class BuildingManager {
       for (const building of buildings) {
         if (!building.constructionComplete) continue
 
+        // Bonuses are negative seconds, and neighbors can speed up each building differently
+        const generationBonus = this.getBuildingBonus('workerGenerationTime', building.instanceId) * 1000 // ms
+        const effectiveGenerationTime = Math.max(5000, baseGenerationTime + generationBonus) // Min 5 seconds
+
         const timers = this.houseWorkerTimers[building.instanceId]
         if (!timers || !building.rooms) continue
 
@@ -266,6 +726,77 @@ export class BuildingManager {
     }
   }
 
+  /**
+   * Get time until the next room produces a worker
+   * @returns {number} Time in ms (Infinity if every room is full)
+   */
+  getTimeToNextWorker() {
+    let soonest = Infinity
+
+    for (const [instanceId, timers] of Object.entries(this.houseWorkerTimers)) {
+      const building = this.getBuildingInstance(instanceId)
+      if (!building || !building.constructionComplete || !building.rooms) continue
+
+      building.rooms.forEach((room, idx) => {
+        const timer = timers[`room${idx}`]
+        if (room.currentWorkers < room.maxWorkers && timer !== undefined) {
+          soonest = Math.min(soonest, timer)
+        }
+      })
+    }
+
+    return soonest
+  }
+
+  /**
+   * Get time until the next building event - a worker, a finished project or a trained worker
+   * @returns {number} Time in ms (Infinity if nothing is pending)
+   */
+  getTimeToNextEvent() {
+    const now = this.clock()
+    let soonest = this.getTimeToNextWorker()
+
+    for (const building of this.getActiveConstructions()) {
+      soonest = Math.min(soonest, building.constructionStartTime + building.constructionDuration - now)
+    }
+
+    for (const queue of Object.values(this.trainingQueues)) {
+      for (const training of queue) {
+        soonest = Math.min(soonest, training.startTime + training.duration - now)
+      }
+    }
+
+    return soonest
+  }
+
+  /**
+   * Free the room of a worker that left, so its house starts producing a replacement
+   * Takes from the fullest room of any house producing that worker type
+   * @param {string} workerTypeId
+   * @returns {boolean} True if a room was freed
+   */
+  releaseWorker(workerTypeId) {
+    let fullest = null
+
+    for (const buildingType of this.buildingTypes) {
+      if (!buildingType.workerGenerationTime) continue
+      if ((buildingType.workerType || 'basicWorker') !== workerTypeId) continue
+
+      for (const building of this.buildings[buildingType.id] || []) {
+        if (!building.constructionComplete || !building.rooms) continue
+        for (const room of building.rooms) {
+          if (room.currentWorkers > 0 && (!fullest || room.currentWorkers > fullest.currentWorkers)) {
+            fullest = room
+          }
+        }
+      }
+    }
+
+    if (!fullest) return false
+    fullest.currentWorkers--
+    return true
+  }
+
   /**
    * Update training halls
    */
@@ -281,7 +812,7 @@ export class BuildingManager {
       if (!queue || queue.length === 0) continue
 
       // Check for completed training
-      const now = Date.now()
+      const now = this.clock()
       const completedIndices = []
 
       queue.forEach((training, idx) => {
@@ -350,7 +881,7 @@ export class BuildingManager {
     queue.push({
       programId: program.id,
       outputWorker: program.outputWorker,
-      startTime: Date.now(),
+      startTime: this.clock(),
       duration: effectiveTime
     })
 
@@ -388,10 +919,32 @@ export class BuildingManager {
   }
 
   /**
-   * Get aggregate bonus from all buildings
+   * Get aggregate bonus from all buildings, including adjacency bonuses
+   * @param {string} bonusType
+   * @param {string|null} instanceId - Also count local adjacency bonuses for this building
+   * @returns {number}
+   */
+  getBuildingBonus(bonusType, instanceId = null) {
+    if (!this.bonusCache.has(bonusType)) {
+      this.bonusCache.set(bonusType, this._sumBuildingBonus(bonusType))
+    }
+
+    let totalBonus = this.bonusCache.get(bonusType)
+    if (instanceId && this.adjacencyBonusTypes.has(bonusType)) {
+      totalBonus += this.getAdjacencyBonus(instanceId, bonusType, true)
+    }
+
+    return totalBonus
+  }
+
+  /**
+   * Add up a bonus across every completed building (uncached)
+   * @private
    */
-  getBuildingBonus(bonusType) {
+  _sumBuildingBonus(bonusType) {
     let totalBonus = 0
+    // Most bonus types have no adjacency rules - skip the neighbor lookups
+    const hasAdjacency = this.adjacencyBonusTypes.has(bonusType)
 
     for (const [buildingTypeId, instances] of Object.entries(this.buildings)) {
       const buildingType = this.buildingTypes.find(b => b.id === buildingTypeId)
@@ -416,12 +969,70 @@ export class BuildingManager {
             }
           }
         }
+
+        if (hasAdjacency) {
+          totalBonus += this.getAdjacencyBonus(instance.instanceId, bonusType, false)
+        }
       }
     }
 
     return totalBonus
   }
 
+  /**
+   * Get the adjacency rules a building currently benefits from
+   * @param {string} instanceId
+   * @returns {Array<{ rule: Object, count: number }>} Each active rule with its number of matching neighbors
+   */
+  getActiveAdjacencyBonuses(instanceId) {
+    if (!this.adjacencyCache.has(instanceId)) {
+      this.adjacencyCache.set(instanceId, this._findAdjacencyBonuses(instanceId))
+    }
+    return this.adjacencyCache.get(instanceId)
+  }
+
+  /**
+   * Work out the adjacency rules a building benefits from (uncached)
+   * @private
+   */
+  _findAdjacencyBonuses(instanceId) {
+    const building = this.getBuildingInstance(instanceId)
+    if (!building || !building.constructionComplete || !Number.isInteger(building.slot)) return []
+
+    const rules = this.adjacencyBonuses.filter(rule => rule.building === building.buildingTypeId)
+    if (rules.length === 0) return []
+
+    const neighbors = this.getNeighborSlots(building.slot)
+      .map(slot => this.getBuildingAtSlot(slot))
+      .filter(neighbor => neighbor && neighbor.constructionComplete)
+
+    return rules
+      .map(rule => ({ rule, count: neighbors.filter(n => n.buildingTypeId === rule.neighbor).length }))
+      .filter(active => active.count > 0)
+  }
+
+  /**
+   * Get one building's bonus from its neighbors
+   * @param {string} instanceId
+   * @param {string} bonusType
+   * @param {boolean} local - Local (this building only) or town-wide rules
+   * @returns {number}
+   */
+  getAdjacencyBonus(instanceId, bonusType, local) {
+    // Most bonus types have no adjacency rules - skip the neighbor lookups
+    if (!this.adjacencyBonusTypes.has(bonusType)) return 0
+
+    let bonus = 0
+
+    for (const { rule, count } of this.getActiveAdjacencyBonuses(instanceId)) {
+      if (Boolean(rule.local) === local && typeof rule.effect[bonusType] === 'number') {
+        bonus += rule.effect[bonusType] * count
+      }
+    }
+
+    return bonus
+  }
+
   /**
    * Track resources mined for unlock conditions
    */
@@ -483,6 +1094,32 @@ export class BuildingManager {
       this.resourceManager.add(resource, amount)
     }
 
+    this.removeBuilding(building)
+
+    // Emit event
+    if (this.eventBus) {
+      this.eventBus.emit('building:demolished', {
+        instanceId,
+        buildingTypeId: building.buildingTypeId,
+        refund
+      })
+    }
+
+    // Demolishing a site under construction frees its crew
+    if (!building.constructionComplete) {
+      this.startQueuedProjects()
+    }
+
+    return refund
+  }
+
+  /**
+   * Take a building out of the town, freeing its slot, timers and queue place
+   * @param {Object} building - Building instance
+   */
+  removeBuilding(building) {
+    const instanceId = building.instanceId
+
     // Remove from buildings array
     const typeInstances = this.buildings[building.buildingTypeId]
     if (typeInstances) {
@@ -492,6 +1129,8 @@ export class BuildingManager {
       }
     }
 
+    this.invalidateCache()
+
     // Free up a slot
     this.usedSlots = Math.max(0, this.usedSlots - 1)
 
@@ -502,17 +1141,23 @@ export class BuildingManager {
     if (this.trainingQueues[instanceId]) {
       delete this.trainingQueues[instanceId]
     }
+    this.constructionQueue = this.constructionQueue.filter(id => id !== instanceId)
+  }
 
-    // Emit event
-    if (this.eventBus) {
-      this.eventBus.emit('building:demolished', {
-        instanceId,
-        buildingTypeId: building.buildingTypeId,
-        refund
-      })
-    }
+  /**
+   * Tell the UI the construction queue or its crews changed
+   * @param {string} reason - 'queued', 'started', 'completed', 'moved', 'cancelled' or 'builders'
+   * @param {string|null} instanceId - Project it's about
+   */
+  _emitQueueChanged(reason, instanceId = null) {
+    if (!this.eventBus) return
 
-    return refund
+    this.eventBus.emit('building:queue_changed', {
+      reason,
+      instanceId,
+      queue: [...this.constructionQueue],
+      builders: this.getBuilderCount()
+    })
   }
 
   /**
@@ -569,6 +1214,7 @@ export class BuildingManager {
 
     // Apply upgrade
     building.upgrades[upgradeId] = (building.upgrades[upgradeId] || 0) + 1
+    this.invalidateCache()
 
     // Apply special effects immediately for worker-generating buildings
     if (buildingType.roomsPerHouse !== undefined && building.rooms) {
@@ -621,7 +1267,9 @@ export class BuildingManager {
       usedSlots: this.usedSlots,
       houseWorkerTimers: JSON.parse(JSON.stringify(this.houseWorkerTimers)),
       trainingQueues: JSON.parse(JSON.stringify(this.trainingQueues)),
-      resourcesMined: JSON.parse(JSON.stringify(this.resourcesMined))
+      resourcesMined: JSON.parse(JSON.stringify(this.resourcesMined)),
+      constructionQueue: [...this.constructionQueue],
+      builders: this.builders
     }
   }
 
@@ -650,6 +1298,13 @@ export class BuildingManager {
     if (state.resourcesMined) {
       this.resourcesMined = JSON.parse(JSON.stringify(state.resourcesMined))
     }
+    if (state.constructionQueue) {
+      this.constructionQueue = [...state.constructionQueue]
+    }
+    if (state.builders !== undefined) {
+      this.builders = state.builders
+    }
+    this.invalidateCache()
   }
 
   /**
@@ -662,5 +1317,8 @@ export class BuildingManager {
     this.houseWorkerTimers = {}
     this.trainingQueues = {}
     this.resourcesMined = {}
+    this.constructionQueue = []
+    this.builders = 0
+    this.invalidateCache()
   }
 }
@@ -0,0 +1,113 @@
+/**
+ * LeaderboardManager - Local high-score table for rounds games
+ * Keeps the best runs with a full summary of each so strategies can be compared.
+ * Saved separately from the game itself, so starting a new game never clears it
+ */
+export class LeaderboardManager {
+  constructor(eventBus = null, maxEntries = 10) {
+    this.eventBus = eventBus
+    this.maxEntries = maxEntries
+
+    // Best runs first: [{ id, score, date, workers, totalWorkers, buildings, rounds }]
+    this.runs = []
+    this.nextRunId = 1
+  }
+
+  /**
+   * Record a finished run
+   * @param {Object} summary - From GameEngine.getRoundSummary()
+   * @returns {number|null} Rank on the table (1 = best), or null if it didn't make the cut
+   */
+  addRun(summary) {
+    const run = { id: `run_${this.nextRunId++}`, ...JSON.parse(JSON.stringify(summary)) }
+
+    // Ties go to the earlier run
+    let index = this.runs.findIndex(existing => run.score > existing.score)
+    if (index === -1) index = this.runs.length
+    this.runs.splice(index, 0, run)
+
+    if (this.runs.length > this.maxEntries) {
+      this.runs.length = this.maxEntries
+    }
+
+    const rank = index < this.maxEntries ? index + 1 : null
+
+    if (this.eventBus) {
+      this.eventBus.emit('leaderboard:run_added', { runId: run.id, score: run.score, rank })
+    }
+
+    return rank
+  }
+
+  /**
+   * Get all runs on the table, best first
+   */
+  getRuns() {
+    return this.runs.map(run => ({ ...run }))
+  }
+
+  /**
+   * Get a single run
+   */
+  getRun(runId) {
+    return this.runs.find(run => run.id === runId) || null
+  }
+
+  /**
+   * Get the best score so far (0 if no runs)
+   */
+  getBestScore() {
+    return this.runs.length > 0 ? this.runs[0].score : 0
+  }
+
+  /**
+   * Get a run's round-by-round breakdown
+   * @returns {Array} [{ round, resourcesCollected, totalCollected, buildingsBuilt, totalBuilt }]
+   */
+  getRunBreakdown(runId) {
+    const run = this.getRun(runId)
+    if (!run) return []
+
+    const sum = (counts) => Object.values(counts).reduce((total, amount) => total + amount, 0)
+
+    return run.rounds.map(record => ({
+      round: record.round,
+      resourcesCollected: { ...record.resourcesCollected },
+      totalCollected: sum(record.resourcesCollected),
+      buildingsBuilt: { ...record.buildingsBuilt },
+      totalBuilt: sum(record.buildingsBuilt)
+    }))
+  }
+
+  /**
+   * Get state for saving
+   */
+  getState() {
+    return {
+      runs: JSON.parse(JSON.stringify(this.runs)),
+      nextRunId: this.nextRunId
+    }
+  }
+
+  /**
+   * Load state
+   */
+  loadState(state) {
+    if (!state) return
+
+    if (state.runs) {
+      this.runs = JSON.parse(JSON.stringify(state.runs))
+    }
+    if (state.nextRunId !== undefined) {
+      this.nextRunId = state.nextRunId
+    }
+  }
+
+  /**
+   * Reset (clears the table)
+   */
+  reset() {
+    this.runs = []
+    this.nextRunId = 1
+  }
+}
@@ -1,6 +1,23 @@
+import { storageCategories, overflowPolicies, decayRates, decaySettings } from '../data/resources-expanded.js'
+
+// Building changes that can move storage limits
+const LIMIT_EVENTS = [
+  'building:construction_complete',
+  'building:demolished',
+  'building:construction_cancelled',
+  'building:upgraded',
+  'building:moved'
+]
+
 /**
  * Manages all resource amounts in the game
  * Resources are just numbers - no inventory complexity
+ *
+ * Each storage category (granary, stockpile, vault, data center) raises the limit of its
+ * own resources. Production past a limit follows the category's overflow policy:
+ * discarded, auto-sold at the Market, or spilled into shared Warehouse space
+ *
+ * Perishable goods spoil a little every second (see decayRates)
  */
 export class ResourceManager {
   constructor(eventBus = null, buildingManager = null) {
@@ -9,22 +26,246 @@ export class ResourceManager {
     this.buildingManager = buildingManager // Reference to building manager for bonuses
     this.baseStorageLimit = 100 // Default storage limit for all resources
     this.storageBonuses = {} // Additional storage from buildings (per-resource)
+
+    // Linked by GameEngine so overflow can be auto-sold
+    this.tradeManager = null
+
+    // Player-chosen overflow policy per category { categoryId: policy } (missing = category default)
+    this.storageCategories = storageCategories
+    this.overflowPolicies = {}
+
+    // Perishables lose a fraction of their stock per second, applied every decaySettings.interval ms
+    this.decayRates = decayRates
+    this.decayTimer = 0
+
+    // resourceId -> categoryId
+    this.resourceCategories = {}
+    for (const [categoryId, category] of Object.entries(storageCategories)) {
+      category.resources.forEach(resourceId => {
+        this.resourceCategories[resourceId] = categoryId
+      })
+    }
+
+    // Building bonuses behind the limits, cached until a building changes (null = look them up)
+    this.limitBonuses = null
+    // Warehouse space in use, kept up to date as amounts change (null = recount)
+    this.warehouseUsed = null
+
+    if (eventBus) {
+      LIMIT_EVENTS.forEach(event => eventBus.on(event, () => this.invalidateStorageLimits()))
+    }
+  }
+
+  /**
+   * Forget cached storage limits and Warehouse usage so they're worked out again
+   * Called whenever buildings change, including after a load or reset
+   */
+  invalidateStorageLimits() {
+    this.limitBonuses = null
+    this.warehouseUsed = null
+  }
+
+  /**
+   * Get the building bonuses that raise storage limits
+   * @private
+   * @returns {{ categories: Object, warehouse: number }} Bonus per category and total Warehouse space
+   */
+  _getLimitBonuses() {
+    if (!this.limitBonuses) {
+      const bonus = key => this.buildingManager ? this.buildingManager.getBuildingBonus(key) : 0
+      const categories = {}
+      for (const [categoryId, category] of Object.entries(this.storageCategories)) {
+        categories[categoryId] = bonus(category.bonusKey)
+      }
+      this.limitBonuses = { categories, warehouse: bonus('storageBonus') }
+    }
+    return this.limitBonuses
+  }
+
+  /**
+   * Get the storage category a resource belongs to
+   * @param {string} resourceId - Resource identifier
+   * @returns {string|null} Category id, or null for uncategorized resources
+   */
+  getStorageCategory(resourceId) {
+    return this.resourceCategories[resourceId] || null
+  }
+
+  /**
+   * Get a resource's own limit - base, per-resource bonuses and its category building
+   * @param {string} resourceId - Resource identifier
+   * @returns {number} Limit before any Warehouse space
+   */
+  getOwnStorageLimit(resourceId) {
+    const perResourceBonus = this.storageBonuses[resourceId] || 0
+    const categoryBonus = this._getLimitBonuses().categories[this.getStorageCategory(resourceId)] || 0
+
+    return this.baseStorageLimit + perResourceBonus + categoryBonus
   }
 
   /**
    * Get storage limit for a resource
+   * Resources that spill can also grow into whatever Warehouse space is free
    * @param {string} resourceId - Resource identifier
    * @returns {number} Storage limit
    */
   getStorageLimit(resourceId) {
-    const perResourceBonus = this.storageBonuses[resourceId] || 0
+    const ownLimit = this.getOwnStorageLimit(resourceId)
+    if (this.getResourcePolicy(resourceId) !== 'spill' || this.getWarehouseCapacity() === 0) {
+      return ownLimit
+    }
+
+    const spilled = Math.max(0, this.get(resourceId) - ownLimit)
+    return ownLimit + spilled + this.getWarehouseSpace()
+  }
+
+  /**
+   * Get total Warehouse space shared by every resource
+   * @returns {number}
+   */
+  getWarehouseCapacity() {
+    return this._getLimitBonuses().warehouse
+  }
+
+  /**
+   * Get Warehouse space taken - everything stored past a resource's own limit
+   * @returns {number}
+   */
+  getWarehouseUsed() {
+    if (this.warehouseUsed === null) {
+      this.warehouseUsed = Object.keys(this.resources)
+        .reduce((used, resourceId) => used + this._getSpilled(resourceId), 0)
+    }
+    return this.warehouseUsed
+  }
+
+  /**
+   * Get how much of a resource sits past its own limit
+   * @private
+   */
+  _getSpilled(resourceId) {
+    return Math.max(0, this.get(resourceId) - this.getOwnStorageLimit(resourceId))
+  }
 
-    // Get global storage bonus from warehouses
-    const warehouseBonus = this.buildingManager
-      ? this.buildingManager.getBuildingBonus('storageBonus')
-      : 0
+  /**
+   * Store a new amount, keeping the Warehouse usage count in step
+   * @private
+   */
+  _store(resourceId, amount) {
+    if (this.warehouseUsed === null) {
+      this.resources[resourceId] = amount
+      return
+    }
 
-    return this.baseStorageLimit + perResourceBonus + warehouseBonus
+    const before = this._getSpilled(resourceId)
+    this.resources[resourceId] = amount
+    this.warehouseUsed += this._getSpilled(resourceId) - before
+  }
+
+  /**
+   * Get free Warehouse space
+   * @returns {number}
+   */
+  getWarehouseSpace() {
+    const capacity = this.getWarehouseCapacity()
+    return capacity > 0 ? Math.max(0, capacity - this.getWarehouseUsed()) : 0
+  }
+
+  /**
+   * Get a category's overflow policy
+   * Uncategorized resources always spill
+   * @param {string|null} categoryId - Storage category
+   * @returns {string} 'discard', 'sell' or 'spill'
+   */
+  getOverflowPolicy(categoryId) {
+    const category = this.storageCategories[categoryId]
+    if (!category) return 'spill'
+    return this.overflowPolicies[categoryId] || category.defaultPolicy
+  }
+
+  /**
+   * Get the overflow policy that applies to a resource
+   * @param {string} resourceId - Resource identifier
+   * @returns {string}
+   */
+  getResourcePolicy(resourceId) {
+    return this.getOverflowPolicy(this.getStorageCategory(resourceId))
+  }
+
+  /**
+   * Choose what happens to a category's production past its limit
+   * @param {string} categoryId - Storage category
+   * @param {string} policy - 'discard', 'sell' or 'spill'
+   */
+  setOverflowPolicy(categoryId, policy) {
+    if (!this.storageCategories[categoryId]) {
+      throw new Error('Unknown storage category')
+    }
+    if (!overflowPolicies[policy]) {
+      throw new Error('Unknown overflow policy')
+    }
+
+    this.overflowPolicies[categoryId] = policy
+
+    if (this.eventBus) {
+      this.eventBus.emit('storage:policy_changed', { categoryId, policy })
+    }
+  }
+
+  /**
+   * Get how much buildings slow spoilage (0.2 = 20% slower)
+   * @returns {number}
+   */
+  getDecayReduction() {
+    const reduction = this.buildingManager ? this.buildingManager.getBuildingBonus('decayReduction') : 0
+    return Math.min(decaySettings.maxReduction, reduction)
+  }
+
+  /**
+   * Get the fraction of a resource's stock lost per second
+   * @param {string} resourceId - Resource identifier
+   * @returns {number} 0 for resources that never decay
+   */
+  getDecayRate(resourceId) {
+    return (this.decayRates[resourceId] || 0) * (1 - this.getDecayReduction())
+  }
+
+  /**
+   * Get how much of a resource is spoiling right now
+   * @param {string} resourceId - Resource identifier
+   * @returns {number} Units lost per second
+   */
+  getDecayPerSecond(resourceId) {
+    return this.get(resourceId) * this.getDecayRate(resourceId)
+  }
+
+  /**
+   * Spoil perishable goods
+   * Decay is exponential, so batching it into intervals loses the same amount
+   * @param {number} deltaTime - Time elapsed in milliseconds
+   */
+  update(deltaTime) {
+    this.decayTimer += deltaTime
+    if (this.decayTimer < decaySettings.interval) return
+
+    const seconds = this.decayTimer / 1000
+    this.decayTimer = 0
+
+    const losses = {}
+    for (const resourceId of Object.keys(this.decayRates)) {
+      const amount = this.get(resourceId)
+      const rate = this.getDecayRate(resourceId)
+      if (amount <= 0 || rate <= 0) continue
+
+      const remaining = amount * Math.exp(-rate * seconds)
+      this._store(resourceId, remaining < decaySettings.minAmount ? 0 : remaining)
+      losses[resourceId] = amount - this.resources[resourceId]
+    }
+
+    // One event per tick rather than a resource:changed for every perishable
+    if (this.eventBus && Object.keys(losses).length > 0) {
+      this.eventBus.emit('resource:decayed', { losses })
+    }
   }
 
   /**
@@ -34,6 +275,7 @@ export class ResourceManager {
    */
   addStorageBonus(resourceId, amount) {
     this.storageBonuses[resourceId] = (this.storageBonuses[resourceId] || 0) + amount
+    this.warehouseUsed = null
 
     if (this.eventBus) {
       this.eventBus.emit('storage:changed', { resourceId, limit: this.getStorageLimit(resourceId) })
@@ -66,28 +308,53 @@ export class ResourceManager {
 
   /**
    * Add resource (can be negative to subtract)
+   * Anything past the resource's own limit is handled by its overflow policy
    * @param {string} resourceId - Resource identifier
    * @param {number} amount - Amount to add
    * @returns {number} Amount actually added (may be less due to storage limit)
    */
   add(resourceId, amount) {
     const current = this.resources[resourceId] || 0
-    const storageLimit = this.getStorageLimit(resourceId)
-    const newAmount = current + amount
 
-    // Cap at storage limit when adding positive amounts
-    const cappedAmount = amount > 0
-      ? Math.min(newAmount, storageLimit)
-      : Math.max(0, newAmount)
+    if (amount <= 0) {
+      this._store(resourceId, Math.max(0, current + amount))
+      this._emitChanged(resourceId)
+      return this.resources[resourceId] - current
+    }
 
-    const actualAdded = cappedAmount - current
-    this.resources[resourceId] = cappedAmount
+    const stored = Math.min(amount, Math.max(0, this.getOwnStorageLimit(resourceId) - current))
+    const overflow = amount - stored
+    const policy = this.getResourcePolicy(resourceId)
 
-    if (this.eventBus) {
-      this.eventBus.emit('resource:changed', { resourceId, amount: this.resources[resourceId] })
+    let spilled = 0
+    let sold = 0
+    let earned = 0
+    if (overflow > 0 && policy === 'spill') {
+      spilled = Math.min(overflow, this.getWarehouseSpace())
+    } else if (overflow > 0 && policy === 'sell' && this.tradeManager) {
+      earned = this.tradeManager.sellOverflow(resourceId, overflow)
+      sold = earned > 0 ? overflow : 0
     }
 
-    return actualAdded
+    this._store(resourceId, current + stored + spilled)
+    this._emitChanged(resourceId)
+
+    // Report production that never made it into storage
+    const lost = overflow - spilled - sold
+    if (this.eventBus && (lost > 0 || sold > 0)) {
+      this.eventBus.emit('storage:overflow', {
+        resourceId,
+        category: this.getStorageCategory(resourceId),
+        policy,
+        amount: overflow,
+        spilled,
+        sold,
+        earned,
+        lost
+      })
+    }
+
+    return stored + spilled
   }
 
   /**
@@ -100,11 +367,8 @@ export class ResourceManager {
     if (!this.has(resourceId, amount)) {
       return false
     }
-    this.resources[resourceId] -= amount
-
-    if (this.eventBus) {
-      this.eventBus.emit('resource:changed', { resourceId, amount: this.resources[resourceId] })
-    }
+    this._store(resourceId, this.get(resourceId) - amount)
+    this._emitChanged(resourceId)
     return true
   }
 
@@ -114,11 +378,8 @@ export class ResourceManager {
    * @param {number} amount - Exact amount
    */
   set(resourceId, amount) {
-    this.resources[resourceId] = Math.max(0, amount)
-
-    if (this.eventBus) {
-      this.eventBus.emit('resource:changed', { resourceId, amount: this.resources[resourceId] })
-    }
+    this._store(resourceId, Math.max(0, amount))
+    this._emitChanged(resourceId)
   }
 
   /**
@@ -168,6 +429,16 @@ export class ResourceManager {
     return true
   }
 
+  /**
+   * Emit a resource change
+   * @private
+   */
+  _emitChanged(resourceId) {
+    if (this.eventBus) {
+      this.eventBus.emit('resource:changed', { resourceId, amount: this.resources[resourceId] })
+    }
+  }
+
   /**
    * Get all resources
    * @returns {Object} All resources
@@ -183,7 +454,9 @@ export class ResourceManager {
   getState() {
     return {
       resources: { ...this.resources },
-      storageBonuses: { ...this.storageBonuses }
+      storageBonuses: { ...this.storageBonuses },
+      overflowPolicies: { ...this.overflowPolicies },
+      decayTimer: this.decayTimer
     }
   }
 
@@ -198,13 +471,23 @@ export class ResourceManager {
     if (state.storageBonuses) {
       this.storageBonuses = { ...state.storageBonuses }
     }
+    if (state.overflowPolicies) {
+      this.overflowPolicies = { ...state.overflowPolicies }
+    }
+    if (state.decayTimer !== undefined) {
+      this.decayTimer = state.decayTimer
+    }
+    this.invalidateStorageLimits()
   }
 
   /**
-   * Reset all resources and storage bonuses
+   * Reset all resources, storage bonuses, overflow policies and the spoilage timer
    */
   reset() {
     this.resources = {}
     this.storageBonuses = {}
+    this.overflowPolicies = {}
+    this.decayTimer = 0
+    this.invalidateStorageLimits()
   }
 }
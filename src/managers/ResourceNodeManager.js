@@ -1,21 +1,27 @@
 import { ResourceNode } from '../entities/ResourceNode.js'
+import { nodeUpgradeTypes } from '../data/resource-nodes.js'
 
 /**
  * ResourceNodeManager - Manages all resource nodes in the game
- * Handles regeneration, harvesting, and upgrades
+ * Handles regeneration, harvesting, depletion and upgrades
  */
 export class ResourceNodeManager {
-  constructor(nodeDefinitions, eventBus) {
+  constructor(nodeDefinitions, eventBus, resourceManager) {
     this.nodes = new Map()
     this.eventBus = eventBus
+    this.resourceManager = resourceManager // Pays for node upgrades
+
+    // Linked by GameEngine so locked nodes can't be upgraded
+    this.skillManager = null
+
+    // Nodes last seen depleted (workers harvest nodes directly, so update() spots the change)
+    this.depletedNodes = new Set()
 
     // Create resource nodes from definitions
     nodeDefinitions.forEach(def => {
       const node = new ResourceNode(def)
       this.nodes.set(def.id, node)
     })
-
-    console.log(`✅ [ResourceNodeManager] Initialized with ${this.nodes.size} nodes`)
   }
 
   /**
@@ -24,6 +30,11 @@ export class ResourceNodeManager {
    */
   update(deltaTime) {
     this.nodes.forEach(node => {
+      if (node.depleted && !this.depletedNodes.has(node.id)) {
+        this.depletedNodes.add(node.id)
+        this.eventBus.emit('node:depleted', { nodeId: node.id })
+      }
+
       const beforeRegen = node.available
 
       node.regenerate(deltaTime)
@@ -39,6 +50,11 @@ export class ResourceNodeManager {
           capacity: node.getCurrentCapacity()
         })
       }
+
+      if (!node.depleted && this.depletedNodes.has(node.id)) {
+        this.depletedNodes.delete(node.id)
+        this.eventBus.emit('node:recovered', { nodeId: node.id })
+      }
     })
   }
 
@@ -99,45 +115,114 @@ export class ResourceNodeManager {
   }
 
   /**
-   * Upgrade node capacity
+   * Get the cost of a node's next upgrade level
    * @param {string} nodeId
+   * @param {string} upgradeType - 'capacity' or 'spawnRate'
+   * @returns {Object} Cost map (empty if the node has no such upgrade)
    */
-  upgradeCapacity(nodeId) {
+  getUpgradeCost(nodeId, upgradeType) {
     const node = this.nodes.get(nodeId)
+    const upgrade = nodeUpgradeTypes[upgradeType]
+    const baseCost = node?.upgradeCosts[upgradeType]
+    if (!upgrade || !baseCost) return {}
+
+    const multiplier = Math.pow(upgrade.costMultiplier, node.getUpgradeLevel(upgradeType))
+    const cost = {}
+    for (const [resource, amount] of Object.entries(baseCost)) {
+      cost[resource] = Math.floor(amount * multiplier)
+    }
+    return cost
+  }
 
-    if (node) {
-      node.capacityUpgrades++
+  /**
+   * Check if a node upgrade can be bought
+   * @param {string} nodeId
+   * @param {string} upgradeType - 'capacity' or 'spawnRate'
+   * @returns {Object} { canUpgrade: boolean, reason?: string }
+   */
+  canUpgrade(nodeId, upgradeType) {
+    const node = this.nodes.get(nodeId)
+    if (!node) {
+      return { canUpgrade: false, reason: 'Resource node not found' }
+    }
 
-      this.eventBus.emit('node:upgraded', {
-        nodeId,
-        type: 'capacity',
-        level: node.capacityUpgrades,
-        newCapacity: node.getCurrentCapacity()
-      })
+    const upgrade = nodeUpgradeTypes[upgradeType]
+    if (!upgrade || !node.upgradeCosts[upgradeType]) {
+      return { canUpgrade: false, reason: 'Upgrade not found' }
+    }
+
+    if (this.skillManager && !this.isUnlocked(nodeId, this.skillManager)) {
+      return { canUpgrade: false, reason: 'Node is locked' }
+    }
+
+    if (node.getUpgradeLevel(upgradeType) >= upgrade.maxLevel) {
+      return { canUpgrade: false, reason: 'Max level reached' }
+    }
 
-      console.log(`⬆️ [ResourceNode] ${nodeId} capacity upgraded to ${node.getCurrentCapacity()}`)
+    if (!this.resourceManager.canAfford(this.getUpgradeCost(nodeId, upgradeType))) {
+      return { canUpgrade: false, reason: 'Cannot afford upgrade' }
     }
+
+    return { canUpgrade: true }
   }
 
   /**
-   * Upgrade spawn rate
+   * Buy the next level of a node upgrade
    * @param {string} nodeId
+   * @param {string} upgradeType - 'capacity' or 'spawnRate'
+   * @returns {number} New upgrade level
    */
-  upgradeSpawnRate(nodeId) {
+  upgradeNode(nodeId, upgradeType) {
+    const check = this.canUpgrade(nodeId, upgradeType)
+    if (!check.canUpgrade) {
+      throw new Error(check.reason)
+    }
+
     const node = this.nodes.get(nodeId)
+    const cost = this.getUpgradeCost(nodeId, upgradeType)
+    this.resourceManager.spendCosts(cost)
 
-    if (node) {
+    if (upgradeType === 'capacity') {
+      node.capacityUpgrades++
+
+      this.eventBus.emit('node:upgraded', {
+        nodeId,
+        type: 'capacity',
+        level: node.capacityUpgrades,
+        newCapacity: node.getCurrentCapacity(),
+        cost
+      })
+    } else {
       node.spawnRateUpgrades++
 
       this.eventBus.emit('node:upgraded', {
         nodeId,
         type: 'spawnRate',
         level: node.spawnRateUpgrades,
-        newRate: node.getCurrentSpawnRate()
+        newRate: node.getCurrentSpawnRate(),
+        cost
       })
-
-      console.log(`⬆️ [ResourceNode] ${nodeId} spawn rate upgraded to ${node.getCurrentSpawnRate()}/s`)
     }
+
+    return node.getUpgradeLevel(upgradeType)
+  }
+
+  /**
+   * Upgrade node capacity
+   * @param {string} nodeId
+   * @returns {number} New capacity level
+   */
+  upgradeCapacity(nodeId) {
+    return this.upgradeNode(nodeId, 'capacity')
+  }
+
+  /**
+   * Upgrade spawn rate
+   * @param {string} nodeId
+   * @returns {number} New spawn rate level
+   */
+  upgradeSpawnRate(nodeId) {
+    return this.upgradeNode(nodeId, 'spawnRate')
   }
 
   /**
@@ -161,10 +246,20 @@ export class ResourceNodeManager {
    * @returns {ResourceNode[]}
    */
   getUnlockedNodes(skillManager) {
-    return this.getAllNodes().filter(node => {
-      const skillLevel = skillManager.getLevel(node.requiredSkillId)
-      return skillLevel >= node.requiredSkillLevel
-    })
+    return this.getAllNodes().filter(node => this.isUnlocked(node.id, skillManager))
+  }
+
+  /**
+   * Get nodes that a skill level-up just unlocked
+   * @param {string} skillId
+   * @param {number} oldLevel
+   * @param {number} newLevel
+   * @returns {ResourceNode[]}
+   */
+  getNodesUnlockedBetween(skillId, oldLevel, newLevel) {
+    return this.getNodesForSkill(skillId).filter(
+      node => node.requiredSkillLevel > oldLevel && node.requiredSkillLevel <= newLevel
+    )
   }
 
   /**
@@ -195,7 +290,8 @@ export class ResourceNodeManager {
       }
     })
 
-    console.log(`📂 [ResourceNodeManager] State loaded for ${Object.keys(state).length} nodes`)
+    // Depletion carried over from the save isn't news
+    this.depletedNodes = new Set(this.getAllNodes().filter(node => node.depleted).map(node => node.id))
   }
 
   /**
@@ -206,8 +302,10 @@ export class ResourceNodeManager {
       node.available = 0
       node.capacityUpgrades = 0
       node.spawnRateUpgrades = 0
+      node.depleted = false
+      node.occupants = []
+      node.queue = []
     })
-
-    console.log(`🔄 [ResourceNodeManager] Reset all nodes`)
+    this.depletedNodes.clear()
   }
 }
@@ -0,0 +1,397 @@
+import { marketPrices, marketSettings } from '../data/resources-expanded.js'
+
+/**
+ * TradeManager - Buy, sell and exchange resources at the Market
+ * Trading is only available once a building with the enableTrading effect is complete
+ * All trades are settled through the market currency (gold)
+ *
+ * Prices follow supply and demand: selling a resource pushes its price down,
+ * buying pushes it up, and every price drifts back toward its base value over time
+ */
+export class TradeManager {
+  constructor(eventBus, resourceManager, buildingManager) {
+    this.eventBus = eventBus
+    this.resourceManager = resourceManager
+    this.buildingManager = buildingManager
+    this.marketPrices = marketPrices
+    this.currency = marketSettings.currency
+    this.baseSpread = marketSettings.baseSpread
+    this.settings = marketSettings
+
+    // Current price relative to base value { resourceId: multiplier } (missing = 1)
+    this.priceMultipliers = {}
+
+    // Rolling price samples for charting { resourceId: [value, ...] } (oldest first)
+    this.priceHistory = {}
+    this.historyTimer = 0
+
+    // Lifetime trading stats
+    this.tradesExecuted = 0
+    this.totalSold = {}   // { resourceId: amount }
+    this.totalBought = {} // { resourceId: amount }
+  }
+
+  /**
+   * Check if any completed building enables trading
+   */
+  isTradingEnabled() {
+    if (!this.buildingManager) return false
+
+    return this.buildingManager.buildingTypes.some(buildingType => {
+      if (!buildingType.effect || !buildingType.effect.enableTrading) return false
+      return this.buildingManager.getBuildings(buildingType.id).some(b => b.constructionComplete)
+    })
+  }
+
+  /**
+   * Check if a resource can be traded
+   */
+  isTradeable(resourceId) {
+    return resourceId === this.currency || this.marketPrices[resourceId] !== undefined
+  }
+
+  /**
+   * Get trading bonus from Market upgrades
+   */
+  getTradingBonus() {
+    return this.buildingManager ? this.buildingManager.getBuildingBonus('tradingBonus') : 0
+  }
+
+  /**
+   * Get the current spread between value and buy/sell prices
+   * Trading bonus narrows the spread (0.2 bonus = 20% narrower), but never removes it
+   */
+  getSpread() {
+    const bonus = Math.min(0.9, this.getTradingBonus())
+    return this.baseSpread * (1 - bonus)
+  }
+
+  /**
+   * Get current price multiplier for a resource (1 = balanced market)
+   */
+  getPriceMultiplier(resourceId) {
+    return this.priceMultipliers[resourceId] ?? 1
+  }
+
+  /**
+   * Get the current value of one unit in currency
+   */
+  getValue(resourceId) {
+    if (resourceId === this.currency) return 1
+    const baseValue = this.marketPrices[resourceId]?.baseValue || 0
+    return baseValue * this.getPriceMultiplier(resourceId)
+  }
+
+  /**
+   * Get elasticity (price change per unit traded) for a resource
+   */
+  getElasticity(resourceId) {
+    if (resourceId === this.currency) return 0
+    return this.marketPrices[resourceId]?.elasticity || 0
+  }
+
+  /**
+   * Get the currency received for selling the next unit
+   */
+  getSellPrice(resourceId) {
+    if (resourceId === this.currency) return 1
+    return this.getValue(resourceId) * (1 - this.getSpread())
+  }
+
+  /**
+   * Get the currency needed to buy the next unit
+   */
+  getBuyPrice(resourceId) {
+    if (resourceId === this.currency) return 1
+    return this.getValue(resourceId) * (1 + this.getSpread())
+  }
+
+  /**
+   * Get total currency received for selling an amount
+   * Each unit sold lowers the price of the next one by the resource's elasticity
+   */
+  getSellProceeds(resourceId, amount) {
+    const elasticity = this.getElasticity(resourceId)
+    const unitPrice = this.getSellPrice(resourceId)
+    if (elasticity === 0) return unitPrice * amount
+
+    // Geometric series: p + p(1-e) + p(1-e)^2 + ...
+    return unitPrice * (1 - Math.pow(1 - elasticity, amount)) / elasticity
+  }
+
+  /**
+   * Get total currency needed to buy an amount
+   * Each unit bought raises the price of the next one by the resource's elasticity
+   */
+  getBuyCost(resourceId, amount) {
+    const elasticity = this.getElasticity(resourceId)
+    const unitPrice = this.getBuyPrice(resourceId)
+    if (elasticity === 0) return unitPrice * amount
+
+    // Geometric series: p + p(1+e) + p(1+e)^2 + ...
+    return unitPrice * (Math.pow(1 + elasticity, amount) - 1) / elasticity
+  }
+
+  /**
+   * Get how many whole units a budget buys (inverse of getBuyCost)
+   */
+  getAffordableAmount(resourceId, budget) {
+    const elasticity = this.getElasticity(resourceId)
+    const unitPrice = this.getBuyPrice(resourceId)
+    if (unitPrice <= 0 || budget <= 0) return 0
+
+    // Small epsilon avoids losing a unit to floating point error
+    if (elasticity === 0) {
+      return Math.floor(budget / unitPrice + 1e-9)
+    }
+    return Math.floor(Math.log(1 + budget * elasticity / unitPrice) / Math.log(1 + elasticity) + 1e-9)
+  }
+
+  /**
+   * Get how much of toResourceId is received for amountIn of fromResourceId
+   */
+  getExchangeQuote(fromResourceId, toResourceId, amountIn) {
+    const proceeds = this.getSellProceeds(fromResourceId, amountIn)
+    return this.getAffordableAmount(toResourceId, proceeds)
+  }
+
+  /**
+   * Check if a trade can be executed
+   * @returns {{ canTrade: boolean, reason?: string }}
+   */
+  canTrade(fromResourceId, toResourceId, amountIn, amountOut) {
+    if (!this.isTradingEnabled()) {
+      return { canTrade: false, reason: 'Build a Market to unlock trading' }
+    }
+
+    if (fromResourceId === toResourceId) {
+      return { canTrade: false, reason: 'Cannot trade a resource for itself' }
+    }
+
+    if (!this.isTradeable(fromResourceId) || !this.isTradeable(toResourceId)) {
+      return { canTrade: false, reason: 'Resource cannot be traded' }
+    }
+
+    if (!(amountIn > 0) || !(amountOut >= 1)) {
+      return { canTrade: false, reason: 'Trade amount too small' }
+    }
+
+    if (!this.resourceManager.has(fromResourceId, amountIn)) {
+      return { canTrade: false, reason: 'Not enough resources' }
+    }
+
+    const space = this.resourceManager.getStorageLimit(toResourceId) - this.resourceManager.get(toResourceId)
+    if (amountOut > space) {
+      return { canTrade: false, reason: 'Not enough storage' }
+    }
+
+    return { canTrade: true }
+  }
+
+  /**
+   * Exchange one resource for another at current market rates
+   * @returns {number} Amount of toResourceId received
+   */
+  exchange(fromResourceId, toResourceId, amountIn) {
+    const amountOut = this.getExchangeQuote(fromResourceId, toResourceId, amountIn)
+    return this._executeTrade(fromResourceId, amountIn, toResourceId, amountOut)
+  }
+
+  /**
+   * Sell a resource for currency
+   * @returns {number} Currency received
+   */
+  sell(resourceId, amount) {
+    return this.exchange(resourceId, this.currency, amount)
+  }
+
+  /**
+   * Buy an exact amount of a resource with currency
+   * @returns {number} Currency spent
+   */
+  buy(resourceId, amount) {
+    const cost = Math.ceil(this.getBuyCost(resourceId, amount) - 1e-9)
+    this._executeTrade(this.currency, cost, resourceId, amount)
+    return cost
+  }
+
+  /**
+   * Sell production that didn't fit in storage (the Auto-sell overflow policy)
+   * The goods never reach storage, so only the currency side is stored
+   * @returns {number} Currency received (0 if trading is locked or the resource has no price)
+   */
+  sellOverflow(resourceId, amount) {
+    if (!this.isTradingEnabled() || resourceId === this.currency || !this.marketPrices[resourceId] || !(amount > 0)) {
+      return 0
+    }
+
+    const proceeds = this.getSellProceeds(resourceId, amount)
+    this._applyPriceImpact(resourceId, -amount)
+    this.totalSold[resourceId] = (this.totalSold[resourceId] || 0) + amount
+    this.resourceManager.add(this.currency, proceeds)
+
+    return proceeds
+  }
+
+  /**
+   * Validate and apply a trade
+   * @private
+   */
+  _executeTrade(fromResourceId, amountIn, toResourceId, amountOut) {
+    const check = this.canTrade(fromResourceId, toResourceId, amountIn, amountOut)
+    if (!check.canTrade) {
+      throw new Error(check.reason)
+    }
+
+    this.resourceManager.subtract(fromResourceId, amountIn)
+    this.resourceManager.add(toResourceId, amountOut)
+
+    // Supply and demand: dumping lowers the price, buying raises it
+    this._applyPriceImpact(fromResourceId, -amountIn)
+    this._applyPriceImpact(toResourceId, amountOut)
+
+    this.tradesExecuted++
+    this.totalSold[fromResourceId] = (this.totalSold[fromResourceId] || 0) + amountIn
+    this.totalBought[toResourceId] = (this.totalBought[toResourceId] || 0) + amountOut
+
+    if (this.eventBus) {
+      this.eventBus.emit('trade:executed', {
+        fromResourceId,
+        toResourceId,
+        amountIn,
+        amountOut
+      })
+    }
+
+    return amountOut
+  }
+
+  /**
+   * Shift a resource's price after a trade
+   * @private
+   * @param {number} netDemand - Units bought (positive) or sold (negative)
+   */
+  _applyPriceImpact(resourceId, netDemand) {
+    const elasticity = this.getElasticity(resourceId)
+    if (elasticity === 0 || netDemand === 0) return
+
+    const factor = netDemand > 0
+      ? Math.pow(1 + elasticity, netDemand)
+      : Math.pow(1 - elasticity, -netDemand)
+
+    const multiplier = this.getPriceMultiplier(resourceId) * factor
+    this.priceMultipliers[resourceId] = Math.min(
+      this.settings.maxPriceMultiplier,
+      Math.max(this.settings.minPriceMultiplier, multiplier)
+    )
+  }
+
+  /**
+   * Recover prices toward base value and sample price history
+   * @param {number} deltaTime - Time elapsed in ms
+   */
+  update(deltaTime) {
+    const seconds = deltaTime / 1000
+
+    for (const [resourceId, multiplier] of Object.entries(this.priceMultipliers)) {
+      const recoveryRate = this.marketPrices[resourceId]?.recoveryRate || 0
+      const recovered = multiplier + (1 - multiplier) * (1 - Math.exp(-recoveryRate * seconds))
+
+      if (Math.abs(1 - recovered) < 0.0001) {
+        delete this.priceMultipliers[resourceId]
+      } else {
+        this.priceMultipliers[resourceId] = recovered
+      }
+    }
+
+    this.historyTimer += deltaTime
+    const samples = Math.floor(this.historyTimer / this.settings.historyInterval)
+    if (samples > 0) {
+      this.historyTimer -= samples * this.settings.historyInterval
+
+      // Long jumps (offline progress) never need more samples than the history holds
+      for (let i = 0; i < Math.min(samples, this.settings.historyLength); i++) {
+        this._recordPriceSample()
+      }
+    }
+  }
+
+  /**
+   * Append the current value of every tradeable resource to its history
+   * @private
+   */
+  _recordPriceSample() {
+    for (const resourceId of Object.keys(this.marketPrices)) {
+      if (resourceId === this.currency) continue
+
+      if (!this.priceHistory[resourceId]) {
+        this.priceHistory[resourceId] = []
+      }
+      const history = this.priceHistory[resourceId]
+      history.push(this.getValue(resourceId))
+      if (history.length > this.settings.historyLength) {
+        history.shift()
+      }
+    }
+  }
+
+  /**
+   * Get rolling price history for a resource (oldest first)
+   * @returns {number[]} Unit values sampled every historyInterval ms
+   */
+  getPriceHistory(resourceId) {
+    return [...(this.priceHistory[resourceId] || [])]
+  }
+
+  /**
+   * Get state for saving
+   */
+  getState() {
+    return {
+      tradesExecuted: this.tradesExecuted,
+      totalSold: { ...this.totalSold },
+      totalBought: { ...this.totalBought },
+      priceMultipliers: { ...this.priceMultipliers },
+      priceHistory: JSON.parse(JSON.stringify(this.priceHistory)),
+      historyTimer: this.historyTimer
+    }
+  }
+
+  /**
+   * Load state
+   */
+  loadState(state) {
+    if (!state) return
+
+    if (state.tradesExecuted !== undefined) {
+      this.tradesExecuted = state.tradesExecuted
+    }
+    if (state.totalSold) {
+      this.totalSold = { ...state.totalSold }
+    }
+    if (state.totalBought) {
+      this.totalBought = { ...state.totalBought }
+    }
+    if (state.priceMultipliers) {
+      this.priceMultipliers = { ...state.priceMultipliers }
+    }
+    if (state.priceHistory) {
+      this.priceHistory = JSON.parse(JSON.stringify(state.priceHistory))
+    }
+    if (state.historyTimer !== undefined) {
+      this.historyTimer = state.historyTimer
+    }
+  }
+
+  /**
+   * Reset
+   */
+  reset() {
+    this.tradesExecuted = 0
+    this.totalSold = {}
+    this.totalBought = {}
+    this.priceMultipliers = {}
+    this.priceHistory = {}
+    this.historyTimer = 0
+  }
+}
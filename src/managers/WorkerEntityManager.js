@@ -1,8 +1,10 @@
 import { WorkerEntity } from '../entities/WorkerEntity.js'
+import { NavGrid } from '../utils/pathfinding.js'
+import { terrainTypes } from '../data/resource-nodes.js'
 
 /**
  * WorkerEntityManager - Manages all worker entities
- * Handles spawning, assignment, and updating workers
+ * Handles spawning, assignment, updating workers and the terrain they path across
  */
 export class WorkerEntityManager {
   constructor(eventBus, resourceManager) {
@@ -16,6 +18,20 @@ export class WorkerEntityManager {
     // Worker ID counter
     this.nextWorkerId = 1
 
+    // Terrain workers path across - the map's own layout plus patches placed in play
+    this.navGrid = new NavGrid()
+    this.baseTerrain = []
+    this.placedTerrain = []
+    this.removedTerrain = [] // ids of the map's own patches cleared in play
+
+    // Random source for worker offsets (GameEngine shares its seeded RNG)
+    this.rng = Math.random
+
+    // Linked by GameEngine so map assignments respect node locks and share the worker pool
+    this.resourceNodeManager = null
+    this.skillManager = null
+    this.workerManager = null
+
     // Worker type stats
     this.workerTypes = new Map([
       ['basicWorker', {
@@ -37,8 +53,6 @@ export class WorkerEntityManager {
         icon: '🚁'
       }]
     ])
-
-    console.log(`✅ [WorkerEntityManager] Initialized`)
   }
 
   /**
@@ -48,7 +62,18 @@ export class WorkerEntityManager {
    */
   update(deltaTime, resourceNodes) {
     this.workers.forEach(worker => {
+      const delivering = worker.state === 'depositing' ? worker.carrying : null
+
       worker.update(deltaTime, resourceNodes, this.resourceManager)
+
+      if (delivering && worker.carrying === null) {
+        this.eventBus.emit('worker:deposited', {
+          workerId: worker.id,
+          workerType: worker.type,
+          nodeId: worker.targetNodeId,
+          outputs: { ...delivering }
+        })
+      }
     })
   }
 
@@ -59,7 +84,8 @@ export class WorkerEntityManager {
    */
   spawnWorker(workerType) {
     const id = `worker_${this.nextWorkerId++}`
-    const worker = new WorkerEntity(id, workerType, this.homePosition)
+    const worker = new WorkerEntity(id, workerType, this.homePosition, this.rng)
+    worker.navGrid = this.navGrid
 
     // Apply worker type stats
     const stats = this.workerTypes.get(workerType)
@@ -76,8 +102,6 @@ export class WorkerEntityManager {
       type: workerType
     })
 
-    console.log(`👷 [Worker] Spawned ${workerType} (${id})`)
-
     return id
   }
 
@@ -89,13 +113,125 @@ export class WorkerEntityManager {
     const worker = this.workers.get(workerId)
 
     if (worker && this.workers.delete(workerId)) {
+      worker.leaveNode()
+
       this.eventBus.emit('worker:despawned', {
         workerId,
         type: worker.type
       })
+    }
+  }
 
-      console.log(`🗑️ [Worker] Despawned ${worker.type} (${workerId})`)
+  /**
+   * Set the map's own terrain layout (replaces placed patches too)
+   * @param {Object[]} terrain - [{ id, type, x, y, width, height }] using terrainTypes
+   */
+  setTerrain(terrain) {
+    this.baseTerrain = terrain.map(patch => ({ ...patch }))
+    this.placedTerrain = []
+    this.removedTerrain = []
+    this.rebuildNavGrid()
+  }
+
+  /**
+   * Check if a terrain patch can be placed
+   * Blocking terrain must keep home and every resource node reachable
+   * @param {Object} patch - { id, type, x, y, width, height }
+   * @returns {Object} { canPlace: boolean, reason?: string }
+   */
+  canPlaceTerrain(patch) {
+    const terrainType = terrainTypes[patch.type]
+    if (!terrainType) {
+      return { canPlace: false, reason: 'Unknown terrain type' }
     }
+
+    if (this.navGrid.obstacles.has(patch.id)) {
+      return { canPlace: false, reason: 'Terrain id already in use' }
+    }
+
+    if (!terrainType.walkable) {
+      const covers = (point) => point.x >= patch.x && point.x < patch.x + patch.width &&
+        point.y >= patch.y && point.y < patch.y + patch.height
+
+      if (covers(this.homePosition)) {
+        return { canPlace: false, reason: 'Cannot block home' }
+      }
+      const nodes = this.resourceNodeManager ? this.resourceNodeManager.getAllNodes() : []
+      if (nodes.some(node => covers(node.position))) {
+        return { canPlace: false, reason: 'Cannot block a resource node' }
+      }
+    }
+
+    return { canPlace: true }
+  }
+
+  /**
+   * Place a terrain patch (river, road, ...) on the map
+   * Walking workers re-plan their routes around it
+   * @param {Object} patch - { id, type, x, y, width, height }
+   */
+  placeTerrain(patch) {
+    const check = this.canPlaceTerrain(patch)
+    if (!check.canPlace) {
+      throw new Error(check.reason)
+    }
+
+    this.placedTerrain.push({ ...patch })
+    this.rebuildNavGrid()
+
+    this.eventBus.emit('terrain:placed', { terrainId: patch.id, type: patch.type })
+  }
+
+  /**
+   * Remove a terrain patch
+   * @param {string} terrainId
+   * @returns {boolean} true if it was on the map
+   */
+  removeTerrain(terrainId) {
+    if (!this.navGrid.obstacles.has(terrainId)) {
+      return false
+    }
+
+    // The map's own layout stays as is - removed patches are remembered so saves keep them gone
+    if (this.baseTerrain.some(patch => patch.id === terrainId)) {
+      this.removedTerrain.push(terrainId)
+    }
+    this.placedTerrain = this.placedTerrain.filter(patch => patch.id !== terrainId)
+
+    this.rebuildNavGrid()
+    this.eventBus.emit('terrain:removed', { terrainId })
+    return true
+  }
+
+  /**
+   * Get every terrain patch on the map with its type's properties
+   * @returns {Object[]}
+   */
+  getTerrain() {
+    return this.navGrid.getObstacles()
+  }
+
+  /**
+   * Repaint the nav grid and send walking workers along fresh routes
+   */
+  rebuildNavGrid() {
+    this.navGrid.clearObstacles()
+    const baseTerrain = this.baseTerrain.filter(patch => !this.removedTerrain.includes(patch.id))
+    ;[...baseTerrain, ...this.placedTerrain].forEach(patch => {
+      const terrainType = terrainTypes[patch.type]
+      if (terrainType) {
+        this.navGrid.addObstacle({
+          ...patch,
+          walkable: terrainType.walkable,
+          speedMultiplier: terrainType.speedMultiplier,
+          color: terrainType.color
+        })
+      }
+    })
+
+    this.workers.forEach(worker => {
+      worker.path = []
+    })
   }
 
   /**
@@ -116,24 +252,57 @@ export class WorkerEntityManager {
   }
 
   /**
-   * Assign worker to resource node
+   * Check if a worker can be sent to a resource node
+   * Node and worker-pool checks only apply once GameEngine has linked those managers
    * @param {string} workerId
    * @param {string} nodeId
+   * @returns {Object} { canAssign: boolean, reason?: string }
    */
-  assignWorker(workerId, nodeId) {
+  canAssignWorker(workerId, nodeId) {
     const worker = this.workers.get(workerId)
+    if (!worker) {
+      return { canAssign: false, reason: 'Worker not found' }
+    }
 
-    if (worker) {
-      worker.assignTo(nodeId)
+    if (this.resourceNodeManager) {
+      const node = this.resourceNodeManager.getNode(nodeId)
+      if (!node) {
+        return { canAssign: false, reason: 'Resource node not found' }
+      }
+      if (this.skillManager && !this.resourceNodeManager.isUnlocked(nodeId, this.skillManager)) {
+        return { canAssign: false, reason: `Requires ${node.requiredSkillId} level ${node.requiredSkillLevel}` }
+      }
+    }
 
-      this.eventBus.emit('worker:assigned', {
-        workerId,
-        nodeId,
-        workerType: worker.type
-      })
+    // Workers already on the map just move; new ones must not be busy with activities
+    if (this.workerManager && !worker.isAssigned() && this.workerManager.getAvailableWorkers(worker.type) < 1) {
+      return { canAssign: false, reason: 'All workers of this type are busy with activities' }
+    }
+
+    return { canAssign: true }
+  }
 
-      console.log(`📌 [Worker] ${workerId} assigned to ${nodeId}`)
+  /**
+   * Assign worker to resource node
+   * @param {string} workerId
+   * @param {string} nodeId
+   * @returns {boolean} true if assignment succeeded
+   */
+  assignWorker(workerId, nodeId) {
+    if (!this.canAssignWorker(workerId, nodeId).canAssign) {
+      return false
     }
+
+    const worker = this.workers.get(workerId)
+    worker.assignTo(nodeId)
+
+    this.eventBus.emit('worker:assigned', {
+      workerId,
+      nodeId,
+      workerType: worker.type
+    })
+
+    return true
   }
 
   /**
@@ -153,8 +322,6 @@ export class WorkerEntityManager {
         previousNodeId: previousNode,
         workerType: worker.type
       })
-
-      console.log(`📍 [Worker] ${workerId} unassigned`)
     }
   }
 
@@ -175,6 +342,15 @@ export class WorkerEntityManager {
     return this.getAllWorkers().filter(w => !w.isAssigned())
   }
 
+  /**
+   * Get how many workers of a type are assigned to resource nodes
+   * @param {string} workerType
+   * @returns {number}
+   */
+  getAssignedCount(workerType) {
+    return this.getAllWorkers().filter(w => w.type === workerType && w.isAssigned()).length
+  }
+
   /**
    * Get workers by type
    * @param {string} workerType
@@ -200,16 +376,13 @@ export class WorkerEntityManager {
         this.spawnWorker(workerType)
       }
 
-      // Despawn extra workers (shouldn't happen normally)
+      // Despawn extra workers (workers spent on training, demolished houses, ...)
       const toDespawn = existing.length - owned
       for (let i = 0; i < toDespawn; i++) {
         // Despawn idle workers first
-        const idleWorker = existing.find(w => w.isIdle())
-        if (idleWorker) {
-          this.despawnWorker(idleWorker.id)
-        } else if (existing[i]) {
-          this.despawnWorker(existing[i].id)
-        }
+        const index = Math.max(existing.findIndex(w => w.isIdle()), 0)
+        const [worker] = existing.splice(index, 1)
+        this.despawnWorker(worker.id)
       }
     })
   }
@@ -262,6 +435,8 @@ export class WorkerEntityManager {
       byType: {},
       totalHarvests: 0,
       totalDistance: 0,
+      totalQueueWaitTime: 0,
+      queuedWorkers: 0,
       idleWorkers: 0,
       activeWorkers: 0
     }
@@ -289,6 +464,8 @@ export class WorkerEntityManager {
 
       stats.totalHarvests += worker.totalHarvests
       stats.totalDistance += worker.totalDistanceTraveled
+      stats.totalQueueWaitTime += worker.totalQueueWaitTime
+      if (worker.state === 'queued') stats.queuedWorkers++
     })
 
     return stats
@@ -301,7 +478,9 @@ export class WorkerEntityManager {
   getState() {
     const state = {
       workers: [],
-      nextWorkerId: this.nextWorkerId
+      nextWorkerId: this.nextWorkerId,
+      placedTerrain: this.placedTerrain.map(patch => ({ ...patch })),
+      removedTerrain: [...this.removedTerrain]
     }
 
     this.workers.forEach(worker => {
@@ -320,8 +499,18 @@ export class WorkerEntityManager {
     if (!state) return
 
     // Clear existing workers
+    this.workers.forEach(worker => worker.leaveNode())
     this.workers.clear()
 
+    // Placed terrain sits on top of the map's own layout, minus any patches cleared away
+    if (Array.isArray(state.placedTerrain)) {
+      this.placedTerrain = state.placedTerrain.map(patch => ({ ...patch }))
+    }
+    if (Array.isArray(state.removedTerrain)) {
+      this.removedTerrain = [...state.removedTerrain]
+    }
+    this.rebuildNavGrid()
+
     // Restore worker ID counter
     if (state.nextWorkerId !== undefined) {
       this.nextWorkerId = state.nextWorkerId
@@ -333,8 +522,10 @@ export class WorkerEntityManager {
         const worker = new WorkerEntity(
           workerState.id,
           workerState.type,
-          this.homePosition
+          this.homePosition,
+          this.rng
         )
+        worker.navGrid = this.navGrid
 
         // Apply worker type stats
         const stats = this.workerTypes.get(workerState.type)
@@ -348,17 +539,17 @@ export class WorkerEntityManager {
         this.workers.set(worker.id, worker)
       })
     }
-
-    console.log(`📂 [WorkerEntityManager] Loaded ${this.workers.size} workers`)
   }
 
   /**
    * Reset all workers
    */
   reset() {
+    this.workers.forEach(worker => worker.leaveNode())
     this.workers.clear()
     this.nextWorkerId = 1
-
-    console.log(`🔄 [WorkerEntityManager] Reset`)
+    this.placedTerrain = []
+    this.removedTerrain = []
+    this.rebuildNavGrid()
   }
 }
@@ -1,9 +1,13 @@
-import { workerTypes, speedBoosts } from '../data/workerTypes.js'
+import { workerTypes, speedBoosts, moraleSettings, upkeepSettings, workerScaling, veterancySettings } from '../data/workerTypes.js'
 
 /**
  * Manages workers - automation that runs activities automatically
  * Supports multiple worker types with different speeds
  * Supports speed boosts from consumable resources
+ * Charges per-type upkeep (food, wages, fuel) - unpaid workers slow down or quit
+ * Tracks morale per worker category - unhappy workers strike, halting an activity
+ * Worker groups build veterancy on their activity and rank up for speed and output
+ * Named presets and bulk operations reassign many groups with one batched event
  */
 export class WorkerManager {
   constructor(eventBus, resourceManager = null) {
@@ -17,6 +21,42 @@ export class WorkerManager {
 
     // Active speed boosts { activityId: [boostIds] }
     this.activeBoosts = {}
+
+    // Upkeep { workerTypeId: { timer: ms, missed: unpaid cycles in a row, unmetNeeds: [needIds] } }
+    this.upkeep = {}
+    this.upkeepGrace = 0 // ms before upkeep starts - new games get upkeepSettings.gracePeriod
+
+    // Morale per worker category (0 - moraleSettings.max)
+    this.moraleSettings = moraleSettings
+    this.morale = {}
+    this.strikeTimers = {} // { category: ms since the last strike roll }
+    this.strikes = {} // { activityId: { category, demand } }
+    for (const category of this.getCategories()) {
+      this.morale[category] = moraleSettings.start
+      this.strikeTimers[category] = 0
+    }
+
+    // Veterancy xp per group: { activityId: { workerTypeId: xp } }
+    this.veterancy = {}
+
+    // Named assignment snapshots: { name: assignments } - kept across resets
+    this.presets = {}
+
+    // Changes collected while a bulk operation runs (null outside one)
+    this.batch = null
+    this.batchChurn = null
+
+    // Random source for strikes (GameEngine shares its seeded RNG)
+    this.rng = Math.random
+
+    // Linked by GameEngine - workers harvesting on the map aren't free for activities
+    this.workerEntityManager = null
+
+    // Linked by GameEngine - Taverns raise morale
+    this.buildingManager = null
+
+    // Linked by GameEngine - bulk spreading needs activity definitions and unlocks
+    this.activityManager = null
   }
 
   /**
@@ -27,7 +67,9 @@ export class WorkerManager {
 
     const total = this.resourceManager.get(workerTypeId)
     const assigned = this.getAssignedWorkers(workerTypeId)
-    return total - assigned
+    const onMap = this.workerEntityManager ? this.workerEntityManager.getAssignedCount(workerTypeId) : 0
+    const builders = this.buildingManager ? this.buildingManager.getBuilderCount(workerTypeId) : 0
+    return total - assigned - onMap - builders
   }
 
   /**
@@ -41,6 +83,15 @@ export class WorkerManager {
     return total
   }
 
+  /**
+   * Get total workers of every type (assigned or not)
+   */
+  getTotalWorkers() {
+    if (!this.resourceManager) return 0
+
+    return this.workerTypes.reduce((total, workerType) => total + this.resourceManager.get(workerType.id), 0)
+  }
+
   /**
    * Check if can assign workers to activity
    */
@@ -77,9 +128,16 @@ export class WorkerManager {
       this.assignments[activityId] = {}
     }
 
+    const previous = this.assignments[activityId][workerTypeId] || 0
     this.assignments[activityId][workerTypeId] = count
+    if (previous !== count) {
+      this.chargeChurn(workerTypeId)
+      this.adjustVeterancy(activityId, workerTypeId, previous, count)
+    }
 
-    if (this.eventBus) {
+    if (this.batch) {
+      this.batch.push({ activityId, workerTypeId, count })
+    } else if (this.eventBus) {
       this.eventBus.emit('worker:assigned', {
         activityId,
         workerTypeId,
@@ -94,21 +152,32 @@ export class WorkerManager {
    * Unassign workers from activity
    */
   unassign(activityId, workerTypeId) {
-    if (!this.assignments[activityId]) return
+    if (!this.assignments[activityId]?.[workerTypeId]) return
 
+    const previous = this.assignments[activityId][workerTypeId]
     delete this.assignments[activityId][workerTypeId]
+    this.chargeChurn(workerTypeId)
+    this.adjustVeterancy(activityId, workerTypeId, previous, 0)
 
     // Clean up empty activity assignments
     if (Object.keys(this.assignments[activityId]).length === 0) {
       delete this.assignments[activityId]
     }
 
-    if (this.eventBus) {
+    if (this.batch) {
+      this.batch.push({ activityId, workerTypeId, count: 0 })
+    } else if (this.eventBus) {
       this.eventBus.emit('worker:unassigned', {
         activityId,
         workerTypeId
       })
     }
+
+    // Nobody left to strike
+    const strike = this.strikes[activityId]
+    if (strike && this.getCategoryAssignment(activityId, strike.category) === 0) {
+      this.endStrike(activityId, 'unassigned')
+    }
   }
 
   /**
@@ -123,6 +192,206 @@ export class WorkerManager {
     })
   }
 
+  // ========== Presets & Bulk Operations ==========
+
+  /**
+   * Run several assignment changes as one operation
+   * Emits a single worker:batch_assigned instead of one event per change
+   * @param {string} operation - Name reported in the event
+   * @param {Function} fn - Makes the changes
+   * @returns {*} Whatever fn returns
+   */
+  runBatch(operation, fn) {
+    if (this.batch) return fn() // Already inside a batch - the outer one reports
+
+    this.batch = []
+    this.batchChurn = new Set()
+    try {
+      return fn()
+    } finally {
+      const changes = this.batch
+      this.batch = null
+
+      // A reshuffle upsets each category once, however many groups it moved
+      this.batchChurn.forEach(category => this.changeMorale(category, -moraleSettings.churnPenalty))
+      this.batchChurn = null
+
+      if (changes.length > 0 && this.eventBus) {
+        this.eventBus.emit('worker:batch_assigned', { operation, changes })
+      }
+    }
+  }
+
+  /**
+   * Unassign every worker from every activity
+   */
+  unassignEverything() {
+    this.runBatch('unassign_all', () => {
+      Object.keys(this.assignments).forEach(activityId => this.unassignAll(activityId))
+    })
+  }
+
+  /**
+   * Spread workers of one type evenly across the unlocked activities of a skill
+   * Workers of that type already on the skill's activities are reshuffled too
+   * @param {string} skillId
+   * @param {string} workerTypeId
+   * @param {number} count - Total workers to spread
+   * @returns {boolean} false if there aren't enough workers or no unlocked activities
+   */
+  spreadWorkers(skillId, workerTypeId, count) {
+    if (!this.activityManager) return false
+
+    count = Math.floor(count)
+    const activityIds = this.activityManager.activityDefinitions
+      .filter(activity => activity.skillId === skillId)
+      .filter(activity => this.activityManager.skillManager.isActivityUnlocked(activity.id))
+      .map(activity => activity.id)
+    if (activityIds.length === 0 || count < 0) return false
+
+    const alreadyThere = activityIds.reduce((total, id) => total + this.getAssignment(id, workerTypeId), 0)
+    if (this.getAvailableWorkers(workerTypeId) + alreadyThere < count) return false
+
+    const targets = activityIds.map((activityId, index) => ({
+      activityId,
+      workerTypeId,
+      count: Math.floor(count / activityIds.length) + (index < count % activityIds.length ? 1 : 0)
+    }))
+    this.runBatch('spread', () => this.assignTargets(targets))
+
+    return true
+  }
+
+  /**
+   * Resize many groups at once, shrinking before growing so the new split never runs short
+   * Groups already at their target are left alone and keep their veterancy and strikes
+   * @private
+   * @param {Object[]} targets - [{ activityId, workerTypeId, count }]
+   */
+  assignTargets(targets) {
+    const changes = targets
+      .map(target => ({ ...target, current: this.getAssignment(target.activityId, target.workerTypeId) }))
+      .filter(target => target.count !== target.current)
+
+    changes
+      .filter(target => target.count < target.current)
+      .forEach(target => this.assign(target.activityId, target.workerTypeId, target.count))
+    changes
+      .filter(target => target.count > target.current)
+      .forEach(target => this.assign(target.activityId, target.workerTypeId, target.count))
+  }
+
+  /**
+   * Move workers of one type from one activity to another
+   * @param {string} workerTypeId
+   * @param {string} fromActivityId
+   * @param {string} toActivityId
+   * @param {number} count - Workers to move (defaults to all of them)
+   * @returns {boolean} false if nobody of that type works the source activity
+   */
+  moveWorkers(workerTypeId, fromActivityId, toActivityId, count = Infinity) {
+    const current = this.getAssignment(fromActivityId, workerTypeId)
+    const moving = Math.min(current, Math.floor(count))
+    if (moving <= 0 || fromActivityId === toActivityId) return false
+
+    this.runBatch('move', () => {
+      this.assign(fromActivityId, workerTypeId, current - moving)
+      this.assign(toActivityId, workerTypeId, this.getAssignment(toActivityId, workerTypeId) + moving)
+    })
+
+    return true
+  }
+
+  /**
+   * Save the current assignments under a name (overwrites a preset with the same name)
+   * @param {string} name
+   */
+  savePreset(name) {
+    const presetName = String(name ?? '').trim()
+    if (!presetName) {
+      throw new Error('Preset needs a name')
+    }
+
+    this.presets[presetName] = JSON.parse(JSON.stringify(this.assignments))
+
+    if (this.eventBus) {
+      this.eventBus.emit('worker:preset_saved', { name: presetName })
+    }
+  }
+
+  /**
+   * Get all saved presets
+   * @returns {Object[]} [{ name, assignments, workers }]
+   */
+  getPresets() {
+    return Object.entries(this.presets).map(([name, assignments]) => ({
+      name,
+      assignments: JSON.parse(JSON.stringify(assignments)),
+      workers: Object.values(assignments)
+        .reduce((total, group) => total + Object.values(group).reduce((sum, count) => sum + count, 0), 0)
+    }))
+  }
+
+  /**
+   * Replace all assignments with a preset
+   * Groups are trimmed to the workers owned now
+   * @param {string} name
+   * @returns {boolean} true if every group in the preset fit
+   */
+  applyPreset(name) {
+    const preset = this.presets[name]
+    if (!preset) {
+      throw new Error('Preset not found')
+    }
+
+    // Workers of each type that activities can use once the current assignments are lifted
+    const pool = {}
+    const free = (workerTypeId) => {
+      if (pool[workerTypeId] === undefined) {
+        pool[workerTypeId] = this.getAvailableWorkers(workerTypeId) + this.getAssignedWorkers(workerTypeId)
+      }
+      return pool[workerTypeId]
+    }
+
+    let complete = true
+    const targets = []
+    for (const [activityId, group] of Object.entries(preset)) {
+      for (const [workerTypeId, count] of Object.entries(group)) {
+        const fits = Math.max(0, Math.min(count, free(workerTypeId)))
+        if (fits < count) complete = false
+        pool[workerTypeId] -= fits
+        targets.push({ activityId, workerTypeId, count: fits })
+      }
+    }
+
+    // Groups the preset leaves out are emptied
+    for (const [activityId, group] of Object.entries(this.assignments)) {
+      for (const workerTypeId of Object.keys(group)) {
+        if (preset[activityId]?.[workerTypeId] === undefined) targets.push({ activityId, workerTypeId, count: 0 })
+      }
+    }
+
+    this.runBatch('preset', () => this.assignTargets(targets))
+
+    return complete
+  }
+
+  /**
+   * Delete a preset
+   * @param {string} name
+   * @returns {boolean} true if it existed
+   */
+  deletePreset(name) {
+    if (!this.presets[name]) return false
+
+    delete this.presets[name]
+
+    if (this.eventBus) {
+      this.eventBus.emit('worker:preset_deleted', { name })
+    }
+    return true
+  }
+
   /**
    * Get workers assigned to activity for a specific type
    */
@@ -138,55 +407,628 @@ export class WorkerManager {
   }
 
   /**
-   * Get speed multiplier for activity based on assigned workers and boosts
-   * Returns the BEST speed among all assigned worker types (they work in parallel)
+   * Get a worker type's affinity if it covers the activity
+   * @param {string} workerTypeId
+   * @param {string} activityId
+   * @param {string} activitySkillId
+   * @returns {Object|null} { skills, activities, speed, output }
    */
-  getSpeedMultiplier(activityId, activitySkillId = null) {
-    const assignments = this.assignments[activityId]
-    if (!assignments || Object.keys(assignments).length === 0) {
-      return 0  // No workers = no speed (activity doesn't run)
-    }
+  getAffinity(workerTypeId, activityId, activitySkillId = null) {
+    const affinity = this.workerTypes.find(wt => wt.id === workerTypeId)?.affinity
+    if (!affinity) return null
 
-    // Calculate speed for each worker type and take the best
-    let bestSpeed = 0
+    const matches = affinity.activities?.includes(activityId) ||
+      (activitySkillId !== null && affinity.skills?.includes(activitySkillId))
+    return matches ? affinity : null
+  }
 
-    for (const [workerTypeId, count] of Object.entries(assignments)) {
+  /**
+   * Get how fast each assigned worker group works an activity
+   * Every group produces in parallel; stacking one type has diminishing returns
+   * @param {string} activityId
+   * @param {string} activitySkillId - Skill of the activity (for skill affinities)
+   * @param {Object} scaling - { countFactor, maxCountBonus } (defaults to workerScaling)
+   * @returns {Object[]} [{ workerTypeId, count, speed, outputMultiplier }]
+   */
+  getGroupSpeeds(activityId, activitySkillId = null, scaling = null) {
+    const { countFactor, maxCountBonus } = { ...workerScaling, ...scaling }
+    const groups = []
+
+    for (const [workerTypeId, count] of Object.entries(this.getActivityAssignments(activityId))) {
       const workerType = this.workerTypes.find(wt => wt.id === workerTypeId)
       if (!workerType || count === 0) continue
 
       // Base speed from worker type
       let speed = workerType.baseSpeed
 
-      // Bonus for specific activities (e.g., tractor on farming)
-      if (workerType.bonusActivities && activitySkillId) {
-        if (workerType.bonusActivities.includes(activitySkillId)) {
-          speed *= 1.5  // 50% bonus
-        }
+      // Specialists on their own turf (e.g., tractor on farming, lumberjack chopping wood)
+      const affinity = this.getAffinity(workerTypeId, activityId, activitySkillId)
+      if (affinity) {
+        speed *= affinity.speed ?? 1
       }
 
       // Diminishing returns for multiple workers of same type
-      // Formula: baseSpeed * (1 + scalingBonus)
-      // Uses log10 with reduced scaling and caps out
+      // With the default scaling (0.15, capped at +40%) and 0.2 baseSpeed:
+      // 1 worker: 0.2 (baseline)
+      // 10 workers: 0.2 * 1.15 = 0.23 (+15%)
+      // 100 workers: 0.2 * 1.3 = 0.26 (+30%)
       if (count > 1) {
-        // Reduced scaling factor (0.15 instead of 0.3) for stronger diminishing returns
-        // Examples with 0.2 baseSpeed:
-        // 1 worker: 0.2 (baseline)
-        // 5 workers: 0.2 * 1.105 = 0.221 (+10.5%)
-        // 10 workers: 0.2 * 1.15 = 0.23 (+15%)
-        // 50 workers: 0.2 * 1.255 = 0.251 (+25.5%)
-        // 100 workers: 0.2 * 1.3 = 0.26 (+30%)
-        const scalingBonus = Math.min(0.4, 0.15 * Math.log10(count))  // Cap at +40%
-        speed *= (1 + scalingBonus)
+        speed *= 1 + Math.min(maxCountBonus, countFactor * Math.log10(count))
       }
 
       // Apply active speed boosts
       speed *= this.getSpeedBoostMultiplier(activityId, workerTypeId)
 
-      bestSpeed = Math.max(bestSpeed, speed)
+      // Hungry, unpaid or unfuelled workers slow down
+      speed *= this.getUpkeepMultiplier(workerTypeId)
+
+      // Seasoned groups work faster and waste less
+      const rank = this.getRank(activityId, workerTypeId)
+      speed *= rank.speed
+
+      groups.push({ workerTypeId, count, speed, outputMultiplier: (affinity?.output ?? 1) * rank.output })
+    }
+
+    return groups
+  }
+
+  /**
+   * Get the output multiplier for an activity's completions
+   * Each group's multiplier counts in proportion to its share of the work
+   * @param {string} activityId
+   * @param {string} activitySkillId - Skill of the activity (for skill affinities)
+   * @param {Object} scaling - Per-activity workerScaling override
+   * @returns {number} 1 when nobody assigned has an output affinity
+   */
+  getOutputMultiplier(activityId, activitySkillId = null, scaling = null) {
+    const groups = this.getGroupSpeeds(activityId, activitySkillId, scaling)
+    const totalSpeed = groups.reduce((total, group) => total + group.speed, 0)
+    if (totalSpeed === 0) return 1
+
+    return groups.reduce((total, group) => total + group.speed * group.outputMultiplier, 0) / totalSpeed
+  }
+
+  /**
+   * Get speed multiplier for activity based on assigned workers and boosts
+   * Worker groups add up - basic workers alongside a drone still help
+   * @param {string} activityId
+   * @param {string} activitySkillId - Skill of the activity (for skill affinities)
+   * @param {Object} scaling - Per-activity workerScaling override
+   * @returns {number} Completions per base duration (0 = no workers)
+   */
+  getSpeedMultiplier(activityId, activitySkillId = null, scaling = null) {
+    return this.getGroupSpeeds(activityId, activitySkillId, scaling)
+      .reduce((total, group) => total + group.speed, 0)
+  }
+
+  /**
+   * Charge upkeep for every worker type on its schedule
+   * @param {number} deltaTime - Time elapsed in ms
+   */
+  update(deltaTime) {
+    if (!this.resourceManager) return
+
+    this.updateMorale(deltaTime)
+
+    // A new town gets going before the first bills arrive
+    if (this.upkeepGrace > 0) {
+      this.upkeepGrace = Math.max(0, this.upkeepGrace - deltaTime)
+      return
+    }
+
+    for (const workerType of this.workerTypes) {
+      if (!workerType.upkeep) continue
+
+      const state = this.getUpkeepState(workerType.id)
+
+      // Nobody to pay - start the clock fresh when the first worker arrives
+      if (this.resourceManager.get(workerType.id) < 1) {
+        state.timer = 0
+        state.missed = 0
+        state.unmetNeeds = []
+        continue
+      }
+
+      const intervalMs = workerType.upkeep.interval * 1000
+      state.timer += deltaTime
+      while (state.timer >= intervalMs) {
+        state.timer -= intervalMs
+        this.payUpkeep(workerType.id)
+      }
+    }
+  }
+
+  /**
+   * Get (creating if needed) the upkeep state of a worker type
+   * @param {string} workerTypeId
+   * @returns {Object} { timer, missed, unmetNeeds }
+   */
+  getUpkeepState(workerTypeId) {
+    if (!this.upkeep[workerTypeId]) {
+      this.upkeep[workerTypeId] = { timer: 0, missed: 0, unmetNeeds: [] }
+    }
+    return this.upkeep[workerTypeId]
+  }
+
+  /**
+   * Pay one round of upkeep for all owned workers of a type
+   * Needs are paid in part when stock runs short, but count as unmet
+   * @param {string} workerTypeId
+   * @returns {Object} { consumed: { resourceId: amount }, unmetNeeds: [needIds], quit: boolean }
+   */
+  payUpkeep(workerTypeId) {
+    const workerType = this.workerTypes.find(wt => wt.id === workerTypeId)
+    if (!workerType?.upkeep || !this.resourceManager) {
+      return { consumed: {}, unmetNeeds: [], quit: false }
+    }
+
+    const { upkeep } = workerType
+    const workers = Math.floor(this.resourceManager.get(workerTypeId))
+    const consumed = {}
+    const unmetNeeds = []
+
+    for (const need of upkeep.needs) {
+      let owed = need.amount * workers
+
+      for (const resourceId of need.resources) {
+        const paid = Math.min(owed, this.resourceManager.get(resourceId))
+        if (paid > 0) {
+          this.resourceManager.subtract(resourceId, paid)
+          consumed[resourceId] = (consumed[resourceId] || 0) + paid
+          owed -= paid
+        }
+        if (owed <= 0) break
+      }
+
+      if (owed > 0) {
+        unmetNeeds.push(need.id)
+      }
+    }
+
+    const state = this.getUpkeepState(workerTypeId)
+    const unpaid = upkeep.needs.filter(need => need.quitsWhenUnmet && unmetNeeds.includes(need.id))
+    state.unmetNeeds = unmetNeeds
+    state.missed = unpaid.length > 0 ? state.missed + 1 : 0
+    // Weighted by the type's share of its category, so several unpaid types don't stack up
+    const categoryWorkers = this.workerTypes
+      .filter(wt => wt.category === workerType.category)
+      .reduce((total, wt) => total + Math.floor(this.resourceManager.get(wt.id)), 0)
+    const share = categoryWorkers > 0 ? workers / categoryWorkers : 1
+    this.changeMorale(workerType.category, -moraleSettings.unpaidPenalty * unmetNeeds.length * share)
+
+    if (this.eventBus) {
+      this.eventBus.emit('worker:upkeep', { workerTypeId, workers, consumed, unmetNeeds })
+    }
+
+    let quit = false
+    if (state.missed >= upkeep.quitAfter) {
+      state.missed = 0
+      this.quitWorker(workerTypeId, unpaid.map(need => need.id))
+      quit = true
+    }
+
+    return { consumed, unmetNeeds, quit }
+  }
+
+  /**
+   * One worker of a type walks off the job
+   * Idle workers leave first, then the busiest activity loses one, then a builder, then a map worker
+   * @param {string} workerTypeId
+   * @param {string[]} reasons - Need IDs that went unpaid
+   */
+  quitWorker(workerTypeId, reasons = []) {
+    if (this.resourceManager.get(workerTypeId) < 1) return
+
+    const onMap = this.workerEntityManager ? this.workerEntityManager.getAssignedCount(workerTypeId) : 0
+    const builders = this.buildingManager ? this.buildingManager.getBuilderCount(workerTypeId) : 0
+    const idle = this.resourceManager.get(workerTypeId) - this.getAssignedWorkers(workerTypeId) - onMap - builders
+    if (idle < 1) {
+      const busiest = Object.keys(this.assignments)
+        .filter(activityId => this.getAssignment(activityId, workerTypeId) > 0)
+        .sort((a, b) => this.getAssignment(b, workerTypeId) - this.getAssignment(a, workerTypeId))[0]
+
+      if (busiest) {
+        this.assign(busiest, workerTypeId, this.getAssignment(busiest, workerTypeId) - 1)
+      } else if (builders > 0) {
+        this.buildingManager.setBuilders(builders - 1)
+      } else if (onMap > 0) {
+        // Freed here so syncWithCurrency despawns them as an idle worker
+        const worker = this.workerEntityManager.getWorkersByType(workerTypeId).find(w => w.isAssigned())
+        this.workerEntityManager.unassignWorker(worker.id)
+      }
+    }
+
+    this.resourceManager.subtract(workerTypeId, 1)
+    // Their house room opens up again for a replacement
+    if (this.buildingManager) {
+      this.buildingManager.releaseWorker(workerTypeId)
+    }
+
+    if (this.eventBus) {
+      this.eventBus.emit('worker:quit', { workerTypeId, reasons })
+    }
+  }
+
+  /**
+   * Get the speed multiplier from unpaid upkeep (1 when everything is paid)
+   * @param {string} workerTypeId
+   * @returns {number}
+   */
+  getUpkeepMultiplier(workerTypeId) {
+    const workerType = this.workerTypes.find(wt => wt.id === workerTypeId)
+    const unmetNeeds = this.upkeep[workerTypeId]?.unmetNeeds || []
+    if (!workerType?.upkeep || unmetNeeds.length === 0) return 1.0
+
+    return workerType.upkeep.needs
+      .filter(need => unmetNeeds.includes(need.id))
+      .reduce((multiplier, need) => multiplier * need.unmetSpeed, 1.0)
+  }
+
+  /**
+   * Get upkeep details of a worker type for display
+   * @param {string} workerTypeId
+   * @returns {Object|null} { needs: [{ id, name, icon, resources, owed, met }], interval, secondsUntilDue, missed,
+   *   quitAfter, multiplier }
+   */
+  getUpkeepStatus(workerTypeId) {
+    const workerType = this.workerTypes.find(wt => wt.id === workerTypeId)
+    if (!workerType?.upkeep) return null
+
+    const { upkeep } = workerType
+    const state = this.getUpkeepState(workerTypeId)
+    const workers = this.resourceManager ? Math.floor(this.resourceManager.get(workerTypeId)) : 0
+
+    return {
+      needs: upkeep.needs.map(need => ({
+        id: need.id,
+        name: need.name,
+        icon: need.icon,
+        resources: need.resources,
+        owed: need.amount * workers,
+        met: !state.unmetNeeds.includes(need.id)
+      })),
+      interval: upkeep.interval,
+      secondsUntilDue: Math.max(0, Math.ceil(upkeep.interval - state.timer / 1000 + this.upkeepGrace / 1000)),
+      missed: state.missed,
+      quitAfter: upkeep.quitAfter,
+      multiplier: this.getUpkeepMultiplier(workerTypeId)
+    }
+  }
+
+  // ========== Morale & Strikes ==========
+
+  /**
+   * Get the worker categories (human, machine)
+   * @returns {string[]}
+   */
+  getCategories() {
+    return [...new Set(this.workerTypes.map(wt => wt.category))]
+  }
+
+  /**
+   * Get the category of a worker type
+   * @param {string} workerTypeId
+   * @returns {string|undefined}
+   */
+  getCategory(workerTypeId) {
+    return this.workerTypes.find(wt => wt.id === workerTypeId)?.category
+  }
+
+  /**
+   * Get how many workers of a category are assigned to an activity
+   * @param {string} activityId
+   * @param {string} category
+   * @returns {number}
+   */
+  getCategoryAssignment(activityId, category) {
+    return Object.entries(this.getActivityAssignments(activityId))
+      .filter(([workerTypeId]) => this.getCategory(workerTypeId) === category)
+      .reduce((total, [, count]) => total + count, 0)
+  }
+
+  /**
+   * Get morale of a worker category
+   * @param {string} category
+   * @returns {number}
+   */
+  getMorale(category) {
+    return this.morale[category] ?? moraleSettings.start
+  }
+
+  /**
+   * Raise or lower a category's morale (clamped to 0 - max)
+   * @param {string} category
+   * @param {number} amount
+   */
+  changeMorale(category, amount) {
+    if (!category || amount === 0) return
+    this.morale[category] = Math.min(moraleSettings.max, Math.max(0, this.getMorale(category) + amount))
+  }
+
+  /**
+   * Lower morale for an assignment change - deferred to the end of a batch
+   * @param {string} workerTypeId
+   */
+  chargeChurn(workerTypeId) {
+    const category = this.getCategory(workerTypeId)
+    if (this.batchChurn) {
+      if (category) this.batchChurn.add(category)
+      return
+    }
+    this.changeMorale(category, -moraleSettings.churnPenalty)
+  }
+
+  /**
+   * Get how fast a category's morale is changing right now
+   * @param {string} category
+   * @returns {number} Morale per second
+   */
+  getMoraleRate(category) {
+    if (!this.resourceManager) return 0
+
+    const types = this.workerTypes.filter(wt => wt.category === category)
+    const owned = types.reduce((total, wt) => total + this.resourceManager.get(wt.id), 0)
+    if (owned < 1) return 0
+
+    // Workers settle back down once nothing else is bothering them
+    let rate = this.getMorale(category) < moraleSettings.start ? moraleSettings.recoveryRate : 0
+
+    // Overwork - nearly everyone busy all the time
+    const busy = types.reduce((total, wt) => total + this.resourceManager.get(wt.id) - this.getAvailableWorkers(wt.id), 0)
+    if (busy / owned > moraleSettings.overworkShare) {
+      rate -= moraleSettings.overworkDrain
+    }
+
+    // Speed-boost goods in stock for any of the category's worker types
+    const goods = this.speedBoosts.filter(boost =>
+      boost.workerTypes.some(id => this.getCategory(id) === category) && this.resourceManager.get(boost.id) > 0)
+    rate += goods.length * moraleSettings.boostGoodsRegen
+
+    // Taverns and better housing only cheer up people
+    if (category === 'human' && this.buildingManager) {
+      rate += this.buildingManager.getBuildingBonus('moraleRegen')
+    }
+
+    return rate
+  }
+
+  /**
+   * Drift morale and roll for strikes while it's low
+   * @param {number} deltaTime - Time elapsed in ms
+   */
+  updateMorale(deltaTime) {
+    for (const category of this.getCategories()) {
+      this.changeMorale(category, this.getMoraleRate(category) * (deltaTime / 1000))
+
+      if (this.getMorale(category) >= moraleSettings.strikeThreshold) {
+        this.strikeTimers[category] = 0
+        continue
+      }
+
+      this.strikeTimers[category] = (this.strikeTimers[category] || 0) + deltaTime
+      const intervalMs = moraleSettings.strikeCheckInterval * 1000
+      while (this.strikeTimers[category] >= intervalMs) {
+        this.strikeTimers[category] -= intervalMs
+        if (this.rng() < moraleSettings.strikeChance) {
+          this.startRandomStrike(category)
+        }
+      }
+    }
+  }
+
+  /**
+   * Walk out of a random automated activity staffed by the category
+   * @param {string} category
+   * @returns {string|null} Activity ID now on strike
+   */
+  startRandomStrike(category) {
+    const candidates = Object.keys(this.assignments)
+      .filter(activityId => !this.strikes[activityId] && this.getCategoryAssignment(activityId, category) > 0)
+    if (candidates.length === 0) return null
+
+    const activityId = candidates[Math.floor(this.rng() * candidates.length)]
+    this.startStrike(activityId, category)
+    return activityId
+  }
+
+  /**
+   * Put an activity's workers of a category on strike
+   * @param {string} activityId
+   * @param {string} category
+   */
+  startStrike(activityId, category) {
+    const strikers = this.getCategoryAssignment(activityId, category)
+    if (strikers === 0) {
+      throw new Error('No workers to strike')
+    }
+    if (this.strikes[activityId]) {
+      throw new Error('Activity is already on strike')
+    }
+
+    const options = moraleSettings.demands[category] || []
+    const base = options[Math.floor(this.rng() * options.length)] || {}
+    const demand = {}
+    for (const [resourceId, amount] of Object.entries(base)) {
+      demand[resourceId] = amount * strikers
+    }
+
+    this.strikes[activityId] = { category, demand }
+
+    if (this.eventBus) {
+      this.eventBus.emit('worker:strike_started', { activityId, category, strikers, demand: { ...demand } })
+    }
+  }
+
+  /**
+   * Check if an activity's workers are on strike
+   * @param {string} activityId
+   * @returns {boolean}
+   */
+  isOnStrike(activityId) {
+    return Boolean(this.strikes[activityId])
+  }
+
+  /**
+   * Get the strike at an activity
+   * @param {string} activityId
+   * @returns {Object|null} { category, demand }
+   */
+  getStrike(activityId) {
+    return this.strikes[activityId] || null
+  }
+
+  /**
+   * Check if a strike's demand can be paid
+   * @param {string} activityId
+   * @returns {Object} { canMeet: boolean, reason?: string }
+   */
+  canMeetStrikeDemand(activityId) {
+    const strike = this.strikes[activityId]
+    if (!strike) {
+      return { canMeet: false, reason: 'No strike at this activity' }
+    }
+
+    if (!this.resourceManager || !this.resourceManager.canAfford(strike.demand)) {
+      return { canMeet: false, reason: 'Cannot afford demands' }
+    }
+
+    return { canMeet: true }
+  }
+
+  /**
+   * Pay a strike's demand - workers go back to work a little happier
+   * @param {string} activityId
+   */
+  meetStrikeDemand(activityId) {
+    const check = this.canMeetStrikeDemand(activityId)
+    if (!check.canMeet) {
+      throw new Error(check.reason)
+    }
+
+    const strike = this.strikes[activityId]
+    this.resourceManager.spendCosts(strike.demand)
+    this.changeMorale(strike.category, moraleSettings.strikeEndBonus)
+    this.endStrike(activityId, 'demand_met')
+  }
+
+  /**
+   * End a strike
+   * @param {string} activityId
+   * @param {string} reason - 'demand_met' or 'unassigned'
+   */
+  endStrike(activityId, reason) {
+    const strike = this.strikes[activityId]
+    if (!strike) return
+
+    delete this.strikes[activityId]
+
+    if (this.eventBus) {
+      this.eventBus.emit('worker:strike_ended', { activityId, category: strike.category, reason })
+    }
+  }
+
+  // ========== Veterancy ==========
+
+  /**
+   * Get a group's veterancy xp on an activity
+   * @param {string} activityId
+   * @param {string} workerTypeId
+   * @returns {number}
+   */
+  getVeterancyXP(activityId, workerTypeId) {
+    return this.veterancy[activityId]?.[workerTypeId] || 0
+  }
+
+  /**
+   * Get the rank a given amount of xp earns
+   * @param {number} xp
+   * @returns {Object} Rank definition from veterancySettings.ranks
+   */
+  getRankForXP(xp) {
+    const { ranks } = veterancySettings
+    return ranks.reduce((best, rank) => xp >= rank.xp ? rank : best, ranks[0])
+  }
+
+  /**
+   * Get a group's current rank on an activity
+   * @param {string} activityId
+   * @param {string} workerTypeId
+   * @returns {Object} Rank definition
+   */
+  getRank(activityId, workerTypeId) {
+    return this.getRankForXP(this.getVeterancyXP(activityId, workerTypeId))
+  }
+
+  /**
+   * Get a group's rank and progress towards the next one
+   * @param {string} activityId
+   * @param {string} workerTypeId
+   * @returns {Object} { xp, rank, nextRank, progress } (nextRank null and progress 1 at the top)
+   */
+  getVeterancy(activityId, workerTypeId) {
+    const xp = this.getVeterancyXP(activityId, workerTypeId)
+    const rank = this.getRankForXP(xp)
+    const nextRank = veterancySettings.ranks.find(r => r.xp > rank.xp) || null
+    const progress = nextRank ? (xp - rank.xp) / (nextRank.xp - rank.xp) : 1
+
+    return { xp, rank, nextRank, progress }
+  }
+
+  /**
+   * Award veterancy to every group on an activity for one completion
+   * @param {string} activityId
+   */
+  addVeterancy(activityId) {
+    for (const [workerTypeId, count] of Object.entries(this.getActivityAssignments(activityId))) {
+      if (count === 0) continue
+
+      const before = this.getRank(activityId, workerTypeId)
+      this.setVeterancyXP(activityId, workerTypeId, this.getVeterancyXP(activityId, workerTypeId) + veterancySettings.xpPerCompletion)
+      const after = this.getRank(activityId, workerTypeId)
+
+      if (after !== before && this.eventBus) {
+        this.eventBus.emit('worker:ranked_up', { activityId, workerTypeId, rank: after.id })
+      }
     }
+  }
 
-    // Cap at 1.0 (never faster than manual)
-    return Math.min(1.0, bestSpeed)
+  /**
+   * Rescale a group's xp when its size changes
+   * Newcomers dilute the average; removed workers take unassignLoss of their share
+   * @param {string} activityId
+   * @param {string} workerTypeId
+   * @param {number} previous - Group size before
+   * @param {number} count - Group size after
+   */
+  adjustVeterancy(activityId, workerTypeId, previous, count) {
+    const xp = this.getVeterancyXP(activityId, workerTypeId)
+    if (xp === 0 || previous === 0) return
+
+    if (count > previous) {
+      this.setVeterancyXP(activityId, workerTypeId, xp * previous / count)
+    } else {
+      const removedShare = (previous - count) / previous
+      this.setVeterancyXP(activityId, workerTypeId, xp * (1 - veterancySettings.unassignLoss * removedShare))
+    }
+  }
+
+  /**
+   * Store a group's xp, dropping empty entries
+   * @private
+   */
+  setVeterancyXP(activityId, workerTypeId, xp) {
+    if (xp <= 0) {
+      delete this.veterancy[activityId]?.[workerTypeId]
+      if (this.veterancy[activityId] && Object.keys(this.veterancy[activityId]).length === 0) {
+        delete this.veterancy[activityId]
+      }
+      return
+    }
+
+    if (!this.veterancy[activityId]) {
+      this.veterancy[activityId] = {}
+    }
+    this.veterancy[activityId][workerTypeId] = xp
   }
 
   /**
@@ -257,7 +1099,14 @@ export class WorkerManager {
    */
   getState() {
     return {
-      assignments: JSON.parse(JSON.stringify(this.assignments))
+      assignments: JSON.parse(JSON.stringify(this.assignments)),
+      upkeep: JSON.parse(JSON.stringify(this.upkeep)),
+      upkeepGrace: this.upkeepGrace,
+      morale: { ...this.morale },
+      strikeTimers: { ...this.strikeTimers },
+      strikes: JSON.parse(JSON.stringify(this.strikes)),
+      veterancy: JSON.parse(JSON.stringify(this.veterancy)),
+      presets: JSON.parse(JSON.stringify(this.presets))
     }
   }
 
@@ -271,6 +1120,27 @@ export class WorkerManager {
     if (state.assignments) {
       this.assignments = JSON.parse(JSON.stringify(state.assignments))
     }
+    if (state.upkeep) {
+      this.upkeep = JSON.parse(JSON.stringify(state.upkeep))
+    }
+    if (state.upkeepGrace !== undefined) {
+      this.upkeepGrace = state.upkeepGrace
+    }
+    if (state.morale) {
+      Object.assign(this.morale, state.morale)
+    }
+    if (state.strikeTimers) {
+      Object.assign(this.strikeTimers, state.strikeTimers)
+    }
+    if (state.strikes) {
+      this.strikes = JSON.parse(JSON.stringify(state.strikes))
+    }
+    if (state.veterancy) {
+      this.veterancy = JSON.parse(JSON.stringify(state.veterancy))
+    }
+    if (state.presets) {
+      this.presets = JSON.parse(JSON.stringify(state.presets))
+    }
   }
 
   /**
@@ -279,5 +1149,13 @@ export class WorkerManager {
   reset() {
     this.assignments = {}
     this.activeBoosts = {}
+    this.upkeep = {}
+    this.upkeepGrace = upkeepSettings.gracePeriod * 1000
+    this.strikes = {}
+    this.veterancy = {}
+    for (const category of this.getCategories()) {
+      this.morale[category] = moraleSettings.start
+      this.strikeTimers[category] = 0
+    }
   }
 }
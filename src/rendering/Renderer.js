@@ -43,6 +43,9 @@ export class Renderer {
     // Draw background
     this.drawBackground()
 
+    // Draw rivers, roads and bridges
+    this.drawTerrain()
+
     // Draw home area
     this.drawHome()
 
@@ -147,6 +150,16 @@ export class Renderer {
     this.ctx.fillRect(0, 0, this.width, this.height)
   }
 
+  /**
+   * Draw terrain patches in the order they were painted onto the nav grid
+   */
+  drawTerrain() {
+    this.engine.workerEntityManager.getTerrain().forEach(patch => {
+      this.ctx.fillStyle = patch.color || '#999'
+      this.ctx.fillRect(patch.x, patch.y, patch.width, patch.height)
+    })
+  }
+
   /**
    * Draw home area (right side)
    */
@@ -186,7 +199,7 @@ export class Renderer {
    * Draw a single resource node
    */
   drawResourceNode(state) {
-    const { position, icon, name, available, capacity, fullness, color } = state
+    const { position, icon, name, available, capacity, fullness, color, depleted } = state
 
     // Draw glow effect based on fullness
     if (fullness > 0.5) {
@@ -213,11 +226,13 @@ export class Renderer {
     this.ctx.fill()
     this.ctx.globalAlpha = 1.0
 
-    // Draw node icon
+    // Draw node icon (faded while depleted)
     this.ctx.font = '36px Arial'
     this.ctx.textAlign = 'center'
     this.ctx.textBaseline = 'middle'
+    this.ctx.globalAlpha = depleted ? 0.4 : 1.0
     this.ctx.fillText(icon, position.x, position.y)
+    this.ctx.globalAlpha = 1.0
 
     // Draw name
     this.ctx.font = '12px Arial'
@@ -227,7 +242,7 @@ export class Renderer {
     // Draw resource count
     this.ctx.font = '10px Arial'
     this.ctx.fillStyle = '#333'
-    this.ctx.fillText(`${Math.floor(available)}/${capacity}`, position.x, position.y + 50)
+    this.ctx.fillText(`${Math.floor(available)}/${capacity}${depleted ? ' depleted' : ''}`, position.x, position.y + 50)
 
     // Draw fullness bar
     this.drawProgressBar(
@@ -285,6 +300,12 @@ export class Renderer {
       }
     }
 
+    // Waiting for a harvest slot
+    if (state.state === 'queued') {
+      this.ctx.font = '14px Arial'
+      this.ctx.fillText('⏳', position.x, position.y - 20)
+    }
+
     // Draw progress bar for harvesting/depositing
     if (state.state === 'harvesting' || state.state === 'depositing') {
       this.drawProgressBar(
@@ -309,8 +330,8 @@ export class Renderer {
       iron: '⚙️',
       coal: '🪨',
       gold: '💰',
-      carrot: '🥕',
-      crystal: '💎'
+      corn: '🌽',
+      water: '💧'
     }
 
     // Get first resource type from carrying object
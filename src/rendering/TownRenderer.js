@@ -15,15 +15,35 @@ export class TownRenderer {
     this.canvas.width = this.width
     this.canvas.height = this.height
 
-    // Grid layout for buildings (4 columns x 4 rows = 16 building slots)
-    this.gridColumns = 4
-    this.gridRows = 4
+    // Grid layout for buildings: one row per 4 unlocked slots, each building in its own slot
+    // Four rows fill the canvas - unlocking more slots grows the grid and it scrolls
+    this.gridColumns = engine.buildingManager.townSettings.gridColumns
+    this.visibleRows = 4
+    this.gridRows = this.visibleRows
     this.cellWidth = this.width / this.gridColumns
-    this.cellHeight = this.height / this.gridRows // Use full height for buildings
-
-    // Building positions - map instanceId to grid position
-    this.buildingPositions = new Map()
-    this.nextBuildingSlot = 0
+    this.cellHeight = this.height / this.visibleRows
+    this.scrollY = 0
+
+    // Scroll with the mouse wheel once the town outgrows the canvas
+    this.handleWheel = (e) => {
+      if (this.getMaxScroll() === 0) return
+      e.preventDefault()
+      this.scrollBy(e.deltaY)
+    }
+    this.canvas.addEventListener('wheel', this.handleWheel, { passive: false })
+
+    // Placement - click an empty slot to build there next, drag completed buildings to move them
+    this.selectedSlot = null
+    this.drag = null // { instanceId, fromSlot, x, y } while a building is being dragged
+    this.onSlotSelected = null // Callback(slot) set by the UI
+    this.handleMouseDown = (e) => this.startDrag(e.offsetX, e.offsetY)
+    this.handleMouseMove = (e) => this.moveDrag(e.offsetX, e.offsetY)
+    this.handleMouseUp = (e) => this.endDrag(e.offsetX, e.offsetY)
+    this.handleMouseLeave = () => { this.drag = null }
+    this.canvas.addEventListener('mousedown', this.handleMouseDown)
+    this.canvas.addEventListener('mousemove', this.handleMouseMove)
+    this.canvas.addEventListener('mouseup', this.handleMouseUp)
+    this.canvas.addEventListener('mouseleave', this.handleMouseLeave)
 
     // Animated workers - they walk around the entire town now!
     this.workers = []
@@ -51,7 +71,7 @@ export class TownRenderer {
     workerEmojis.forEach(emoji => this.getCachedEmoji(emoji, 28))
 
     // Building emojis at size 52
-    const buildingEmojis = ['🏠', '📦', '🍺', '⚒️', '🏪', '🎓']
+    const buildingEmojis = ['🏠', '📦', '🌾', '🪵', '🏦', '🗄️', '🍺', '⚒️', '🏪', '🎓']
     buildingEmojis.forEach(emoji => this.getCachedEmoji(emoji, 52))
 
     // Small emojis for construction and speech
@@ -103,6 +123,19 @@ export class TownRenderer {
     return this.emojiCache.get(key)
   }
 
+  /**
+   * Stop listening to the canvas (call before replacing the renderer)
+   */
+  destroy() {
+    this.canvas.removeEventListener('wheel', this.handleWheel)
+    this.canvas.removeEventListener('mousedown', this.handleMouseDown)
+    this.canvas.removeEventListener('mousemove', this.handleMouseMove)
+    this.canvas.removeEventListener('mouseup', this.handleMouseUp)
+    this.canvas.removeEventListener('mouseleave', this.handleMouseLeave)
+    this.drag = null
+    this.onSlotSelected = null
+  }
+
   /**
    * Render a single frame
    * @param {number} deltaTime - Time since last frame in milliseconds
@@ -111,18 +144,146 @@ export class TownRenderer {
     // Clear canvas
     this.ctx.clearRect(0, 0, this.width, this.height)
 
+    // Unlocked slots may have added a row
+    this.updateGridSize()
+
     // Draw background
     this.drawBackground()
 
     // Draw grid lines for building slots (subtle)
     this.drawGrid()
+    this.drawSlotHighlights()
 
     // Draw buildings
     this.drawBuildings()
+    this.drawDraggedBuilding()
 
     // Update and draw animated workers
     this.updateWorkers(deltaTime)
     this.drawAnimatedWorkers()
+
+    this.drawScrollbar()
+  }
+
+  /**
+   * Grow the grid to fit every unlocked slot
+   */
+  updateGridSize() {
+    const slots = this.engine.buildingManager.availableSlots
+    this.gridRows = Math.max(this.visibleRows, Math.ceil(slots / this.gridColumns))
+    this.scrollY = Math.min(this.scrollY, this.getMaxScroll())
+  }
+
+  /**
+   * Get how far the grid can scroll
+   * @returns {number} Pixels (0 while the grid fits on the canvas)
+   */
+  getMaxScroll() {
+    return Math.max(0, this.gridRows * this.cellHeight - this.height)
+  }
+
+  /**
+   * Scroll the grid, clamped to its size
+   * @param {number} deltaY - Pixels to scroll (positive = down)
+   */
+  scrollBy(deltaY) {
+    this.scrollY = Math.min(Math.max(this.scrollY + deltaY, 0), this.getMaxScroll())
+  }
+
+  /**
+   * Get the unlocked slot under a point on the canvas
+   * @param {number} x - Canvas pixels
+   * @param {number} y - Canvas pixels
+   * @returns {number|null} Slot index, or null outside the unlocked grid
+   */
+  getSlotAt(x, y) {
+    const col = Math.floor(x / this.cellWidth)
+    const row = Math.floor((y + this.scrollY) / this.cellHeight)
+    if (col < 0 || col >= this.gridColumns || row < 0) return null
+
+    const slot = row * this.gridColumns + col
+    return this.engine.buildingManager.isValidSlot(slot) ? slot : null
+  }
+
+  /**
+   * Pick up the completed building under the cursor
+   * @param {number} x - Canvas pixels
+   * @param {number} y - Canvas pixels
+   */
+  startDrag(x, y) {
+    const slot = this.getSlotAt(x, y)
+    if (slot === null) return
+
+    const building = this.engine.buildingManager.getBuildingAtSlot(slot)
+    if (building && building.constructionComplete) {
+      this.drag = { instanceId: building.instanceId, fromSlot: slot, x, y }
+    }
+  }
+
+  /**
+   * Follow the cursor with the dragged building
+   * @param {number} x - Canvas pixels
+   * @param {number} y - Canvas pixels
+   */
+  moveDrag(x, y) {
+    if (!this.drag) return
+    this.drag.x = x
+    this.drag.y = y
+  }
+
+  /**
+   * Drop the dragged building, or select the empty slot that was clicked
+   * @param {number} x - Canvas pixels
+   * @param {number} y - Canvas pixels
+   */
+  endDrag(x, y) {
+    const slot = this.getSlotAt(x, y)
+    const drag = this.drag
+    this.drag = null
+    if (slot === null) return
+
+    const buildingManager = this.engine.buildingManager
+
+    if (drag) {
+      if (slot !== drag.fromSlot && buildingManager.canMoveBuilding(drag.instanceId, slot).canMove) {
+        buildingManager.moveBuilding(drag.instanceId, slot)
+      }
+      return
+    }
+
+    if (!buildingManager.getBuildingAtSlot(slot)) {
+      this.selectedSlot = this.selectedSlot === slot ? null : slot
+      if (this.onSlotSelected) {
+        this.onSlotSelected(this.selectedSlot)
+      }
+    }
+  }
+
+  /**
+   * Get the slot the next building should go in
+   * @returns {number|null} The selected slot while it's still free, otherwise null
+   */
+  getTargetSlot() {
+    const buildingManager = this.engine.buildingManager
+    if (this.selectedSlot === null || !buildingManager.isValidSlot(this.selectedSlot)) return null
+    return buildingManager.getBuildingAtSlot(this.selectedSlot) ? null : this.selectedSlot
+  }
+
+  /**
+   * Draw the scroll position along the right edge while the grid overflows
+   */
+  drawScrollbar() {
+    const maxScroll = this.getMaxScroll()
+    if (maxScroll === 0) return
+
+    const trackHeight = this.height - 8
+    const thumbHeight = Math.max(20, trackHeight * (this.height / (this.gridRows * this.cellHeight)))
+    const thumbY = 4 + (trackHeight - thumbHeight) * (this.scrollY / maxScroll)
+
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.1)'
+    this.ctx.fillRect(this.width - 8, 4, 4, trackHeight)
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.35)'
+    this.ctx.fillRect(this.width - 8, Math.floor(thumbY), 4, Math.floor(thumbHeight))
   }
 
   /**
@@ -142,9 +303,12 @@ export class TownRenderer {
   }
 
   /**
-   * Draw subtle grid for building slots
+   * Draw subtle grid for building slots, with slots still to unlock shaded
    */
   drawGrid() {
+    const gridHeight = this.gridRows * this.cellHeight
+    const top = -this.scrollY
+
     this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.1)'
     this.ctx.lineWidth = 1
 
@@ -152,19 +316,73 @@ export class TownRenderer {
     for (let col = 1; col < this.gridColumns; col++) {
       const x = col * this.cellWidth
       this.ctx.beginPath()
-      this.ctx.moveTo(x, 0)
-      this.ctx.lineTo(x, this.height)
+      this.ctx.moveTo(x, Math.max(top, 0))
+      this.ctx.lineTo(x, Math.min(top + gridHeight, this.height))
       this.ctx.stroke()
     }
 
     // Horizontal lines
     for (let row = 1; row < this.gridRows; row++) {
-      const y = row * this.cellHeight
+      const y = top + row * this.cellHeight
+      if (y < 0 || y > this.height) continue
       this.ctx.beginPath()
       this.ctx.moveTo(0, y)
       this.ctx.lineTo(this.width, y)
       this.ctx.stroke()
     }
+
+    // Locked slots in the last row
+    const availableSlots = this.engine.buildingManager.availableSlots
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.15)'
+    for (let slot = availableSlots; slot < this.gridRows * this.gridColumns; slot++) {
+      const x = (slot % this.gridColumns) * this.cellWidth
+      const y = top + Math.floor(slot / this.gridColumns) * this.cellHeight
+      this.ctx.fillRect(Math.floor(x), Math.floor(y), Math.ceil(this.cellWidth), Math.ceil(this.cellHeight))
+    }
+  }
+
+  /**
+   * Outline the selected slot, and the drop target while dragging (green if the move is allowed)
+   */
+  drawSlotHighlights() {
+    const outlineSlot = (slot, color) => {
+      const x = (slot % this.gridColumns) * this.cellWidth
+      const y = Math.floor(slot / this.gridColumns) * this.cellHeight - this.scrollY
+      this.ctx.strokeStyle = color
+      this.ctx.lineWidth = 3
+      this.ctx.strokeRect(Math.floor(x) + 2, Math.floor(y) + 2, Math.floor(this.cellWidth) - 4, Math.floor(this.cellHeight) - 4)
+    }
+
+    const targetSlot = this.getTargetSlot()
+    if (targetSlot !== null) {
+      outlineSlot(targetSlot, '#f59e0b')
+    }
+
+    if (this.drag) {
+      const dropSlot = this.getSlotAt(this.drag.x, this.drag.y)
+      if (dropSlot !== null && dropSlot !== this.drag.fromSlot) {
+        const { canMove } = this.engine.buildingManager.canMoveBuilding(this.drag.instanceId, dropSlot)
+        outlineSlot(dropSlot, canMove ? '#22c55e' : '#ef4444')
+      }
+    }
+  }
+
+  /**
+   * Draw the building being dragged under the cursor
+   */
+  drawDraggedBuilding() {
+    if (!this.drag) return
+
+    const instance = this.engine.buildingManager.getBuildingInstance(this.drag.instanceId)
+    const buildingType = instance && this.engine.buildingManager.buildingTypes.find(b => b.id === instance.buildingTypeId)
+    if (!buildingType) {
+      this.drag = null
+      return
+    }
+
+    this.ctx.globalAlpha = 0.6
+    this.drawCompletedBuilding(this.drag.x, this.drag.y, instance, buildingType)
+    this.ctx.globalAlpha = 1.0
   }
 
   /**
@@ -191,30 +409,39 @@ export class TownRenderer {
    * Draw a single building
    */
   drawBuilding(instance, buildingTypeId) {
-    // Get or assign position
-    if (!this.buildingPositions.has(instance.instanceId)) {
-      // Assign next available grid position
-      const col = this.nextBuildingSlot % this.gridColumns
-      const row = Math.floor(this.nextBuildingSlot / this.gridColumns)
-
-      this.buildingPositions.set(instance.instanceId, { col, row })
-      this.nextBuildingSlot++
-    }
-
-    const pos = this.buildingPositions.get(instance.instanceId)
+    // Buildings sit in the slot BuildingManager placed them in
+    if (!Number.isInteger(instance.slot)) return
+    const pos = this.getSlotPosition(instance.slot)
     const buildingType = this.engine.buildingManager.buildingTypes.find(b => b.id === buildingTypeId)
 
     if (!buildingType) return
 
-    // Calculate center position
+    // Calculate center position (skipping buildings scrolled out of view)
     const centerX = pos.col * this.cellWidth + this.cellWidth / 2
-    const centerY = pos.row * this.cellHeight + this.cellHeight / 2
+    const centerY = pos.row * this.cellHeight + this.cellHeight / 2 - this.scrollY
+    if (centerY + this.cellHeight < 0 || centerY - this.cellHeight > this.height) return
 
-    // Draw construction progress or completed building
+    // Draw construction progress or completed building (faded while it's being dragged away)
     if (!instance.constructionComplete) {
       this.drawConstructionSite(centerX, centerY, instance, buildingType)
     } else {
+      if (this.drag && this.drag.instanceId === instance.instanceId) {
+        this.ctx.globalAlpha = 0.3
+      }
       this.drawCompletedBuilding(centerX, centerY, instance, buildingType)
+      this.ctx.globalAlpha = 1.0
+    }
+  }
+
+  /**
+   * Get the grid cell of a slot
+   * @param {number} slot
+   * @returns {Object} { col, row }
+   */
+  getSlotPosition(slot) {
+    return {
+      col: slot % this.gridColumns,
+      row: Math.floor(slot / this.gridColumns)
     }
   }
 
@@ -226,9 +453,8 @@ export class TownRenderer {
     x = Math.floor(x)
     y = Math.floor(y)
 
-    // Calculate progress
-    const elapsed = Date.now() - instance.constructionStartTime
-    const progress = Math.min(elapsed / instance.constructionDuration, 1)
+    // Calculate progress (0 while waiting in the construction queue)
+    const progress = this.engine.buildingManager.getConstructionProgress(instance)
 
     // Draw construction site base
     this.ctx.fillStyle = '#8B4513'
@@ -267,6 +493,17 @@ export class TownRenderer {
     this.ctx.lineWidth = 1
     this.ctx.strokeRect(barX, barY, barWidth, barHeight)
 
+    // Waiting projects show their place in the queue instead of a crew at work
+    if (instance.constructionStartTime === null) {
+      const place = this.engine.buildingManager.constructionQueue.indexOf(instance.instanceId) + 1
+      this.ctx.font = 'bold 11px Arial'
+      this.ctx.fillStyle = '#000'
+      this.ctx.textAlign = 'center'
+      this.ctx.textBaseline = 'middle'
+      this.ctx.fillText(`Queued #${place}`, x, y - 30)
+      return
+    }
+
     // Construction icon (using cached canvas or fallback)
     const constructionCanvas = this.getCachedEmoji('🏗️', 16)
     if (constructionCanvas) {
@@ -305,6 +542,18 @@ export class TownRenderer {
       this.ctx.fillText(buildingType.emoji, x, y)
     }
 
+    // Sparkle on buildings getting an adjacency bonus
+    if (this.engine.buildingManager.getActiveAdjacencyBonuses(instance.instanceId).length > 0) {
+      const sparkleCanvas = this.getCachedEmoji('✨', 16)
+      if (sparkleCanvas) {
+        const sparkleHalfSize = Math.floor(sparkleCanvas.width / 2)
+        this.ctx.drawImage(sparkleCanvas, x + 32 - sparkleHalfSize, y - 32 - sparkleHalfSize)
+      } else {
+        this.ctx.font = '16px Arial'
+        this.ctx.fillText('✨', x + 32, y - 32)
+      }
+    }
+
     // Draw building name (text is OK here, rendered infrequently)
     this.ctx.font = 'bold 11px Arial'
     this.ctx.fillStyle = '#000'
@@ -576,19 +825,21 @@ export class TownRenderer {
     this.canvas.width = width
     this.canvas.height = height
 
-    // Recalculate grid - use full height
+    // Recalculate grid - visible rows fill the height, the rest scrolls
     this.cellWidth = this.width / this.gridColumns
-    this.cellHeight = this.height / this.gridRows
+    this.cellHeight = this.height / this.visibleRows
+    this.scrollY = Math.min(this.scrollY, this.getMaxScroll())
 
     // Invalidate cached gradient to force recreation with new dimensions
     this.backgroundGradient = null
   }
 
   /**
-   * Reset positions when town is cleared
+   * Reset placement state when town is cleared
    */
   reset() {
-    this.buildingPositions.clear()
-    this.nextBuildingSlot = 0
+    this.selectedSlot = null
+    this.drag = null
+    this.scrollY = 0
   }
 }
@@ -1,4 +1,5 @@
 import { ParticleSystem } from '../rendering/ParticleSystem.js'
+import { resources } from '../data/resources-expanded.js'
 
 /**
  * ActivitySimulation - Manages worker simulation for a single activity
@@ -48,24 +49,26 @@ export class ActivitySimulation {
    */
   syncWorkers() {
     const assignments = this.workerManager.getActivityAssignments(this.activity.id)
-    let targetCount = 0
-
-    // Count total workers assigned
-    for (const count of Object.values(assignments)) {
-      targetCount += count
-    }
-
-    // Check if worker count changed
-    const countChanged = this.workers.length !== targetCount
-
-    // Spawn new workers if needed
-    while (this.workers.length < targetCount) {
-      this.spawnWorker()
-    }
+    // Despawn workers whose type was unassigned entirely
+    const staleCount = this.workers.length
+    this.workers = this.workers.filter(worker => (assignments[worker.type] || 0) > 0)
+    let countChanged = this.workers.length !== staleCount
+
+    // Match each worker type's count so specialists show up as themselves
+    for (const [workerTypeId, targetCount] of Object.entries(assignments)) {
+      let current = this.workers.filter(worker => worker.type === workerTypeId).length
+      if (current !== targetCount) countChanged = true
+
+      while (current < targetCount) {
+        this.spawnWorker(workerTypeId)
+        current++
+      }
 
-    // Despawn excess workers
-    while (this.workers.length > targetCount) {
-      this.workers.pop()
+      while (current > targetCount) {
+        const index = this.workers.map(worker => worker.type).lastIndexOf(workerTypeId)
+        this.workers.splice(index, 1)
+        current--
+      }
     }
 
     // When worker count changes, update all workers' timings to match new speed
@@ -79,7 +82,7 @@ export class ActivitySimulation {
    */
   calculateHarvestTime() {
     const baseDuration = this.activity.duration
-    const speedMultiplier = this.workerManager.getSpeedMultiplier(this.activity.id, this.activity.skillId)
+    const speedMultiplier = this.workerManager.getSpeedMultiplier(this.activity.id, this.activity.skillId, this.activity.workerScaling)
 
     // If no workers or speed is 0, use base duration
     if (speedMultiplier === 0) {
@@ -93,8 +96,9 @@ export class ActivitySimulation {
 
   /**
    * Spawn a new worker
+   * @param {string} workerTypeId - Drawn with the type's icon
    */
-  spawnWorker() {
+  spawnWorker(workerTypeId = 'basicWorker') {
     // Calculate pre-determined timing with speed variation
     const harvestTime = this.calculateHarvestTime()
     const baseWalkSpeed = 80 // pixels per second
@@ -113,6 +117,10 @@ export class ActivitySimulation {
 
     const worker = {
       id: `worker_${this.nextWorkerId++}`,
+      type: workerTypeId,
+      icon: resources[workerTypeId]?.icon || '👷',
+      // Specialists working their own trade get a gold rim
+      specialist: Boolean(this.workerManager.getAffinity?.(workerTypeId, this.activity.id, this.activity.skillId)),
       position: { ...this.dropOffPosition },
       state: 'idle',
       stateTimer: randomOffset, // Start with random offset
@@ -791,7 +799,7 @@ export class ActivitySimulation {
     this.ctx.fill()
 
     // Add neon rim to separate from background
-    this.ctx.strokeStyle = 'rgba(94, 234, 212, 0.6)'
+    this.ctx.strokeStyle = worker.specialist ? 'rgba(241, 196, 15, 0.8)' : 'rgba(94, 234, 212, 0.6)'
     this.ctx.lineWidth = 3
     this.ctx.beginPath()
     this.ctx.arc(workerCenterX, workerCenterY, 12 * scale, 0, Math.PI * 2)
@@ -809,10 +817,10 @@ export class ActivitySimulation {
     // Stroke text to maintain definition
     this.ctx.strokeStyle = 'rgba(2, 6, 23, 0.85)'
     this.ctx.lineWidth = 3
-    this.ctx.strokeText('👷', workerCenterX, workerCenterY)
+    this.ctx.strokeText(worker.icon, workerCenterX, workerCenterY)
 
     this.ctx.fillStyle = '#ffffff'
-    this.ctx.fillText('👷', workerCenterX, workerCenterY)
+    this.ctx.fillText(worker.icon, workerCenterX, workerCenterY)
 
     // Reset shadow for other elements
     this.ctx.shadowBlur = 0
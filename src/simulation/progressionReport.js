@@ -0,0 +1,129 @@
+import { GameEngine } from '../core/GameEngine.js'
+import { skills as defaultSkills, phases as defaultPhases } from '../data/skills-expanded.js'
+import { activities as defaultActivities } from '../data/activities-expanded.js'
+import { upgrades as defaultUpgrades } from '../data/upgrades.js'
+
+/**
+ * Progression report - run a bot strategy headlessly and record when milestones are reached
+ */
+
+const FINAL_ACTIVITY_ID = 'transcend'
+
+/**
+ * Run a strategy and time each milestone
+ * @param {Function} strategy - Strategy from strategies.js
+ * @param {Object} options - { durationMs, stepMs, seed, skills, activities, upgrades, phases }
+ * @returns {Object} { strategy, seed, duration, phases, buildings, transcend, levels }
+ *   Milestone times are ms of game time (null if never reached)
+ */
+export function runProgressionReport(strategy, options = {}) {
+  const {
+    durationMs = 24 * 60 * 60 * 1000,
+    stepMs = 1000,
+    seed = 1,
+    skills = defaultSkills,
+    activities = defaultActivities,
+    upgrades = defaultUpgrades,
+    phases = defaultPhases
+  } = options
+
+  const engine = GameEngine.createHeadless(skills, activities, upgrades, { seed })
+  engine.reset()
+
+  const startTime = engine.clock()
+  const skillPhases = Object.fromEntries(skills.map(skill => [skill.id, skill.phase]))
+
+  const report = {
+    strategy: strategy.id || 'custom',
+    seed,
+    duration: 0,
+    phases: Object.fromEntries(phases.map(phase => [phase.id, null])),
+    buildings: Object.fromEntries(engine.buildingManager.buildingTypes.map(bt => [bt.id, null])),
+    transcend: null,
+    levels: {}
+  }
+
+  // A phase is reached when any of its skills completes its first activity
+  engine.on('activity:completed', ({ activityId, skillId }) => {
+    const elapsed = engine.clock() - startTime
+    const phase = skillPhases[skillId]
+
+    if (phase !== undefined && report.phases[phase] === null) {
+      report.phases[phase] = elapsed
+    }
+    if (activityId === FINAL_ACTIVITY_ID && report.transcend === null) {
+      report.transcend = elapsed
+    }
+  })
+
+  const trackUnlocks = (game, context) => {
+    for (const buildingType of game.buildingManager.buildingTypes) {
+      if (report.buildings[buildingType.id] === null && game.buildingManager.isUnlocked(buildingType)) {
+        report.buildings[buildingType.id] = context.elapsed
+      }
+    }
+
+    strategy(game, context)
+  }
+
+  const { duration } = engine.simulate(durationMs, {
+    stepMs,
+    sampleIntervalMs: durationMs,
+    strategy: trackUnlocks,
+    until: () => report.transcend !== null
+  })
+
+  report.duration = duration
+  for (const [skillId, skill] of Object.entries(engine.skillManager.getAllSkills())) {
+    report.levels[skillId] = skill.level
+  }
+
+  return report
+}
+
+/**
+ * Format milliseconds of game time as "1h 02m 03s"
+ */
+export function formatGameTime(ms) {
+  if (ms === null) return 'not reached'
+
+  const totalSeconds = Math.floor(ms / 1000)
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+  const pad = (n) => String(n).padStart(2, '0')
+
+  return hours > 0
+    ? `${hours}h ${pad(minutes)}m ${pad(seconds)}s`
+    : `${minutes}m ${pad(seconds)}s`
+}
+
+/**
+ * Render a report as plain text for the terminal
+ * @param {Object} report - Result of runProgressionReport
+ * @param {Array} phases - Phase definitions (for names)
+ * @returns {string} Multi-line report
+ */
+export function formatProgressionReport(report, phases = defaultPhases) {
+  const lines = [
+    `Strategy: ${report.strategy} (seed ${report.seed}, simulated ${formatGameTime(report.duration)})`,
+    '',
+    'Skill phases:'
+  ]
+
+  for (const phase of phases) {
+    lines.push(`  ${phase.id}. ${phase.name.padEnd(16)} ${formatGameTime(report.phases[phase.id])}`)
+  }
+
+  lines.push('', 'Building unlocks:')
+  for (const [buildingId, time] of Object.entries(report.buildings)) {
+    lines.push(`  ${buildingId.padEnd(19)} ${formatGameTime(time)}`)
+  }
+
+  lines.push('', `Transcend:            ${formatGameTime(report.transcend)}`)
+
+  lines.push('', 'Final levels:')
+  lines.push('  ' + Object.entries(report.levels).map(([skillId, level]) => `${skillId} ${level}`).join(', '))
+
+  return lines.join('\n')
+}
@@ -0,0 +1,373 @@
+import { marketPrices } from '../data/resources-expanded.js'
+import { xpForLevel } from '../utils/calculations.js'
+
+/**
+ * Bot strategies for the headless simulator
+ * A strategy is a function (engine, { elapsed }) => void passed to GameEngine.simulate().
+ * It plays through the same public APIs as the UI: WorkerManager.assign,
+ * BuildingManager.startConstruction / startTraining and UpgradeManager.purchase
+ */
+
+const DECISION_INTERVAL_MS = 5000 // Bots re-plan every 5 seconds of game time
+const UPKEEP_BUFFER_ROUNDS = 2 // Keep this many upkeep rounds of food and wages in stock
+
+/**
+ * Value of a bundle of resources at base market prices (unpriced resources count as 1)
+ */
+function bundleValue(bundle) {
+  return Object.entries(bundle).reduce((sum, [resourceId, amount]) => {
+    return sum + amount * (marketPrices[resourceId]?.baseValue ?? 1)
+  }, 0)
+}
+
+/**
+ * Check if an activity would run if it had workers
+ */
+function canStaff(engine, activity) {
+  const { skillManager, resourceManager, activityManager } = engine
+
+  if (!skillManager.isActivityUnlocked(activity.id)) return false
+  if (activity.workerRequired && resourceManager.get(activity.workerRequired) <= 0) return false
+  if (!resourceManager.canAfford(activityManager.getEffectiveInputs(activity.id))) return false
+
+  // Pointless if every output is already at its storage limit
+  return Object.keys(activity.outputs).some(resourceId => !resourceManager.isAtStorageLimit(resourceId))
+}
+
+/**
+ * Free workers from activities that can no longer run (or the policy no longer wants)
+ */
+function releaseStalledWorkers(engine, policy) {
+  for (const activityId of Object.keys(engine.workerManager.assignments)) {
+    const activity = engine.activityManager.getActivityInfo(activityId)
+    if (!activity || !canStaff(engine, activity) || (policy.allows && !policy.allows(engine, activity))) {
+      engine.workerManager.unassignAll(activityId)
+    }
+  }
+}
+
+/**
+ * Pay strikers' demands when we can, otherwise pull them off so the strike ends
+ */
+function settleStrikes(engine) {
+  const { workerManager } = engine
+
+  for (const activityId of Object.keys(workerManager.strikes)) {
+    if (workerManager.canMeetStrikeDemand(activityId).canMeet) {
+      workerManager.meetStrikeDemand(activityId)
+    } else {
+      workerManager.unassignAll(activityId)
+    }
+  }
+}
+
+/**
+ * Put an extra worker on making food and wages whenever stock won't cover the next
+ * couple of upkeep rounds - a town that can't pay its workers grinds to a halt
+ */
+function staffUpkeep(engine, policy) {
+  const { workerManager, resourceManager, activityManager } = engine
+
+  const owed = {}
+  for (const workerType of workerManager.workerTypes) {
+    const workers = resourceManager.get(workerType.id)
+    if (!workerType.upkeep || workers < 1) continue
+
+    for (const need of workerType.upkeep.needs.filter(need => need.quitsWhenUnmet)) {
+      const key = need.resources.join(',')
+      owed[key] = (owed[key] || 0) + need.amount * workers * UPKEEP_BUFFER_ROUNDS
+    }
+  }
+
+  for (const [key, amount] of Object.entries(owed)) {
+    const resources = key.split(',')
+    const stock = resources.reduce((total, resourceId) => total + resourceManager.get(resourceId), 0)
+    if (stock >= amount) continue
+
+    const producer = activityManager.activityDefinitions
+      .filter(activity => resources.some(resourceId => activity.outputs[resourceId]) && canStaff(engine, activity))
+      .filter(activity => !workerManager.isOnStrike(activity.id))
+      .sort((a, b) => policy.scoreActivity(engine, b) - policy.scoreActivity(engine, a))[0]
+    if (!producer) continue
+
+    const workerType = [...workerManager.workerTypes]
+      .sort((a, b) => b.baseSpeed - a.baseSpeed)
+      .find(wt => (!producer.workerRequired || producer.workerRequired === wt.id) && workerManager.getAvailableWorkers(wt.id) >= 1)
+    if (workerType) {
+      workerManager.assign(producer.id, workerType.id, workerManager.getAssignment(producer.id, workerType.id) + 1)
+    }
+  }
+}
+
+/**
+ * Give idle workers to the highest scoring unstaffed activities, fastest workers first
+ * One worker per activity - extra workers on the same activity add very little speed
+ */
+function staffActivities(engine, policy) {
+  const { workerManager, activityManager } = engine
+
+  const candidates = activityManager.activityDefinitions
+    .filter(activity => !workerManager.isAutomated(activity.id) && canStaff(engine, activity))
+    .filter(activity => !policy.allows || policy.allows(engine, activity))
+    .map(activity => ({ activity, score: policy.scoreActivity(engine, activity) }))
+    .sort((a, b) => b.score - a.score)
+
+  const workerTypes = [...workerManager.workerTypes].sort((a, b) => b.baseSpeed - a.baseSpeed)
+
+  for (const workerType of workerTypes) {
+    let idle = workerManager.getAvailableWorkers(workerType.id)
+    while (idle > 0 && candidates.length > 0) {
+      const { activity } = candidates.shift()
+      workerManager.assign(activity.id, workerType.id, 1)
+      idle--
+    }
+  }
+}
+
+/**
+ * Make one worker of a type available, pulling it off the lowest scoring activity if needed
+ * @returns {boolean} True if a worker is now idle
+ */
+function freeWorker(engine, workerTypeId, scoreActivity) {
+  const { workerManager, activityManager } = engine
+  if (workerManager.getAvailableWorkers(workerTypeId) >= 1) return true
+
+  const staffed = Object.keys(workerManager.assignments)
+    .filter(activityId => workerManager.getAssignment(activityId, workerTypeId) > 0)
+    .map(activityId => activityManager.getActivityInfo(activityId))
+    .sort((a, b) => scoreActivity(engine, a) - scoreActivity(engine, b))
+
+  if (staffed.length === 0) return false
+
+  const activityId = staffed[0].id
+  workerManager.assign(activityId, workerTypeId, workerManager.getAssignment(activityId, workerTypeId) - 1)
+  return true
+}
+
+/**
+ * Queue training for basic workers, preferring the fastest worker type on offer
+ */
+function queueTraining(engine, scoreActivity) {
+  const { buildingManager, workerManager, resourceManager } = engine
+  const speeds = Object.fromEntries(workerManager.workerTypes.map(wt => [wt.id, wt.baseSpeed]))
+
+  for (const hall of buildingManager.getAllBuildings()) {
+    if (!hall.constructionComplete) continue
+
+    const hallType = buildingManager.buildingTypes.find(b => b.id === hall.buildingTypeId)
+    if (!hallType || !hallType.trainingPrograms) continue
+
+    const programs = hallType.trainingPrograms
+      .filter(program => speeds[program.outputWorker] > (speeds[program.inputWorker] || 0))
+      .sort((a, b) => speeds[b.outputWorker] - speeds[a.outputWorker])
+
+    for (const program of programs) {
+      if (!resourceManager.canAfford(program.cost)) continue
+      if (resourceManager.get(program.inputWorker) < program.workersRequired) continue
+      if (!freeWorker(engine, program.inputWorker, scoreActivity)) continue
+
+      try {
+        buildingManager.startTraining(hall.instanceId, program.id)
+      } catch (e) {
+        break // Hall is full
+      }
+    }
+  }
+}
+
+/**
+ * Wrap a policy into a strategy that re-plans on a fixed interval
+ * @param {string} id - Strategy identifier (shown in reports)
+ * @param {Object} policy - { scoreActivity, build, buyUpgrades, allows? }
+ */
+function createStrategy(id, policy, { decisionIntervalMs = DECISION_INTERVAL_MS } = {}) {
+  let nextDecision = 0
+
+  const strategy = (engine, { elapsed }) => {
+    if (elapsed < nextDecision) return
+    nextDecision = elapsed + decisionIntervalMs
+
+    settleStrikes(engine)
+    releaseStalledWorkers(engine, policy)
+    policy.build(engine)
+    policy.buyUpgrades(engine)
+    queueTraining(engine, policy.scoreActivity)
+    staffUpkeep(engine, policy)
+    staffActivities(engine, policy)
+  }
+
+  strategy.id = id
+  return strategy
+}
+
+/**
+ * Greedy: chase market value per second, buy everything affordable (biggest first),
+ * and prioritise buildings that produce workers
+ * @param {Object} options - { decisionIntervalMs }
+ */
+export function createGreedyStrategy(options = {}) {
+  return createStrategy('greedy', {
+    scoreActivity(engine, activity) {
+      const inputs = engine.activityManager.getEffectiveInputs(activity.id)
+      const outputs = engine.activityManager.getEffectiveOutputs(activity.id)
+      return (bundleValue(outputs) - bundleValue(inputs)) / activity.duration
+    },
+
+    build(engine) {
+      const { buildingManager } = engine
+      const buildable = buildingManager.buildingTypes
+        .filter(bt => buildingManager.canBuild(bt.id).canBuild)
+        .sort((a, b) => Number(!!b.workerGenerationTime) - Number(!!a.workerGenerationTime))
+
+      for (const buildingType of buildable) {
+        if (buildingManager.canBuild(buildingType.id).canBuild) {
+          buildingManager.startConstruction(buildingType.id)
+        }
+      }
+    },
+
+    buyUpgrades(engine) {
+      const { upgradeManager } = engine
+      const affordable = upgradeManager.upgradeDefinitions
+        .filter(upgrade => upgradeManager.canPurchase(upgrade.id))
+        .sort((a, b) => bundleValue(b.cost) - bundleValue(a.cost))
+
+      for (const upgrade of affordable) {
+        if (upgradeManager.canPurchase(upgrade.id)) {
+          upgradeManager.purchase(upgrade.id)
+        }
+      }
+    }
+  }, options)
+}
+
+/**
+ * Cheapest unlock first: level the skill closest to its next activity unlock, gather
+ * what the cheapest new worker type costs to train, and buy only the single cheapest
+ * building and upgrade each time it re-plans
+ * @param {Object} options - { decisionIntervalMs }
+ */
+export function createCheapestUnlockStrategy(options = {}) {
+  return createStrategy('cheapestUnlock', {
+    scoreActivity(engine, activity) {
+      let score = activity.xpGained / activity.duration
+
+      if (activity.skillId === getNextUnlockSkill(engine)) {
+        score += 1e6
+      }
+
+      const wanted = getWantedResources(engine)
+      if (Object.keys(activity.outputs).some(resourceId => wanted.has(resourceId))) {
+        score += 1e5
+      }
+
+      return score
+    },
+
+    // Don't burn resources we're saving up unless it makes more of what we're after
+    allows(engine, activity) {
+      const wanted = getWantedResources(engine)
+      const consumesWanted = Object.keys(activity.inputs).some(resourceId => wanted.has(resourceId))
+      return !consumesWanted || Object.keys(activity.outputs).some(resourceId => wanted.has(resourceId))
+    },
+
+    build(engine) {
+      const { buildingManager } = engine
+      const cheapest = buildingManager.buildingTypes
+        .filter(bt => buildingManager.canBuild(bt.id).canBuild)
+        .sort((a, b) => bundleValue(buildingManager.getBuildingCost(a.id)) - bundleValue(buildingManager.getBuildingCost(b.id)))[0]
+
+      if (cheapest) {
+        buildingManager.startConstruction(cheapest.id)
+      }
+    },
+
+    buyUpgrades(engine) {
+      const { upgradeManager } = engine
+      const cheapest = upgradeManager.upgradeDefinitions
+        .filter(upgrade => upgradeManager.canPurchase(upgrade.id))
+        .sort((a, b) => bundleValue(a.cost) - bundleValue(b.cost))[0]
+
+      if (cheapest) {
+        upgradeManager.purchase(cheapest.id)
+      }
+    }
+  }, options)
+}
+
+/**
+ * Find the skill needing the least XP to unlock its next activity
+ * Skills with nothing that can run right now are skipped (they can't earn XP)
+ * @returns {string|null} Skill id (null when nothing is within reach)
+ */
+export function getNextUnlockSkill(engine) {
+  const { skillManager, activityManager } = engine
+  const trainable = new Set(
+    activityManager.activityDefinitions
+      .filter(activity => canStaff(engine, activity))
+      .map(activity => activity.skillId)
+  )
+
+  let best = null
+  let bestGap = Infinity
+
+  for (const activity of activityManager.activityDefinitions) {
+    if (skillManager.isActivityUnlocked(activity.id) || !trainable.has(activity.skillId)) continue
+
+    const gap = xpForLevel(activity.levelRequired) - skillManager.getXP(activity.skillId)
+    if (gap < bestGap) {
+      bestGap = gap
+      best = activity.skillId
+    }
+  }
+
+  return best
+}
+
+/**
+ * Resources still needed to train the cheapest worker type nobody owns yet,
+ * plus any inputs we're short of for the activities that make them
+ * @returns {Set<string>} Resource ids
+ */
+export function getWantedResources(engine) {
+  const { buildingManager, workerManager, resourceManager, activityManager } = engine
+  const speeds = Object.fromEntries(workerManager.workerTypes.map(wt => [wt.id, wt.baseSpeed]))
+
+  const target = buildingManager.buildingTypes
+    .flatMap(bt => bt.trainingPrograms || [])
+    .filter(program => speeds[program.outputWorker] > (speeds[program.inputWorker] || 0))
+    .filter(program => resourceManager.get(program.outputWorker) === 0)
+    .sort((a, b) => bundleValue(a.cost) - bundleValue(b.cost))[0]
+
+  const wanted = new Set()
+  if (!target) return wanted
+
+  const queue = Object.entries(target.cost)
+    .filter(([resourceId, amount]) => resourceManager.get(resourceId) < amount)
+    .map(([resourceId]) => resourceId)
+
+  while (queue.length > 0) {
+    const resourceId = queue.shift()
+    if (wanted.has(resourceId)) continue
+    wanted.add(resourceId)
+
+    // Follow the production chain back through activities that make this resource
+    for (const activity of activityManager.activityDefinitions) {
+      if (!activity.outputs[resourceId] || !engine.skillManager.isActivityUnlocked(activity.id)) continue
+
+      for (const [inputId, amount] of Object.entries(activity.inputs)) {
+        if (resourceManager.get(inputId) < amount) {
+          queue.push(inputId)
+        }
+      }
+    }
+  }
+
+  return wanted
+}
+
+// Strategy factories by id (used by the progression report CLI)
+export const strategies = {
+  greedy: createGreedyStrategy,
+  cheapestUnlock: createCheapestUnlockStrategy
+}
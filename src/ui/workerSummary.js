@@ -4,6 +4,26 @@ function getWorkerTypes(game) {
   return game?.workerManager?.workerTypes || []
 }
 
+function formatUpkeep(upkeep) {
+  if (!upkeep) return ''
+
+  const needs = upkeep.needs.map(need => {
+    const icons = need.resources.map(id => resources[id]?.icon || id).join('/')
+    const owed = Math.round(need.owed * 10) / 10
+    return `${need.icon} ${need.name}: ${owed} ${icons}${need.met ? '' : ' ⚠️'}`
+  }).join(' · ')
+
+  const warnings = []
+  if (upkeep.multiplier < 1) {
+    warnings.push(`Working at ${Math.round(upkeep.multiplier * 100)}% speed`)
+  }
+  if (upkeep.missed > 0) {
+    warnings.push(`Unpaid ${upkeep.missed}/${upkeep.quitAfter} - one quits at ${upkeep.quitAfter}`)
+  }
+
+  return `Upkeep every ${upkeep.interval}s: ${needs}${warnings.length ? ` — ${warnings.join(', ')}` : ''}`
+}
+
 function clampToNonNegative(value) {
   if (Number.isNaN(value)) return 0
   return Math.max(0, Math.floor(value))
@@ -22,7 +42,9 @@ export function getWorkerSummaryEntries(game) {
       return
     }
 
-    const assignedRaw = game.workerManager.getAssignedWorkers?.(workerType.id) ?? 0
+    // Workers sent to resource nodes on the map are busy too
+    const assignedRaw = (game.workerManager.getAssignedWorkers?.(workerType.id) ?? 0) +
+      (game.workerEntityManager?.getAssignedCount?.(workerType.id) ?? 0)
     const assigned = Math.min(total, clampToNonNegative(assignedRaw))
     const available = total - assigned
     const resourceMeta = resources[workerType.id] || {
@@ -37,7 +59,8 @@ export function getWorkerSummaryEntries(game) {
       total,
       assigned,
       available,
-      allAssigned: available === 0
+      allAssigned: available === 0,
+      upkeep: game.workerManager.getUpkeepStatus?.(workerType.id) || null
     })
   })
 
@@ -84,6 +107,49 @@ export function renderWorkerPanelList(game, container) {
       <span class="worker-summary-icon">${entry.icon}</span>
       <span class="worker-summary-name">${entry.name}</span>
       <span class="worker-summary-stats">${entry.total} total (${entry.assigned} assigned, ${entry.available} available)</span>
+      ${entry.upkeep ? `<span class="worker-summary-upkeep${entry.upkeep.multiplier < 1 ? ' unmet' : ''}">${formatUpkeep(entry.upkeep)}</span>` : ''}
     </div>
   `).join('')
 }
+
+const MORALE_LABELS = {
+  human: '🙂 Crew morale',
+  machine: '⚙️ Machine condition'
+}
+
+export function getMoraleEntries(game) {
+  const workerManager = game?.workerManager
+  if (!workerManager?.getMorale || !game.resourceManager) {
+    return []
+  }
+
+  const categories = [...new Set(getWorkerTypes(game)
+    .filter(workerType => (game.resourceManager.get?.(workerType.id) ?? 0) > 0)
+    .map(workerType => workerType.category))]
+
+  return categories.map(category => {
+    const morale = Math.round(workerManager.getMorale(category))
+    return {
+      category,
+      label: MORALE_LABELS[category] || category,
+      morale,
+      rate: workerManager.getMoraleRate?.(category) ?? 0,
+      low: morale < workerManager.moraleSettings.strikeThreshold
+    }
+  })
+}
+
+export function renderMoraleMeters(game, container) {
+  if (!container) return
+
+  container.innerHTML = getMoraleEntries(game).map(entry => {
+    const trend = entry.rate > 0 ? '▲' : entry.rate < 0 ? '▼' : ''
+    return `
+      <div class="morale-meter${entry.low ? ' low' : ''}">
+        <span class="morale-label">${entry.label}</span>
+        <div class="morale-bar"><div class="morale-fill" style="width: ${entry.morale}%"></div></div>
+        <span class="morale-value">${entry.morale}${trend}${entry.low ? ' - strikes likely' : ''}</span>
+      </div>
+    `
+  }).join('')
+}
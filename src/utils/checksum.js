@@ -0,0 +1,44 @@
+/**
+ * Hash a string with 32-bit FNV-1a
+ * Not cryptographic - just enough to spot corrupted or hand-edited save data
+ * @param {string} text - Text to hash
+ * @returns {string} 8-character hex digest
+ */
+export function checksum(text) {
+  let hash = 0x811C9DC5
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+/**
+ * Encode text as base64 (UTF-8 safe)
+ * @param {string} text - Text to encode
+ * @returns {string} Base64 string
+ */
+export function toBase64(text) {
+  const bytes = new TextEncoder().encode(text)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i])
+  }
+  return btoa(binary)
+}
+
+/**
+ * Decode base64 created by toBase64
+ * @param {string} base64 - Base64 string
+ * @returns {string} Decoded text
+ */
+export function fromBase64(base64) {
+  const binary = atob(base64.trim())
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return new TextDecoder().decode(bytes)
+}
@@ -0,0 +1,333 @@
+/**
+ * Grid pathfinding for the resource map
+ * The map is split into square cells; obstacles mark cells as blocked (rivers)
+ * or change how fast workers cross them (roads, bridges)
+ */
+
+const SQRT2 = Math.SQRT2
+
+// 8-way neighbours: [dCol, dRow, step length]
+const NEIGHBOURS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+]
+
+/**
+ * NavGrid - Walkability and speed map with A* search
+ */
+export class NavGrid {
+  /**
+   * @param {Object} options - { width, height, cellSize } in pixels (defaults to the 900x600 map)
+   */
+  constructor({ width = 900, height = 600, cellSize = 20 } = {}) {
+    this.width = width
+    this.height = height
+    this.cellSize = cellSize
+    this.cols = Math.ceil(width / cellSize)
+    this.rows = Math.ceil(height / cellSize)
+
+    // Per-cell terrain, rebuilt from the obstacle list whenever it changes
+    this.walkable = new Uint8Array(this.cols * this.rows)
+    this.speed = new Float32Array(this.cols * this.rows)
+
+    // Painted in insertion order, so a bridge added after a river wins
+    this.obstacles = new Map()
+
+    this.rebuild()
+  }
+
+  /**
+   * Place an obstacle or terrain patch
+   * @param {Object} obstacle - { id, x, y, width, height, walkable, speedMultiplier }
+   */
+  addObstacle(obstacle) {
+    if (!obstacle.id) {
+      throw new Error('Obstacle needs an id')
+    }
+
+    this.obstacles.set(obstacle.id, {
+      walkable: true,
+      speedMultiplier: 1,
+      ...obstacle
+    })
+    this.rebuild()
+  }
+
+  /**
+   * Remove a placed obstacle
+   * @param {string} obstacleId
+   * @returns {boolean} true if it existed
+   */
+  removeObstacle(obstacleId) {
+    const removed = this.obstacles.delete(obstacleId)
+    if (removed) {
+      this.rebuild()
+    }
+    return removed
+  }
+
+  /**
+   * Remove every obstacle
+   */
+  clearObstacles() {
+    this.obstacles.clear()
+    this.rebuild()
+  }
+
+  /**
+   * Get all placed obstacles
+   * @returns {Object[]}
+   */
+  getObstacles() {
+    return Array.from(this.obstacles.values())
+  }
+
+  /**
+   * Repaint cell terrain from the obstacle list
+   */
+  rebuild() {
+    this.walkable.fill(1)
+    this.speed.fill(1)
+
+    this.obstacles.forEach(obstacle => {
+      const minCol = Math.max(Math.floor(obstacle.x / this.cellSize), 0)
+      const maxCol = Math.min(Math.ceil((obstacle.x + obstacle.width) / this.cellSize), this.cols) - 1
+      const minRow = Math.max(Math.floor(obstacle.y / this.cellSize), 0)
+      const maxRow = Math.min(Math.ceil((obstacle.y + obstacle.height) / this.cellSize), this.rows) - 1
+
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          const index = row * this.cols + col
+          this.walkable[index] = obstacle.walkable ? 1 : 0
+          this.speed[index] = obstacle.speedMultiplier
+        }
+      }
+    })
+
+    // The A* heuristic assumes the fastest terrain everywhere to stay admissible
+    this.maxSpeed = Math.max(1, ...this.getObstacles().map(obstacle => obstacle.speedMultiplier))
+  }
+
+  /**
+   * Get the cell index containing a point (clamped to the map)
+   * @param {number} x
+   * @param {number} y
+   * @returns {number}
+   */
+  cellIndex(x, y) {
+    const col = Math.min(Math.max(Math.floor(x / this.cellSize), 0), this.cols - 1)
+    const row = Math.min(Math.max(Math.floor(y / this.cellSize), 0), this.rows - 1)
+    return row * this.cols + col
+  }
+
+  /**
+   * Get the centre of a cell in pixels
+   * @param {number} index
+   * @returns {Object} { x, y }
+   */
+  cellCenter(index) {
+    const col = index % this.cols
+    const row = Math.floor(index / this.cols)
+    return {
+      x: (col + 0.5) * this.cellSize,
+      y: (row + 0.5) * this.cellSize
+    }
+  }
+
+  /**
+   * Check if a point can be walked on
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  isWalkable(x, y) {
+    return this.walkable[this.cellIndex(x, y)] === 1
+  }
+
+  /**
+   * Get the movement speed multiplier at a point (roads > 1)
+   * @param {number} x
+   * @param {number} y
+   * @returns {number}
+   */
+  getSpeedMultiplier(x, y) {
+    return this.speed[this.cellIndex(x, y)]
+  }
+
+  /**
+   * Find the quickest route between two points
+   * Walking out of a blocked start cell is allowed so workers never get stuck
+   * @param {Object} start - { x, y }
+   * @param {Object} goal - { x, y }
+   * @returns {Object[]|null} Waypoints ending exactly at goal (start excluded), or null if unreachable
+   */
+  findPath(start, goal) {
+    const startIndex = this.cellIndex(start.x, start.y)
+    const goalIndex = this.cellIndex(goal.x, goal.y)
+
+    if (!this.walkable[goalIndex]) return null
+    if (startIndex === goalIndex) return [{ x: goal.x, y: goal.y }]
+
+    const size = this.cols * this.rows
+    const cost = new Float64Array(size).fill(Infinity)
+    const cameFrom = new Int32Array(size).fill(-1)
+    const closed = new Uint8Array(size)
+    const open = new MinHeap()
+
+    const heuristic = (index) => {
+      const dCol = Math.abs((index % this.cols) - (goalIndex % this.cols))
+      const dRow = Math.abs(Math.floor(index / this.cols) - Math.floor(goalIndex / this.cols))
+      return (Math.max(dCol, dRow) + (SQRT2 - 1) * Math.min(dCol, dRow)) / this.maxSpeed
+    }
+
+    cost[startIndex] = 0
+    open.push(startIndex, heuristic(startIndex))
+
+    while (open.size > 0) {
+      const current = open.pop()
+      if (current === goalIndex) break
+      if (closed[current]) continue
+      closed[current] = 1
+
+      const col = current % this.cols
+      const row = Math.floor(current / this.cols)
+
+      for (const [dCol, dRow, step] of NEIGHBOURS) {
+        const nextCol = col + dCol
+        const nextRow = row + dRow
+        if (nextCol < 0 || nextCol >= this.cols || nextRow < 0 || nextRow >= this.rows) continue
+
+        const next = nextRow * this.cols + nextCol
+        if (closed[next] || !this.walkable[next]) continue
+
+        // No cutting corners past blocked cells
+        if (dCol !== 0 && dRow !== 0 &&
+          (!this.walkable[row * this.cols + nextCol] || !this.walkable[nextRow * this.cols + col])) {
+          continue
+        }
+
+        // Time to cross: half a step on each cell's terrain
+        const stepCost = step * 0.5 * (1 / this.speed[current] + 1 / this.speed[next])
+        const nextCost = cost[current] + stepCost
+        if (nextCost < cost[next]) {
+          cost[next] = nextCost
+          cameFrom[next] = current
+          open.push(next, nextCost + heuristic(next))
+        }
+      }
+    }
+
+    if (cameFrom[goalIndex] === -1) return null
+
+    const cells = []
+    for (let index = goalIndex; index !== startIndex; index = cameFrom[index]) {
+      cells.push(index)
+    }
+    cells.reverse()
+
+    const waypoints = cells.slice(0, -1).map(index => this.cellCenter(index))
+    waypoints.push({ x: goal.x, y: goal.y })
+    return this.smoothPath(start, waypoints)
+  }
+
+  /**
+   * Drop waypoints that can be skipped by walking straight across the same terrain
+   * @param {Object} start - { x, y }
+   * @param {Object[]} waypoints - Cell centres ending at the goal (always kept)
+   * @returns {Object[]}
+   */
+  smoothPath(start, waypoints) {
+    const smoothed = []
+    let anchor = start
+
+    for (let i = 0; i < waypoints.length; i++) {
+      const next = waypoints[i + 1]
+      if (next && this.isClearLine(anchor, next)) continue
+
+      smoothed.push(waypoints[i])
+      anchor = waypoints[i]
+    }
+
+    return smoothed
+  }
+
+  /**
+   * Check that a straight line stays walkable and on one kind of terrain
+   * Keeping the terrain uniform stops smoothing from cutting roads short
+   * @param {Object} from - { x, y }
+   * @param {Object} to - { x, y }
+   * @returns {boolean}
+   */
+  isClearLine(from, to) {
+    const distance = Math.hypot(to.x - from.x, to.y - from.y)
+    const samples = Math.max(Math.ceil(distance / (this.cellSize / 4)), 1)
+    const speed = this.getSpeedMultiplier(to.x, to.y)
+
+    for (let i = 0; i <= samples; i++) {
+      const x = from.x + (to.x - from.x) * (i / samples)
+      const y = from.y + (to.y - from.y) * (i / samples)
+      if (!this.isWalkable(x, y) || this.getSpeedMultiplier(x, y) !== speed) {
+        return false
+      }
+    }
+
+    return true
+  }
+}
+
+/**
+ * Binary min-heap of cell indices keyed by priority
+ */
+class MinHeap {
+  constructor() {
+    this.items = []
+    this.priorities = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  push(item, priority) {
+    this.items.push(item)
+    this.priorities.push(priority)
+
+    let i = this.items.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (this.priorities[parent] <= this.priorities[i]) break
+      this.swap(i, parent)
+      i = parent
+    }
+  }
+
+  pop() {
+    const top = this.items[0]
+    const lastItem = this.items.pop()
+    const lastPriority = this.priorities.pop()
+
+    if (this.items.length > 0) {
+      this.items[0] = lastItem
+      this.priorities[0] = lastPriority
+
+      let i = 0
+      for (;;) {
+        const left = i * 2 + 1
+        const right = left + 1
+        let smallest = i
+        if (left < this.items.length && this.priorities[left] < this.priorities[smallest]) smallest = left
+        if (right < this.items.length && this.priorities[right] < this.priorities[smallest]) smallest = right
+        if (smallest === i) break
+        this.swap(i, smallest)
+        i = smallest
+      }
+    }
+
+    return top
+  }
+
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]]
+    ;[this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]]
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * Same seed = same sequence, so headless simulations are reproducible
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning floats in [0, 1) like Math.random
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Create a clock that only moves when told to
+ * Drop-in replacement for Date.now in headless runs and tests
+ * @param {number} startTime - Initial timestamp in ms
+ * @returns {Function} Function returning the current time, with advance(ms) and set(time)
+ */
+export function createManualClock(startTime = 0) {
+  let now = startTime
+
+  const clock = () => now
+  clock.advance = (ms) => {
+    now += ms
+    return now
+  }
+  clock.set = (time) => {
+    now = time
+  }
+
+  return clock
+}
@@ -1,16 +1,15 @@
 import { describe, it, expect, beforeEach } from 'vitest'
 import { GameEngine } from '../../src/core/GameEngine.js'
-import { skillDefinitions } from '../../src/data/skills.js'
-import { activityDefinitions } from '../../src/data/activities.js'
-import { upgradeDefinitions } from '../../src/data/upgrades.js'
+import { skills } from '../../src/data/skills-expanded.js'
+import { activities } from '../../src/data/activities-expanded.js'
+import { upgrades } from '../../src/data/upgrades.js'
+import { xpForLevel } from '../../src/utils/calculations.js'
 
-// TODO: This test suite is for an incomplete feature - worker entity/resource node simulation
-// Skip until WorkerEntityManager and ResourceNodeManager are integrated into GameEngine
-describe.skip('Worker Simulation Integration', () => {
+describe('Worker Simulation Integration', () => {
   let engine
 
   beforeEach(() => {
-    engine = new GameEngine(skillDefinitions, activityDefinitions, upgradeDefinitions)
+    engine = new GameEngine(skills, activities, upgrades)
   })
 
   describe('Full Harvest Cycle', () => {
@@ -191,8 +190,8 @@ describe.skip('Worker Simulation Integration', () => {
       // Save state
       const state = engine.getState()
 
-      // Create new engine and load
-      const newEngine = new GameEngine(skillDefinitions, activityDefinitions, upgradeDefinitions)
+      // Create new engine and load at save time (no offline catch-up or achievement rewards)
+      const newEngine = GameEngine.createHeadless(skills, activities, upgrades, { startTime: state.lastSaveTime })
       newEngine.loadState(state)
 
       // Verify currencies
@@ -226,6 +225,8 @@ describe.skip('Worker Simulation Integration', () => {
     })
 
     it('should upgrade node capacity', () => {
+      engine.resourceManager.set('gold', 100)
+      engine.resourceManager.set('wood', 100)
       const node = engine.resourceNodeManager.getNode('wheat_field_1')
       expect(node.getCurrentCapacity()).toBe(20)
 
@@ -237,6 +238,8 @@ describe.skip('Worker Simulation Integration', () => {
     })
 
     it('should upgrade spawn rate', () => {
+      engine.resourceManager.set('gold', 100)
+      engine.resourceManager.set('wheat', 100)
       const node = engine.resourceNodeManager.getNode('wheat_field_1')
       expect(node.getCurrentSpawnRate()).toBe(0.5)
 
@@ -247,9 +250,21 @@ describe.skip('Worker Simulation Integration', () => {
       expect(node.getCurrentSpawnRate()).toBe(0.8) // 0.5 * 1.6
     })
 
-    it.skip('should lock nodes behind skill levels', () => {
-      // Skipping: Skill-based unlocking needs further integration work
-      // This is a nice-to-have feature, not core to the simulation
+    it('should lock nodes behind skill levels', () => {
+      engine.resourceManager.add('basicWorker', 1)
+      engine.workerEntityManager.syncWithCurrency(engine.resourceManager)
+      const worker = engine.workerEntityManager.getAllWorkers()[0]
+
+      // Wheat field 2 needs farming level 10
+      expect(engine.workerEntityManager.canAssignWorker(worker.id, 'wheat_field_2')).toEqual({
+        canAssign: false,
+        reason: 'Requires farming level 10'
+      })
+      expect(engine.workerEntityManager.assignWorker(worker.id, 'wheat_field_2')).toBe(false)
+      expect(worker.isAssigned()).toBe(false)
+
+      engine.skillManager.setXP('farming', xpForLevel(10))
+      expect(engine.workerEntityManager.assignWorker(worker.id, 'wheat_field_2')).toBe(true)
     })
 
     it('should provide different resources from different nodes', () => {
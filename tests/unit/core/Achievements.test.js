@@ -0,0 +1,205 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { GameEngine } from '../../../src/core/GameEngine.js'
+
+const testSkills = [
+  { id: 'farming', name: 'Farming', icon: '🌱' }
+]
+
+const testActivities = [
+  {
+    id: 'plantWheat',
+    name: 'Plant Wheat',
+    skillId: 'farming',
+    levelRequired: 1,
+    inputs: {},
+    outputs: { wheat: 1 },
+    duration: 3,
+    xpGained: 5
+  }
+]
+
+const testUpgrades = [
+  {
+    id: 'wheatSpeed',
+    name: 'Faster Wheat',
+    activityId: 'plantWheat',
+    type: 'speed',
+    value: 0.25,
+    cost: { wheat: 1 },
+    skillRequired: { farming: 1 }
+  }
+]
+
+const testAchievements = [
+  {
+    id: 'three_harvests',
+    name: 'Three Harvests',
+    type: 'activityCount',
+    requirement: { skillId: 'farming', count: 3 },
+    reward: { wood: 10 }
+  },
+  {
+    id: 'wheat_pile',
+    name: 'Wheat Pile',
+    type: 'resourceEarned',
+    requirement: { resourceId: 'wheat', amount: 2 },
+    reward: { stone: 5 }
+  },
+  {
+    id: 'shopper',
+    name: 'Shopper',
+    type: 'upgradeCount',
+    requirement: { count: 1 },
+    reward: { basicWorker: 1 }
+  }
+]
+
+describe('GameEngine - Achievements', () => {
+  let engine
+
+  const createEngine = () => {
+    const game = GameEngine.createHeadless(testSkills, testActivities, testUpgrades, { achievements: testAchievements })
+    game.reset()
+    return game
+  }
+
+  beforeEach(() => {
+    engine = createEngine()
+    // One basic worker plants wheat every 15 seconds
+    engine.workerManager.assign('plantWheat', 'basicWorker', 1)
+  })
+
+  it('should use the achievement catalogue by default', () => {
+    const game = new GameEngine(testSkills, testActivities)
+    expect(game.achievementManager.achievementDefinitions.length).toBeGreaterThan(0)
+  })
+
+  it('should accept a custom catalogue', () => {
+    const game = new GameEngine(testSkills, testActivities, [], { achievements: testAchievements })
+    expect(game.achievementManager.achievementDefinitions).toBe(testAchievements)
+  })
+
+  it('should track completed activities and produced resources', () => {
+    engine.simulate(15000)
+
+    expect(engine.achievementManager.stats.activitiesCompleted.farming).toBe(1)
+    expect(engine.achievementManager.stats.resourcesEarned.wheat).toBe(1)
+  })
+
+  it('should unlock achievements and grant rewards through the resource manager', () => {
+    const unlocked = vi.fn()
+    engine.on('achievement:unlocked', unlocked)
+
+    engine.simulate(30000)
+
+    expect(engine.achievementManager.isUnlocked('wheat_pile')).toBe(true)
+    expect(engine.resourceManager.get('stone')).toBe(5)
+    expect(unlocked).toHaveBeenCalledWith(expect.objectContaining({ achievementId: 'wheat_pile', reward: { stone: 5 } }))
+  })
+
+  it('should only grant each reward once', () => {
+    engine.simulate(60000)
+    expect(engine.resourceManager.get('stone')).toBe(5)
+    expect(engine.resourceManager.get('wood')).toBe(10)
+  })
+
+  it('should unlock upgrade achievements after a purchase', () => {
+    engine.resourceManager.set('wheat', 1)
+    engine.upgradeManager.purchase('wheatSpeed')
+
+    engine.update(0)
+
+    expect(engine.achievementManager.isUnlocked('shopper')).toBe(true)
+    expect(engine.resourceManager.get('basicWorker')).toBe(3)
+  })
+
+  it('should not check achievements when nothing changed', () => {
+    engine.update(0)
+    const checkAll = vi.spyOn(engine.achievementManager, 'checkAll')
+
+    engine.update(16)
+
+    expect(checkAll).not.toHaveBeenCalled()
+  })
+
+  describe('event tracking', () => {
+    it('should track finished buildings and training', () => {
+      engine.eventBus.emit('building:construction_complete', { buildingTypeId: 'house', instanceId: 'house_1' })
+      engine.eventBus.emit('building:training_complete', { instanceId: 'trainingHall_1', workerType: 'tractorWorker' })
+      engine.eventBus.emit('building:upgraded', { instanceId: 'house_1', buildingTypeId: 'house', upgradeId: 'house_extra_room', newLevel: 1 })
+
+      expect(engine.achievementManager.stats.buildingsBuilt).toEqual({ house: 1 })
+      expect(engine.achievementManager.stats.workersTrained).toEqual({ tractorWorker: 1 })
+      expect(engine.achievementManager.stats.buildingUpgradeLevels).toEqual({ house: { house_extra_room: 1 } })
+    })
+
+    it('should track resources that hit their storage limit, but not workers', () => {
+      engine.resourceManager.add('wheat', 500)
+      engine.resourceManager.add('basicWorker', 500)
+
+      expect(engine.achievementManager.stats.storageFilled).toEqual(['wheat'])
+    })
+
+    it('should not check storage limits on every resource change', () => {
+      const limitCheck = vi.spyOn(engine.resourceManager, 'isAtStorageLimit')
+      engine.resourceManager.add('wood', 10)
+      engine.resourceManager.subtract('wood', 5)
+
+      expect(limitCheck).not.toHaveBeenCalled()
+      expect(engine.achievementManager.stats.storageFilled).toEqual([])
+    })
+
+    it('should track the phase of completed activities', () => {
+      const game = GameEngine.createHeadless([{ id: 'farming', name: 'Farming', phase: 2 }], testActivities)
+      game.reset()
+      game.workerManager.assign('plantWheat', 'basicWorker', 1)
+
+      game.simulate(15000)
+
+      expect(game.achievementManager.stats.phasesReached).toEqual([2])
+    })
+
+    it('should pass owned workers to workersOwned checks', () => {
+      const game = GameEngine.createHeadless(testSkills, testActivities, [], {
+        achievements: [{ id: 'crew', type: 'workersOwned', requirement: { count: 4 }, reward: {} }]
+      })
+      game.reset()
+      game.resourceManager.add('tractorWorker', 2)
+
+      game.update(0)
+
+      expect(game.achievementManager.isUnlocked('crew')).toBe(true)
+    })
+  })
+
+  describe('save/load', () => {
+    it('should persist unlocked achievements and progress', () => {
+      engine.simulate(30000)
+
+      const loaded = createEngine()
+      loaded.loadState(engine.getState())
+
+      expect(loaded.achievementManager.isUnlocked('wheat_pile')).toBe(true)
+      expect(loaded.achievementManager.stats.activitiesCompleted.farming).toBe(2)
+    })
+
+    it('should clear achievements on reset', () => {
+      engine.simulate(30000)
+      engine.reset()
+
+      expect(engine.achievementManager.unlocked).toEqual([])
+    })
+
+    it('should report achievements unlocked while offline', () => {
+      const state = engine.getState()
+
+      const result = engine.calculateOfflineProgress(60000, state)
+
+      // Offline time runs in long steps, so both can unlock in the same one
+      expect(result.achievementsUnlocked).toHaveLength(2)
+      expect(result.achievementsUnlocked).toEqual(expect.arrayContaining(['wheat_pile', 'three_harvests']))
+      expect(result.state.achievements.unlocked).toEqual(result.achievementsUnlocked)
+    })
+  })
+})
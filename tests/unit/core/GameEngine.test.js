@@ -127,6 +127,37 @@ describe('GameEngine - Save/Load System', () => {
       })
       expect(engine.skillManager.getXP('farming')).toBe(100) // Should be 100, not 350!
     })
+
+    it('should load a fresh game over a progressed one without leaking progress', () => {
+      const fresh = new GameEngine(testSkills, testActivities, [])
+      fresh.reset()
+      const freshState = fresh.getState()
+
+      engine.reset()
+      engine.skillManager.addXP('farming', 100)
+      engine.resourceManager.add('wheat', 50)
+      engine.workerManager.assign('plantWheat', 'basicWorker', 1)
+      engine.workerManager.morale.human = 20
+
+      engine.loadState(freshState)
+
+      expect(engine.skillManager.getXP('farming')).toBe(0)
+      expect(engine.resourceManager.get('wheat')).toBe(0)
+      expect(engine.workerManager.assignments).toEqual({})
+      expect(engine.workerManager.getMorale('human')).toBe(75)
+    })
+
+    it('should keep the current game when a save fails partway through loading', () => {
+      engine.skillManager.addXP('farming', 100)
+      engine.resourceManager.add('wheat', 50)
+      const broken = { ...engine.getState(), skills: {}, workerEntities: { workers: [null] } }
+      engine.resourceManager.add('wheat', 25)
+
+      expect(() => engine.loadState(broken)).toThrow()
+
+      expect(engine.skillManager.getXP('farming')).toBe(100)
+      expect(engine.resourceManager.get('wheat')).toBe(75)
+    })
   })
 
   describe('reset()', () => {
@@ -173,6 +204,17 @@ describe('GameEngine - Save/Load System', () => {
       expect(newEngine.skillManager.getXP('farming')).toBe(150)
     })
 
+    it('should preserve trading stats through save/load cycle', () => {
+      engine.tradeManager.tradesExecuted = 3
+      engine.tradeManager.totalSold = { wheat: 120 }
+
+      const newEngine = new GameEngine(testSkills, testActivities, [])
+      newEngine.loadState(engine.getState())
+
+      expect(newEngine.tradeManager.tradesExecuted).toBe(3)
+      expect(newEngine.tradeManager.totalSold).toEqual({ wheat: 120 })
+    })
+
     it('should handle multiple save/load cycles without data corruption', () => {
       // Initial state
       engine.resourceManager.add('wheat', 100)
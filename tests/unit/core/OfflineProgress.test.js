@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { GameEngine } from '../../../src/core/GameEngine.js'
 import { skills } from '../../../src/data/skills.js'
 import { activities } from '../../../src/data/activities.js'
@@ -184,8 +184,9 @@ describe('Offline Progress', () => {
         }
       }
 
-      // 30 seconds offline - trainGuardDog takes 5s and needs 1 puppy + 3 cooked shrimp
-      const result = game.calculateOfflineProgress(30000, state)
+      // 120 seconds offline - trainGuardDog takes 25s with a basic worker (5s / 0.2 speed)
+      // and needs 1 puppy + 3 cooked shrimp
+      const result = game.calculateOfflineProgress(120000, state)
 
       // Should complete 3 times (limited by 3 puppies)
       const trainCompletions = result.activitiesCompleted.find(a => a.activityId === 'trainGuardDog')
@@ -195,6 +196,187 @@ describe('Offline Progress', () => {
     })
   })
 
+  describe('simulating the live rules', () => {
+    const choppingState = (extra = {}) => ({
+      version: 2,
+      resources: { basicWorker: 1 },
+      skills: { woodcutting: { xp: 0, level: 1 } },
+      workers: {
+        assignments: {
+          'chopNormalTree': { basicWorker: 1 }
+        }
+      },
+      ...extra
+    })
+
+    const completedHouse = (overrides = {}) => ({
+      instanceId: 'house_1',
+      buildingTypeId: 'house',
+      level: 1,
+      upgrades: {},
+      constructionStartTime: 0,
+      constructionComplete: true,
+      constructionDuration: 30000,
+      rooms: [{ maxWorkers: 5, currentWorkers: 0 }],
+      ...overrides
+    })
+
+    it('should respect worker speed', () => {
+      // chopNormalTree takes 2s, a basic worker (0.2 speed) needs 10s
+      const result = game.calculateOfflineProgress(60000, choppingState())
+
+      expect(result.activitiesCompleted).toEqual([{ activityId: 'chopNormalTree', completions: 6 }])
+      expect(result.resourcesEarned.wood).toBe(6)
+    })
+
+    it('should match the live update loop', () => {
+      const state = choppingState()
+      const offline = game.calculateOfflineProgress(60000, state)
+
+      const live = new GameEngine(skills, activities)
+      live.loadState(state)
+      for (let i = 0; i < 600; i++) {
+        live.update(100)
+      }
+
+      expect(offline.resourcesEarned.wood).toBe(live.resourceManager.get('wood'))
+    })
+
+    it('should fast-forward a long absence in coarse steps', () => {
+      const state = choppingState({
+        buildings: {
+          buildings: { house: [completedHouse()] },
+          houseWorkerTimers: { house_1: { room0: 30000 } }
+        }
+      })
+
+      const updates = vi.spyOn(GameEngine.prototype, 'update')
+      const result = game.calculateOfflineProgress(8 * 60 * 60 * 1000, state)
+      const calls = updates.mock.calls.length
+      updates.mockRestore()
+
+      // Minute-long steps, plus a stop for each worker the house produces (unfed ones quit and get replaced)
+      expect(result.workersGenerated.basicWorker).toBeGreaterThan(0)
+      expect(calls).toBeLessThanOrEqual(480 + result.workersGenerated.basicWorker)
+      expect(calls).toBeLessThan(1000)
+    })
+
+    it('should report resources wasted by storage caps', () => {
+      const state = choppingState({ resources: { basicWorker: 1, wood: 99 } })
+
+      const result = game.calculateOfflineProgress(60000, state)
+
+      expect(result.resourcesEarned.wood).toBe(1)
+      expect(result.resourcesWasted.wood).toBe(5)
+      expect(result.cappedResources).toEqual(['wood'])
+    })
+
+    it('should not count achievement rewards that overflow storage as waste', () => {
+      const rewarding = new GameEngine(skills, activities, [], {
+        achievements: [{ id: 'first_hire', type: 'workersOwned', requirement: { workerTypeId: 'basicWorker', count: 1 }, reward: { wood: 50 } }]
+      })
+      const state = {
+        version: 2,
+        resources: { wood: 100 },
+        skills: {},
+        buildings: {
+          buildings: { house: [completedHouse()] },
+          houseWorkerTimers: { house_1: { room0: 30000 } }
+        }
+      }
+
+      const result = rewarding.calculateOfflineProgress(60000, state)
+
+      expect(result.achievementsUnlocked).toEqual(['first_hire'])
+      expect(result.resourcesWasted).toEqual({})
+    })
+
+    it('should spoil food while offline, even with nobody working', () => {
+      const result = game.calculateOfflineProgress(600000, {
+        version: 2,
+        resources: { wheat: 100, wood: 50 },
+        skills: {},
+        workers: { assignments: {} }
+      })
+
+      // wheat loses 0.1% a second: 100 * e^-0.6 left after 10 minutes
+      expect(result.totalTime).toBe(600000)
+      expect(result.resourcesDecayed.wheat).toBeCloseTo(100 - 100 * Math.exp(-0.6))
+      expect(result.resourcesSpent.wheat).toBeCloseTo(result.resourcesDecayed.wheat)
+      expect(result.resourcesDecayed.wood).toBeUndefined()
+    })
+
+    it('should generate workers from houses', () => {
+      const state = {
+        version: 2,
+        resources: {},
+        skills: {},
+        buildings: {
+          buildings: { house: [completedHouse()] },
+          houseWorkerTimers: { house_1: { room0: 30000 } }
+        }
+      }
+
+      // One worker every 30s
+      const result = game.calculateOfflineProgress(90000, state)
+
+      expect(result.workersGenerated.basicWorker).toBe(3)
+      expect(result.resourcesEarned.basicWorker).toBe(3)
+      expect(result.state.buildings.buildings.house[0].rooms[0].currentWorkers).toBe(3)
+    })
+
+    it('should finish construction at the right time', () => {
+      const saveTime = Date.now() - 60000
+      const state = {
+        version: 2,
+        resources: {},
+        skills: {},
+        lastSaveTime: saveTime,
+        buildings: {
+          buildings: {
+            house: [completedHouse({ constructionComplete: false, constructionStartTime: saveTime - 10000 })]
+          },
+          houseWorkerTimers: { house_1: { room0: 30000 } }
+        }
+      }
+
+      // Construction ends 20s into the 60s, leaving 40s to generate one worker
+      const result = game.calculateOfflineProgress(60000, state)
+
+      expect(result.buildingsCompleted).toEqual([{ buildingTypeId: 'house', instanceId: 'house_1' }])
+      expect(result.workersGenerated.basicWorker).toBe(1)
+    })
+
+    it('should complete queued training', () => {
+      const saveTime = Date.now() - 60000
+      const state = {
+        version: 2,
+        resources: {},
+        skills: {},
+        lastSaveTime: saveTime,
+        buildings: {
+          buildings: {
+            trainingHall: [{
+              instanceId: 'hall_1',
+              buildingTypeId: 'trainingHall',
+              level: 1,
+              upgrades: {},
+              constructionComplete: true
+            }]
+          },
+          trainingQueues: {
+            hall_1: [{ programId: 'tractor', outputWorker: 'tractorWorker', startTime: saveTime, duration: 30000 }]
+          }
+        }
+      }
+
+      const result = game.calculateOfflineProgress(60000, state)
+
+      expect(result.workersGenerated.tractorWorker).toBe(1)
+      expect(result.state.buildings.trainingQueues.hall_1).toEqual([])
+    })
+  })
+
   describe('applyOfflineProgress', () => {
     it('should apply calculated offline progress to game state', () => {
       // Set up a saved state
@@ -263,6 +445,37 @@ describe('Offline Progress', () => {
       expect(game.resourceManager.get('wood')).toBeGreaterThan(0)
     })
 
+    it('should adopt buildings progressed while offline', () => {
+      const state = {
+        version: 2,
+        resources: {},
+        skills: {},
+        buildings: {
+          buildings: {
+            house: [{
+              instanceId: 'house_1',
+              buildingTypeId: 'house',
+              level: 1,
+              upgrades: {},
+              constructionComplete: true,
+              rooms: [{ maxWorkers: 5, currentWorkers: 0 }]
+            }]
+          },
+          houseWorkerTimers: { house_1: { room0: 30000 } }
+        },
+        lastSaveTime: Date.now() - 45000
+      }
+
+      let payload = null
+      game.on('game:offlineProgress', (data) => { payload = data })
+      game.loadState(state)
+
+      expect(game.resourceManager.get('basicWorker')).toBe(1)
+      expect(game.buildingManager.getBuildingInstance('house_1').rooms[0].currentWorkers).toBe(1)
+      expect(game.buildingManager.houseWorkerTimers.house_1.room0).toBeCloseTo(15000, -2)
+      expect(payload).not.toHaveProperty('state')
+    })
+
     it('should not apply offline progress if no lastSaveTime', () => {
       const state = {
         version: 2,
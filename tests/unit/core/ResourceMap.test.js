@@ -0,0 +1,158 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { GameEngine } from '../../../src/core/GameEngine.js'
+import { skills } from '../../../src/data/skills-expanded.js'
+import { activities } from '../../../src/data/activities-expanded.js'
+import { xpForLevel } from '../../../src/utils/calculations.js'
+
+describe('Resource map', () => {
+  let engine
+
+  beforeEach(() => {
+    engine = GameEngine.createHeadless(skills, activities)
+    engine.resourceManager.add('basicWorker', 2)
+    engine.update(0)
+  })
+
+  const sendToWheatField = () => {
+    const [worker] = engine.workerEntityManager.getWorkersByType('basicWorker')
+    engine.workerEntityManager.assignWorker(worker.id, 'wheat_field_1')
+    return worker
+  }
+
+  it('should spawn one map worker per owned worker', () => {
+    expect(engine.workerEntityManager.getWorkersByType('basicWorker')).toHaveLength(2)
+
+    engine.resourceManager.add('basicWorker', 1)
+    engine.update(0)
+
+    expect(engine.workerEntityManager.getWorkersByType('basicWorker')).toHaveLength(3)
+  })
+
+  it('should deposit harvests into resources', () => {
+    const deposited = vi.fn()
+    engine.on('worker:deposited', deposited)
+    engine.resourceManager.set('processedFood', 10) // Fed workers leave the wheat alone
+    engine.resourceManager.decayRates = {} // Earned stats only match stock if nothing spoils
+    sendToWheatField()
+
+    engine.simulate(60000)
+
+    expect(deposited).toHaveBeenCalled()
+    expect(engine.resourceManager.get('wheat')).toBeGreaterThan(0)
+    expect(engine.achievementManager.getState().stats.resourcesEarned.wheat).toBe(engine.resourceManager.get('wheat'))
+  })
+
+  it('should share the worker pool with activities', () => {
+    sendToWheatField()
+
+    expect(engine.workerManager.getAvailableWorkers('basicWorker')).toBe(1)
+    expect(engine.workerManager.assign('plantWheat', 'basicWorker', 2)).toBe(false)
+    expect(engine.workerManager.assign('plantWheat', 'basicWorker', 1)).toBe(true)
+
+    const [, spare] = engine.workerEntityManager.getWorkersByType('basicWorker')
+    expect(engine.workerEntityManager.assignWorker(spare.id, 'wheat_field_1')).toBe(false)
+  })
+
+  it('should save and load map assignments and node stock', () => {
+    const worker = sendToWheatField()
+    engine.resourceNodeManager.getNode('wheat_field_1').available = 3
+    const state = engine.getState()
+
+    const loaded = GameEngine.createHeadless(skills, activities, [], { startTime: state.lastSaveTime })
+    loaded.loadState(state)
+
+    expect(loaded.workerEntityManager.getWorker(worker.id).targetNodeId).toBe('wheat_field_1')
+    expect(loaded.resourceNodeManager.getNode('wheat_field_1').available).toBe(3)
+    expect(loaded.workerManager.getAvailableWorkers('basicWorker')).toBe(1)
+  })
+
+  it('should buy node upgrades with resources and keep them in saves', () => {
+    engine.resourceManager.set('gold', 100)
+    engine.resourceManager.set('wood', 100)
+
+    engine.resourceNodeManager.upgradeCapacity('wheat_field_1')
+    const state = engine.getState()
+    const loaded = GameEngine.createHeadless(skills, activities, [], { startTime: state.lastSaveTime })
+    loaded.loadState(state)
+
+    expect(engine.resourceManager.get('gold')).toBe(90)
+    expect(loaded.resourceNodeManager.getNode('wheat_field_1').getCurrentCapacity()).toBe(30)
+    expect(loaded.resourceNodeManager.getUpgradeCost('wheat_field_1', 'capacity')).toEqual({ gold: 18, wood: 18 })
+  })
+
+  it('should gate new nodes behind skill levels', () => {
+    const unlockedIds = () => engine.resourceNodeManager.getUnlockedNodes(engine.skillManager).map(node => node.id)
+    expect(unlockedIds()).not.toContain('tomato_patch_1')
+    expect(engine.resourceNodeManager.canUpgrade('tomato_patch_1', 'capacity').reason).toBe('Node is locked')
+
+    engine.skillManager.setXP('farming', xpForLevel(5))
+
+    expect(unlockedIds()).toContain('tomato_patch_1')
+  })
+
+  it('should leave over-harvested nodes depleted until they regrow', () => {
+    const depleted = vi.fn()
+    engine.on('node:depleted', depleted)
+    const tree = engine.resourceNodeManager.getNode('oak_tree_1')
+    tree.available = 1
+    tree.harvest()
+    const [worker] = engine.workerEntityManager.getWorkersByType('basicWorker')
+    engine.workerEntityManager.assignWorker(worker.id, 'oak_tree_1')
+
+    engine.simulate(10000)
+
+    expect(depleted).toHaveBeenCalledWith({ nodeId: 'oak_tree_1' })
+    expect(tree.depleted).toBe(true)
+    expect(engine.resourceManager.get('wood')).toBe(0)
+
+    // 0.15/s while depleted - back to a quarter of capacity (3.75) after 25s
+    engine.simulate(20000)
+
+    expect(tree.depleted).toBe(false)
+  })
+
+  it('should path workers around the river by its bridges', () => {
+    const worker = sendToWheatField()
+    const { navGrid } = engine.workerEntityManager
+
+    for (let elapsed = 0; elapsed < 20000; elapsed += 100) {
+      engine.update(100)
+      expect(navGrid.isWalkable(worker.position.x, worker.position.y)).toBe(true)
+    }
+
+    expect(navGrid.isWalkable(575, 50)).toBe(false)
+    expect(engine.resourceManager.get('wheat')).toBeGreaterThan(0)
+  })
+
+  it('should queue workers at crowded nodes', () => {
+    engine.resourceManager.add('basicWorker', 2)
+    engine.update(0)
+    const tree = engine.resourceNodeManager.getNode('oak_tree_1')
+    tree.available = 15
+    const workers = engine.workerEntityManager.getWorkersByType('basicWorker')
+    workers.forEach(worker => engine.workerEntityManager.assignWorker(worker.id, 'oak_tree_1'))
+
+    engine.simulate(15000, { stepMs: 100 })
+
+    const waited = workers.reduce((total, worker) => total + worker.getStats().totalQueueWaitTime, 0)
+    expect(tree.harvestSlots).toBe(2)
+    expect(waited).toBeGreaterThan(0)
+    expect(engine.workerEntityManager.getStatistics().totalQueueWaitTime).toBe(waited)
+  })
+
+  it('should pause the map during the rounds building phase', () => {
+    engine.reset({ mode: 'rounds' })
+    engine.update(0)
+    sendToWheatField()
+    engine.fastForwardRound()
+    const wheat = engine.resourceManager.get('wheat')
+    const stock = engine.resourceNodeManager.getNode('wheat_field_1').available
+
+    engine.simulate(30000)
+
+    expect(engine.roundManager.isBuildingPhase()).toBe(true)
+    expect(engine.resourceManager.get('wheat')).toBe(wheat)
+    expect(engine.resourceNodeManager.getNode('wheat_field_1').available).toBe(stock)
+  })
+})
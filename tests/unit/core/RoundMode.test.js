@@ -0,0 +1,291 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { GameEngine } from '../../../src/core/GameEngine.js'
+
+const testSkills = [
+  { id: 'farming', name: 'Farming', icon: '🌱' }
+]
+
+const testActivities = [
+  {
+    id: 'plantWheat',
+    name: 'Plant Wheat',
+    skillId: 'farming',
+    levelRequired: 1,
+    inputs: {},
+    outputs: { wheat: 1 },
+    duration: 3,
+    xpGained: 5
+  }
+]
+
+describe('Rounds game mode', () => {
+  let engine
+
+  beforeEach(() => {
+    engine = GameEngine.createHeadless(testSkills, testActivities)
+    engine.reset({ mode: 'rounds' })
+    engine.workerManager.assign('plantWheat', 'basicWorker', 1)
+
+    // Keep workers fed and paid so upkeep doesn't eat the wheat or slow them down
+    engine.resourceManager.set('processedFood', 50)
+    engine.resourceManager.set('gold', 50)
+    engine.resourceManager.set('tv', 5)
+
+    // Count whole harvests without spoilage nibbling at the wheat
+    engine.resourceManager.decayRates = {}
+  })
+
+  const giveHouseMaterials = () => {
+    engine.resourceManager.set('wood', 50)
+    engine.resourceManager.set('stone', 30)
+  }
+
+  it('should default to idle mode with construction allowed', () => {
+    const idle = GameEngine.createHeadless(testSkills, testActivities)
+    idle.reset()
+
+    expect(idle.mode).toBe('idle')
+    idle.resourceManager.set('wood', 50)
+    idle.resourceManager.set('stone', 30)
+    expect(idle.buildingManager.canBuild('house').canBuild).toBe(true)
+  })
+
+  it('should reject unknown modes', () => {
+    expect(() => engine.reset({ mode: 'speedrun' })).toThrow('Unknown game mode: speedrun')
+  })
+
+  it('should keep the current mode when reset without options', () => {
+    engine.reset()
+    expect(engine.mode).toBe('rounds')
+  })
+
+  describe('collection phase', () => {
+    it('should start in round 1 collecting', () => {
+      expect(engine.roundManager.getPhaseInfo()).toMatchObject({ round: 1, phase: 'collection', timeRemaining: 90 })
+    })
+
+    it('should lock construction', () => {
+      giveHouseMaterials()
+
+      expect(engine.buildingManager.canBuild('house')).toEqual({
+        canBuild: false,
+        reason: 'Construction is only allowed during the building phase'
+      })
+      expect(() => engine.buildingManager.startConstruction('house')).toThrow('only allowed during the building phase')
+    })
+
+    it('should run activities while the timer counts down', () => {
+      engine.simulate(30000)
+
+      // A basic worker plants wheat every 15 seconds
+      expect(engine.resourceManager.get('wheat')).toBe(2)
+      expect(engine.roundManager.getPhaseInfo().timeRemaining).toBe(60)
+    })
+
+    it('should switch to the building phase when the timer runs out', () => {
+      engine.simulate(90000)
+
+      expect(engine.roundManager.isBuildingPhase()).toBe(true)
+      expect(engine.resourceManager.get('wheat')).toBe(6)
+    })
+  })
+
+  describe('building phase', () => {
+    beforeEach(() => {
+      engine.simulate(90000)
+    })
+
+    it('should allow construction', () => {
+      giveHouseMaterials()
+      expect(engine.buildingManager.canBuild('house').canBuild).toBe(true)
+    })
+
+    it('should pause activities', () => {
+      engine.simulate(30000)
+      expect(engine.resourceManager.get('wheat')).toBe(6)
+    })
+
+    it('should still finish construction', () => {
+      giveHouseMaterials()
+      engine.buildingManager.startConstruction('house')
+
+      engine.simulate(30000)
+
+      expect(engine.buildingManager.getTotalBuildingCount()).toBe(1)
+    })
+
+    it('should lock construction again once the next round starts', () => {
+      engine.endBuildingPhase()
+
+      expect(engine.roundManager.getPhaseInfo()).toMatchObject({ round: 2, phase: 'collection' })
+      expect(engine.buildingManager.canBuild('house').reason).toBe('Construction is only allowed during the building phase')
+    })
+  })
+
+  describe('fastForwardRound()', () => {
+    it('should produce the rest of the collection phase at once', () => {
+      engine.simulate(30000)
+
+      const skipped = engine.fastForwardRound()
+
+      expect(skipped).toBe(60000)
+      expect(engine.resourceManager.get('wheat')).toBe(6)
+      expect(engine.roundManager.isBuildingPhase()).toBe(true)
+    })
+
+    it('should do nothing outside the collection phase', () => {
+      engine.fastForwardRound()
+      expect(engine.fastForwardRound()).toBe(0)
+    })
+
+    it('should do nothing in idle mode', () => {
+      engine.reset({ mode: 'idle' })
+      expect(engine.fastForwardRound()).toBe(0)
+    })
+  })
+
+  describe('end of game', () => {
+    const playAllRounds = () => {
+      for (let round = 1; round <= 5; round++) {
+        engine.fastForwardRound()
+        engine.endBuildingPhase()
+      }
+    }
+
+    it('should score workers plus 10 per building after the last round', () => {
+      const ended = vi.fn()
+      engine.on('round:game_ended', ended)
+
+      engine.fastForwardRound()
+      giveHouseMaterials()
+      engine.buildingManager.startConstruction('house')
+      engine.simulate(30000)
+      engine.endBuildingPhase()
+      for (let round = 2; round <= 5; round++) {
+        engine.fastForwardRound()
+        engine.endBuildingPhase()
+      }
+
+      const workers = engine.workerManager.getTotalWorkers()
+      expect(ended).toHaveBeenCalledWith({ finalScore: workers + 10, round: 5 })
+      expect(engine.roundManager.gameEnded).toBe(true)
+    })
+
+    it('should stop production and construction', () => {
+      playAllRounds()
+      const wheat = engine.resourceManager.get('wheat')
+      giveHouseMaterials()
+
+      engine.simulate(30000)
+
+      expect(engine.resourceManager.get('wheat')).toBe(wheat)
+      expect(engine.buildingManager.canBuild('house').reason).toBe('The game is over')
+    })
+  })
+
+  describe('round summaries', () => {
+    it('should record what each collection phase produced', () => {
+      engine.fastForwardRound()
+      engine.endBuildingPhase()
+      engine.simulate(30000)
+
+      const history = engine.roundManager.getRoundHistory()
+      expect(history[0].resourcesCollected).toEqual({ wheat: 6 })
+      expect(history[1].resourcesCollected).toEqual({ wheat: 2 })
+    })
+
+    it('should record buildings started in each building phase', () => {
+      engine.fastForwardRound()
+      giveHouseMaterials()
+      engine.buildingManager.startConstruction('house')
+
+      expect(engine.roundManager.getRoundRecord(1).buildingsBuilt).toEqual({ house: 1 })
+    })
+
+    it('should keep a summary for rounds where nothing happened', () => {
+      engine.workerManager.unassignAll('plantWheat')
+      engine.fastForwardRound()
+
+      expect(engine.roundManager.getRoundHistory()).toEqual([
+        { round: 1, resourcesCollected: {}, buildingsBuilt: {} }
+      ])
+    })
+
+    it('should not record anything in idle mode', () => {
+      engine.reset({ mode: 'idle' })
+      engine.workerManager.assign('plantWheat', 'basicWorker', 1)
+      engine.simulate(30000)
+
+      expect(engine.roundManager.getRoundHistory()).toEqual([])
+    })
+
+    it('should add the finished run to the leaderboard', () => {
+      engine.fastForwardRound()
+      giveHouseMaterials()
+      engine.buildingManager.startConstruction('house')
+      engine.simulate(30000)
+      engine.endBuildingPhase()
+      for (let round = 2; round <= 5; round++) {
+        engine.fastForwardRound()
+        engine.endBuildingPhase()
+      }
+
+      // The house keeps adding workers through the later collection phases
+      const workers = engine.resourceManager.get('basicWorker')
+      expect(workers).toBeGreaterThan(2)
+
+      const [run] = engine.leaderboardManager.getRuns()
+      expect(run).toMatchObject({
+        score: workers + 10,
+        workers: { basicWorker: workers },
+        totalWorkers: workers,
+        buildings: 1
+      })
+      expect(run.rounds).toHaveLength(5)
+      expect(run.rounds[0].buildingsBuilt).toEqual({ house: 1 })
+    })
+
+    it('should keep the leaderboard across new games', () => {
+      engine.leaderboardManager.addRun({ score: 5, rounds: [] })
+      engine.reset({ mode: 'rounds' })
+
+      expect(engine.leaderboardManager.getRuns()).toHaveLength(1)
+    })
+  })
+
+  describe('save/load', () => {
+    it('should persist the mode and round progress', () => {
+      engine.fastForwardRound()
+      engine.endBuildingPhase()
+      engine.simulate(10000)
+
+      const loaded = GameEngine.createHeadless(testSkills, testActivities)
+      loaded.loadState(engine.getState())
+
+      expect(loaded.mode).toBe('rounds')
+      expect(loaded.roundManager.getPhaseInfo()).toMatchObject({ round: 2, phase: 'collection', timeRemaining: 80 })
+      expect(loaded.roundManager.getRoundHistory()).toEqual(engine.roundManager.getRoundHistory())
+      giveHouseMaterials()
+      expect(loaded.buildingManager.canBuild('house').canBuild).toBe(false)
+    })
+
+    it('should not apply offline progress to a round', () => {
+      const state = engine.getState()
+      const loaded = GameEngine.createHeadless(testSkills, testActivities, [], { startTime: state.lastSaveTime + 60000 })
+
+      loaded.loadState(state)
+
+      expect(loaded.resourceManager.get('wheat')).toBe(0)
+      expect(loaded.roundManager.getPhaseInfo().timeRemaining).toBe(90)
+    })
+
+    it('should load older saves as idle games', () => {
+      const { mode, rounds, ...state } = engine.getState()
+      engine.loadState(state)
+
+      expect(engine.mode).toBe('idle')
+      expect(engine.buildingManager.constructionLock).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,252 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { SaveManager } from '../../../src/core/SaveManager.js'
+import { toBase64 } from '../../../src/utils/checksum.js'
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(initial = {}) {
+  const items = new Map(Object.entries(initial))
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  }
+}
+
+const gameState = (wood = 10, overrides = {}) => ({
+  version: 2,
+  mode: 'idle',
+  lastSaveTime: 500,
+  resources: { wood: { amount: wood } },
+  ...overrides
+})
+
+describe('SaveManager', () => {
+  let storage
+  let saves
+  let now
+
+  beforeEach(() => {
+    storage = createStorage()
+    now = 1000
+    saves = new SaveManager(storage, { maxBackups: 3, clock: () => now })
+  })
+
+  describe('slots', () => {
+    it('should start with an empty default slot', () => {
+      expect(saves.getActiveSlot()).toBe('default')
+      expect(saves.listSlots()).toEqual([])
+      expect(saves.read('default')).toBeNull()
+    })
+
+    it('should save and read back a slot', () => {
+      saves.save('default', gameState(42), 'Main')
+
+      const result = saves.read('default')
+      expect(result.valid).toBe(true)
+      expect(result.state).toEqual(gameState(42))
+      expect(result.name).toBe('Main')
+      expect(result.savedAt).toBe(1000)
+    })
+
+    it('should list slots most recently saved first', () => {
+      saves.save('a', gameState(), 'Alpha')
+      now = 2000
+      saves.save('b', gameState(1, { mode: 'rounds' }), 'Beta')
+
+      expect(saves.listSlots()).toEqual([
+        { id: 'b', name: 'Beta', savedAt: 2000, mode: 'rounds' },
+        { id: 'a', name: 'Alpha', savedAt: 1000, mode: 'idle' }
+      ])
+    })
+
+    it('should keep the slot name when saving without one', () => {
+      saves.save('a', gameState(), 'Alpha')
+      saves.save('a', gameState(2))
+
+      expect(saves.read('a').name).toBe('Alpha')
+    })
+
+    it('should create unused slot ids', () => {
+      saves.save('slot_1', gameState())
+
+      expect(saves.createSlotId()).toBe('slot_2')
+    })
+
+    it('should remember the active slot across instances', () => {
+      saves.setActiveSlot('slot_2')
+
+      expect(new SaveManager(storage).getActiveSlot()).toBe('slot_2')
+    })
+
+    it('should delete a slot and its backups, moving the active slot on', () => {
+      saves.save('a', gameState())
+      saves.save('a', gameState(2))
+      saves.save('b', gameState())
+      saves.setActiveSlot('a')
+
+      saves.deleteSlot('a')
+
+      expect(saves.hasSave('a')).toBe(false)
+      expect(saves.getBackups('a')).toEqual([])
+      expect(saves.listSlots().map(slot => slot.id)).toEqual(['b'])
+      expect(saves.getActiveSlot()).toBe('b')
+    })
+  })
+
+  describe('backups', () => {
+    it('should back up the previous save before overwriting', () => {
+      saves.save('default', gameState(1))
+      now = 2000
+      saves.save('default', gameState(2))
+
+      expect(saves.getBackups('default')).toEqual([{ index: 0, savedAt: 1000, valid: true }])
+      expect(saves.readBackup('default', 0).state).toEqual(gameState(1))
+      expect(saves.read('default').state).toEqual(gameState(2))
+    })
+
+    it('should keep only the newest maxBackups backups', () => {
+      for (let wood = 1; wood <= 6; wood++) {
+        saves.save('default', gameState(wood))
+      }
+
+      const backups = saves.getBackups('default')
+      expect(backups).toHaveLength(3)
+      expect(saves.readBackup('default', 0).state.resources.wood.amount).toBe(5)
+      expect(saves.readBackup('default', 2).state.resources.wood.amount).toBe(3)
+    })
+
+    it('should return null for a missing backup', () => {
+      expect(saves.readBackup('default', 0)).toBeNull()
+    })
+
+    it('should find the newest backup that passes its checksum', () => {
+      saves.save('default', gameState(1))
+      saves.save('default', gameState(2))
+      saves.save('default', gameState(3))
+
+      // Corrupt the newest backup (the wood: 2 save)
+      const key = 'incrementalGameSave:default:backups'
+      const backups = JSON.parse(storage.getItem(key))
+      backups[0] = backups[0].replace('"amount":2', '"amount":999')
+      storage.setItem(key, JSON.stringify(backups))
+
+      expect(saves.getBackups('default').map(backup => backup.valid)).toEqual([false, true])
+      expect(saves.getLatestValidBackup('default').state).toEqual(gameState(1))
+    })
+
+    it('should trim every slot down to its newest backups', () => {
+      for (let wood = 1; wood <= 4; wood++) {
+        saves.save('a', gameState(wood))
+        saves.save('b', gameState(wood))
+      }
+
+      saves.trimBackups()
+      expect(saves.getBackups('a')).toHaveLength(1)
+      expect(saves.readBackup('b', 0).state.resources.wood.amount).toBe(3)
+
+      saves.trimBackups(0)
+      expect(storage.getItem('incrementalGameSave:a:backups')).toBeNull()
+      expect(saves.read('a').state).toEqual(gameState(4))
+    })
+  })
+
+  describe('parseSave()', () => {
+    it('should flag hand-edited saves but still return their state', () => {
+      saves.save('default', gameState(10))
+      const key = 'incrementalGameSave:default'
+      storage.setItem(key, storage.getItem(key).replace('"amount":10', '"amount":99999'))
+
+      const result = saves.read('default')
+      expect(result.valid).toBe(false)
+      expect(result.reason).toContain('checksum')
+      expect(result.state.resources.wood.amount).toBe(99999)
+    })
+
+    it('should reject unreadable data', () => {
+      const result = saves.parseSave('{"truncated":')
+
+      expect(result).toEqual({ valid: false, reason: 'Save data is unreadable', state: null })
+    })
+
+    it('should reject JSON that is not a save', () => {
+      expect(saves.parseSave('{"hello":"world"}').reason).toBe('Not a save file')
+      expect(saves.parseSave('42').valid).toBe(false)
+    })
+
+    it('should reject saves from a newer envelope format', () => {
+      const envelope = { ...saves.createEnvelope(gameState()), format: 99 }
+
+      expect(saves.parseSave(JSON.stringify(envelope)).valid).toBe(false)
+    })
+
+    it('should accept bare game state from before save slots', () => {
+      const result = saves.parseSave(JSON.stringify(gameState(7)))
+
+      expect(result.valid).toBe(true)
+      expect(result.state).toEqual(gameState(7))
+      expect(result.savedAt).toBe(500)
+    })
+
+    it('should accept unversioned saves from before save versioning', () => {
+      const result = saves.parseSave(JSON.stringify({ currencies: { wheat: 3 }, skills: {} }))
+
+      expect(result.valid).toBe(true)
+      expect(result.state.currencies).toEqual({ wheat: 3 })
+    })
+  })
+
+  describe('export/import', () => {
+    it('should round-trip through an exported string', () => {
+      const exported = saves.exportSave(gameState(33), 'Shared')
+
+      expect(exported).toMatch(/^[A-Za-z0-9+/=]+$/)
+      const result = saves.parseSave(exported)
+      expect(result.valid).toBe(true)
+      expect(result.name).toBe('Shared')
+      expect(result.state).toEqual(gameState(33))
+    })
+
+    it('should import a downloaded JSON file', () => {
+      const file = JSON.stringify(saves.createEnvelope(gameState(4)))
+
+      expect(saves.parseSave(file).state).toEqual(gameState(4))
+    })
+
+    it('should catch an edited exported string', () => {
+      const envelope = saves.createEnvelope(gameState(4))
+      envelope.data.resources.wood.amount = 4000
+
+      expect(saves.parseSave(toBase64(JSON.stringify(envelope))).valid).toBe(false)
+    })
+  })
+
+  describe('single-slot saves', () => {
+    it('should move the old single save into the default slot', () => {
+      storage = createStorage({ incrementalGameSave: JSON.stringify(gameState(8)) })
+      saves = new SaveManager(storage, { clock: () => 3000 })
+
+      expect(storage.getItem('incrementalGameSave')).toBeNull()
+      expect(saves.read('default').state).toEqual(gameState(8))
+      expect(saves.listSlots()).toEqual([{ id: 'default', name: 'Main', savedAt: 3000, mode: 'idle' }])
+    })
+
+    it('should drop an unreadable old save without touching the slots', () => {
+      storage = createStorage({ incrementalGameSave: 'garbage' })
+      saves = new SaveManager(storage)
+
+      expect(storage.getItem('incrementalGameSave')).toBeNull()
+      expect(saves.listSlots()).toEqual([])
+    })
+  })
+
+  it('should recover from a corrupted slot index', () => {
+    storage = createStorage({ incrementalGameSaveSlots: '{broken' })
+    saves = new SaveManager(storage)
+
+    expect(saves.getActiveSlot()).toBe('default')
+    expect(saves.listSlots()).toEqual([])
+  })
+})
@@ -0,0 +1,150 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import { GameEngine } from '../../../src/core/GameEngine.js'
+import { createManualClock } from '../../../src/utils/random.js'
+import { skills } from '../../../src/data/skills.js'
+import { activities } from '../../../src/data/activities.js'
+
+describe('Headless simulation', () => {
+  const choppingStrategy = (engine) => {
+    if (!engine.workerManager.isAutomated('chopNormalTree')) {
+      engine.workerManager.assign('chopNormalTree', 'basicWorker', 1)
+    }
+  }
+
+  const createEngine = (seed = 1) => {
+    const engine = GameEngine.createHeadless(skills, activities, [], { seed })
+    engine.reset()
+    return engine
+  }
+
+  it('should run without a DOM', () => {
+    expect(typeof window).toBe('undefined')
+
+    const engine = createEngine()
+    const { duration } = engine.simulate(10000)
+
+    expect(duration).toBe(10000)
+  })
+
+  it('should advance the injected clock', () => {
+    const engine = createEngine()
+    engine.simulate(60000)
+    expect(engine.clock()).toBe(60000)
+  })
+
+  it('should return a timeline of resources, levels and buildings', () => {
+    const engine = createEngine()
+    engine.resourceManager.set('processedFood', 20)
+    engine.resourceManager.set('gold', 20)
+
+    const { timeline } = engine.simulate(5 * 60000, { strategy: choppingStrategy })
+
+    // Initial snapshot, one per minute, and the final snapshot
+    expect(timeline.map(s => s.time)).toEqual([0, 60000, 120000, 180000, 240000, 300000])
+    expect(timeline[0].resources).toEqual({ basicWorker: 2, processedFood: 20, gold: 20 })
+    // A new game's upkeep grace period keeps them at full speed
+    // 25 chops rank the crew up to Skilled, and the rest bring back 5% extra
+    expect(timeline[5].resources.wood).toBeCloseTo(30.25)
+    expect(timeline[5].levels.woodcutting).toBeGreaterThan(1)
+    expect(timeline[5].buildings).toEqual({})
+  })
+
+  it('should respect sampleIntervalMs', () => {
+    const engine = createEngine()
+    const { timeline } = engine.simulate(10000, { sampleIntervalMs: 2500 })
+    expect(timeline.map(s => s.time)).toEqual([0, 2500, 5000, 7500, 10000])
+  })
+
+  it('should let the strategy act every step', () => {
+    const engine = createEngine()
+    const calls = []
+
+    engine.simulate(3000, { stepMs: 1000, strategy: (_, { elapsed }) => calls.push(elapsed) })
+
+    expect(calls).toEqual([0, 1000, 2000])
+  })
+
+  it('should be deterministic for the same seed', () => {
+    const run = () => {
+      const engine = createEngine(99)
+      engine.resourceManager.add('wood', 50)
+      engine.resourceManager.add('stone', 30)
+      engine.buildingManager.startConstruction('house')
+      return {
+        result: engine.simulate(120000, { strategy: choppingStrategy }),
+        buildings: engine.buildingManager.getState()
+      }
+    }
+
+    expect(run()).toEqual(run())
+  })
+
+  it('should build with the injected clock', () => {
+    const engine = createEngine()
+    engine.resourceManager.add('wood', 50)
+    engine.resourceManager.add('stone', 30)
+
+    engine.simulate(5000)
+    const instanceId = engine.buildingManager.startConstruction('house')
+    const house = engine.buildingManager.getBuildingInstance(instanceId)
+
+    expect(house.constructionStartTime).toBe(5000)
+    expect(instanceId).toMatch(/^house_5000_/)
+
+    const { timeline } = engine.simulate(30000)
+    expect(timeline[timeline.length - 1].buildings).toEqual({ house: 1 })
+  })
+
+  it('should stop early when until() is satisfied', () => {
+    const engine = createEngine()
+
+    const { duration, timeline } = engine.simulate(600000, {
+      strategy: choppingStrategy,
+      until: (game) => game.resourceManager.get('wood') >= 3
+    })
+
+    expect(duration).toBe(30000)
+    expect(timeline[timeline.length - 1].resources.wood).toBe(3)
+  })
+
+  it('should feed workers from production and let unpaid ones quit', () => {
+    const engine = createEngine()
+    engine.workerManager.upkeepGrace = 0
+    engine.resourceManager.set('wheat', 2)
+
+    engine.simulate(3 * 60000, { strategy: choppingStrategy })
+    engine.update(0) // Map workers sync with the payroll on the next tick
+
+    // Wheat feeds them for two minutes, but nobody has paid wages for three
+    expect(engine.resourceManager.get('wheat')).toBe(0)
+    expect(engine.resourceManager.get('basicWorker')).toBe(1)
+    expect(engine.workerEntityManager.getWorkersByType('basicWorker')).toHaveLength(1)
+    expect(engine.workerManager.getUpkeepMultiplier('basicWorker')).toBeLessThan(1)
+  })
+
+  it('should hold off upkeep during a new game\'s grace period', () => {
+    const engine = createEngine()
+    engine.resourceManager.set('gold', 100)
+
+    engine.simulate(29 * 60000)
+    expect(engine.resourceManager.get('gold')).toBe(100)
+
+    engine.simulate(2 * 60000)
+    expect(engine.resourceManager.get('gold')).toBeCloseTo(99.6) // Wages for two workers
+  })
+
+  it('should require a manual clock', () => {
+    const engine = new GameEngine(skills, activities, [])
+    expect(() => engine.simulate(1000)).toThrow('simulate() needs a manual clock')
+  })
+
+  it('should accept a custom clock and seed', () => {
+    const clock = createManualClock(1000)
+    const engine = new GameEngine(skills, activities, [], { clock, seed: 5 })
+
+    expect(engine.getState().lastSaveTime).toBe(1000)
+    engine.simulate(500)
+    expect(clock()).toBe(1500)
+  })
+})
@@ -0,0 +1,277 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest'
+import { GameEngine } from '../../../src/core/GameEngine.js'
+import { CURRENT_SAVE_VERSION, migrateSave, renameResource } from '../../../src/core/saveMigrations.js'
+import { skills } from '../../../src/data/skills-expanded.js'
+import { activities } from '../../../src/data/activities-expanded.js'
+import { upgrades } from '../../../src/data/upgrades.js'
+import { upkeepSettings, moraleSettings } from '../../../src/data/workerTypes.js'
+import saveV1Unversioned from './fixtures/saves/v1-unversioned.json'
+import saveV1 from './fixtures/saves/v1.json'
+import saveV2 from './fixtures/saves/v2.json'
+import saveV3 from './fixtures/saves/v3.json'
+import saveV4 from './fixtures/saves/v4.json'
+
+/**
+ * Load a fixture at its own save time, so no offline progress muddies the result
+ */
+function loadFixture(save) {
+  const engine = GameEngine.createHeadless(skills, activities, upgrades, { startTime: save.lastSaveTime })
+  const report = engine.loadState(save)
+  return { engine, report }
+}
+
+describe('migrateSave()', () => {
+  it('should leave current saves untouched', () => {
+    const { state, fromVersion, applied } = migrateSave(saveV4)
+
+    expect(fromVersion).toBe(CURRENT_SAVE_VERSION)
+    expect(applied).toEqual([])
+    expect(state).toEqual(saveV4)
+  })
+
+  it('should treat unversioned saves as version 1', () => {
+    const { state, fromVersion, applied } = migrateSave(saveV1Unversioned)
+
+    expect(fromVersion).toBe(1)
+    expect(applied.map(step => step.version)).toEqual([2, 3, 4])
+    expect(state.version).toBe(CURRENT_SAVE_VERSION)
+    expect(state.currencies).toBeUndefined()
+    expect(state.resourceManager.resources).toEqual({ basicWorker: 2, wheat: 35, wood: 12 })
+  })
+
+  it('should chain every step from version 1', () => {
+    const { state, applied } = migrateSave(saveV1)
+
+    expect(applied).toEqual([
+      { version: 2, description: expect.any(String) },
+      { version: 3, description: expect.any(String) },
+      { version: 4, description: expect.any(String) }
+    ])
+    expect(state.resources).toBeUndefined()
+    expect(state.resourceManager).toEqual({
+      resources: { basicWorker: 3, wheat: 80, wood: 25, stone: 10 },
+      storageBonuses: {},
+      overflowPolicies: {},
+      decayTimer: 0
+    })
+    expect(state.mode).toBe('idle')
+  })
+
+  it('should keep version 2 resource sections as they are', () => {
+    const { state, applied } = migrateSave(saveV2)
+
+    expect(applied.map(step => step.version)).toEqual([3, 4])
+    expect(state.resourceManager).toEqual({ ...saveV2.resourceManager, overflowPolicies: {}, decayTimer: 0 })
+    expect(state.buildings.houseWorkerTimers).toEqual(saveV2.buildings.houseWorkerTimers)
+    expect(state.buildings.buildings.house).toEqual([{ ...saveV2.buildings.buildings.house[0], slot: 0 }])
+  })
+
+  it('should fold the flat resource map found in early version 2 saves', () => {
+    const { state } = migrateSave({ version: 2, resources: { wheat: 9 }, skills: {} })
+
+    expect(state.resourceManager.resources).toEqual({ wheat: 9 })
+    expect(state.resources).toBeUndefined()
+  })
+
+  it('should not modify the save it was given', () => {
+    const save = JSON.parse(JSON.stringify(saveV1))
+
+    migrateSave(save)
+
+    expect(save).toEqual(saveV1)
+  })
+
+  it('should throw for saves from a newer version', () => {
+    expect(() => migrateSave({ version: CURRENT_SAVE_VERSION + 1 })).toThrow('newer than this game supports')
+  })
+
+  it('should throw when a step is missing from the chain', () => {
+    const migrations = [{ version: 3, description: 'Skips 2', migrate: state => state }]
+
+    expect(() => migrateSave({ version: 1 }, migrations)).toThrow('No save migration registered for version 2')
+  })
+
+  it('should run a custom registry in version order', () => {
+    const calls = []
+    const migrations = [
+      { version: 3, description: 'Third', migrate: state => { calls.push(state.version); return { ...state, c: true } } },
+      { version: 2, description: 'Second', migrate: state => { calls.push(state.version); return { ...state, b: true } } }
+    ]
+
+    const { state } = migrateSave({ version: 1 }, migrations)
+
+    expect(calls).toEqual([1, 2])
+    expect(state).toEqual({ version: 3, b: true, c: true })
+  })
+})
+
+describe('renameResource()', () => {
+  it('should move a resource everywhere the save keys by resource id', () => {
+    const state = migrateSave(saveV3).state
+    state.trade.totalSold = { wood: 5 }
+    state.trade.priceMultipliers = { wood: 1.2 }
+
+    renameResource(state, 'wood', 'timber')
+
+    expect(state.resourceManager.resources.timber).toBe(saveV3.resourceManager.resources.wood)
+    expect(state.resourceManager.resources.wood).toBeUndefined()
+    expect(state.trade.totalSold).toEqual({ timber: 5 })
+    expect(state.trade.priceMultipliers).toEqual({ timber: 1.2 })
+    expect(state.trade.priceHistory.timber).toEqual(saveV3.trade.priceHistory.wood)
+    expect(state.achievements.stats.resourcesEarned).toEqual({ timber: 4 })
+  })
+
+  it('should merge amounts into an existing resource', () => {
+    const state = { resourceManager: { resources: { wood: 5, timber: 3 }, storageBonuses: {} } }
+
+    renameResource(state, 'wood', 'timber')
+
+    expect(state.resourceManager.resources).toEqual({ timber: 8 })
+  })
+
+  it('should rename worker types in assignments', () => {
+    const state = { workers: { assignments: { chopWood: { oldWorker: 2 } } } }
+
+    renameResource(state, 'oldWorker', 'basicWorker')
+
+    expect(state.workers.assignments.chopWood).toEqual({ basicWorker: 2 })
+  })
+})
+
+describe('version 4 migration', () => {
+  const migrateV3 = (changes = () => {}) => {
+    const save = JSON.parse(JSON.stringify(saveV3))
+    changes(save)
+    return migrateSave(save).state
+  }
+
+  const site = (instanceId, constructionStartTime, extra = {}) => ({
+    ...saveV3.buildings.buildings.house[0],
+    instanceId,
+    constructionStartTime,
+    ...extra
+  })
+
+  it('should give existing towns the upkeep grace period and starting morale', () => {
+    const { workers } = migrateV3()
+
+    expect(workers.assignments).toEqual(saveV3.workers.assignments)
+    expect(workers.upkeepGrace).toBe(upkeepSettings.gracePeriod * 1000)
+    expect(workers.morale).toEqual({ human: moraleSettings.start, machine: moraleSettings.start })
+    expect(workers.strikes).toEqual({})
+    expect(workers.veterancy).toEqual({})
+    expect(workers.presets).toEqual({})
+  })
+
+  it('should add storage policies, spoilage and empty map sections', () => {
+    const state = migrateV3()
+
+    expect(state.resourceManager.overflowPolicies).toEqual({})
+    expect(state.resourceManager.decayTimer).toBe(0)
+    expect(state.resourceNodes).toBeNull()
+    expect(state.workerEntities).toBeNull()
+  })
+
+  it('should lay buildings out in build order and record what unfinished ones cost', () => {
+    const { buildings } = migrateV3(save => {
+      save.buildings.buildings.house.push(site('house_2', 1699999990000, { constructionComplete: true }))
+    })
+
+    const [first, second] = buildings.buildings.house
+    expect([first.slot, second.slot]).toEqual([0, 1])
+    expect(first.paidCost).toEqual({ wood: 50, stone: 30 })
+    expect(second.paidCost).toBeUndefined()
+    expect(buildings.constructionQueue).toEqual([])
+    expect(buildings.builders).toBe(0)
+  })
+
+  it('should queue sites beyond the builder crews, keeping the furthest along going', () => {
+    const saveTime = saveV3.lastSaveTime
+    const { buildings } = migrateV3(save => {
+      save.buildings.buildings.house.push(site('house_old', saveTime - 25000), site('house_new', saveTime - 1000))
+    })
+
+    const started = buildings.buildings.house.filter(b => b.constructionStartTime !== null).map(b => b.instanceId)
+    expect(started).toEqual(['house_1700000000000_0f63hnws', 'house_old'])
+    expect(buildings.constructionQueue).toEqual(['house_new'])
+  })
+
+  it('should load an upgraded town into the engine', () => {
+    const { engine } = loadFixture(saveV3)
+
+    expect(engine.workerManager.upkeepGrace).toBe(upkeepSettings.gracePeriod * 1000)
+    const [house] = engine.buildingManager.getBuildings('house')
+    expect(engine.buildingManager.getBuildingAtSlot(0)).toBe(house)
+    expect(engine.buildingManager.cancelConstruction(house.instanceId)).toEqual({ wood: 50, stone: 30 })
+  })
+})
+
+describe('GameEngine.loadState() with historical saves', () => {
+  it('should load an unversioned save instead of starting fresh', () => {
+    const { engine, report } = loadFixture(saveV1Unversioned)
+
+    expect(report.fromVersion).toBe(1)
+    expect(engine.resourceManager.get('wheat')).toBe(35)
+    expect(engine.skillManager.getXP('farming')).toBe(40)
+  })
+
+  it('should load a version 1 save with its worker assignments', () => {
+    const { engine, report } = loadFixture(saveV1)
+
+    expect(report.migrations).toHaveLength(3)
+    expect(engine.resourceManager.get('wheat')).toBe(80)
+    expect(engine.workerManager.getState().assignments).toEqual({ chopWood: { basicWorker: 1 } })
+  })
+
+  it('should load a version 2 save with its buildings and storage bonuses', () => {
+    const { engine } = loadFixture(saveV2)
+
+    expect(engine.buildingManager.getBuildings('house')).toHaveLength(1)
+    expect(engine.resourceManager.storageBonuses.wood).toBe(50)
+    expect(engine.mode).toBe('idle')
+  })
+
+  it('should load a current save without running migrations', () => {
+    const { engine, report } = loadFixture(saveV4)
+
+    expect(report).toEqual({ fromVersion: CURRENT_SAVE_VERSION, migrations: [] })
+    const state = engine.getState()
+    expect(state.resourceManager).toEqual(saveV4.resourceManager)
+    expect(state.skills).toEqual(saveV4.skills)
+    expect(state.workers).toEqual(saveV4.workers)
+    expect(state.buildings.buildings).toEqual(saveV4.buildings.buildings)
+    expect(state.achievements.unlocked).toEqual(saveV4.achievements.unlocked)
+  })
+
+  it('should report migrations with an event', () => {
+    const engine = GameEngine.createHeadless(skills, activities, upgrades, { startTime: saveV2.lastSaveTime })
+    const handler = vi.fn()
+    engine.on('game:saveMigrated', handler)
+
+    engine.loadState(saveV2)
+    engine.loadState(saveV4)
+
+    expect(handler).toHaveBeenCalledTimes(1)
+    expect(handler).toHaveBeenCalledWith({
+      fromVersion: 2,
+      toVersion: CURRENT_SAVE_VERSION,
+      migrations: [
+        { version: 3, description: expect.any(String) },
+        { version: 4, description: expect.any(String) }
+      ]
+    })
+  })
+
+  it('should save migrated games in the current format', () => {
+    const { engine } = loadFixture(saveV1)
+
+    expect(engine.getState().version).toBe(CURRENT_SAVE_VERSION)
+  })
+
+  it('should refuse saves from a newer version of the game', () => {
+    const engine = GameEngine.createHeadless(skills, activities, upgrades)
+
+    expect(() => engine.loadState({ ...saveV4, version: CURRENT_SAVE_VERSION + 1 })).toThrow()
+  })
+})
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { achievements } from '../../../src/data/achievements.js'
+import { skills, phases } from '../../../src/data/skills-expanded.js'
+import { resources } from '../../../src/data/resources-expanded.js'
+import { buildingTypes } from '../../../src/data/buildings.js'
+import { workerTypes } from '../../../src/data/workerTypes.js'
+
+describe('achievement data', () => {
+  const skillIds = skills.map(skill => skill.id)
+  const phaseIds = phases.map(phase => phase.id)
+
+  it('has unique ids', () => {
+    const ids = achievements.map(a => a.id)
+    expect(new Set(ids).size).toBe(ids.length)
+  })
+
+  it('only references skills from the tech tree', () => {
+    achievements
+      .filter(a => a.requirement.skillId)
+      .forEach(a => expect(skillIds, a.id).toContain(a.requirement.skillId))
+  })
+
+  it('only references and rewards existing resources', () => {
+    achievements.forEach(a => {
+      if (a.requirement.resourceId) {
+        expect(resources[a.requirement.resourceId], a.id).toBeDefined()
+      }
+      Object.keys(a.reward).forEach(resourceId => {
+        expect(resources[resourceId], `${a.id} reward ${resourceId}`).toBeDefined()
+      })
+    })
+  })
+
+  it('only references existing buildings and worker types', () => {
+    const buildingIds = buildingTypes.map(b => b.id)
+    const workerIds = workerTypes.map(w => w.id)
+
+    achievements.forEach(a => {
+      if (a.requirement.buildingTypeId) {
+        expect(buildingIds, a.id).toContain(a.requirement.buildingTypeId)
+      }
+      if (a.requirement.workerTypeId) {
+        expect(workerIds, a.id).toContain(a.requirement.workerTypeId)
+      }
+    })
+  })
+
+  it('only references phases from the tech tree', () => {
+    achievements
+      .filter(a => a.type === 'phaseReached')
+      .forEach(a => expect(phaseIds, a.id).toContain(a.requirement.phase))
+  })
+
+  it('includes some hidden achievements', () => {
+    expect(achievements.some(a => a.hidden)).toBe(true)
+  })
+
+  it('places skill achievements in their skill phase', () => {
+    achievements
+      .filter(a => a.requirement.skillId)
+      .forEach(a => {
+        const skill = skills.find(s => s.id === a.requirement.skillId)
+        expect(a.phase, a.id).toBe(skill.phase)
+      })
+  })
+
+  it('covers every phase', () => {
+    phaseIds.forEach(phaseId => {
+      expect(achievements.some(a => a.phase === phaseId)).toBe(true)
+    })
+  })
+})
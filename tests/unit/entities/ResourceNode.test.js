@@ -202,7 +202,8 @@ describe('ResourceNode', () => {
       expect(state).toEqual({
         available: 15,
         capacityUpgrades: 2,
-        spawnRateUpgrades: 1
+        spawnRateUpgrades: 1,
+        depleted: false
       })
     })
 
@@ -231,6 +232,133 @@ describe('ResourceNode', () => {
     })
   })
 
+  describe('depletion', () => {
+    let tree
+
+    beforeEach(() => {
+      tree = new ResourceNode({
+        id: 'oak',
+        baseCapacity: 20,
+        baseSpawnRate: 1,
+        startingAmount: 2,
+        depletion: { regrowthMultiplier: 0.25, recoverAt: 0.5 }
+      })
+    })
+
+    it('should deplete when the last unit is harvested', () => {
+      tree.harvest()
+      expect(tree.depleted).toBe(false)
+
+      tree.harvest()
+
+      expect(tree.depleted).toBe(true)
+      expect(tree.canHarvest()).toBe(false)
+    })
+
+    it('should never deplete nodes without depletion settings', () => {
+      node.available = 1
+      node.harvest()
+
+      expect(node.depleted).toBe(false)
+    })
+
+    it('should regrow slowly while depleted', () => {
+      tree.harvest()
+      tree.harvest()
+
+      tree.regenerate(4000) // 4s at 0.25/s
+
+      expect(tree.available).toBeCloseTo(1)
+      expect(tree.canHarvest()).toBe(false)
+    })
+
+    it('should recover once refilled to the recovery threshold', () => {
+      tree.harvest()
+      tree.harvest()
+
+      tree.regenerate(40000) // 10 units = half of capacity
+
+      expect(tree.depleted).toBe(false)
+      expect(tree.canHarvest()).toBe(true)
+      expect(tree.getRegrowthRate()).toBe(1)
+    })
+
+    it('should save and restore depletion', () => {
+      tree.harvest()
+      tree.harvest()
+
+      const copy = new ResourceNode({ id: 'oak', depletion: { regrowthMultiplier: 0.25, recoverAt: 0.5 } })
+      copy.loadState(tree.getSaveState())
+
+      expect(copy.depleted).toBe(true)
+    })
+  })
+
+  describe('upgrade levels', () => {
+    it('should report the level of each upgrade', () => {
+      node.capacityUpgrades = 2
+      node.spawnRateUpgrades = 1
+
+      expect(node.getUpgradeLevel('capacity')).toBe(2)
+      expect(node.getUpgradeLevel('spawnRate')).toBe(1)
+      expect(node.getUpgradeLevel('unknown')).toBe(0)
+    })
+  })
+
+  describe('harvest slots', () => {
+    it('should default to two slots', () => {
+      expect(node.harvestSlots).toBe(2)
+    })
+
+    it('should queue workers once every slot is taken', () => {
+      expect(node.requestSlot('w1')).toBe(true)
+      expect(node.requestSlot('w2')).toBe(true)
+      expect(node.requestSlot('w3')).toBe(false)
+      expect(node.requestSlot('w3')).toBe(false)
+
+      expect(node.occupants).toEqual(['w1', 'w2'])
+      expect(node.getQueueLength()).toBe(1)
+    })
+
+    it('should serve the queue first come, first served', () => {
+      node.requestSlot('w1')
+      node.requestSlot('w2')
+      node.requestSlot('w3')
+      node.requestSlot('w4')
+
+      node.releaseSlot('w1')
+
+      expect(node.requestSlot('w4')).toBe(false)
+      expect(node.requestSlot('w3')).toBe(true)
+      expect(node.queue).toEqual(['w4'])
+    })
+
+    it('should place harvesters around the node and the queue beside it', () => {
+      node.requestSlot('w1')
+      node.requestSlot('w2')
+      node.requestSlot('w3')
+
+      const first = node.getSlotPosition('w1')
+      const second = node.getSlotPosition('w2')
+      const queued = node.getSlotPosition('w3')
+
+      expect(first).not.toEqual(second)
+      expect(Math.hypot(first.x - 100, first.y - 200)).toBeCloseTo(28)
+      expect(queued.x).toBeGreaterThan(100 + 40)
+    })
+
+    it('should clear slots when loading a save', () => {
+      node.requestSlot('w1')
+      node.requestSlot('w2')
+      node.requestSlot('w3')
+
+      node.loadState({ available: 5 })
+
+      expect(node.occupants).toEqual([])
+      expect(node.getQueueLength()).toBe(0)
+    })
+  })
+
   describe('render state', () => {
     it('should provide render state', () => {
       node.available = 15.7
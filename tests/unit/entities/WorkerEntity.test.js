@@ -1,5 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { WorkerEntity } from '../../../src/entities/WorkerEntity.js'
+import { ResourceNode } from '../../../src/entities/ResourceNode.js'
+import { NavGrid } from '../../../src/utils/pathfinding.js'
 
 describe('WorkerEntity', () => {
   let worker
@@ -19,7 +21,10 @@ describe('WorkerEntity', () => {
       harvestTime: 2, // 2 seconds
       outputs: { wheat: 1 },
       canHarvest: vi.fn(() => true),
-      harvest: vi.fn(() => true)
+      harvest: vi.fn(() => true),
+      requestSlot: vi.fn(() => true),
+      releaseSlot: vi.fn(),
+      getSlotPosition: vi.fn(() => ({ ...nodePosition }))
     })
 
     // Mock resource manager
@@ -423,6 +428,114 @@ describe('WorkerEntity', () => {
       expect(stats.totalDistanceTraveled).toBe(1234) // Floored
       expect(stats.state).toBe('harvesting')
       expect(stats.assigned).toBe(true)
+      expect(stats.totalQueueWaitTime).toBe(0)
+    })
+  })
+
+  describe('pathfinding', () => {
+    it('should follow a path around a river', () => {
+      const navGrid = new NavGrid()
+      navGrid.addObstacle({ id: 'river', x: 560, y: 0, width: 30, height: 500, walkable: false })
+      worker.navGrid = navGrid
+      worker.assignTo('wheat_field')
+      worker.startWalkingTo(nodePosition)
+
+      expect(worker.path.length).toBeGreaterThan(1)
+
+      let crossedRiver = false
+      for (let i = 0; i < 200 && worker.state === 'walking_to'; i++) {
+        worker.update(100, mockResourceNodes, mockResourceManager)
+        expect(navGrid.isWalkable(worker.position.x, worker.position.y)).toBe(true)
+        if (worker.position.x < 560) crossedRiver = true
+      }
+
+      expect(crossedRiver).toBe(true)
+      expect(worker.state).toBe('harvesting')
+    })
+
+    it('should walk faster on roads', () => {
+      const roadWorker = new WorkerEntity('worker_2', 'basicWorker', homePosition)
+      const navGrid = new NavGrid()
+      navGrid.addObstacle({ id: 'road', x: 0, y: 280, width: 900, height: 40, speedMultiplier: 1.5 })
+      roadWorker.navGrid = navGrid
+
+      worker.startWalkingTo({ x: 100, y: 300 })
+      roadWorker.startWalkingTo({ x: 100, y: 300 })
+      worker.update(1000, mockResourceNodes, mockResourceManager)
+      roadWorker.update(1000, mockResourceNodes, mockResourceManager)
+
+      expect(homePosition.x - worker.position.x).toBeCloseTo(150)
+      expect(homePosition.x - roadWorker.position.x).toBeCloseTo(225)
+    })
+
+    it('should carry leftover movement past waypoints', () => {
+      worker.path = [{ x: 800, y: 300 }, { x: 800, y: 250 }]
+      worker.destination = { x: 800, y: 250 }
+      worker.state = 'walking_to'
+
+      worker.update(500, mockResourceNodes, mockResourceManager) // 75px: 50 left, 25 up
+
+      expect(worker.position.x).toBeCloseTo(800)
+      expect(worker.position.y).toBeCloseTo(275)
+    })
+  })
+
+  describe('harvest slots', () => {
+    let node
+
+    beforeEach(() => {
+      node = new ResourceNode({
+        id: 'wheat_field',
+        position: nodePosition,
+        startingAmount: 10,
+        harvestTime: 2,
+        outputs: { wheat: 1 },
+        harvestSlots: 1
+      })
+      mockResourceNodes.set('wheat_field', node)
+      node.requestSlot('someone_else')
+      worker.assignTo('wheat_field')
+      worker.startWalkingTo(nodePosition)
+      worker.position = { ...nodePosition }
+    })
+
+    it('should queue when every slot is taken', () => {
+      worker.update(100, mockResourceNodes, mockResourceManager)
+
+      expect(worker.state).toBe('queued')
+      expect(node.queue).toEqual(['worker_1'])
+      expect(worker.position).toEqual(node.getSlotPosition('worker_1'))
+    })
+
+    it('should track queue wait time in stats', () => {
+      worker.update(100, mockResourceNodes, mockResourceManager)
+      worker.update(1500, mockResourceNodes, mockResourceManager)
+      node.releaseSlot('someone_else')
+      worker.update(500, mockResourceNodes, mockResourceManager)
+
+      expect(worker.state).toBe('harvesting')
+      expect(worker.getStats().totalQueueWaitTime).toBe(2000)
+      expect(worker.getSaveState().totalQueueWaitTime).toBe(2000)
+    })
+
+    it('should free the slot after harvesting', () => {
+      node.releaseSlot('someone_else')
+      worker.update(100, mockResourceNodes, mockResourceManager)
+      expect(node.occupants).toEqual(['worker_1'])
+
+      worker.update(2000, mockResourceNodes, mockResourceManager)
+
+      expect(worker.state).toBe('walking_back')
+      expect(node.occupants).toEqual([])
+    })
+
+    it('should leave the queue when unassigned', () => {
+      worker.update(100, mockResourceNodes, mockResourceManager)
+
+      worker.unassign()
+
+      expect(node.queue).toEqual([])
+      expect(worker.slotNode).toBeNull()
     })
   })
 
@@ -439,7 +552,8 @@ describe('WorkerEntity', () => {
         type: 'basicWorker',
         targetNodeId: 'wheat_field',
         totalHarvests: 15,
-        totalDistanceTraveled: 5000
+        totalDistanceTraveled: 5000,
+        totalQueueWaitTime: 0
       })
     })
 
@@ -455,6 +569,7 @@ describe('WorkerEntity', () => {
       expect(worker.targetNodeId).toBe('wood_tree')
       expect(worker.totalHarvests).toBe(20)
       expect(worker.totalDistanceTraveled).toBe(8000)
+      expect(worker.totalQueueWaitTime).toBe(0)
       expect(worker.state).toBe('idle') // Reset to idle
       expect(worker.position).toEqual(homePosition) // Reset to home
     })
@@ -172,3 +172,148 @@ describe('AchievementManager', () => {
     })
   })
 })
+
+describe('AchievementManager - requirement types', () => {
+  let achievementManager
+
+  const definitions = [
+    { id: 'any_building', type: 'buildingsBuilt', requirement: { count: 2 }, reward: {} },
+    { id: 'houses', type: 'buildingsBuilt', requirement: { buildingTypeId: 'house', count: 2 }, reward: {} },
+    { id: 'upgraded', type: 'buildingUpgradeLevel', requirement: { level: 2 }, reward: {} },
+    { id: 'house_rooms', type: 'buildingUpgradeLevel', requirement: { buildingTypeId: 'house', upgradeId: 'house_extra_room', level: 1 }, reward: {} },
+    { id: 'crew', type: 'workersOwned', requirement: { count: 5 }, reward: {} },
+    { id: 'drones', type: 'workersOwned', requirement: { workerTypeId: 'droneWorker', count: 2 }, reward: {} },
+    { id: 'trainer', type: 'workersTrained', requirement: { count: 2 }, reward: {} },
+    { id: 'tractor_trainer', type: 'workersTrained', requirement: { workerTypeId: 'tractorWorker', count: 1 }, reward: {} },
+    { id: 'full_barn', type: 'storageFilled', requirement: { resourceId: 'wheat' }, reward: {} },
+    { id: 'full_anything', type: 'storageFilled', requirement: { count: 2 }, reward: {} },
+    { id: 'phase_two', type: 'phaseReached', requirement: { phase: 2 }, reward: {} },
+    {
+      id: 'secret',
+      name: 'Secret Thing',
+      description: 'Do the secret thing',
+      icon: '🤫',
+      type: 'phaseReached',
+      requirement: { phase: 4 },
+      reward: {},
+      hidden: true
+    }
+  ]
+
+  const check = (achievementId, gameState = {}) =>
+    achievementManager.checkAchievement(achievementId, { skills: {}, ...gameState })
+
+  beforeEach(() => {
+    achievementManager = new AchievementManager(definitions, new EventBus())
+  })
+
+  it('should count buildings built in total and per type', () => {
+    achievementManager.trackBuilding('house')
+    achievementManager.trackBuilding('warehouse')
+
+    expect(check('houses')).toBe(false)
+    expect(check('any_building')).toBe(true)
+
+    achievementManager.trackBuilding('house')
+    expect(check('houses')).toBe(true)
+  })
+
+  it('should keep the highest building upgrade level', () => {
+    achievementManager.trackBuildingUpgrade('house', 'house_extra_room', 2)
+    achievementManager.trackBuildingUpgrade('house', 'house_extra_room', 1)
+
+    expect(achievementManager.stats.buildingUpgradeLevels).toEqual({ house: { house_extra_room: 2 } })
+    expect(check('upgraded')).toBe(true)
+    expect(check('house_rooms')).toBe(true)
+  })
+
+  it('should match building upgrades by building and upgrade', () => {
+    achievementManager.trackBuildingUpgrade('garage', 'garage_extra_bay', 3)
+
+    expect(check('house_rooms')).toBe(false)
+    expect(check('upgraded')).toBe(true)
+  })
+
+  it('should check workers owned from the game state', () => {
+    expect(check('crew', { workers: { basicWorker: 3, droneWorker: 1 } })).toBe(false)
+    expect(check('drones', { workers: { basicWorker: 3, droneWorker: 2 } })).toBe(true)
+    expect(check('crew', { workers: { basicWorker: 3, droneWorker: 2 } })).toBe(true)
+  })
+
+  it('should count workers trained in total and per type', () => {
+    achievementManager.trackWorkerTrained('droneWorker')
+    expect(check('tractor_trainer')).toBe(false)
+
+    achievementManager.trackWorkerTrained('tractorWorker')
+    expect(check('tractor_trainer')).toBe(true)
+    expect(check('trainer')).toBe(true)
+  })
+
+  it('should remember each filled resource once', () => {
+    achievementManager.trackStorageFilled('wood')
+    achievementManager.trackStorageFilled('wood')
+
+    expect(check('full_anything')).toBe(false)
+    expect(check('full_barn')).toBe(false)
+
+    achievementManager.trackStorageFilled('wheat')
+    expect(achievementManager.stats.storageFilled).toEqual(['wood', 'wheat'])
+    expect(check('full_barn')).toBe(true)
+    expect(check('full_anything')).toBe(true)
+  })
+
+  it('should count later phases as reaching earlier ones', () => {
+    achievementManager.trackPhase(1)
+    expect(check('phase_two')).toBe(false)
+
+    achievementManager.trackPhase(3)
+    expect(check('phase_two')).toBe(true)
+  })
+
+  describe('hidden achievements', () => {
+    it('should mask details until unlocked', () => {
+      expect(achievementManager.getDisplayInfo('secret')).toEqual({
+        name: 'Secret Achievement',
+        description: 'Keep playing to discover this one',
+        icon: '❓',
+        hidden: true
+      })
+    })
+
+    it('should reveal details once unlocked', () => {
+      achievementManager.trackPhase(4)
+      check('secret')
+
+      expect(achievementManager.getDisplayInfo('secret')).toEqual({
+        name: 'Secret Thing',
+        description: 'Do the secret thing',
+        icon: '🤫',
+        hidden: false
+      })
+    })
+
+    it('should return null for unknown achievements', () => {
+      expect(achievementManager.getDisplayInfo('nope')).toBeNull()
+    })
+  })
+
+  it('should save and restore the new stats', () => {
+    achievementManager.trackBuilding('house')
+    achievementManager.trackStorageFilled('wood')
+    achievementManager.trackPhase(2)
+
+    const restored = new AchievementManager(definitions, null)
+    restored.loadState(JSON.parse(JSON.stringify(achievementManager.getState())))
+
+    expect(restored.stats).toEqual(achievementManager.stats)
+  })
+
+  it('should fill in new stats when loading an older save', () => {
+    achievementManager.loadState({ unlocked: [], stats: { currenciesEarned: { wood: 5 }, activitiesCompleted: {} } })
+
+    expect(achievementManager.stats.resourcesEarned).toEqual({ wood: 5 })
+    expect(achievementManager.stats.buildingsBuilt).toEqual({})
+    expect(achievementManager.stats.phasesReached).toEqual([])
+    expect(achievementManager.stats.currenciesEarned).toBeUndefined()
+  })
+})
@@ -86,6 +86,12 @@ describe('ActivityManager', () => {
       expect(am.canRun('trainDog')).toBe(true)
     })
 
+    it('should return false while workers are on strike', () => {
+      wm.assign('chopTree', 'basicWorker', 1)
+      wm.startStrike('chopTree', 'human')
+      expect(am.canRun('chopTree')).toBe(false)
+    })
+
     it('should return false for non-existent activity', () => {
       expect(am.canRun('invalid')).toBe(false)
     })
@@ -140,6 +146,66 @@ describe('ActivityManager', () => {
       expect(rm.get('guardDog')).toBe(1)
     })
 
+    it('should finish several cycles in one tick when workers outpace it', () => {
+      rm.add('droneWorker', 2)
+      rm.add('tractorWorker', 1)
+      wm.assign('chopTree', 'droneWorker', 2)
+      wm.assign('chopTree', 'tractorWorker', 1)
+      am.update(0)  // Start
+
+      const duration = am.getEffectiveDuration('chopTree')
+      am.update(duration * 3000)
+
+      expect(rm.get('wood')).toBe(3)
+    })
+
+    it('should carry time past the last whole cycle into the next one', () => {
+      wm.assign('chopTree', 'basicWorker', 1)
+      am.update(0)  // Start
+
+      const durationMs = am.getEffectiveDuration('chopTree') * 1000
+      am.update(durationMs * 2.5)
+      expect(rm.get('wood')).toBe(2)
+
+      am.update(durationMs * 0.5)
+      expect(rm.get('wood')).toBe(3)
+    })
+
+    it('should drop the carried time when inputs run out', () => {
+      sm.addXP('dogHandling', 500)
+      rm.add('puppy', 1)
+      rm.add('food', 3)
+      wm.assign('trainDog', 'basicWorker', 1)
+      am.update(0)  // Start
+
+      am.update(am.getEffectiveDuration('trainDog') * 1500)
+
+      expect(rm.get('guardDog')).toBe(1)
+      expect(am.getActiveActivities()).toHaveLength(0)
+    })
+
+    it('should stop extra cycles once inputs run out', () => {
+      sm.addXP('dogHandling', 500)
+      rm.add('puppy', 2)
+      rm.add('food', 6)
+      wm.assign('trainDog', 'basicWorker', 1)
+      am.update(0)  // Start
+
+      const duration = am.getEffectiveDuration('trainDog')
+      am.update(duration * 5000)
+
+      expect(rm.get('guardDog')).toBe(2)
+      expect(rm.get('puppy')).toBe(0)
+    })
+
+    it('should build veterancy for the crew on each completion', () => {
+      wm.assign('chopTree', 'basicWorker', 1)
+      am.update(0)  // Start
+      am.update(am.getEffectiveDuration('chopTree') * 1000)
+
+      expect(wm.getVeterancyXP('chopTree', 'basicWorker')).toBe(1)
+    })
+
     it('should auto-restart if workers still assigned', () => {
       wm.assign('chopTree', 'basicWorker', 1)
       am.update(100)  // Start
@@ -239,7 +305,7 @@ describe('ActivityManager', () => {
       wm.assign('chopTree', 'basicWorker', 1)
       am.update(100)  // Start
       am.update(100000)  // Way more than duration
-      expect(am.getProgress('chopTree')).toBe(0)  // Already completed
+      expect(am.getProgress('chopTree')).toBeLessThan(1)  // Completed, leftover time carried
     })
   })
 
@@ -315,6 +381,49 @@ describe('ActivityManager', () => {
       // More workers = faster = lower duration
       expect(duration5).toBeLessThan(duration1)
     })
+
+    it('should add every worker type\'s speed', () => {
+      rm.add('tractorWorker', 1)
+      wm.assign('chopTree', 'basicWorker', 1)  // 0.2
+      wm.assign('chopTree', 'tractorWorker', 1)  // 0.5
+
+      expect(am.getEffectiveDuration('chopTree')).toBeCloseTo(2 / 0.7)
+    })
+
+    it('should use the activity\'s own diminishing returns', () => {
+      const crowded = { ...activities[0], id: 'crowdedTree', workerScaling: { countFactor: 0, maxCountBonus: 0 } }
+      const manager = new ActivityManager([crowded], rm, sm, eventBus, null, wm)
+      wm.assign('crowdedTree', 'basicWorker', 10)
+
+      expect(manager.getEffectiveDuration('crowdedTree')).toBeCloseTo(10)  // No bonus for the crowd
+    })
+  })
+
+  describe('specialist output affinity', () => {
+    it('should scale outputs for specialists on their own trade', () => {
+      const chopWood = { ...activities[0], id: 'chopWood', skillId: 'woodcutting' }
+      const skillManager = new SkillManager(skills, [chopWood], eventBus)
+      const manager = new ActivityManager([chopWood], rm, skillManager, eventBus, null, wm)
+      rm.add('lumberjack', 1)
+      wm.assign('chopWood', 'lumberjack', 1)
+
+      expect(manager.getEffectiveOutputs('chopWood')).toEqual({ wood: 1.5 })
+      expect(manager.getProductionRate('chopWood').wood).toBeCloseTo(0.375) // 1.5 wood every 4s
+    })
+  })
+
+  describe('getProductionRate()', () => {
+    it('should return outputs per second for running activities', () => {
+      rm.add('tractorWorker', 1)
+      wm.assign('chopTree', 'basicWorker', 1)
+      wm.assign('chopTree', 'tractorWorker', 1)
+
+      expect(am.getProductionRate('chopTree').wood).toBeCloseTo(0.35)
+    })
+
+    it('should be empty when the activity cannot run', () => {
+      expect(am.getProductionRate('chopTree')).toEqual({})
+    })
   })
 
   describe('getEffectiveInputs()', () => {
@@ -645,6 +645,295 @@ describe('BuildingManager', () => {
     })
   })
 
+  describe('town slots', () => {
+    const giveSlotMaterials = () => {
+      resourceManager.set('wood', 1000)
+      resourceManager.set('stone', 1000)
+      resourceManager.set('gold', 1000)
+    }
+
+    it('should unlock a slot for the base cost', () => {
+      const unlocked = vi.fn()
+      eventBus.on('building:slot_unlocked', unlocked)
+      giveSlotMaterials()
+
+      expect(buildingManager.unlockSlot()).toBe(17)
+
+      expect(resourceManager.get('wood')).toBe(900)
+      expect(resourceManager.get('gold')).toBe(950)
+      expect(unlocked).toHaveBeenCalledWith({ availableSlots: 17, cost: { wood: 100, stone: 100, gold: 50 } })
+    })
+
+    it('should make every unlock cost more', () => {
+      giveSlotMaterials()
+      buildingManager.unlockSlot()
+      buildingManager.unlockSlot()
+
+      expect(buildingManager.getSlotUnlockCost()).toEqual({ wood: 156, stone: 156, gold: 78 })
+    })
+
+    it('should refuse unlocks it cannot pay for', () => {
+      expect(buildingManager.canUnlockSlot()).toEqual({ canUnlock: false, reason: 'Not enough resources' })
+      expect(() => buildingManager.unlockSlot()).toThrow('Not enough resources')
+      expect(buildingManager.availableSlots).toBe(16)
+    })
+
+    it('should stop at the town size limit', () => {
+      giveSlotMaterials()
+      buildingManager.availableSlots = 32
+
+      expect(buildingManager.canUnlockSlot().reason).toBe('All town slots unlocked')
+    })
+
+    it('should keep unlocked slots through save and load but not reset', () => {
+      giveSlotMaterials()
+      buildingManager.unlockSlot()
+
+      const newManager = new BuildingManager(eventBus, resourceManager)
+      newManager.loadState(buildingManager.getState())
+      expect(newManager.availableSlots).toBe(17)
+      expect(newManager.getSlotUnlockCost()).toEqual(buildingManager.getSlotUnlockCost())
+
+      newManager.reset()
+      expect(newManager.availableSlots).toBe(16)
+    })
+  })
+
+  describe('placement and adjacency', () => {
+    const place = (buildingTypeId, slot) => {
+      resourceManager.set('wood', 100000)
+      resourceManager.set('stone', 100000)
+      resourceManager.set('gold', 100000)
+      resourceManager.set('iron', 100000)
+      const instanceId = buildingManager.startConstruction(buildingTypeId, slot)
+      buildingManager.getBuildingInstance(instanceId).constructionComplete = true
+      return instanceId
+    }
+
+    beforeEach(() => {
+      buildingManager.trackResourceMined('wood', 500)
+      buildingManager.trackResourceMined('iron', 100)
+    })
+
+    it('should build in the chosen slot or the first free one', () => {
+      const chosen = place('house', 6)
+      const automatic = place('house')
+
+      expect(buildingManager.getBuildingInstance(chosen).slot).toBe(6)
+      expect(buildingManager.getBuildingInstance(automatic).slot).toBe(0)
+      expect(buildingManager.getBuildingAtSlot(6).instanceId).toBe(chosen)
+      expect(buildingManager.canBuild('warehouse', 6).reason).toBe('Slot is occupied')
+      expect(buildingManager.canBuild('warehouse', 16).reason).toBe('Invalid town slot')
+    })
+
+    it('should swap completed buildings when moving one onto another', () => {
+      const moved = vi.fn()
+      eventBus.on('building:moved', moved)
+      const house = place('house', 0)
+      const warehouse = place('warehouse', 1)
+
+      expect(buildingManager.moveBuilding(house, 1)).toBe(warehouse)
+
+      expect(buildingManager.getBuildingInstance(house).slot).toBe(1)
+      expect(buildingManager.getBuildingInstance(warehouse).slot).toBe(0)
+      expect(moved).toHaveBeenCalledWith({ instanceId: house, fromSlot: 0, slot: 1, swappedWith: warehouse })
+    })
+
+    it('should not move buildings or onto sites still under construction', () => {
+      const house = place('house', 0)
+      const site = buildingManager.startConstruction('warehouse', 1)
+
+      expect(buildingManager.canMoveBuilding(site, 2).reason).toBe('Building not complete')
+      expect(() => buildingManager.moveBuilding(house, 1)).toThrow('Slot is under construction')
+    })
+
+    it('should count town-wide adjacency bonuses for edge neighbors only', () => {
+      const blacksmith = place('blacksmith', 5)
+      const base = buildingManager.getBuildingBonus('costReduction')
+
+      place('warehouse', 0) // Diagonal
+      expect(buildingManager.getBuildingBonus('costReduction')).toBe(base)
+
+      place('warehouse', 6)
+      expect(buildingManager.getBuildingBonus('costReduction')).toBeCloseTo(base + 0.05)
+
+      buildingManager.moveBuilding(blacksmith, 15)
+      expect(buildingManager.getBuildingBonus('costReduction')).toBe(base)
+    })
+
+    it('should speed up worker generation only for houses next to a tavern', () => {
+      const nearHouse = place('house', 0)
+      const farHouse = place('house', 15)
+      place('tavern', 1)
+
+      expect(buildingManager.getBuildingBonus('workerGenerationTime', nearHouse)).toBe(-5)
+      expect(buildingManager.getBuildingBonus('workerGenerationTime', farHouse)).toBe(0)
+      expect(buildingManager.getBuildingBonus('workerGenerationTime')).toBe(0)
+
+      // Both start on a 30s timer - the next one is 25s for the house by the tavern
+      buildingManager.updateHouseWorkerGeneration(30000)
+      expect(buildingManager.houseWorkerTimers[nearHouse].room0).toBe(25000)
+      expect(buildingManager.houseWorkerTimers[farHouse].room0).toBe(30000)
+    })
+
+    it('should reuse neighbor lookups until the layout changes', () => {
+      const blacksmith = place('blacksmith', 5)
+      place('warehouse', 6)
+      const lookups = vi.spyOn(buildingManager, '_findAdjacencyBonuses')
+
+      buildingManager.getBuildingBonus('costReduction')
+      buildingManager.getBuildingBonus('costReduction')
+      buildingManager.getBuildingBonus('resourceBonus')
+      expect(lookups).toHaveBeenCalledTimes(2)
+
+      buildingManager.moveBuilding(blacksmith, 15)
+      buildingManager.getBuildingBonus('costReduction')
+      expect(lookups).toHaveBeenCalledTimes(4)
+    })
+
+    it('should save positions', () => {
+      const house = place('house', 9)
+      const newManager = new BuildingManager(eventBus, resourceManager)
+      newManager.loadState(buildingManager.getState())
+      expect(newManager.getBuildingInstance(house).slot).toBe(9)
+      expect(newManager.getBuildingAtSlot(9).instanceId).toBe(house)
+    })
+  })
+
+  describe('construction queue', () => {
+    let now
+
+    const order = (buildingTypeId = 'warehouse') => {
+      resourceManager.set('wood', 10000)
+      resourceManager.set('stone', 10000)
+      return buildingManager.startConstruction(buildingTypeId)
+    }
+
+    beforeEach(() => {
+      now = 1000000
+      buildingManager.clock = () => now
+    })
+
+    it('should report the time until the next project finishes', () => {
+      expect(buildingManager.getTimeToNextEvent()).toBe(Infinity)
+
+      const site = order()
+      const duration = buildingManager.getBuildingInstance(site).constructionDuration
+      now += 5000
+
+      expect(buildingManager.getTimeToNextEvent()).toBe(duration - 5000)
+    })
+
+    it('should only build as many projects at once as there are crews', () => {
+      const changed = vi.fn()
+      eventBus.on('building:queue_changed', changed)
+      const [first, second, third] = [order(), order(), order()]
+
+      expect(buildingManager.getActiveConstructions().map(b => b.instanceId)).toEqual([first, second])
+      expect(buildingManager.constructionQueue).toEqual([third])
+      expect(buildingManager.getBuildingInstance(third).constructionStartTime).toBe(null)
+      expect(changed).toHaveBeenLastCalledWith(expect.objectContaining({ reason: 'queued', instanceId: third, queue: [third] }))
+    })
+
+    it('should start the next project when a crew finishes', () => {
+      order()
+      order()
+      const waiting = order()
+
+      now += 45000 // Warehouses take 45s
+      buildingManager.updateConstruction()
+
+      expect(buildingManager.getBuildingInstance(waiting).constructionStartTime).toBe(now)
+      expect(buildingManager.constructionQueue).toEqual([])
+    })
+
+    it('should reorder waiting projects', () => {
+      order()
+      order()
+      const [a, b, c] = [order(), order(), order()]
+
+      buildingManager.moveInQueue(c, 0)
+
+      expect(buildingManager.constructionQueue).toEqual([c, a, b])
+      expect(() => buildingManager.moveInQueue('missing', 0)).toThrow('Project is not in the queue')
+    })
+
+    it('should refund the full cost on cancel and hand the crew on', () => {
+      const cancelled = order()
+      order()
+      const waiting = order()
+      const paid = { ...buildingManager.getBuildingInstance(cancelled).paidCost }
+      resourceManager.set('wood', 0)
+
+      expect(buildingManager.cancelConstruction(cancelled)).toEqual(paid)
+
+      expect(resourceManager.get('wood')).toBe(paid.wood)
+      expect(buildingManager.getBuildingInstance(cancelled)).toBe(null)
+      expect(buildingManager.usedSlots).toBe(2)
+      expect(buildingManager.getBuildingInstance(waiting).constructionStartTime).toBe(now)
+    })
+
+    it('should build faster with builders and keep the progress already made', () => {
+      resourceManager.set('basicWorker', 2)
+      const project = order()
+      const building = buildingManager.getBuildingInstance(project)
+
+      now += 22500 // Half of the 45s
+      buildingManager.setBuilders(2)
+
+      // 1.5x speed - the other half takes 15s instead of 22.5s
+      expect(buildingManager.getConstructionSpeed()).toBe(1.5)
+      expect(buildingManager.getConstructionProgress(building)).toBeCloseTo(0.5)
+      now += 15000
+      buildingManager.updateConstruction()
+      expect(building.constructionComplete).toBe(true)
+    })
+
+    it('should only take idle workers as builders', () => {
+      resourceManager.set('basicWorker', 3)
+      buildingManager.workerManager = { getAvailableWorkers: () => 1 }
+      order()
+
+      expect(buildingManager.canSetBuilders(2).reason).toBe('Not enough idle workers')
+      expect(buildingManager.setBuilders(1)).toBe(1)
+      expect(buildingManager.canSetBuilders(7).reason).toBe('Crews can only take 6 builders')
+    })
+
+    it('should only take builders while something is being built', () => {
+      resourceManager.set('basicWorker', 3)
+      expect(buildingManager.canSetBuilders(1).reason).toBe('Nothing is being built')
+      expect(buildingManager.canSetBuilders(0).canSet).toBe(true)
+    })
+
+    it('should send builders back to the worker pool when the last project finishes', () => {
+      const changed = vi.fn()
+      eventBus.on('building:queue_changed', changed)
+      resourceManager.set('basicWorker', 3)
+      order()
+      buildingManager.setBuilders(2)
+
+      now += 45000
+      buildingManager.updateConstruction()
+
+      expect(buildingManager.builders).toBe(0)
+      expect(changed).toHaveBeenLastCalledWith(expect.objectContaining({ reason: 'builders', builders: 0 }))
+    })
+
+    it('should save and restore the queue and builders', () => {
+      resourceManager.set('basicWorker', 1)
+      order()
+      order()
+      const waiting = order()
+      buildingManager.setBuilders(1)
+
+      const newManager = new BuildingManager(eventBus, resourceManager)
+      newManager.loadState(buildingManager.getState())
+
+      expect(newManager.constructionQueue).toEqual([waiting])
+      expect(newManager.getBuilderCount()).toBe(1)
+    })
+  })
+
   describe('getState() and loadState()', () => {
     it('should save and restore buildings', () => {
       resourceManager.set('wood', 1000)
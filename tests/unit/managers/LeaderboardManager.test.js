@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { LeaderboardManager } from '../../../src/managers/LeaderboardManager.js'
+import { EventBus } from '../../../src/core/EventBus.js'
+
+const run = (score, overrides = {}) => ({
+  score,
+  date: 1000,
+  workers: { basicWorker: score },
+  totalWorkers: score,
+  buildings: 0,
+  rounds: [
+    { round: 1, resourcesCollected: { wheat: 4, wood: 6 }, buildingsBuilt: {} },
+    { round: 2, resourcesCollected: { wheat: 2 }, buildingsBuilt: { house: 1, warehouse: 2 } }
+  ],
+  ...overrides
+})
+
+describe('LeaderboardManager', () => {
+  let leaderboard
+  let eventBus
+
+  beforeEach(() => {
+    eventBus = new EventBus()
+    leaderboard = new LeaderboardManager(eventBus, 3)
+  })
+
+  describe('addRun()', () => {
+    it('should keep runs sorted best first and return the rank', () => {
+      expect(leaderboard.addRun(run(20))).toBe(1)
+      expect(leaderboard.addRun(run(50))).toBe(1)
+      expect(leaderboard.addRun(run(30))).toBe(2)
+
+      expect(leaderboard.getRuns().map(r => r.score)).toEqual([50, 30, 20])
+      expect(leaderboard.getBestScore()).toBe(50)
+    })
+
+    it('should rank ties below the earlier run', () => {
+      leaderboard.addRun(run(20, { date: 1 }))
+      expect(leaderboard.addRun(run(20, { date: 2 }))).toBe(2)
+      expect(leaderboard.getRuns()[0].date).toBe(1)
+    })
+
+    it('should drop runs beyond the table size', () => {
+      [40, 30, 20].forEach(score => leaderboard.addRun(run(score)))
+
+      expect(leaderboard.addRun(run(10))).toBeNull()
+      expect(leaderboard.addRun(run(35))).toBe(2)
+      expect(leaderboard.getRuns().map(r => r.score)).toEqual([40, 35, 30])
+    })
+
+    it('should give each run a unique id', () => {
+      leaderboard.addRun(run(1))
+      leaderboard.addRun(run(2))
+
+      const ids = leaderboard.getRuns().map(r => r.id)
+      expect(ids).toEqual(['run_2', 'run_1'])
+    })
+
+    it('should store a copy of the summary', () => {
+      const summary = run(5)
+      leaderboard.addRun(summary)
+      summary.rounds[0].resourcesCollected.wheat = 999
+
+      expect(leaderboard.getRun('run_1').rounds[0].resourcesCollected.wheat).toBe(4)
+    })
+
+    it('should emit leaderboard:run_added', () => {
+      const listener = vi.fn()
+      eventBus.on('leaderboard:run_added', listener)
+
+      leaderboard.addRun(run(12))
+
+      expect(listener).toHaveBeenCalledWith({ runId: 'run_1', score: 12, rank: 1 })
+    })
+  })
+
+  describe('getRunBreakdown()', () => {
+    it('should total resources and buildings for each round', () => {
+      leaderboard.addRun(run(10))
+
+      expect(leaderboard.getRunBreakdown('run_1')).toEqual([
+        { round: 1, resourcesCollected: { wheat: 4, wood: 6 }, totalCollected: 10, buildingsBuilt: {}, totalBuilt: 0 },
+        { round: 2, resourcesCollected: { wheat: 2 }, totalCollected: 2, buildingsBuilt: { house: 1, warehouse: 2 }, totalBuilt: 3 }
+      ])
+    })
+
+    it('should return nothing for unknown runs', () => {
+      expect(leaderboard.getRunBreakdown('run_99')).toEqual([])
+      expect(leaderboard.getRun('run_99')).toBeNull()
+    })
+  })
+
+  describe('save/load', () => {
+    it('should restore runs and keep ids unique', () => {
+      leaderboard.addRun(run(10))
+      leaderboard.addRun(run(20))
+
+      const loaded = new LeaderboardManager(null, 3)
+      loaded.loadState(JSON.parse(JSON.stringify(leaderboard.getState())))
+      loaded.addRun(run(15))
+
+      expect(loaded.getRuns().map(r => r.id)).toEqual(['run_2', 'run_3', 'run_1'])
+    })
+
+    it('should ignore missing state', () => {
+      leaderboard.loadState(null)
+      expect(leaderboard.getRuns()).toEqual([])
+    })
+
+    it('should clear the table on reset', () => {
+      leaderboard.addRun(run(10))
+      leaderboard.reset()
+
+      expect(leaderboard.getRuns()).toEqual([])
+      expect(leaderboard.getBestScore()).toBe(0)
+    })
+  })
+})
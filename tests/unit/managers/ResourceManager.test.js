@@ -1,5 +1,9 @@
-import { describe, it, expect, beforeEach } from 'vitest'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { ResourceManager } from '../../../src/managers/ResourceManager.js'
+import { EventBus } from '../../../src/core/EventBus.js'
+import { BuildingManager } from '../../../src/managers/BuildingManager.js'
+import { TradeManager } from '../../../src/managers/TradeManager.js'
+import { storageCategories } from '../../../src/data/resources-expanded.js'
 
 describe('ResourceManager', () => {
   let rm
@@ -275,6 +279,28 @@ describe('ResourceManager', () => {
         rm.add('wood', -30)
         expect(rm.get('wood')).toBe(70)
       })
+ 
+      it('should emit storage:overflow with the wasted amount', () => {
+        const eventBus = new EventBus()
+        const overflow = vi.fn()
+        eventBus.on('storage:overflow', overflow)
+        rm = new ResourceManager(eventBus)
+
+        rm.add('wood', 80)
+        expect(overflow).not.toHaveBeenCalled()
+
+        rm.add('wood', 50)
+        expect(overflow).toHaveBeenCalledWith({
+          resourceId: 'wood',
+          category: 'raw',
+          policy: 'spill',
+          amount: 30,
+          spilled: 0,
+          sold: 0,
+          earned: 0,
+          lost: 30
+        })
+      })
     })
 
     describe('isAtStorageLimit()', () => {
@@ -366,4 +392,184 @@ describe('ResourceManager', () => {
       })
     })
   })
+
+  describe('storage categories and overflow', () => {
+    let eventBus
+    let buildingManager
+    let overflow
+
+    const build = (buildingTypeId, upgrades = {}) => {
+      buildingManager.buildings[buildingTypeId] = [
+        ...(buildingManager.buildings[buildingTypeId] || []),
+        { instanceId: `${buildingTypeId}_1`, buildingTypeId, level: 1, upgrades, constructionComplete: true }
+      ]
+    }
+
+    beforeEach(() => {
+      eventBus = new EventBus()
+      overflow = vi.fn()
+      eventBus.on('storage:overflow', overflow)
+      rm = new ResourceManager(eventBus)
+      buildingManager = new BuildingManager(eventBus, rm)
+      rm.buildingManager = buildingManager
+    })
+
+    it('should look up building bonuses once until a building changes', () => {
+      build('granary')
+      build('warehouse')
+      const lookups = vi.spyOn(buildingManager, 'getBuildingBonus')
+
+      for (let i = 0; i < 50; i++) {
+        rm.add('wheat', 10)
+        rm.isAtStorageLimit('wood')
+      }
+      const perRefresh = lookups.mock.calls.length
+      expect(perRefresh).toBeLessThanOrEqual(Object.keys(storageCategories).length + 1)
+
+      buildingManager.buildings.granary.push({ instanceId: 'granary_2', buildingTypeId: 'granary', level: 1, upgrades: {}, constructionComplete: true })
+      buildingManager.invalidateCache()
+      expect(rm.getOwnStorageLimit('tomato')).toBe(200)
+      eventBus.emit('building:construction_complete', { buildingTypeId: 'granary', instanceId: 'granary_2' })
+      expect(rm.getOwnStorageLimit('tomato')).toBe(300)
+      expect(lookups.mock.calls.length).toBe(perRefresh * 2)
+    })
+
+    it('should keep Warehouse usage in step as amounts change', () => {
+      build('warehouse')
+      rm.add('wood', 130)
+      rm.add('stone', 115)
+      expect(rm.getWarehouseUsed()).toBe(45)
+
+      rm.subtract('wood', 20)
+      rm.set('stone', 0)
+      expect(rm.getWarehouseUsed()).toBe(10)
+
+      rm.invalidateStorageLimits()
+      expect(rm.getWarehouseUsed()).toBe(10)
+    })
+
+    it('should only raise limits in the building\'s own category', () => {
+      build('granary')
+
+      expect(rm.getStorageCategory('wheat')).toBe('food')
+      expect(rm.getStorageLimit('wheat')).toBe(200)
+      expect(rm.getStorageLimit('wood')).toBe(100)
+      expect(rm.getStorageLimit('singularity')).toBe(100)
+    })
+
+    it('should count the base Warehouse effect as shared overflow space', () => {
+      build('warehouse', { warehouse_expansion: 2 })
+
+      expect(rm.getWarehouseCapacity()).toBe(100)
+    })
+
+    it('should spill overflow into free Warehouse space and lose the rest', () => {
+      build('warehouse')
+      rm.set('wood', 100)
+
+      expect(rm.add('wood', 30)).toBe(30)
+      expect(rm.getWarehouseUsed()).toBe(30)
+
+      rm.set('stone', 100)
+      expect(rm.add('stone', 40)).toBe(20)
+      expect(rm.getWarehouseSpace()).toBe(0)
+      expect(overflow).toHaveBeenCalledTimes(1)
+      expect(overflow).toHaveBeenCalledWith(expect.objectContaining({ resourceId: 'stone', policy: 'spill', spilled: 20, lost: 20 }))
+    })
+
+    it('should discard overflow without touching the Warehouse', () => {
+      build('warehouse')
+      rm.setOverflowPolicy('raw', 'discard')
+      rm.set('wood', 100)
+
+      expect(rm.add('wood', 10)).toBe(0)
+      expect(rm.getWarehouseUsed()).toBe(0)
+      expect(overflow).toHaveBeenCalledWith(expect.objectContaining({ resourceId: 'wood', policy: 'discard', lost: 10 }))
+    })
+
+    it('should auto-sell overflow at the Market', () => {
+      const tradeManager = new TradeManager(eventBus, rm, buildingManager)
+      rm.tradeManager = tradeManager
+      rm.setOverflowPolicy('food', 'sell')
+      rm.set('wheat', 100)
+
+      rm.add('wheat', 10)
+      expect(overflow).toHaveBeenLastCalledWith(expect.objectContaining({ sold: 0, lost: 10 }))
+
+      build('market')
+      const expected = tradeManager.getSellProceeds('wheat', 10)
+      rm.add('wheat', 10)
+
+      expect(rm.get('wheat')).toBe(100)
+      expect(rm.get('gold')).toBeCloseTo(expected)
+      expect(tradeManager.getPriceMultiplier('wheat')).toBeLessThan(1)
+      expect(overflow).toHaveBeenLastCalledWith(expect.objectContaining({ resourceId: 'wheat', sold: 10, lost: 0 }))
+    })
+
+    it('should reject unknown categories and policies', () => {
+      expect(() => rm.setOverflowPolicy('toys', 'discard')).toThrow('Unknown storage category')
+      expect(() => rm.setOverflowPolicy('food', 'burn')).toThrow('Unknown overflow policy')
+    })
+
+    it('should save, load and reset overflow policies', () => {
+      rm.setOverflowPolicy('gold', 'discard')
+
+      const loaded = new ResourceManager()
+      loaded.loadState(rm.getState())
+      expect(loaded.getOverflowPolicy('gold')).toBe('discard')
+
+      loaded.reset()
+      expect(loaded.getOverflowPolicy('gold')).toBe('spill')
+    })
+  })
+
+  describe('spoilage', () => {
+    it('should decay perishables once per interval', () => {
+      const eventBus = new EventBus()
+      const decayed = vi.fn()
+      eventBus.on('resource:decayed', decayed)
+      rm = new ResourceManager(eventBus)
+      rm.set('tomato', 100)
+      rm.set('wood', 100)
+
+      rm.update(500)
+      expect(decayed).not.toHaveBeenCalled()
+
+      rm.update(500)
+      expect(rm.get('tomato')).toBeCloseTo(100 * Math.exp(-0.003))
+      expect(rm.get('wood')).toBe(100)
+      expect(decayed).toHaveBeenCalledWith({ losses: { tomato: expect.closeTo(100 - rm.get('tomato')) } })
+    })
+
+    it('should rot tiny leftovers away completely', () => {
+      rm.set('tomato', 0.005)
+      rm.update(1000)
+      expect(rm.get('tomato')).toBe(0)
+    })
+
+    it('should slow decay with a Granary and Refrigeration', () => {
+      const buildingManager = new BuildingManager(null, rm)
+      rm.buildingManager = buildingManager
+      rm.set('wheat', 100)
+      expect(rm.getDecayPerSecond('wheat')).toBeCloseTo(0.1)
+
+      buildingManager.buildings.granary = [{ instanceId: 'granary_1', buildingTypeId: 'granary', upgrades: {}, constructionComplete: true }]
+      buildingManager.buildings.warehouse = [{ instanceId: 'warehouse_1', buildingTypeId: 'warehouse', upgrades: { warehouse_refrigeration: 2 }, constructionComplete: true }]
+      buildingManager.invalidateCache()
+
+      expect(rm.getDecayReduction()).toBeCloseTo(0.5)
+      expect(rm.getDecayPerSecond('wheat')).toBeCloseTo(0.05)
+    })
+
+    it('should keep the spoilage interval running through save and load', () => {
+      rm.set('tomato', 100)
+      rm.update(600)
+
+      const loaded = new ResourceManager(new EventBus())
+      loaded.loadState(rm.getState())
+      loaded.update(400)
+
+      expect(loaded.get('tomato')).toBeCloseTo(100 * Math.exp(-0.003))
+    })
+  })
 })
@@ -1,11 +1,13 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { ResourceNodeManager } from '../../../src/managers/ResourceNodeManager.js'
 import { EventBus } from '../../../src/core/EventBus.js'
+import { ResourceManager } from '../../../src/managers/ResourceManager.js'
 
 describe('ResourceNodeManager', () => {
   let manager
   let eventBus
   let emitSpy
+  let resourceManager
 
   const testNodeDefs = [
     {
@@ -19,7 +21,8 @@ describe('ResourceNodeManager', () => {
       harvestTime: 2,
       outputs: { wheat: 1 },
       requiredSkillLevel: 1,
-      requiredSkillId: 'farming'
+      requiredSkillId: 'farming',
+      upgradeCosts: { capacity: { gold: 10 }, spawnRate: { gold: 20, wheat: 5 } }
     },
     {
       id: 'wood_tree',
@@ -32,14 +35,18 @@ describe('ResourceNodeManager', () => {
       harvestTime: 3,
       outputs: { wood: 1 },
       requiredSkillLevel: 1,
-      requiredSkillId: 'woodcutting'
+      requiredSkillId: 'woodcutting',
+      depletion: { regrowthMultiplier: 0.5, recoverAt: 0.5 }
     }
   ]
 
   beforeEach(() => {
     eventBus = new EventBus()
     emitSpy = vi.spyOn(eventBus, 'emit')
-    manager = new ResourceNodeManager(testNodeDefs, eventBus)
+    resourceManager = new ResourceManager()
+    resourceManager.set('gold', 1000)
+    resourceManager.set('wheat', 100)
+    manager = new ResourceNodeManager(testNodeDefs, eventBus, resourceManager)
   })
 
   describe('initialization', () => {
@@ -212,7 +219,8 @@ describe('ResourceNodeManager', () => {
         nodeId: 'wheat_field',
         type: 'capacity',
         level: 1,
-        newCapacity: 30
+        newCapacity: 30,
+        cost: { gold: 10 }
       })
     })
   })
@@ -235,11 +243,104 @@ describe('ResourceNodeManager', () => {
         nodeId: 'wheat_field',
         type: 'spawnRate',
         level: 1,
-        newRate: 0.65
+        newRate: 0.65,
+        cost: { gold: 20, wheat: 5 }
       })
     })
   })
 
+  describe('priced upgrades', () => {
+    it('should charge the upgrade cost', () => {
+      manager.upgradeSpawnRate('wheat_field')
+
+      expect(resourceManager.get('gold')).toBe(980)
+      expect(resourceManager.get('wheat')).toBe(95)
+    })
+
+    it('should scale the cost with each level', () => {
+      expect(manager.getUpgradeCost('wheat_field', 'capacity')).toEqual({ gold: 10 })
+
+      manager.upgradeCapacity('wheat_field')
+      manager.upgradeCapacity('wheat_field')
+
+      expect(manager.getUpgradeCost('wheat_field', 'capacity')).toEqual({ gold: 32 }) // 10 * 1.8^2
+    })
+
+    it('should stop at the max level', () => {
+      for (let i = 0; i < 5; i++) {
+        manager.upgradeCapacity('wheat_field')
+      }
+
+      expect(manager.canUpgrade('wheat_field', 'capacity')).toEqual({ canUpgrade: false, reason: 'Max level reached' })
+      expect(() => manager.upgradeCapacity('wheat_field')).toThrow('Max level reached')
+      expect(manager.getNode('wheat_field').capacityUpgrades).toBe(5)
+    })
+
+    it('should refuse upgrades the player cannot afford', () => {
+      resourceManager.set('gold', 5)
+
+      expect(manager.canUpgrade('wheat_field', 'capacity').reason).toBe('Cannot afford upgrade')
+      expect(() => manager.upgradeCapacity('wheat_field')).toThrow('Cannot afford upgrade')
+      expect(resourceManager.get('gold')).toBe(5)
+    })
+
+    it('should refuse nodes without that upgrade', () => {
+      expect(manager.canUpgrade('wood_tree', 'capacity').reason).toBe('Upgrade not found')
+      expect(manager.canUpgrade('invalid', 'capacity').reason).toBe('Resource node not found')
+      expect(manager.getUpgradeCost('wood_tree', 'capacity')).toEqual({})
+    })
+
+    it('should refuse locked nodes once a skill manager is linked', () => {
+      manager.skillManager = { getLevel: () => 0 }
+
+      expect(manager.canUpgrade('wheat_field', 'capacity').reason).toBe('Node is locked')
+    })
+  })
+
+  describe('depletion', () => {
+    const deplete = () => {
+      const tree = manager.getNode('wood_tree')
+      tree.available = 1
+      tree.harvest()
+      return tree
+    }
+
+    it('should emit an event when a node is harvested empty', () => {
+      deplete()
+
+      manager.update(100)
+
+      expect(emitSpy).toHaveBeenCalledWith('node:depleted', { nodeId: 'wood_tree' })
+    })
+
+    it('should only report depletion once', () => {
+      deplete()
+      manager.update(100)
+      manager.update(100)
+
+      expect(emitSpy.mock.calls.filter(([event]) => event === 'node:depleted')).toHaveLength(1)
+    })
+
+    it('should emit an event when the node recovers', () => {
+      const tree = deplete()
+      manager.update(100)
+
+      manager.update(60000)
+
+      expect(tree.depleted).toBe(false)
+      expect(emitSpy).toHaveBeenCalledWith('node:recovered', { nodeId: 'wood_tree' })
+    })
+
+    it('should not report depletion loaded from a save', () => {
+      manager.loadState({ wood_tree: { available: 0, depleted: true } })
+
+      manager.update(100)
+
+      expect(manager.getNode('wood_tree').depleted).toBe(true)
+      expect(emitSpy).not.toHaveBeenCalledWith('node:depleted', expect.anything())
+    })
+  })
+
   describe('isUnlocked', () => {
     let mockSkillManager
 
@@ -266,6 +367,13 @@ describe('ResourceNodeManager', () => {
     })
   })
 
+  describe('getNodesUnlockedBetween', () => {
+    it('should return nodes whose level was just reached', () => {
+      expect(manager.getNodesUnlockedBetween('farming', 0, 1).map(node => node.id)).toEqual(['wheat_field'])
+      expect(manager.getNodesUnlockedBetween('farming', 1, 5)).toEqual([])
+    })
+  })
+
   describe('getUnlockedNodes', () => {
     let mockSkillManager
 
@@ -306,12 +414,14 @@ describe('ResourceNodeManager', () => {
       expect(state.wheat_field).toEqual({
         available: 15,
         capacityUpgrades: 2,
-        spawnRateUpgrades: 0
+        spawnRateUpgrades: 0,
+        depleted: false
       })
       expect(state.wood_tree).toEqual({
         available: 8,
         capacityUpgrades: 0,
-        spawnRateUpgrades: 1
+        spawnRateUpgrades: 1,
+        depleted: false
       })
     })
 
@@ -0,0 +1,291 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { TradeManager } from '../../../src/managers/TradeManager.js'
+import { BuildingManager } from '../../../src/managers/BuildingManager.js'
+import { ResourceManager } from '../../../src/managers/ResourceManager.js'
+import { EventBus } from '../../../src/core/EventBus.js'
+
+describe('TradeManager', () => {
+  let tradeManager
+  let buildingManager
+  let resourceManager
+  let eventBus
+
+  const buildMarket = () => {
+    buildingManager.buildings.market = [{
+      instanceId: 'market_1',
+      buildingTypeId: 'market',
+      level: 1,
+      upgrades: {},
+      constructionComplete: true
+    }]
+  }
+
+  beforeEach(() => {
+    eventBus = new EventBus()
+    resourceManager = new ResourceManager(eventBus)
+    buildingManager = new BuildingManager(eventBus, resourceManager)
+    resourceManager.buildingManager = buildingManager
+    tradeManager = new TradeManager(eventBus, resourceManager, buildingManager)
+  })
+
+  describe('isTradingEnabled()', () => {
+    it('should be disabled without a market', () => {
+      expect(tradeManager.isTradingEnabled()).toBe(false)
+    })
+
+    it('should be disabled while the market is under construction', () => {
+      buildMarket()
+      buildingManager.buildings.market[0].constructionComplete = false
+      expect(tradeManager.isTradingEnabled()).toBe(false)
+    })
+
+    it('should be enabled once a market is complete', () => {
+      buildMarket()
+      expect(tradeManager.isTradingEnabled()).toBe(true)
+    })
+  })
+
+  describe('prices', () => {
+    it('should sell below value and buy above value', () => {
+      expect(tradeManager.getSellPrice('steel')).toBeLessThan(12)
+      expect(tradeManager.getBuyPrice('steel')).toBeGreaterThan(12)
+    })
+
+    it('should price the currency at exactly 1', () => {
+      expect(tradeManager.getSellPrice('gold')).toBe(1)
+      expect(tradeManager.getBuyPrice('gold')).toBe(1)
+    })
+
+    it('should narrow the spread with Merchant Connections', () => {
+      buildMarket()
+      const spreadBefore = tradeManager.getSpread()
+
+      buildingManager.buildings.market[0].upgrades.market_better_deals = 2
+      buildingManager.invalidateCache()
+      expect(tradeManager.getSpread()).toBeCloseTo(spreadBefore * 0.6)
+    })
+
+    it('should never allow buy price below sell price', () => {
+      buildMarket()
+      buildingManager.buildings.market[0].upgrades.market_better_deals = 10
+      expect(tradeManager.getBuyPrice('wheat')).toBeGreaterThan(tradeManager.getSellPrice('wheat'))
+    })
+
+    it('should not treat workers as tradeable', () => {
+      expect(tradeManager.isTradeable('basicWorker')).toBe(false)
+      expect(tradeManager.isTradeable('wheat')).toBe(true)
+    })
+  })
+
+  describe('exchange()', () => {
+    beforeEach(() => {
+      buildMarket()
+    })
+
+    it('should throw without a market', () => {
+      buildingManager.buildings = {}
+      resourceManager.set('wheat', 50)
+      expect(() => tradeManager.exchange('wheat', 'gold', 50)).toThrow('Build a Market to unlock trading')
+    })
+
+    it('should convert wheat to gold', () => {
+      resourceManager.set('wheat', 50)
+
+      const received = tradeManager.exchange('wheat', 'gold', 50)
+
+      expect(received).toBe(28) // 0.6 * (1 - 0.998^50) / 0.002 = 28.6
+      expect(resourceManager.get('wheat')).toBe(0)
+      expect(resourceManager.get('gold')).toBe(28)
+    })
+
+    it('should convert gold to steel', () => {
+      resourceManager.set('gold', 100)
+
+      const received = tradeManager.exchange('gold', 'steel', 100)
+
+      expect(received).toBe(5) // 100 gold covers 5 units starting at 16.8
+      expect(resourceManager.get('steel')).toBe(5)
+    })
+
+    it('should reject trades that yield nothing', () => {
+      resourceManager.set('wheat', 1)
+      expect(() => tradeManager.exchange('wheat', 'steel', 1)).toThrow('Trade amount too small')
+    })
+
+    it('should reject trades without enough input', () => {
+      resourceManager.set('wheat', 5)
+      expect(() => tradeManager.exchange('wheat', 'gold', 50)).toThrow('Not enough resources')
+    })
+
+    it('should reject trades that overflow storage', () => {
+      resourceManager.set('wheat', 100)
+      resourceManager.set('gold', 90)
+      expect(() => tradeManager.exchange('wheat', 'gold', 100)).toThrow('Not enough storage')
+      expect(resourceManager.get('wheat')).toBe(100)
+    })
+
+    it('should emit trade:executed', () => {
+      const listener = vi.fn()
+      eventBus.on('trade:executed', listener)
+      resourceManager.set('wheat', 50)
+
+      tradeManager.exchange('wheat', 'gold', 50)
+
+      expect(listener).toHaveBeenCalledWith({
+        fromResourceId: 'wheat',
+        toResourceId: 'gold',
+        amountIn: 50,
+        amountOut: 28
+      })
+    })
+  })
+
+  describe('buy() and sell()', () => {
+    beforeEach(() => {
+      buildMarket()
+    })
+
+    it('should sell for gold', () => {
+      resourceManager.set('iron', 10)
+      expect(tradeManager.sell('iron', 10)).toBe(29)
+    })
+
+    it('should buy an exact amount and return the cost', () => {
+      resourceManager.set('gold', 50)
+
+      const cost = tradeManager.buy('iron', 2)
+
+      expect(cost).toBe(15) // ceil(7 + 7 * 1.005)
+      expect(resourceManager.get('iron')).toBe(2)
+      expect(resourceManager.get('gold')).toBe(35)
+    })
+  })
+
+  describe('supply and demand', () => {
+    beforeEach(() => {
+      buildMarket()
+    })
+
+    it('should lower the price after selling', () => {
+      resourceManager.set('wheat', 100)
+
+      tradeManager.sell('wheat', 100)
+
+      expect(tradeManager.getPriceMultiplier('wheat')).toBeCloseTo(Math.pow(0.998, 100))
+      expect(tradeManager.getValue('wheat')).toBeLessThan(1)
+    })
+
+    it('should raise the price after buying', () => {
+      resourceManager.set('gold', 100)
+
+      tradeManager.buy('iron', 5)
+
+      expect(tradeManager.getValue('iron')).toBeGreaterThan(5)
+    })
+
+    it('should pay less for a second identical sale', () => {
+      resourceManager.set('wheat', 100)
+
+      const first = tradeManager.sell('wheat', 50)
+      const second = tradeManager.sell('wheat', 50)
+
+      expect(second).toBeLessThan(first)
+    })
+
+    it('should never drop below the minimum price', () => {
+      tradeManager._applyPriceImpact('wheat', -100000)
+      expect(tradeManager.getPriceMultiplier('wheat')).toBe(0.1)
+    })
+
+    it('should keep the currency price fixed', () => {
+      resourceManager.set('gold', 100)
+      tradeManager.buy('wheat', 10)
+      expect(tradeManager.getPriceMultiplier('gold')).toBe(1)
+    })
+
+    it('should recover toward base value over time', () => {
+      tradeManager.priceMultipliers.wheat = 0.5
+
+      tradeManager.update(60000)
+      const partial = tradeManager.getPriceMultiplier('wheat')
+      expect(partial).toBeGreaterThan(0.5)
+      expect(partial).toBeLessThan(1)
+
+      tradeManager.update(3600000)
+      expect(tradeManager.getPriceMultiplier('wheat')).toBe(1)
+      expect(tradeManager.priceMultipliers.wheat).toBeUndefined()
+    })
+  })
+
+  describe('price history', () => {
+    it('should sample prices every history interval', () => {
+      tradeManager.update(9999)
+      expect(tradeManager.getPriceHistory('wheat')).toEqual([])
+
+      tradeManager.update(1)
+      expect(tradeManager.getPriceHistory('wheat')).toEqual([1])
+    })
+
+    it('should record price drops', () => {
+      tradeManager.update(10000)
+      tradeManager.priceMultipliers.steel = 0.5
+      tradeManager.update(10000)
+
+      const history = tradeManager.getPriceHistory('steel')
+      expect(history[0]).toBe(12)
+      expect(history[1]).toBeLessThan(12)
+    })
+
+    it('should keep only the most recent samples', () => {
+      tradeManager.update(10000 * 100)
+      expect(tradeManager.getPriceHistory('wheat')).toHaveLength(60)
+    })
+
+    it('should not track the currency', () => {
+      tradeManager.update(10000)
+      expect(tradeManager.getPriceHistory('gold')).toEqual([])
+    })
+  })
+
+  describe('getState() and loadState()', () => {
+    it('should round-trip trading stats', () => {
+      buildMarket()
+      resourceManager.set('wheat', 50)
+      tradeManager.exchange('wheat', 'gold', 50)
+
+      const restored = new TradeManager(eventBus, resourceManager, buildingManager)
+      restored.loadState(tradeManager.getState())
+
+      expect(restored.tradesExecuted).toBe(1)
+      expect(restored.totalSold.wheat).toBe(50)
+      expect(restored.totalBought.gold).toBe(28)
+    })
+
+    it('should round-trip prices and history', () => {
+      tradeManager.priceMultipliers.wheat = 0.7
+      tradeManager.update(15000)
+
+      const restored = new TradeManager(eventBus, resourceManager, buildingManager)
+      restored.loadState(tradeManager.getState())
+
+      expect(restored.getPriceMultiplier('wheat')).toBe(tradeManager.getPriceMultiplier('wheat'))
+      expect(restored.getPriceHistory('wheat')).toEqual(tradeManager.getPriceHistory('wheat'))
+      expect(restored.historyTimer).toBe(5000)
+    })
+
+    it('should clear stats and prices on reset', () => {
+      tradeManager.tradesExecuted = 4
+      tradeManager.priceMultipliers.wheat = 0.5
+      tradeManager.update(10000)
+      tradeManager.reset()
+      expect(tradeManager.getState()).toEqual({
+        tradesExecuted: 0,
+        totalSold: {},
+        totalBought: {},
+        priceMultipliers: {},
+        priceHistory: {},
+        historyTimer: 0
+      })
+    })
+  })
+})
@@ -248,6 +248,19 @@ describe('WorkerEntityManager', () => {
       }).not.toThrow()
     })
 
+    it('should report whether the assignment succeeded', () => {
+      expect(manager.assignWorker(workerId, 'wheat_field')).toBe(true)
+      expect(manager.assignWorker('invalid', 'wheat_field')).toBe(false)
+    })
+
+    it('should count assigned workers by type', () => {
+      manager.spawnWorker('basicWorker')
+      manager.assignWorker(workerId, 'wheat_field')
+
+      expect(manager.getAssignedCount('basicWorker')).toBe(1)
+      expect(manager.getAssignedCount('tractorWorker')).toBe(0)
+    })
+
     it('should handle unassigning invalid worker ID', () => {
       expect(() => {
         manager.unassignWorker('invalid')
@@ -255,6 +268,57 @@ describe('WorkerEntityManager', () => {
     })
   })
 
+  describe('canAssignWorker', () => {
+    let workerId
+    let workerManager
+
+    beforeEach(() => {
+      workerId = manager.spawnWorker('basicWorker')
+      workerManager = { getAvailableWorkers: vi.fn(() => 1) }
+      manager.resourceNodeManager = {
+        getNode: vi.fn(id => (id === 'wheat_field' || id === 'gold_vein')
+          ? { requiredSkillId: 'gathering', requiredSkillLevel: 30 }
+          : undefined),
+        isUnlocked: vi.fn(id => id === 'wheat_field')
+      }
+      manager.skillManager = {}
+      manager.workerManager = workerManager
+    })
+
+    it('should allow unlocked nodes with a free worker', () => {
+      expect(manager.canAssignWorker(workerId, 'wheat_field')).toEqual({ canAssign: true })
+    })
+
+    it('should reject unknown workers and nodes', () => {
+      expect(manager.canAssignWorker('invalid', 'wheat_field').reason).toBe('Worker not found')
+      expect(manager.canAssignWorker(workerId, 'nowhere').reason).toBe('Resource node not found')
+    })
+
+    it('should reject locked nodes with the skill requirement', () => {
+      expect(manager.canAssignWorker(workerId, 'gold_vein')).toEqual({
+        canAssign: false,
+        reason: 'Requires gathering level 30'
+      })
+      expect(manager.assignWorker(workerId, 'gold_vein')).toBe(false)
+    })
+
+    it('should reject workers that are busy with activities', () => {
+      workerManager.getAvailableWorkers.mockReturnValue(0)
+
+      expect(manager.canAssignWorker(workerId, 'wheat_field')).toEqual({
+        canAssign: false,
+        reason: 'All workers of this type are busy with activities'
+      })
+    })
+
+    it('should let workers already on the map move between nodes', () => {
+      manager.assignWorker(workerId, 'wheat_field')
+      workerManager.getAvailableWorkers.mockReturnValue(0)
+
+      expect(manager.canAssignWorker(workerId, 'wheat_field').canAssign).toBe(true)
+    })
+  })
+
   describe('getting workers for node', () => {
     beforeEach(() => {
       manager.spawnWorker('basicWorker')
@@ -411,6 +475,20 @@ describe('WorkerEntityManager', () => {
       expect(manager.getWorker(id2)).toBeDefined()
     })
 
+    it('should despawn the right number when no workers are idle', () => {
+      const ids = [
+        manager.spawnWorker('basicWorker'),
+        manager.spawnWorker('basicWorker'),
+        manager.spawnWorker('basicWorker'),
+        manager.spawnWorker('basicWorker')
+      ]
+      ids.forEach(id => manager.assignWorker(id, 'wheat_field'))
+
+      manager.syncWithCurrency(mockResourceManager)
+
+      expect(manager.getWorkersByType('basicWorker').length).toBe(2)
+    })
+
     it('should handle zero resources', () => {
       manager.spawnWorker('droneWorker')
 
@@ -445,6 +523,25 @@ describe('WorkerEntityManager', () => {
         manager.update(1000, mockResourceNodes)
       }).not.toThrow()
     })
+
+    it('should deposit harvests and emit a deposited event', () => {
+      const id = manager.spawnWorker('basicWorker')
+      manager.assignWorker(id, 'wheat_field')
+      const worker = manager.getWorker(id)
+      worker.state = 'depositing'
+      worker.carrying = { wheat: 1 }
+      emitSpy.mockClear()
+
+      manager.update(1000, mockResourceNodes)
+
+      expect(mockResourceManager.add).toHaveBeenCalledWith('wheat', 1)
+      expect(emitSpy).toHaveBeenCalledWith('worker:deposited', {
+        workerId: id,
+        workerType: 'basicWorker',
+        nodeId: 'wheat_field',
+        outputs: { wheat: 1 }
+      })
+    })
   })
 
   describe('statistics', () => {
@@ -495,6 +592,98 @@ describe('WorkerEntityManager', () => {
     })
   })
 
+  describe('terrain', () => {
+    const river = { id: 'river_2', type: 'river', x: 300, y: 0, width: 40, height: 250 }
+
+    it('should block pathing with placed rivers', () => {
+      manager.placeTerrain(river)
+
+      expect(manager.navGrid.isWalkable(320, 100)).toBe(false)
+      expect(emitSpy).toHaveBeenCalledWith('terrain:placed', { terrainId: 'river_2', type: 'river' })
+    })
+
+    it('should speed up movement on roads', () => {
+      manager.placeTerrain({ id: 'road_2', type: 'road', x: 0, y: 0, width: 100, height: 100 })
+
+      expect(manager.navGrid.getSpeedMultiplier(50, 50)).toBe(1.5)
+    })
+
+    it('should reject unknown types, duplicate ids and blocked homes', () => {
+      manager.placeTerrain(river)
+
+      expect(manager.canPlaceTerrain({ ...river, type: 'lava' }).reason).toBe('Unknown terrain type')
+      expect(manager.canPlaceTerrain(river).reason).toBe('Terrain id already in use')
+      expect(manager.canPlaceTerrain({ id: 'moat', type: 'river', x: 800, y: 250, width: 100, height: 100 }))
+        .toEqual({ canPlace: false, reason: 'Cannot block home' })
+      expect(() => manager.placeTerrain({ ...river, type: 'lava' })).toThrow('Unknown terrain type')
+    })
+
+    it('should reject rivers over resource nodes', () => {
+      manager.resourceNodeManager = { getAllNodes: () => [{ position: { x: 100, y: 200 } }] }
+
+      expect(manager.canPlaceTerrain({ id: 'flood', type: 'river', x: 50, y: 150, width: 100, height: 100 }).reason)
+        .toBe('Cannot block a resource node')
+      expect(manager.canPlaceTerrain({ id: 'lane', type: 'road', x: 50, y: 150, width: 100, height: 100 }).canPlace)
+        .toBe(true)
+    })
+
+    it('should remove terrain and re-plan walking workers', () => {
+      const id = manager.spawnWorker('basicWorker')
+      manager.placeTerrain(river)
+      manager.getWorker(id).path = [{ x: 0, y: 0 }]
+
+      expect(manager.removeTerrain('river_2')).toBe(true)
+      expect(manager.removeTerrain('river_2')).toBe(false)
+      expect(manager.navGrid.isWalkable(320, 100)).toBe(true)
+      expect(manager.getWorker(id).path).toEqual([])
+    })
+
+    it('should keep the map layout and save placed terrain', () => {
+      manager.setTerrain([{ id: 'river_1', type: 'river', x: 560, y: 0, width: 30, height: 600 }])
+      manager.placeTerrain(river)
+      const state = manager.getState()
+
+      const loaded = new WorkerEntityManager(eventBus, mockResourceManager)
+      loaded.setTerrain([{ id: 'river_1', type: 'river', x: 560, y: 0, width: 30, height: 600 }])
+      loaded.loadState(state, mockResourceManager)
+
+      expect(state.placedTerrain).toEqual([river])
+      expect(loaded.getTerrain().map(patch => patch.id)).toEqual(['river_1', 'river_2'])
+    })
+
+    it('should keep removed map terrain gone after a reload, until a new game', () => {
+      const layout = [{ id: 'river_1', type: 'river', x: 560, y: 0, width: 30, height: 600 }]
+      manager.setTerrain(layout)
+      manager.removeTerrain('river_1')
+
+      const loaded = new WorkerEntityManager(eventBus, mockResourceManager)
+      loaded.setTerrain(layout)
+      loaded.loadState(manager.getState(), mockResourceManager)
+
+      expect(loaded.getTerrain()).toEqual([])
+      expect(loaded.navGrid.isWalkable(570, 100)).toBe(true)
+
+      loaded.reset()
+      expect(loaded.getTerrain().map(patch => patch.id)).toEqual(['river_1'])
+    })
+
+    it('should give workers the shared nav grid', () => {
+      const id = manager.spawnWorker('basicWorker')
+
+      expect(manager.getWorker(id).navGrid).toBe(manager.navGrid)
+    })
+
+    it('should free a despawned worker\'s harvest slot', () => {
+      const id = manager.spawnWorker('basicWorker')
+      const releaseSlot = vi.fn()
+      manager.getWorker(id).slotNode = { releaseSlot }
+
+      manager.despawnWorker(id)
+
+      expect(releaseSlot).toHaveBeenCalledWith(id)
+    })
+  })
+
   describe('save/load state', () => {
     it('should save state of all workers', () => {
       manager.spawnWorker('basicWorker')
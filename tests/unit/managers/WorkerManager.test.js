@@ -2,6 +2,8 @@ import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { WorkerManager } from '../../../src/managers/WorkerManager.js'
 import { EventBus } from '../../../src/core/EventBus.js'
 import { ResourceManager } from '../../../src/managers/ResourceManager.js'
+import { BuildingManager } from '../../../src/managers/BuildingManager.js'
+import { WorkerEntityManager } from '../../../src/managers/WorkerEntityManager.js'
 
 describe('WorkerManager', () => {
   let workerManager
@@ -54,6 +56,21 @@ describe('WorkerManager', () => {
       expect(workerManager.getAvailableWorkers('tractorWorker')).toBe(3)
       expect(workerManager.getAvailableWorkers('droneWorker')).toBe(2)
     })
+
+    it('should subtract workers helping on construction sites', () => {
+      const buildingManager = new BuildingManager(eventBus, resourceManager)
+      workerManager.buildingManager = buildingManager
+      buildingManager.workerManager = workerManager
+      workerManager.assign('chopWood', 'basicWorker', 3)
+      resourceManager.set('wood', 100)
+      resourceManager.set('stone', 100)
+      buildingManager.startConstruction('house')
+
+      buildingManager.setBuilders(4)
+
+      expect(workerManager.getAvailableWorkers('basicWorker')).toBe(3)
+      expect(workerManager.canAssign('mineStone', 'basicWorker', 4)).toBe(false)
+    })
   })
 
   describe('getAssignedWorkers', () => {
@@ -258,19 +275,687 @@ describe('WorkerManager', () => {
       expect(workerManager.getSpeedMultiplier('chopWood')).toBeCloseTo(0.23, 2)
     })
 
-    it('should return best speed among multiple worker types', () => {
+    it('should add up the speed of every worker type', () => {
       workerManager.assign('chopWood', 'basicWorker', 1) // 0.2
       workerManager.assign('chopWood', 'tractorWorker', 1) // 0.5
-      // Should return the best (highest) speed
-      expect(workerManager.getSpeedMultiplier('chopWood')).toBeCloseTo(0.5, 2)
+      expect(workerManager.getSpeedMultiplier('chopWood')).toBeCloseTo(0.7, 2)
+    })
+
+    it('should run faster than manual once enough groups stack up', () => {
+      resourceManager.add('droneWorker', 98)
+      workerManager.assign('chopWood', 'droneWorker', 100) // 0.8 * 1.3
+      workerManager.assign('chopWood', 'tractorWorker', 1) // 0.5
+      expect(workerManager.getSpeedMultiplier('chopWood')).toBeCloseTo(1.54, 2)
+    })
+
+    it('should use an activity\'s own diminishing returns', () => {
+      workerManager.assign('chopWood', 'basicWorker', 10)
+      // 0.2 * (1 + min(0.5, 0.6 * log10(10)))
+      expect(workerManager.getSpeedMultiplier('chopWood', null, { countFactor: 0.6, maxCountBonus: 0.5 })).toBeCloseTo(0.3, 2)
+      // Unset fields fall back to the defaults
+      expect(workerManager.getSpeedMultiplier('chopWood', null, { maxCountBonus: 0 })).toBeCloseTo(0.2, 2)
+    })
+
+    it('should list each worker group\'s contribution', () => {
+      workerManager.assign('plantWheat', 'basicWorker', 1)
+      workerManager.assign('plantWheat', 'tractorWorker', 1)
+
+      expect(workerManager.getGroupSpeeds('plantWheat', 'farming')).toEqual([
+        { workerTypeId: 'basicWorker', count: 1, speed: 0.2, outputMultiplier: 1 },
+        { workerTypeId: 'tractorWorker', count: 1, speed: 0.75, outputMultiplier: 1 } // Farming bonus
+      ])
+    })
+  })
+
+  describe('specialist affinities', () => {
+    beforeEach(() => {
+      resourceManager.add('lumberjack', 10)
+      resourceManager.add('miner', 1)
+      resourceManager.add('farmer', 1)
+    })
+
+    it('should match affinities by activity id or skill', () => {
+      expect(workerManager.getAffinity('lumberjack', 'chopWood', 'gathering')).toMatchObject({ speed: 2, output: 1.5 })
+      expect(workerManager.getAffinity('lumberjack', 'mineStone', 'gathering')).toBeNull()
+      expect(workerManager.getAffinity('farmer', 'plantCorn', 'farming')).toMatchObject({ speed: 1.75 })
+      expect(workerManager.getAffinity('farmer', 'millFlour', 'crafting')).not.toBeNull()
+      expect(workerManager.getAffinity('basicWorker', 'chopWood', 'gathering')).toBeNull()
+    })
+
+    it('should speed specialists up on their own trade only', () => {
+      workerManager.assign('chopWood', 'lumberjack', 1)
+      workerManager.assign('mineStone', 'lumberjack', 1)
+
+      expect(workerManager.getSpeedMultiplier('chopWood', 'gathering')).toBeCloseTo(0.5) // 0.25 * 2
+      expect(workerManager.getSpeedMultiplier('mineStone', 'gathering')).toBeCloseTo(0.25)
+    })
+
+    it('should apply diminishing returns after the affinity bonus', () => {
+      workerManager.assign('chopWood', 'lumberjack', 10)
+      // 0.25 * 2 * 1.15
+      expect(workerManager.getSpeedMultiplier('chopWood', 'gathering')).toBeCloseTo(0.575)
+    })
+
+    it('should blend output multipliers by each group\'s share of the work', () => {
+      workerManager.assign('mineStone', 'miner', 1) // 0.5 speed at x1.5 output
+      expect(workerManager.getOutputMultiplier('mineStone', 'gathering')).toBeCloseTo(1.5)
+
+      workerManager.assign('mineStone', 'tractorWorker', 1) // 0.5 speed at x1 output
+      expect(workerManager.getOutputMultiplier('mineStone', 'gathering')).toBeCloseTo(1.25)
+    })
+
+    it('should leave outputs alone without specialists', () => {
+      expect(workerManager.getOutputMultiplier('chopWood', 'gathering')).toBe(1)
+      workerManager.assign('chopWood', 'basicWorker', 1)
+      expect(workerManager.getOutputMultiplier('chopWood', 'gathering')).toBe(1)
+    })
+  })
+
+  describe('upkeep', () => {
+    const feedEveryone = () => {
+      resourceManager.set('processedFood', 100)
+      resourceManager.set('gold', 100)
+      resourceManager.set('tv', 10)
+      resourceManager.set('fuel', 100)
+      resourceManager.set('coal', 100)
+    }
+
+    it('should charge every owned worker once per interval', () => {
+      feedEveryone()
+
+      workerManager.update(59000)
+      expect(resourceManager.get('processedFood')).toBe(100)
+
+      workerManager.update(1000)
+      expect(resourceManager.get('processedFood')).toBe(95) // Half a meal for each of 10 basic workers
+      expect(resourceManager.get('gold')).toBe(95.5) // 0.2 per basic worker + 0.5 per tractor driver
+      expect(resourceManager.get('fuel')).toBe(95)
+      expect(resourceManager.get('coal')).toBe(98)
+    })
+
+    it('should fall back to the next resource for a need', () => {
+      resourceManager.set('processedFood', 4)
+      resourceManager.set('wheat', 50)
+
+      const result = workerManager.payUpkeep('basicWorker')
+
+      expect(result.consumed).toMatchObject({ processedFood: 4, wheat: 1 })
+      expect(result.unmetNeeds).not.toContain('hunger')
+    })
+
+    it('should emit an upkeep event', () => {
+      const listener = vi.fn()
+      eventBus.on('worker:upkeep', listener)
+      feedEveryone()
+
+      workerManager.payUpkeep('basicWorker')
+
+      expect(listener).toHaveBeenCalledWith({
+        workerTypeId: 'basicWorker',
+        workers: 10,
+        consumed: { processedFood: 5, tv: 1, gold: 2 },
+        unmetNeeds: []
+      })
+    })
+
+    it('should slow workers down while needs go unmet', () => {
+      workerManager.assign('chopWood', 'basicWorker', 1)
+      resourceManager.set('processedFood', 100)
+      resourceManager.set('tv', 10)
+
+      workerManager.payUpkeep('basicWorker') // No gold for wages
+
+      expect(workerManager.getUpkeepMultiplier('basicWorker')).toBe(0.75)
+      // 0.2 base * 1.1 TV boost * 0.75 unpaid
+      expect(workerManager.getSpeedMultiplier('chopWood')).toBeCloseTo(0.165, 3)
+
+      resourceManager.set('gold', 100)
+      workerManager.payUpkeep('basicWorker')
+
+      expect(workerManager.getSpeedMultiplier('chopWood')).toBeCloseTo(0.22, 3)
+    })
+
+    it('should make a worker quit after missing payments in a row', () => {
+      const quit = vi.fn()
+      eventBus.on('worker:quit', quit)
+
+      workerManager.payUpkeep('basicWorker')
+      workerManager.payUpkeep('basicWorker')
+      expect(resourceManager.get('basicWorker')).toBe(10)
+
+      workerManager.payUpkeep('basicWorker')
+
+      expect(resourceManager.get('basicWorker')).toBe(9)
+      expect(quit).toHaveBeenCalledWith({ workerTypeId: 'basicWorker', reasons: ['hunger', 'wages'] })
+      expect(workerManager.getUpkeepState('basicWorker').missed).toBe(0)
+    })
+
+    it('should not make machines quit over fuel', () => {
+      for (let i = 0; i < 5; i++) {
+        workerManager.payUpkeep('droneWorker')
+      }
+
+      expect(resourceManager.get('droneWorker')).toBe(2)
+      expect(workerManager.getUpkeepMultiplier('droneWorker')).toBe(0.25)
+    })
+
+    it('should take a quitting worker off an activity when none are idle', () => {
+      workerManager.assign('chopWood', 'basicWorker', 6)
+      workerManager.assign('mineStone', 'basicWorker', 4)
+
+      workerManager.quitWorker('basicWorker', ['wages'])
+
+      expect(resourceManager.get('basicWorker')).toBe(9)
+      expect(workerManager.getAssignment('chopWood', 'basicWorker')).toBe(5)
+      expect(workerManager.getAvailableWorkers('basicWorker')).toBe(0)
+    })
+
+    it('should take a quitting worker off a construction site when nobody else can go', () => {
+      const buildingManager = new BuildingManager(eventBus, resourceManager)
+      workerManager.buildingManager = buildingManager
+      buildingManager.workerManager = workerManager
+      resourceManager.set('basicWorker', 4)
+      resourceManager.set('wood', 100)
+      resourceManager.set('stone', 100)
+      buildingManager.startConstruction('house')
+      buildingManager.setBuilders(4)
+      const queueChanged = vi.fn()
+      eventBus.on('building:queue_changed', queueChanged)
+
+      workerManager.quitWorker('basicWorker', ['wages'])
+
+      expect(resourceManager.get('basicWorker')).toBe(3)
+      expect(buildingManager.builders).toBe(3)
+      expect(queueChanged).toHaveBeenCalledWith(expect.objectContaining({ reason: 'builders', builders: 3 }))
+      expect(workerManager.getAvailableWorkers('basicWorker')).toBe(0)
+    })
+
+    it('should take a quitting worker off the map when everyone else is out there', () => {
+      const workerEntityManager = new WorkerEntityManager(eventBus, resourceManager)
+      workerManager.workerEntityManager = workerEntityManager
+      workerEntityManager.syncWithCurrency(resourceManager)
+      workerEntityManager.getWorkersByType('droneWorker').forEach(worker => worker.assignTo('tree_1'))
+
+      workerManager.quitWorker('droneWorker')
+      workerEntityManager.syncWithCurrency(resourceManager)
+
+      expect(resourceManager.get('droneWorker')).toBe(1)
+      expect(workerEntityManager.getAssignedCount('droneWorker')).toBe(1)
+      expect(workerManager.getAvailableWorkers('droneWorker')).toBe(0)
+    })
+
+    it('should free the quitter\'s house room so it can be refilled', () => {
+      const buildingManager = new BuildingManager(eventBus, resourceManager)
+      const rooms = [{ currentWorkers: 1, maxWorkers: 2 }, { currentWorkers: 2, maxWorkers: 2 }]
+      buildingManager.buildings.house = [{ instanceId: 'house_1', buildingTypeId: 'house', upgrades: {}, constructionComplete: true, rooms }]
+      workerManager.buildingManager = buildingManager
+
+      workerManager.quitWorker('basicWorker', ['wages'])
+      expect(rooms.map(room => room.currentWorkers)).toEqual([1, 1])
+
+      workerManager.quitWorker('tractorWorker', ['wages']) // No garage to free
+      expect(rooms.map(room => room.currentWorkers)).toEqual([1, 1])
+    })
+
+    it('should give a new game a grace period before the first upkeep', () => {
+      feedEveryone()
+      workerManager.reset()
+
+      workerManager.update(29 * 60000)
+
+      // The rest of the grace period survives a reload
+      const restored = new WorkerManager(eventBus, resourceManager)
+      restored.loadState(workerManager.getState())
+      restored.update(60000)
+      expect(resourceManager.get('processedFood')).toBe(100)
+
+      restored.update(60000)
+      expect(resourceManager.get('processedFood')).toBe(95)
+    })
+
+    it('should describe upkeep for the worker panel', () => {
+      workerManager.update(15000)
+      workerManager.payUpkeep('tractorWorker')
+
+      const status = workerManager.getUpkeepStatus('tractorWorker')
+
+      expect(status.needs).toEqual([
+        { id: 'fuel', name: 'Fuel', icon: '⛽', resources: ['fuel'], owed: 5, met: false },
+        { id: 'wages', name: 'Driver wages', icon: '💰', resources: ['gold'], owed: 2.5, met: false }
+      ])
+      expect(status.secondsUntilDue).toBe(45)
+      expect(status.missed).toBe(1)
+      expect(status.multiplier).toBeCloseTo(0.1875)
+    })
+
+    it('should pause the schedule while no workers of a type are owned', () => {
+      resourceManager.set('droneWorker', 0)
+
+      workerManager.update(120000)
+
+      expect(workerManager.getUpkeepState('droneWorker').timer).toBe(0)
+    })
+
+    it('should save and restore upkeep progress', () => {
+      workerManager.update(30000)
+      workerManager.payUpkeep('basicWorker')
+
+      const restored = new WorkerManager(eventBus, resourceManager)
+      restored.loadState(workerManager.getState())
+
+      expect(restored.getUpkeepState('basicWorker')).toEqual(workerManager.getUpkeepState('basicWorker'))
+      expect(restored.getUpkeepMultiplier('basicWorker')).toBe(workerManager.getUpkeepMultiplier('basicWorker'))
+    })
+  })
+
+  describe('morale and strikes', () => {
+    const strikeAtChopWood = () => {
+      workerManager.rng = () => 0
+      workerManager.assign('chopWood', 'basicWorker', 2)
+      workerManager.startStrike('chopWood', 'human')
+    }
+
+    it('should start every category at the same morale', () => {
+      expect(workerManager.getMorale('human')).toBe(75)
+      expect(workerManager.getMorale('machine')).toBe(75)
+    })
+
+    it('should drain morale when nearly everyone is busy', () => {
+      workerManager.morale.human = 100 // Above start, so no recovery
+      workerManager.assign('chopWood', 'basicWorker', 9)
+
+      workerManager.update(10000)
+
+      expect(workerManager.getMorale('human')).toBeCloseTo(99.4) // -0.5 churn, -0.01/s overwork
+      expect(workerManager.getMorale('machine')).toBe(75)
+    })
+
+    it('should recover morale on its own up to the starting level', () => {
+      workerManager.morale.human = 50
+
+      workerManager.update(10000)
+      expect(workerManager.getMorale('human')).toBeCloseTo(51)
+
+      workerManager.morale.human = 75
+      workerManager.update(10000)
+      expect(workerManager.getMorale('human')).toBe(75)
+    })
+
+    it('should hold morale steady for a fully assigned, fed and paid crew', () => {
+      const strikes = vi.fn()
+      eventBus.on('worker:strike_started', strikes)
+      resourceManager.set('wheat', 1000)
+      resourceManager.set('gold', 2000) // Tractor drivers draw wages too
+      workerManager.assign('chopWood', 'basicWorker', 6)
+      workerManager.assign('mineStone', 'basicWorker', 4)
+
+      for (let second = 0; second < 3600; second++) {
+        workerManager.update(1000)
+      }
+
+      expect(workerManager.getAvailableWorkers('basicWorker')).toBe(0)
+      expect(workerManager.getMorale('human')).toBeGreaterThan(65) // Only the unmet rest need nags them
+      expect(strikes).not.toHaveBeenCalled()
+    })
+
+    it('should raise morale while speed-boost goods are in stock', () => {
+      resourceManager.set('fastFood', 1) // Boosts basic workers and tractors
+
+      workerManager.update(10000)
+
+      expect(workerManager.getMorale('human')).toBeCloseTo(75.2)
+      expect(workerManager.getMorale('machine')).toBeCloseTo(75.2)
     })
 
-    it('should cap at 1.0 max speed', () => {
-      // Even if calculations would exceed 1.0, cap at 1.0
-      // Add more drone workers for this test
-      resourceManager.add('droneWorker', 100)
-      workerManager.assign('chopWood', 'droneWorker', 100)
-      expect(workerManager.getSpeedMultiplier('chopWood')).toBeLessThanOrEqual(1.0)
+    it('should raise human morale from Taverns', () => {
+      workerManager.buildingManager = { getBuildingBonus: (type) => type === 'moraleRegen' ? 0.05 : 0, getBuilderCount: () => 0 }
+
+      workerManager.update(10000)
+
+      expect(workerManager.getMorale('human')).toBeCloseTo(75.5)
+      expect(workerManager.getMorale('machine')).toBe(75)
+    })
+
+    it('should lower morale for unpaid upkeep and assignment churn', () => {
+      workerManager.payUpkeep('basicWorker') // Food, rest and wages all unmet
+      expect(workerManager.getMorale('human')).toBe(60)
+
+      workerManager.assign('chopWood', 'tractorWorker', 1)
+      workerManager.unassign('chopWood', 'tractorWorker')
+      expect(workerManager.getMorale('machine')).toBe(74)
+    })
+
+    it('should roll for a strike while morale is low', () => {
+      const listener = vi.fn()
+      eventBus.on('worker:strike_started', listener)
+      workerManager.rng = () => 0
+      workerManager.morale.human = 10
+      workerManager.assign('chopWood', 'basicWorker', 2)
+
+      workerManager.update(29000)
+      expect(workerManager.isOnStrike('chopWood')).toBe(false)
+
+      workerManager.update(1000)
+      expect(workerManager.isOnStrike('chopWood')).toBe(true)
+      expect(listener).toHaveBeenCalledWith({
+        activityId: 'chopWood',
+        category: 'human',
+        strikers: 2,
+        demand: { gold: 10 }
+      })
+    })
+
+    it('should not strike when the roll fails or morale is fine', () => {
+      workerManager.assign('chopWood', 'basicWorker', 2)
+      workerManager.rng = () => 0.99
+      workerManager.morale.human = 10
+      workerManager.update(60000)
+      expect(workerManager.isOnStrike('chopWood')).toBe(false)
+
+      workerManager.rng = () => 0
+      workerManager.morale.human = 50
+      workerManager.update(60000)
+      expect(workerManager.isOnStrike('chopWood')).toBe(false)
+    })
+
+    it('should end a strike once its demand is paid', () => {
+      const listener = vi.fn()
+      eventBus.on('worker:strike_ended', listener)
+      strikeAtChopWood()
+      const morale = workerManager.getMorale('human')
+
+      expect(workerManager.canMeetStrikeDemand('chopWood')).toEqual({ canMeet: false, reason: 'Cannot afford demands' })
+      expect(() => workerManager.meetStrikeDemand('chopWood')).toThrow('Cannot afford demands')
+
+      resourceManager.set('gold', 12)
+      workerManager.meetStrikeDemand('chopWood')
+
+      expect(resourceManager.get('gold')).toBe(2)
+      expect(workerManager.isOnStrike('chopWood')).toBe(false)
+      expect(workerManager.getMorale('human')).toBe(morale + 15)
+      expect(listener).toHaveBeenCalledWith({ activityId: 'chopWood', category: 'human', reason: 'demand_met' })
+      expect(workerManager.canMeetStrikeDemand('chopWood').reason).toBe('No strike at this activity')
+    })
+
+    it('should end a strike when its strikers are unassigned', () => {
+      const listener = vi.fn()
+      eventBus.on('worker:strike_ended', listener)
+      strikeAtChopWood()
+
+      workerManager.unassignAll('chopWood')
+
+      expect(workerManager.isOnStrike('chopWood')).toBe(false)
+      expect(listener).toHaveBeenCalledWith({ activityId: 'chopWood', category: 'human', reason: 'unassigned' })
+    })
+
+    it('should refuse strikes without strikers', () => {
+      expect(() => workerManager.startStrike('chopWood', 'human')).toThrow('No workers to strike')
+    })
+
+    it('should save and restore morale and strikes', () => {
+      strikeAtChopWood()
+      workerManager.morale.machine = 40
+
+      const restored = new WorkerManager(eventBus, resourceManager)
+      restored.loadState(workerManager.getState())
+
+      expect(restored.getMorale('machine')).toBe(40)
+      expect(restored.getStrike('chopWood')).toEqual({ category: 'human', demand: { gold: 10 } })
+    })
+  })
+
+  describe('veterancy', () => {
+    const complete = (activityId, times) => {
+      for (let i = 0; i < times; i++) workerManager.addVeterancy(activityId)
+    }
+
+    it('should start every group as a novice', () => {
+      workerManager.assign('chopWood', 'basicWorker', 2)
+      expect(workerManager.getVeterancy('chopWood', 'basicWorker')).toMatchObject({
+        xp: 0,
+        rank: { id: 'novice' },
+        nextRank: { id: 'skilled' },
+        progress: 0
+      })
+    })
+
+    it('should rank groups up over completions', () => {
+      const listener = vi.fn()
+      eventBus.on('worker:ranked_up', listener)
+      workerManager.assign('chopWood', 'basicWorker', 2)
+
+      complete('chopWood', 25)
+      expect(workerManager.getRank('chopWood', 'basicWorker').id).toBe('skilled')
+      expect(listener).toHaveBeenCalledWith({ activityId: 'chopWood', workerTypeId: 'basicWorker', rank: 'skilled' })
+
+      complete('chopWood', 75)
+      expect(workerManager.getVeterancy('chopWood', 'basicWorker')).toMatchObject({ rank: { id: 'veteran' }, nextRank: null, progress: 1 })
+      expect(listener).toHaveBeenCalledTimes(2)
+    })
+
+    it('should keep veterancy per activity', () => {
+      workerManager.assign('chopWood', 'basicWorker', 1)
+      workerManager.assign('mineStone', 'basicWorker', 1)
+
+      complete('chopWood', 30)
+
+      expect(workerManager.getRank('chopWood', 'basicWorker').id).toBe('skilled')
+      expect(workerManager.getRank('mineStone', 'basicWorker').id).toBe('novice')
+    })
+
+    it('should give ranked groups speed and output bonuses', () => {
+      workerManager.assign('chopWood', 'basicWorker', 1)
+      complete('chopWood', 100)
+
+      expect(workerManager.getSpeedMultiplier('chopWood')).toBeCloseTo(0.25) // 0.2 * 1.25
+      expect(workerManager.getOutputMultiplier('chopWood')).toBeCloseTo(1.1)
+    })
+
+    it('should lose part of the rank when workers are pulled off', () => {
+      workerManager.assign('chopWood', 'basicWorker', 2)
+      complete('chopWood', 40)
+
+      workerManager.assign('chopWood', 'basicWorker', 1) // Half the group leaves, taking half its share
+      expect(workerManager.getVeterancyXP('chopWood', 'basicWorker')).toBe(30)
+
+      workerManager.unassign('chopWood', 'basicWorker')
+      expect(workerManager.getVeterancyXP('chopWood', 'basicWorker')).toBe(15)
+      expect(workerManager.getRank('chopWood', 'basicWorker').id).toBe('novice')
+    })
+
+    it('should dilute experience when fresh workers join', () => {
+      workerManager.assign('chopWood', 'basicWorker', 1)
+      complete('chopWood', 40)
+
+      workerManager.assign('chopWood', 'basicWorker', 4)
+
+      expect(workerManager.getVeterancyXP('chopWood', 'basicWorker')).toBe(10)
+    })
+
+    it('should save, restore and reset veterancy', () => {
+      workerManager.assign('chopWood', 'basicWorker', 1)
+      complete('chopWood', 30)
+
+      const restored = new WorkerManager(eventBus, resourceManager)
+      restored.loadState(workerManager.getState())
+      expect(restored.getVeterancyXP('chopWood', 'basicWorker')).toBe(30)
+
+      restored.reset()
+      expect(restored.veterancy).toEqual({})
+    })
+  })
+
+  describe('presets and bulk operations', () => {
+    let batched
+
+    beforeEach(() => {
+      batched = vi.fn()
+      eventBus.on('worker:batch_assigned', batched)
+      workerManager.activityManager = {
+        activityDefinitions: [
+          { id: 'chopWood', skillId: 'gathering' },
+          { id: 'mineStone', skillId: 'gathering' },
+          { id: 'mineGold', skillId: 'gathering' },
+          { id: 'plantWheat', skillId: 'farming' }
+        ],
+        skillManager: { isActivityUnlocked: (id) => id !== 'mineGold' }
+      }
+    })
+
+    it('should unassign everything with one batched event', () => {
+      const single = vi.fn()
+      eventBus.on('worker:unassigned', single)
+      workerManager.assign('chopWood', 'basicWorker', 3)
+      workerManager.assign('mineStone', 'tractorWorker', 2)
+
+      workerManager.unassignEverything()
+
+      expect(workerManager.assignments).toEqual({})
+      expect(single).not.toHaveBeenCalled()
+      expect(batched).toHaveBeenCalledTimes(1)
+      expect(batched).toHaveBeenCalledWith({
+        operation: 'unassign_all',
+        changes: [
+          { activityId: 'chopWood', workerTypeId: 'basicWorker', count: 0 },
+          { activityId: 'mineStone', workerTypeId: 'tractorWorker', count: 0 }
+        ]
+      })
+    })
+
+    it('should spread workers evenly across a skill\'s unlocked activities', () => {
+      workerManager.assign('chopWood', 'basicWorker', 2)
+
+      expect(workerManager.spreadWorkers('gathering', 'basicWorker', 7)).toBe(true)
+
+      expect(workerManager.getAssignment('chopWood', 'basicWorker')).toBe(4)
+      expect(workerManager.getAssignment('mineStone', 'basicWorker')).toBe(3)
+      expect(workerManager.getAssignment('mineGold', 'basicWorker')).toBe(0) // Locked
+      expect(batched).toHaveBeenCalledTimes(1)
+      expect(batched.mock.calls[0][0].operation).toBe('spread')
+    })
+
+    it('should refuse to spread more workers than are free', () => {
+      workerManager.assign('plantWheat', 'basicWorker', 5)
+
+      expect(workerManager.spreadWorkers('gathering', 'basicWorker', 6)).toBe(false)
+      expect(workerManager.spreadWorkers('research', 'basicWorker', 1)).toBe(false)
+      expect(batched).not.toHaveBeenCalled()
+    })
+
+    it('should move all workers of a type between activities', () => {
+      workerManager.assign('chopWood', 'tractorWorker', 3)
+      workerManager.assign('mineStone', 'tractorWorker', 1)
+
+      expect(workerManager.moveWorkers('tractorWorker', 'chopWood', 'mineStone')).toBe(true)
+
+      expect(workerManager.getAssignment('chopWood', 'tractorWorker')).toBe(0)
+      expect(workerManager.getAssignment('mineStone', 'tractorWorker')).toBe(4)
+      expect(batched).toHaveBeenCalledTimes(1)
+      expect(workerManager.moveWorkers('tractorWorker', 'chopWood', 'mineStone')).toBe(false)
+    })
+
+    it('should lower morale once per category for a whole batch', () => {
+      workerManager.assign('chopWood', 'basicWorker', 3)
+      workerManager.assign('mineStone', 'basicWorker', 3)
+      workerManager.assign('plantWheat', 'tractorWorker', 2)
+      const human = workerManager.getMorale('human')
+      const machine = workerManager.getMorale('machine')
+
+      workerManager.unassignEverything()
+
+      expect(workerManager.getMorale('human')).toBe(human - 0.5)
+      expect(workerManager.getMorale('machine')).toBe(machine - 0.5)
+    })
+
+    it('should move only some workers when asked', () => {
+      workerManager.assign('chopWood', 'basicWorker', 5)
+
+      workerManager.moveWorkers('basicWorker', 'chopWood', 'mineStone', 2)
+
+      expect(workerManager.getAssignment('chopWood', 'basicWorker')).toBe(3)
+      expect(workerManager.getAssignment('mineStone', 'basicWorker')).toBe(2)
+    })
+
+    it('should save and apply presets', () => {
+      workerManager.assign('chopWood', 'basicWorker', 3)
+      workerManager.assign('mineStone', 'droneWorker', 2)
+      workerManager.savePreset('Mining day')
+      workerManager.unassignEverything()
+      workerManager.assign('plantWheat', 'basicWorker', 1)
+      batched.mockClear()
+
+      expect(workerManager.applyPreset('Mining day')).toBe(true)
+
+      expect(workerManager.assignments).toEqual({
+        chopWood: { basicWorker: 3 },
+        mineStone: { droneWorker: 2 }
+      })
+      expect(batched).toHaveBeenCalledTimes(1)
+      expect(workerManager.getPresets()).toEqual([
+        { name: 'Mining day', assignments: { chopWood: { basicWorker: 3 }, mineStone: { droneWorker: 2 } }, workers: 5 }
+      ])
+    })
+
+    it('should trim presets to the workers owned now', () => {
+      workerManager.assign('chopWood', 'droneWorker', 2)
+      workerManager.savePreset('Drones')
+      resourceManager.subtract('droneWorker', 1)
+
+      expect(workerManager.applyPreset('Drones')).toBe(false)
+      expect(workerManager.getAssignment('chopWood', 'droneWorker')).toBe(1)
+    })
+
+    it('should leave unchanged groups alone when reapplying a preset or spread', () => {
+      workerManager.rng = () => 0
+      workerManager.assign('chopWood', 'basicWorker', 2)
+      workerManager.assign('mineStone', 'basicWorker', 2)
+      workerManager.assign('plantWheat', 'basicWorker', 2)
+      for (let i = 0; i < 20; i++) {
+        workerManager.addVeterancy('chopWood')
+        workerManager.addVeterancy('mineStone')
+      }
+      workerManager.startStrike('plantWheat', 'human')
+      workerManager.savePreset('Current')
+      const human = workerManager.getMorale('human')
+      batched.mockClear()
+
+      expect(workerManager.applyPreset('Current')).toBe(true)
+      expect(workerManager.spreadWorkers('gathering', 'basicWorker', 4)).toBe(true)
+
+      expect(workerManager.getVeterancyXP('chopWood', 'basicWorker')).toBe(20)
+      expect(workerManager.getVeterancyXP('mineStone', 'basicWorker')).toBe(20)
+      expect(workerManager.isOnStrike('plantWheat')).toBe(true)
+      expect(workerManager.getMorale('human')).toBe(human)
+      expect(batched).not.toHaveBeenCalled()
+    })
+
+    it('should only shrink the groups a preset makes smaller', () => {
+      workerManager.assign('chopWood', 'basicWorker', 4)
+      workerManager.savePreset('Small')
+      workerManager.assign('chopWood', 'basicWorker', 8)
+      for (let i = 0; i < 10; i++) workerManager.addVeterancy('chopWood')
+
+      workerManager.applyPreset('Small')
+
+      expect(workerManager.getAssignment('chopWood', 'basicWorker')).toBe(4)
+      expect(workerManager.getVeterancyXP('chopWood', 'basicWorker')).toBe(7.5) // Lost half of the removed half
+    })
+
+    it('should reject bad preset names and unknown presets', () => {
+      expect(() => workerManager.savePreset('  ')).toThrow('Preset needs a name')
+      expect(() => workerManager.applyPreset('Nope')).toThrow('Preset not found')
+      expect(workerManager.deletePreset('Nope')).toBe(false)
+    })
+
+    it('should delete presets and keep them in saves', () => {
+      workerManager.savePreset('A')
+      workerManager.savePreset('B')
+      expect(workerManager.deletePreset('A')).toBe(true)
+
+      const restored = new WorkerManager(eventBus, resourceManager)
+      restored.loadState(workerManager.getState())
+
+      expect(restored.getPresets().map(preset => preset.name)).toEqual(['B'])
     })
   })
 
@@ -320,6 +1005,9 @@ describe('WorkerManager', () => {
 
       expect(workerManager.assignments).toEqual({})
       expect(workerManager.activeBoosts).toEqual({})
+      expect(workerManager.upkeep).toEqual({})
+      expect(workerManager.morale).toEqual({ human: 75, machine: 75 })
+      expect(workerManager.strikes).toEqual({})
     })
   })
 
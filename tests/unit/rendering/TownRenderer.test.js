@@ -345,44 +345,69 @@ describe('TownRenderer', () => {
       expect(usedDrawImage || usedFillText).toBe(true)
     })
 
-    it('should assign grid positions to buildings', () => {
-      // Add resources for at least one house
+    it('should draw buildings in the slot they were placed in', () => {
       engine.resourceManager.add('wood', 100)
       engine.resourceManager.add('stone', 100)
+      engine.buildingManager.startConstruction('house', 5)
+      engine.buildingManager.getBuildings('house')[0].constructionComplete = true
 
-      // Build a house
-      engine.buildingManager.startConstruction('house')
+      renderer.render()
 
-      // Get the building and complete it
-      const buildings = engine.buildingManager.getBuildings('house')
-      expect(buildings.length).toBeGreaterThanOrEqual(1)
+      // Slot 5 is column 1, row 1 - centred at (300, 225) on the 200x150 cells
+      expect(mockContext.fillRect).toHaveBeenCalledWith(255, 180, 90, 90)
+    })
+  })
 
-      buildings.forEach(building => {
-        building.constructionComplete = true
-      })
+  describe('slot grid', () => {
+    beforeEach(() => {
+      renderer = new TownRenderer(canvas, engine)
+    })
 
-      // Render to assign positions
+    it('should fit the starting slots without scrolling', () => {
       renderer.render()
 
-      // Should have assigned positions for all buildings
-      expect(renderer.buildingPositions.size).toBe(buildings.length)
-      expect(renderer.nextBuildingSlot).toBe(buildings.length)
+      expect(renderer.gridRows).toBe(4)
+      expect(renderer.getMaxScroll()).toBe(0)
+    })
 
-      // Verify position assignment increments correctly
-      // If we can build another, position should increment
-      if (engine.buildingManager.canBuild('house').canBuild) {
-        engine.resourceManager.add('wood', 200)
-        engine.resourceManager.add('stone', 200)
-        engine.buildingManager.startConstruction('house')
+    it('should add a row and scroll once slots are unlocked', () => {
+      engine.resourceManager.set('wood', 1000)
+      engine.resourceManager.set('stone', 1000)
+      engine.resourceManager.set('gold', 1000)
+      engine.buildingManager.unlockSlot()
 
-        const moreBuildings = engine.buildingManager.getBuildings('house')
-        moreBuildings.forEach(b => { b.constructionComplete = true })
+      renderer.render()
 
-        renderer.render()
+      expect(renderer.gridRows).toBe(5)
+      expect(renderer.getMaxScroll()).toBe(150)
 
-        expect(renderer.buildingPositions.size).toBe(moreBuildings.length)
-        expect(renderer.nextBuildingSlot).toBe(moreBuildings.length)
-      }
+      renderer.scrollBy(1000)
+      expect(renderer.scrollY).toBe(150)
+      renderer.scrollBy(-1000)
+      expect(renderer.scrollY).toBe(0)
+    })
+
+    it('should scroll on the mouse wheel only when the grid overflows', () => {
+      canvas.dispatchEvent(new WheelEvent('wheel', { deltaY: 100 }))
+      expect(renderer.scrollY).toBe(0)
+
+      engine.buildingManager.availableSlots = 32
+      renderer.render()
+      canvas.dispatchEvent(new WheelEvent('wheel', { deltaY: 100 }))
+
+      expect(renderer.scrollY).toBe(100)
+    })
+
+    it('should stop listening to the canvas once destroyed', () => {
+      engine.buildingManager.availableSlots = 32
+      renderer.render()
+      renderer.destroy()
+
+      canvas.dispatchEvent(new WheelEvent('wheel', { deltaY: 100 }))
+      canvas.dispatchEvent(new MouseEvent('mousedown'))
+
+      expect(renderer.scrollY).toBe(0)
+      expect(renderer.drag).toBe(null)
     })
   })
 
@@ -423,4 +448,52 @@ describe('TownRenderer', () => {
       expect(mockContext.clearRect).toHaveBeenCalledWith(0, 0, 800, 600)
     })
   })
+
+  describe('placement', () => {
+    const buildHouse = (slot) => {
+      engine.resourceManager.add('wood', 100)
+      engine.resourceManager.add('stone', 100)
+      const instanceId = engine.buildingManager.startConstruction('house', slot)
+      engine.buildingManager.getBuildingInstance(instanceId).constructionComplete = true
+      return instanceId
+    }
+
+    beforeEach(() => {
+      renderer = new TownRenderer(canvas, engine)
+    })
+
+    it('should map canvas points to unlocked slots', () => {
+      expect(renderer.getSlotAt(450, 200)).toBe(6)
+      expect(renderer.getSlotAt(900, 200)).toBe(null)
+
+      renderer.scrollY = 150
+      expect(renderer.getSlotAt(450, 200)).toBe(10)
+    })
+
+    it('should select an empty slot as the next build target', () => {
+      const selected = vi.fn()
+      renderer.onSlotSelected = selected
+
+      renderer.startDrag(450, 200)
+      renderer.endDrag(450, 200)
+
+      expect(selected).toHaveBeenCalledWith(6)
+      expect(renderer.getTargetSlot()).toBe(6)
+
+      buildHouse(renderer.getTargetSlot())
+      expect(renderer.getTargetSlot()).toBe(null)
+    })
+
+    it('should move a completed building by dragging it', () => {
+      const instanceId = buildHouse(0)
+
+      renderer.startDrag(100, 75)
+      renderer.moveDrag(650, 500)
+      renderer.render()
+      renderer.endDrag(650, 500)
+
+      expect(engine.buildingManager.getBuildingInstance(instanceId).slot).toBe(15)
+      expect(renderer.drag).toBe(null)
+    })
+  })
 })
@@ -0,0 +1,65 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import { runProgressionReport, formatProgressionReport, formatGameTime } from '../../../src/simulation/progressionReport.js'
+import { createGreedyStrategy } from '../../../src/simulation/strategies.js'
+
+describe('Progression report', () => {
+  describe('runProgressionReport()', () => {
+    it('should time phases and building unlocks', () => {
+      const report = runProgressionReport(createGreedyStrategy(), { durationMs: 10 * 60 * 1000 })
+
+      expect(report.strategy).toBe('greedy')
+      expect(report.duration).toBe(600000)
+      expect(report.phases[1]).toBeGreaterThan(0)
+      expect(report.phases[1]).toBeLessThan(60000)
+      expect(report.phases[4]).toBeNull()
+      expect(report.buildings.house).toBe(0)
+      expect(report.buildings.droneServer).toBeNull()
+      expect(report.transcend).toBeNull()
+      expect(report.levels.farming + report.levels.gathering).toBeGreaterThan(2)
+    })
+
+    it('should keep the economy going long enough for greedy to reach Mechanization', () => {
+      // Upkeep, quitting and strikes must not soft-lock a new town
+      const report = runProgressionReport(createGreedyStrategy(), { durationMs: 60 * 60 * 1000 })
+
+      expect(report.phases[2]).not.toBeNull()
+    }, 30000)
+
+    it('should be reproducible', () => {
+      const run = () => runProgressionReport(createGreedyStrategy(), { durationMs: 5 * 60 * 1000, seed: 3 })
+      expect(run()).toEqual(run())
+    })
+  })
+
+  describe('formatGameTime()', () => {
+    it('should format minutes and hours', () => {
+      expect(formatGameTime(65000)).toBe('1m 05s')
+      expect(formatGameTime(3723000)).toBe('1h 02m 03s')
+    })
+
+    it('should show unreached milestones', () => {
+      expect(formatGameTime(null)).toBe('not reached')
+    })
+  })
+
+  describe('formatProgressionReport()', () => {
+    it('should list phases, buildings and transcend', () => {
+      const text = formatProgressionReport({
+        strategy: 'greedy',
+        seed: 1,
+        duration: 3600000,
+        phases: { 1: 5000, 2: null, 3: null, 4: null },
+        buildings: { house: 0, garage: null },
+        transcend: null,
+        levels: { farming: 3 }
+      })
+
+      expect(text).toContain('Strategy: greedy (seed 1, simulated 1h 00m 00s)')
+      expect(text).toContain('1. Human Labor      0m 05s')
+      expect(text).toContain('garage              not reached')
+      expect(text).toContain('Transcend:            not reached')
+      expect(text).toContain('farming 3')
+    })
+  })
+})
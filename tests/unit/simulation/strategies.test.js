@@ -0,0 +1,220 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach } from 'vitest'
+import { GameEngine } from '../../../src/core/GameEngine.js'
+import { skills } from '../../../src/data/skills-expanded.js'
+import { activities } from '../../../src/data/activities-expanded.js'
+import { upgrades } from '../../../src/data/upgrades.js'
+import {
+  createGreedyStrategy,
+  createCheapestUnlockStrategy,
+  getNextUnlockSkill,
+  getWantedResources,
+  strategies
+} from '../../../src/simulation/strategies.js'
+
+describe('Bot strategies', () => {
+  let engine
+
+  beforeEach(() => {
+    engine = GameEngine.createHeadless(skills, activities, upgrades)
+    engine.reset()
+  })
+
+  const completedBuilding = (buildingTypeId) => {
+    engine.buildingManager.buildings[buildingTypeId] = [{
+      instanceId: `${buildingTypeId}_1`,
+      buildingTypeId,
+      level: 1,
+      upgrades: {},
+      constructionComplete: true
+    }]
+    engine.buildingManager.trainingQueues[`${buildingTypeId}_1`] = []
+  }
+
+  describe('worker assignment', () => {
+    it('should put every idle worker on a separate activity', () => {
+      createGreedyStrategy()(engine, { elapsed: 0 })
+
+      const staffed = Object.keys(engine.workerManager.assignments)
+      expect(staffed).toHaveLength(2)
+      expect(engine.workerManager.getAvailableWorkers('basicWorker')).toBe(0)
+    })
+
+    it('should pick the most valuable activity when greedy', () => {
+      engine.resourceManager.set('basicWorker', 1)
+      engine.resourceManager.set('wheat', 10)
+      engine.resourceManager.set('gold', 10)
+
+      createGreedyStrategy()(engine, { elapsed: 0 })
+
+      // Water (3 per second) is worth more per second than wheat, wood or stone
+      expect(Object.keys(engine.workerManager.assignments)).toEqual(['fetchWater'])
+    })
+
+    it('should make food first when it won\'t cover the next upkeep rounds', () => {
+      engine.resourceManager.set('basicWorker', 1)
+      engine.resourceManager.set('gold', 10)
+
+      createGreedyStrategy()(engine, { elapsed: 0 })
+
+      expect(Object.keys(engine.workerManager.assignments)).toEqual(['plantWheat'])
+    })
+
+    it('should pay strike demands it can afford and pull strikers off the rest', () => {
+      engine.workerManager.assign('chopWood', 'basicWorker', 1)
+      engine.workerManager.assign('mineStone', 'basicWorker', 1)
+      engine.workerManager.strikes = {
+        chopWood: { category: 'human', demand: { gold: 5 } },
+        mineStone: { category: 'human', demand: { fastFood: 2 } }
+      }
+      engine.resourceManager.set('gold', 5)
+
+      createGreedyStrategy()(engine, { elapsed: 0 })
+
+      expect(engine.workerManager.strikes).toEqual({})
+      expect(engine.resourceManager.get('gold')).toBe(0)
+      expect(engine.workerManager.getAssignment('chopWood', 'basicWorker')).toBe(1)
+    })
+
+    it('should release workers from activities that can no longer run', () => {
+      engine.resourceManager.set('basicWorker', 1)
+      engine.workerManager.assign('craftStoneTools', 'basicWorker', 1)
+
+      createGreedyStrategy()(engine, { elapsed: 0 })
+
+      expect(engine.workerManager.isAutomated('craftStoneTools')).toBe(false)
+      expect(engine.workerManager.getAvailableWorkers('basicWorker')).toBe(0)
+    })
+
+    it('should skip activities whose outputs are at the storage limit', () => {
+      engine.resourceManager.set('basicWorker', 1)
+      engine.resourceManager.set('wood', 100)
+      engine.resourceManager.set('stone', 100)
+
+      createGreedyStrategy()(engine, { elapsed: 0 })
+
+      expect(engine.workerManager.isAutomated('chopWood')).toBe(false)
+      expect(engine.workerManager.isAutomated('mineStone')).toBe(false)
+    })
+
+    it('should only re-plan every decision interval', () => {
+      const strategy = createGreedyStrategy({ decisionIntervalMs: 10000 })
+      engine.resourceManager.set('basicWorker', 1)
+
+      strategy(engine, { elapsed: 0 })
+      engine.resourceManager.add('basicWorker', 1)
+      strategy(engine, { elapsed: 5000 })
+      expect(engine.workerManager.getAvailableWorkers('basicWorker')).toBe(1)
+
+      strategy(engine, { elapsed: 10000 })
+      expect(engine.workerManager.getAvailableWorkers('basicWorker')).toBe(0)
+    })
+  })
+
+  describe('buildings and upgrades', () => {
+    it('should build worker-producing buildings first when greedy', () => {
+      engine.resourceManager.set('wood', 50)
+      engine.resourceManager.set('stone', 30)
+
+      createGreedyStrategy()(engine, { elapsed: 0 })
+
+      expect(engine.buildingManager.getBuildings('house')).toHaveLength(1)
+    })
+
+    it('should build the cheapest building when going for unlocks', () => {
+      engine.resourceManager.set('wood', 50)
+      engine.resourceManager.set('stone', 30)
+
+      createCheapestUnlockStrategy()(engine, { elapsed: 0 })
+
+      // Warehouse (30 wood, 20 stone) is cheaper than a house (50 wood, 30 stone)
+      expect(engine.buildingManager.getBuildings('warehouse')).toHaveLength(1)
+      expect(engine.buildingManager.getBuildings('house')).toHaveLength(0)
+    })
+
+    it('should buy affordable upgrades', () => {
+      engine.skillManager.setXP('farming', 1000)
+      engine.resourceManager.set('wheat', 50)
+      engine.resourceManager.set('steel', 5)
+
+      createGreedyStrategy()(engine, { elapsed: 0 })
+
+      expect(engine.upgradeManager.isPurchased('plantWheatSpeed1')).toBe(true)
+    })
+  })
+
+  describe('training', () => {
+    it('should train a faster worker type, freeing a basic worker if needed', () => {
+      completedBuilding('trainingHall')
+      engine.resourceManager.set('steel', 10)
+      engine.resourceManager.set('equipment', 5)
+      engine.resourceManager.set('machine', 2)
+      engine.workerManager.assign('chopWood', 'basicWorker', 2)
+
+      createGreedyStrategy()(engine, { elapsed: 0 })
+
+      const queue = engine.buildingManager.getTrainingQueue('trainingHall_1')
+      expect(queue.map(t => t.outputWorker)).toEqual(['tractorWorker'])
+      expect(engine.resourceManager.get('basicWorker')).toBe(1)
+      expect(engine.workerManager.getAssignedWorkers('basicWorker')).toBe(1)
+    })
+
+    it('should train specialists when that is all it can afford', () => {
+      completedBuilding('trainingHall')
+      engine.resourceManager.set('wood', 25)
+
+      createGreedyStrategy()(engine, { elapsed: 0 })
+
+      const queue = engine.buildingManager.getTrainingQueue('trainingHall_1')
+      expect(queue.map(t => t.outputWorker)).toEqual(['lumberjack'])
+    })
+  })
+
+  describe('getNextUnlockSkill()', () => {
+    it('should pick the trainable skill closest to its next unlock', () => {
+      // plantCorn needs farming 2 (100 XP)
+      engine.skillManager.setXP('farming', 90)
+      expect(getNextUnlockSkill(engine)).toBe('farming')
+    })
+
+    it('should skip skills with nothing that can run', () => {
+      // Manufacturing needs tractors, so it can't earn XP yet
+      expect(getNextUnlockSkill(engine)).not.toBe('manufacturing')
+    })
+  })
+
+  describe('getWantedResources()', () => {
+    const ownSpecialists = () => {
+      engine.resourceManager.set('lumberjack', 1)
+      engine.resourceManager.set('miner', 1)
+      engine.resourceManager.set('farmer', 1)
+    }
+
+    it('should want a specialist\'s training cost first', () => {
+      expect([...getWantedResources(engine)]).toEqual(['wood'])
+    })
+
+    it('should want the missing cost of the cheapest new worker type', () => {
+      ownSpecialists()
+      engine.resourceManager.set('equipment', 5)
+
+      const wanted = getWantedResources(engine)
+
+      expect(wanted.has('steel')).toBe(true)
+      expect(wanted.has('machine')).toBe(true)
+      expect(wanted.has('equipment')).toBe(false)
+    })
+
+    it('should want nothing once every worker type is owned', () => {
+      ownSpecialists()
+      engine.resourceManager.set('tractorWorker', 1)
+      engine.resourceManager.set('droneWorker', 1)
+      expect(getWantedResources(engine).size).toBe(0)
+    })
+  })
+
+  it('should expose strategies by id', () => {
+    expect(strategies.greedy().id).toBe('greedy')
+    expect(strategies.cheapestUnlock().id).toBe('cheapestUnlock')
+  })
+})
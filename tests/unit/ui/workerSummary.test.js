@@ -2,6 +2,7 @@ import { describe, it, expect, beforeEach, afterEach } from 'vitest'
 import { JSDOM } from 'jsdom'
 import {
   getWorkerSummaryEntries,
+  renderMoraleMeters,
   renderWorkerPanelList,
   renderWorkerSummaryCompact
 } from '../../../src/ui/workerSummary.js'
@@ -82,6 +83,19 @@ describe('worker summary helpers', () => {
     expect(entry.allAssigned).toBe(true)
   })
 
+  it('counts workers sent to resource nodes on the map as assigned', () => {
+    const game = createGameStub({
+      workerTypes: [{ id: 'basicWorker' }],
+      totals: { basicWorker: 4 },
+      assigned: { basicWorker: 1 }
+    })
+    game.workerEntityManager = { getAssignedCount: () => 2 }
+
+    const [entry] = getWorkerSummaryEntries(game)
+    expect(entry.assigned).toBe(3)
+    expect(entry.available).toBe(1)
+  })
+
   it('returns empty entries when game managers are missing', () => {
     expect(getWorkerSummaryEntries(null)).toEqual([])
     expect(getWorkerSummaryEntries({ workerManager: null })).toEqual([])
@@ -128,6 +142,51 @@ describe('worker summary helpers', () => {
     expect(items[0].querySelector('.worker-summary-stats').textContent).toContain('5 total (2 assigned, 3 available)')
   })
 
+  it('renders upkeep needs and warnings in the detailed panel', () => {
+    const game = createGameStub({
+      workerTypes: [{ id: 'basicWorker' }],
+      totals: { basicWorker: 3 }
+    })
+    game.workerManager.getUpkeepStatus = () => ({
+      needs: [
+        { id: 'hunger', name: 'Food', icon: '🍽️', resources: ['processedFood', 'wheat'], owed: 3, met: true },
+        { id: 'wages', name: 'Wages', icon: '💰', resources: ['gold'], owed: 3, met: false }
+      ],
+      interval: 60,
+      secondsUntilDue: 20,
+      missed: 1,
+      quitAfter: 3,
+      multiplier: 0.75
+    })
+    const container = document.createElement('div')
+
+    renderWorkerPanelList(game, container)
+
+    const upkeep = container.querySelector('.worker-summary-upkeep')
+    expect(upkeep.classList.contains('unmet')).toBe(true)
+    expect(upkeep.textContent).toContain('Upkeep every 60s: 🍽️ Food: 3 🍱/🌾 · 💰 Wages: 3 💰 ⚠️')
+    expect(upkeep.textContent).toContain('Working at 75% speed, Unpaid 1/3 - one quits at 3')
+  })
+
+  it('renders a morale meter per owned worker category', () => {
+    const game = createGameStub({
+      workerTypes: [{ id: 'basicWorker', category: 'human' }, { id: 'droneWorker', category: 'machine' }],
+      totals: { basicWorker: 3 }
+    })
+    game.workerManager.moraleSettings = { strikeThreshold: 30 }
+    game.workerManager.getMorale = () => 20.4
+    game.workerManager.getMoraleRate = () => -0.05
+    const container = document.createElement('div')
+
+    renderMoraleMeters(game, container)
+
+    const meters = container.querySelectorAll('.morale-meter')
+    expect(meters).toHaveLength(1)
+    expect(meters[0].classList.contains('low')).toBe(true)
+    expect(meters[0].textContent).toContain('Crew morale')
+    expect(meters[0].querySelector('.morale-value').textContent).toBe('20▼ - strikes likely')
+  })
+
   it('renders placeholder when detailed panel has no data', () => {
     const game = createGameStub({ workerTypes: [{ id: 'basicWorker' }] })
     const container = document.createElement('div')
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest'
+import { checksum, toBase64, fromBase64 } from '../../../src/utils/checksum.js'
+
+describe('checksum()', () => {
+  it('should return the same 8-character hex digest for the same text', () => {
+    expect(checksum('hello')).toBe(checksum('hello'))
+    expect(checksum('hello')).toMatch(/^[0-9a-f]{8}$/)
+  })
+
+  it('should change when a single character changes', () => {
+    expect(checksum('{"wood":100}')).not.toBe(checksum('{"wood":900}'))
+  })
+
+  it('should match the FNV-1a reference value', () => {
+    expect(checksum('')).toBe('811c9dc5')
+    expect(checksum('a')).toBe('e40c292c')
+  })
+})
+
+describe('toBase64() / fromBase64()', () => {
+  it('should round-trip text including emoji', () => {
+    const text = '{"name":"Main 🌾","wood":12}'
+
+    expect(fromBase64(toBase64(text))).toBe(text)
+  })
+
+  it('should ignore surrounding whitespace when decoding', () => {
+    expect(fromBase64(`  ${toBase64('abc')}\n`)).toBe('abc')
+  })
+
+  it('should throw on text that is not base64', () => {
+    expect(() => fromBase64('not base64!')).toThrow()
+  })
+})
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { NavGrid } from '../../../src/utils/pathfinding.js'
+
+describe('NavGrid', () => {
+  let grid
+
+  beforeEach(() => {
+    grid = new NavGrid()
+  })
+
+  const pathLength = (start, path) => {
+    let length = 0
+    let from = start
+    path.forEach(point => {
+      length += Math.hypot(point.x - from.x, point.y - from.y)
+      from = point
+    })
+    return length
+  }
+
+  it('should cover the 900x600 map in 20px cells', () => {
+    expect(grid.cols).toBe(45)
+    expect(grid.rows).toBe(30)
+    expect(grid.isWalkable(450, 300)).toBe(true)
+    expect(grid.getSpeedMultiplier(450, 300)).toBe(1)
+  })
+
+  it('should walk straight across open ground', () => {
+    const path = grid.findPath({ x: 850, y: 300 }, { x: 100, y: 150 })
+
+    expect(path).toEqual([{ x: 100, y: 150 }])
+  })
+
+  it('should route around obstacles', () => {
+    grid.addObstacle({ id: 'wall', x: 400, y: 100, width: 40, height: 500, walkable: false })
+    const start = { x: 600, y: 400 }
+    const goal = { x: 200, y: 400 }
+
+    const path = grid.findPath(start, goal)
+
+    expect(path[path.length - 1]).toEqual(goal)
+    expect(path.some(point => point.y < 100)).toBe(true)
+    let from = start
+    path.forEach(point => {
+      expect(grid.isClearLine(from, point)).toBe(true)
+      from = point
+    })
+  })
+
+  it('should cross rivers at bridges painted over them', () => {
+    grid.addObstacle({ id: 'river', x: 560, y: 0, width: 30, height: 600, walkable: false })
+    grid.addObstacle({ id: 'bridge', x: 555, y: 500, width: 40, height: 40 })
+
+    const path = grid.findPath({ x: 800, y: 100 }, { x: 300, y: 100 })
+
+    expect(grid.isWalkable(570, 520)).toBe(true)
+    expect(path.some(point => point.y > 480)).toBe(true)
+  })
+
+  it('should prefer roads when they save time', () => {
+    const start = { x: 850, y: 310 }
+    const goal = { x: 50, y: 250 }
+    const direct = pathLength(start, grid.findPath(start, goal))
+
+    grid.addObstacle({ id: 'road', x: 0, y: 300, width: 900, height: 20, speedMultiplier: 3 })
+    const path = grid.findPath(start, goal)
+
+    expect(pathLength(start, path)).toBeGreaterThanOrEqual(direct)
+    expect(path.some(point => grid.getSpeedMultiplier(point.x, point.y) === 3)).toBe(true)
+  })
+
+  it('should return null when the goal is unreachable', () => {
+    grid.addObstacle({ id: 'lake', x: 0, y: 0, width: 100, height: 100, walkable: false })
+
+    expect(grid.findPath({ x: 500, y: 500 }, { x: 50, y: 50 })).toBeNull()
+  })
+
+  it('should reopen cells when an obstacle is removed', () => {
+    grid.addObstacle({ id: 'lake', x: 0, y: 0, width: 100, height: 100, walkable: false })
+
+    expect(grid.removeObstacle('lake')).toBe(true)
+    expect(grid.removeObstacle('lake')).toBe(false)
+    expect(grid.isWalkable(50, 50)).toBe(true)
+  })
+
+  it('should require obstacle ids', () => {
+    expect(() => grid.addObstacle({ x: 0, y: 0, width: 10, height: 10 })).toThrow('Obstacle needs an id')
+  })
+})
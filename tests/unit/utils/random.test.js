@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { createSeededRandom, createManualClock } from '../../../src/utils/random.js'
+
+describe('createSeededRandom()', () => {
+  it('should produce the same sequence for the same seed', () => {
+    const a = createSeededRandom(42)
+    const b = createSeededRandom(42)
+
+    const sequenceA = Array.from({ length: 5 }, () => a())
+    const sequenceB = Array.from({ length: 5 }, () => b())
+
+    expect(sequenceA).toEqual(sequenceB)
+  })
+
+  it('should produce different sequences for different seeds', () => {
+    const a = createSeededRandom(1)
+    const b = createSeededRandom(2)
+
+    expect(a()).not.toBe(b())
+  })
+
+  it('should return floats in [0, 1)', () => {
+    const random = createSeededRandom(7)
+
+    for (let i = 0; i < 1000; i++) {
+      const value = random()
+      expect(value).toBeGreaterThanOrEqual(0)
+      expect(value).toBeLessThan(1)
+    }
+  })
+})
+
+describe('createManualClock()', () => {
+  it('should start at the given time', () => {
+    expect(createManualClock(5000)()).toBe(5000)
+    expect(createManualClock()()).toBe(0)
+  })
+
+  it('should only move when advanced', () => {
+    const clock = createManualClock(100)
+
+    expect(clock()).toBe(100)
+    clock.advance(250)
+    expect(clock()).toBe(350)
+  })
+
+  it('should jump to a set time', () => {
+    const clock = createManualClock()
+    clock.set(9000)
+    expect(clock()).toBe(9000)
+  })
+})